@@ -28,12 +28,20 @@ export default [
         Element: 'readonly',
         EventTarget: 'readonly',
         MouseEvent: 'readonly',
+        PointerEvent: 'readonly',
         CustomEvent: 'readonly',
         MessageEvent: 'readonly',
         Worker: 'readonly',
         URL: 'readonly',
         URLSearchParams: 'readonly',
         DOMRect: 'readonly',
+        Blob: 'readonly',
+        File: 'readonly',
+        // IndexedDB globals
+        indexedDB: 'readonly',
+        IDBDatabase: 'readonly',
+        IDBRequest: 'readonly',
+        IDBTransaction: 'readonly',
         // Timer globals
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
@@ -89,9 +97,11 @@ export default [
         localStorage: 'readonly',
         sessionStorage: 'readonly',
         HTMLElement: 'readonly',
+        HTMLInputElement: 'readonly',
         Element: 'readonly',
         EventTarget: 'readonly',
         MouseEvent: 'readonly',
+        PointerEvent: 'readonly',
         CustomEvent: 'readonly',
         MessageEvent: 'readonly',
         Worker: 'readonly',
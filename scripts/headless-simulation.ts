@@ -0,0 +1,312 @@
+// scripts/headless-simulation.ts
+// Headless Node runner for the simulation engine - no DOM, no WebGL.
+// Runs a simulated duration and writes the population / census time series as JSON or CSV.
+//
+// Usage:
+//   npm run simulate -- --seconds 100 --spawn-rate 42 --min-lifespan 5 --max-lifespan 15 \
+//     --initial 333 --seed 42 --sample-every 10 --out results.csv
+
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { DEFAULT_PARAMETERS, SIMULATION_TICK_RATE } from '../src/lib/constants/config';
+import { DEFAULT_BONDS } from '../src/lib/engine/bonds';
+import { BOUNDARY_MODES, DEFAULT_BOUNDARY, isBoundaryMode } from '../src/lib/engine/boundaries';
+import { DEFAULT_CONVERSION } from '../src/lib/engine/conversion';
+import type { EquilibriumStatus } from '../src/lib/engine/equilibrium';
+import { DEFAULT_ESSENCE } from '../src/lib/engine/essence';
+import { HeadlessSimulation, samplesToCSV } from '../src/lib/engine/headlessSimulation';
+import {
+  DEFAULT_LIFESPAN,
+  isLifespanDistribution,
+  LIFESPAN_DISTRIBUTIONS,
+} from '../src/lib/engine/lifespan';
+import { DEFAULT_REINCARNATION } from '../src/lib/engine/reincarnation';
+import { ENGINE_SETTINGS } from '../src/lib/engine/simulationEngine';
+import { generateSeed, parseSeed } from '../src/lib/utils/random';
+import { secondsToTicks } from '../src/lib/utils/simulationClock';
+
+const HELP = `Soul Recycling Simulation - headless runner
+
+Options:
+  --seconds <n>        Simulated duration in seconds (default 100)
+  --ticks <n>          Number of simulation ticks to run (overrides --seconds)
+  --tick-rate <n>      Simulation ticks per second (default ${SIMULATION_TICK_RATE})
+  --spawn-rate <n>     Souls spawned per second (default ${DEFAULT_PARAMETERS.SPAWN_RATE})
+  --min-lifespan <n>   Minimum lifespan in seconds (default ${DEFAULT_PARAMETERS.MIN_LIFESPAN})
+  --max-lifespan <n>   Maximum lifespan in seconds (default ${DEFAULT_PARAMETERS.MAX_LIFESPAN})
+  --lifespan <kind>    Lifespan distribution: ${Object.keys(LIFESPAN_DISTRIBUTIONS).join(' | ')} (default ${DEFAULT_LIFESPAN.distribution})
+  --normal-mean <n>    Normal: mean lifespan in seconds (default ${DEFAULT_LIFESPAN.normalMean})
+  --normal-sd <n>      Normal: standard deviation in seconds (default ${DEFAULT_LIFESPAN.normalStdDev})
+  --exponential-mean <n>  Exponential: mean lifespan in seconds (default ${DEFAULT_LIFESPAN.exponentialMean})
+  --weibull-scale <n>  Weibull: scale in seconds (default ${DEFAULT_LIFESPAN.weibullScale})
+  --weibull-shape <n>  Weibull: shape, < 1 infant mortality, > 1 aging (default ${DEFAULT_LIFESPAN.weibullShape})
+  --infant-share <n>   Bimodal: share of souls dying in infancy, 0-0.9 (default ${DEFAULT_LIFESPAN.infantShare})
+  --infant-mean <n>    Bimodal: mean infant lifespan in seconds (default ${DEFAULT_LIFESPAN.infantMean})
+  --old-age-mean <n>   Bimodal: old-age peak in seconds (default ${DEFAULT_LIFESPAN.oldAgeMean})
+  --old-age-sd <n>     Bimodal: old-age standard deviation in seconds (default ${DEFAULT_LIFESPAN.oldAgeStdDev})
+  --initial <n>        Initial soul count (default 333)
+  --boundary <mode>    World boundary: ${BOUNDARY_MODES.join(' | ')} (default ${DEFAULT_BOUNDARY.mode})
+  --boundary-radius <n>  Sphere radius / soft radius / box half-size (default ${DEFAULT_BOUNDARY.radius})
+  --reincarnation      Dead souls wait in the bardo and are reborn with the same identity
+  --bardo-delay <n>    Seconds in the bardo before rebirth (default ${DEFAULT_REINCARNATION.delay})
+  --keep-vessel <n>    Chance a reborn soul keeps its vessel, 0-1 (default ${DEFAULT_REINCARNATION.keepVesselChance})
+  --essence            Fund births from a conserved essence pool instead of the spawn rate alone
+  --initial-essence <n>  Essence pool when the economy starts (default ${DEFAULT_ESSENCE.initialPool})
+  --birth-cost <n>     Essence a newborn takes from the pool (default ${DEFAULT_ESSENCE.birthCost})
+  --connection-gain <n>  Essence per connection per second (default ${DEFAULT_ESSENCE.connectionGain})
+  --dewa-gain <n>      Essence per second near a dewa (default ${DEFAULT_ESSENCE.dewaGain})
+  --conversion         Souls connected mostly to the other type switch vessel (human <-> GPT)
+  --exposure-time <n>  Seconds of other-type majority needed to convert (default ${DEFAULT_CONVERSION.exposureTime})
+  --majority <n>       Other-type share of connections needed, 0.5-0.95 (default ${DEFAULT_CONVERSION.majority})
+  --bonds              Nearby souls form persistent bonds that strengthen and decay over time
+  --bond-formation <n> Seconds together for a bond to reach full strength (default ${DEFAULT_BONDS.formationTime})
+  --bond-decay <n>     Seconds apart for a full-strength bond to fade (default ${DEFAULT_BONDS.decayTime})
+  --bond-break <n>     Break distance as a multiple of the interaction distance (default ${DEFAULT_BONDS.breakDistance})
+  --bond-spring <n>    Spring pull between bonded souls (default ${DEFAULT_BONDS.springStrength})
+  --seed <value>       Random seed, number or string (default: random)
+  --sample-every <n>   Ticks between samples (default 10)
+  --format <json|csv>  Output format (default: from --out extension, else json)
+  --out <file>         Output file (default: stdout)
+  --no-connections     Skip connection calculation (faster)
+  --connection-checks <n>  Souls searched per connection pass, round-robin (default ${ENGINE_SETTINGS.DEFAULT_MAX_SOULS_TO_CHECK})
+  --connection-limit <n>   Connections per soul (default ${ENGINE_SETTINGS.DEFAULT_CONNECTION_LIMIT})
+  --help               Show this help
+`;
+
+function readNumber(value: string | undefined, fallback: number, name: string): number {
+  if (value === undefined) {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`Invalid value for --${name}: ${value}`);
+  }
+  return parsed;
+}
+
+function formatEquilibrium(status: EquilibriumStatus | null): string {
+  if (!status || !status.reached) {
+    return `not reached (confidence ${Math.round((status?.confidence ?? 0) * 100)}%)`;
+  }
+  return (
+    `reached (confidence ${Math.round(status.confidence * 100)}%, ` +
+    `settled ${status.settlingTime?.toFixed(1)}s, overshoot ${Math.round(status.overshoot * 100)}%)`
+  );
+}
+
+function main(): void {
+  const { values } = parseArgs({
+    options: {
+      seconds: { type: 'string' },
+      ticks: { type: 'string' },
+      'tick-rate': { type: 'string' },
+      'spawn-rate': { type: 'string' },
+      'min-lifespan': { type: 'string' },
+      'max-lifespan': { type: 'string' },
+      lifespan: { type: 'string' },
+      'normal-mean': { type: 'string' },
+      'normal-sd': { type: 'string' },
+      'exponential-mean': { type: 'string' },
+      'weibull-scale': { type: 'string' },
+      'weibull-shape': { type: 'string' },
+      'infant-share': { type: 'string' },
+      'infant-mean': { type: 'string' },
+      'old-age-mean': { type: 'string' },
+      'old-age-sd': { type: 'string' },
+      initial: { type: 'string' },
+      boundary: { type: 'string' },
+      'boundary-radius': { type: 'string' },
+      reincarnation: { type: 'boolean', default: false },
+      'bardo-delay': { type: 'string' },
+      'keep-vessel': { type: 'string' },
+      essence: { type: 'boolean', default: false },
+      'initial-essence': { type: 'string' },
+      'birth-cost': { type: 'string' },
+      'connection-gain': { type: 'string' },
+      'dewa-gain': { type: 'string' },
+      conversion: { type: 'boolean', default: false },
+      'exposure-time': { type: 'string' },
+      majority: { type: 'string' },
+      bonds: { type: 'boolean', default: false },
+      'bond-formation': { type: 'string' },
+      'bond-decay': { type: 'string' },
+      'bond-break': { type: 'string' },
+      'bond-spring': { type: 'string' },
+      seed: { type: 'string' },
+      'sample-every': { type: 'string' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      'no-connections': { type: 'boolean', default: false },
+      'connection-checks': { type: 'string' },
+      'connection-limit': { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  const tickRate = readNumber(values['tick-rate'], SIMULATION_TICK_RATE, 'tick-rate');
+  if (tickRate <= 0) {
+    throw new Error('--tick-rate must be positive');
+  }
+  const seconds = readNumber(values.seconds, 100, 'seconds');
+  const ticks = Math.round(readNumber(values.ticks, secondsToTicks(seconds, tickRate), 'ticks'));
+  const minLifespan = readNumber(
+    values['min-lifespan'],
+    DEFAULT_PARAMETERS.MIN_LIFESPAN,
+    'min-lifespan'
+  );
+  const maxLifespan = readNumber(
+    values['max-lifespan'],
+    DEFAULT_PARAMETERS.MAX_LIFESPAN,
+    'max-lifespan'
+  );
+  if (maxLifespan < minLifespan) {
+    throw new Error('--max-lifespan must be greater than or equal to --min-lifespan');
+  }
+
+  const distribution = values.lifespan ?? DEFAULT_LIFESPAN.distribution;
+  if (!isLifespanDistribution(distribution)) {
+    throw new Error(`Unknown --lifespan: ${distribution}`);
+  }
+
+  const boundaryMode = values.boundary ?? DEFAULT_BOUNDARY.mode;
+  if (!isBoundaryMode(boundaryMode)) {
+    throw new Error(`Unknown --boundary: ${boundaryMode}`);
+  }
+
+  const seed = values.seed !== undefined ? parseSeed(values.seed) : generateSeed();
+  const format = values.format ?? (values.out?.endsWith('.csv') ? 'csv' : 'json');
+  if (format !== 'json' && format !== 'csv') {
+    throw new Error(`Unknown --format: ${format}`);
+  }
+
+  const simulation = new HeadlessSimulation({
+    spawnRate: readNumber(values['spawn-rate'], DEFAULT_PARAMETERS.SPAWN_RATE, 'spawn-rate'),
+    minLifespan,
+    maxLifespan,
+    lifespan: {
+      distribution,
+      normalMean: readNumber(values['normal-mean'], DEFAULT_LIFESPAN.normalMean, 'normal-mean'),
+      normalStdDev: readNumber(values['normal-sd'], DEFAULT_LIFESPAN.normalStdDev, 'normal-sd'),
+      exponentialMean: readNumber(
+        values['exponential-mean'],
+        DEFAULT_LIFESPAN.exponentialMean,
+        'exponential-mean'
+      ),
+      weibullScale: readNumber(
+        values['weibull-scale'],
+        DEFAULT_LIFESPAN.weibullScale,
+        'weibull-scale'
+      ),
+      weibullShape: readNumber(
+        values['weibull-shape'],
+        DEFAULT_LIFESPAN.weibullShape,
+        'weibull-shape'
+      ),
+      infantShare: readNumber(values['infant-share'], DEFAULT_LIFESPAN.infantShare, 'infant-share'),
+      infantMean: readNumber(values['infant-mean'], DEFAULT_LIFESPAN.infantMean, 'infant-mean'),
+      oldAgeMean: readNumber(values['old-age-mean'], DEFAULT_LIFESPAN.oldAgeMean, 'old-age-mean'),
+      oldAgeStdDev: readNumber(values['old-age-sd'], DEFAULT_LIFESPAN.oldAgeStdDev, 'old-age-sd'),
+    },
+    tickRate,
+    initialSouls: readNumber(values.initial, 333, 'initial'),
+    seed,
+    sampleEvery: readNumber(values['sample-every'], 10, 'sample-every'),
+    computeConnections: !values['no-connections'],
+    connectionBudget: {
+      maxChecks: readNumber(
+        values['connection-checks'],
+        ENGINE_SETTINGS.DEFAULT_MAX_SOULS_TO_CHECK,
+        'connection-checks'
+      ),
+      connectionLimit: readNumber(
+        values['connection-limit'],
+        ENGINE_SETTINGS.DEFAULT_CONNECTION_LIMIT,
+        'connection-limit'
+      ),
+    },
+    boundary: {
+      mode: boundaryMode,
+      radius: readNumber(values['boundary-radius'], DEFAULT_BOUNDARY.radius, 'boundary-radius'),
+    },
+    reincarnation: {
+      enabled: values.reincarnation,
+      delay: readNumber(values['bardo-delay'], DEFAULT_REINCARNATION.delay, 'bardo-delay'),
+      keepVesselChance: readNumber(
+        values['keep-vessel'],
+        DEFAULT_REINCARNATION.keepVesselChance,
+        'keep-vessel'
+      ),
+    },
+    essence: {
+      model: values.essence ? 'essence' : 'rate',
+      initialPool: readNumber(
+        values['initial-essence'],
+        DEFAULT_ESSENCE.initialPool,
+        'initial-essence'
+      ),
+      birthCost: readNumber(values['birth-cost'], DEFAULT_ESSENCE.birthCost, 'birth-cost'),
+      connectionGain: readNumber(
+        values['connection-gain'],
+        DEFAULT_ESSENCE.connectionGain,
+        'connection-gain'
+      ),
+      dewaGain: readNumber(values['dewa-gain'], DEFAULT_ESSENCE.dewaGain, 'dewa-gain'),
+    },
+    conversion: {
+      enabled: values.conversion,
+      exposureTime: readNumber(
+        values['exposure-time'],
+        DEFAULT_CONVERSION.exposureTime,
+        'exposure-time'
+      ),
+      majority: readNumber(values.majority, DEFAULT_CONVERSION.majority, 'majority'),
+    },
+    bonds: {
+      enabled: values.bonds,
+      formationTime: readNumber(
+        values['bond-formation'],
+        DEFAULT_BONDS.formationTime,
+        'bond-formation'
+      ),
+      decayTime: readNumber(values['bond-decay'], DEFAULT_BONDS.decayTime, 'bond-decay'),
+      breakDistance: readNumber(values['bond-break'], DEFAULT_BONDS.breakDistance, 'bond-break'),
+      springStrength: readNumber(
+        values['bond-spring'],
+        DEFAULT_BONDS.springStrength,
+        'bond-spring'
+      ),
+    },
+  });
+
+  const startTime = performance.now();
+  const result = simulation.run(ticks);
+  const elapsed = performance.now() - startTime;
+
+  const output = format === 'csv' ? samplesToCSV(result.samples) : JSON.stringify(result, null, 2);
+  if (values.out) {
+    writeFileSync(values.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  // Summary goes to stderr so stdout stays pipeable
+  process.stderr.write(
+    `seed=${seed} ticks=${result.ticks} simulated=${(result.ticks / tickRate).toFixed(1)}s ` +
+      `wall=${(elapsed / 1000).toFixed(1)}s ` +
+      `expected≈${result.expectedEquilibrium.toFixed(1)} ` +
+      `observed(second half)≈${result.observedMean.toFixed(1)} ` +
+      `equilibrium=${formatEquilibrium(result.equilibrium)}\n`
+  );
+}
+
+try {
+  main();
+} catch (error) {
+  process.stderr.write(`${error instanceof Error ? error.message : error}\n`);
+  process.exit(1);
+}
@@ -0,0 +1,431 @@
+// scripts/verify-engine.ts
+// Headless checks for the parts of the engine that are hard to see going wrong in the browser:
+// seeded determinism and snapshot round trips, the shared-memory soul ring at odd capacities,
+// and the numerics behind the lifespan distributions, the population model and the
+// equilibrium detector. Exits non-zero when a check fails.
+//
+// Usage:
+//   npm run verify
+
+import { SIMULATION_TICK_RATE } from '../src/lib/constants/config';
+import { PHYSICS_CONSTANTS } from '../src/lib/constants/physics';
+import { toTickBonds, validateBondSettings } from '../src/lib/engine/bonds';
+import { toTickConversion, validateConversionSettings } from '../src/lib/engine/conversion';
+import { EquilibriumDetector, normalCdf, windowStats } from '../src/lib/engine/equilibrium';
+import { HeadlessSimulation, samplesToCSV } from '../src/lib/engine/headlessSimulation';
+import {
+  DEFAULT_LIFESPAN,
+  expectedAgeHistogram,
+  lifespanDistribution,
+  type LifespanSettings,
+} from '../src/lib/engine/lifespan';
+import { predictPopulation, steadyStatePopulation } from '../src/lib/engine/populationModel';
+import {
+  toTickReincarnation,
+  validateReincarnationSettings,
+} from '../src/lib/engine/reincarnation';
+import { SimulationEngine } from '../src/lib/engine/simulationEngine';
+import { createPalette, generateSoulData, rollInitialSoul } from '../src/lib/engine/soulFactory';
+import { RANDOM_STREAMS, SeededRandom } from '../src/lib/utils/random';
+import { toTickParameters } from '../src/lib/utils/simulationClock';
+import {
+  createSoulFrameView,
+  SharedSoulRing,
+  type SoulFrame,
+  soulFrameByteLength,
+  writeSoulFrame,
+} from '../src/lib/workerProtocol';
+
+const failures: string[] = [];
+let checks = 0;
+
+function check(name: string, passed: boolean, detail: string = ''): void {
+  checks++;
+  if (!passed) {
+    failures.push(detail ? `${name}: ${detail}` : name);
+  }
+}
+
+function checkClose(name: string, actual: number, expected: number, tolerance: number): void {
+  check(
+    name,
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
+
+function lifespan(settings: Partial<LifespanSettings>): LifespanSettings {
+  return { ...DEFAULT_LIFESPAN, ...settings };
+}
+
+// ===== DETERMINISM =====
+
+function runCSV(seed: number): string {
+  const simulation = new HeadlessSimulation({
+    spawnRate: 20,
+    minLifespan: 2,
+    maxLifespan: 6,
+    initialSouls: 120,
+    seed,
+    sampleEvery: 5,
+    reincarnation: { enabled: true, delay: 0.5 },
+    conversion: { enabled: true, exposureTime: 0.5 },
+    bonds: { enabled: true },
+  });
+  return samplesToCSV(simulation.run(300).samples);
+}
+
+function verifyDeterminism(): void {
+  const first = runCSV(7);
+  check('same seed reproduces the run', first === runCSV(7));
+  check('another seed changes the run', first !== runCSV(8));
+}
+
+/**
+ * An engine set up the way the worker does it, with the stateful features switched on
+ */
+function createEngine(seed: number): SimulationEngine {
+  const population = toTickParameters(20, 2, 6);
+  const rng = new SeededRandom(seed, RANDOM_STREAMS.MAIN);
+  const palette = createPalette(rng);
+  const engine = new SimulationEngine(PHYSICS_CONSTANTS, seed);
+  const souls = [];
+  for (let i = 0; i < 80; i++) {
+    const { species, angle, speed } = rollInitialSoul(i, 80, rng);
+    souls.push(generateSoulData(i, { species, angle, speed, ...population }, palette, rng));
+  }
+  engine.setReincarnation(
+    toTickReincarnation(validateReincarnationSettings({ enabled: true, delay: 0.5 }))
+  );
+  engine.setConversion(
+    toTickConversion(validateConversionSettings({ enabled: true, exposureTime: 0.5 }))
+  );
+  engine.setBonds(toTickBonds(validateBondSettings({ enabled: true })));
+  engine.loadSouls(souls);
+  engine.configureSpawning(palette, population);
+  return engine;
+}
+
+function verifyStateRoundTrip(): void {
+  const original = createEngine(11);
+  for (let i = 0; i < 150; i++) {
+    original.step({ computeConnections: true });
+  }
+
+  // Through JSON, like a snapshot file
+  const restored = createEngine(11);
+  restored.loadState(JSON.parse(JSON.stringify(original.saveState())));
+  check(
+    'a loaded state saves unchanged',
+    JSON.stringify(restored.saveState()) === JSON.stringify(original.saveState())
+  );
+
+  for (let i = 0; i < 150; i++) {
+    original.step({ computeConnections: true });
+    restored.step({ computeConnections: true });
+  }
+  check(
+    'a loaded state continues like the original',
+    JSON.stringify(restored.saveState()) === JSON.stringify(original.saveState())
+  );
+}
+
+// ===== SHARED SOUL RING =====
+
+function framesEqual(a: SoulFrame, b: SoulFrame): boolean {
+  if (a.count !== b.count) {
+    return false;
+  }
+  const n = a.count;
+  const same = (x: ArrayLike<number>, y: ArrayLike<number>, length: number): boolean => {
+    for (let i = 0; i < length; i++) {
+      if (x[i] !== y[i]) {
+        return false;
+      }
+    }
+    return true;
+  };
+  return (
+    same(a.ids, b.ids, n) &&
+    same(a.positions, b.positions, n * 3) &&
+    same(a.colors, b.colors, n * 4) &&
+    same(a.types, b.types, n)
+  );
+}
+
+function emptyFrame(capacity: number): SoulFrame {
+  return createSoulFrameView(new ArrayBuffer(soulFrameByteLength(capacity)), capacity, 0);
+}
+
+function verifySoulRing(): void {
+  const engine = createEngine(5);
+  engine.step({ computeConnections: false });
+
+  // Odd capacities leave slots that are not a multiple of 4 bytes long
+  for (const capacity of [1, 3, 5, 10, 13]) {
+    const name = `ring capacity ${capacity}`;
+    let ring: SharedSoulRing;
+    try {
+      ring = SharedSoulRing.create(capacity);
+    } catch (error) {
+      check(`${name} allocates`, false, String(error));
+      continue;
+    }
+
+    const target = emptyFrame(capacity);
+    const frameNumbers: number[] = [];
+    // More writes than slots so every slot gets reused
+    for (let write = 0; write < SharedSoulRing.SLOTS + 2; write++) {
+      engine.step({ computeConnections: false });
+      const souls = engine.getSouls().slice(write % 2, (write % 2) + capacity);
+      const expected = emptyFrame(capacity);
+      writeSoulFrame(expected, souls);
+
+      const frameNumber = ring.write(souls);
+      check(`${name} write ${write} is published`, frameNumber !== null);
+      if (frameNumber === null) {
+        break;
+      }
+      frameNumbers.push(frameNumber);
+      check(
+        `${name} write ${write} reads back`,
+        ring.readFrame(target, frameNumber) && framesEqual(target, expected)
+      );
+    }
+
+    check(`${name} drops a frame whose slot was reused`, !ring.readFrame(target, frameNumbers[0]));
+    check(
+      `${name} refuses a population over capacity`,
+      ring.write(engine.getSouls().slice(0, capacity + 1)) === null
+    );
+  }
+}
+
+// ===== LIFESPAN DISTRIBUTIONS =====
+
+function verifyLifespan(): void {
+  // Weibull mean scale·Γ(1 + 1/k) checks the Lanczos gamma at known values
+  const weibullMeans: Array<[number, number]> = [
+    [0.5, 2], // Γ(3)
+    [1, 1], // Γ(2)
+    [2, Math.sqrt(Math.PI) / 2], // Γ(1.5)
+    [4, 0.9064024770554771], // Γ(1.25)
+  ];
+  for (const [shape, factor] of weibullMeans) {
+    const distribution = lifespanDistribution(
+      lifespan({ distribution: 'weibull', weibullScale: 10, weibullShape: shape }),
+      0,
+      0
+    );
+    checkClose(`Weibull shape ${shape} mean`, distribution.mean, 10 * factor, 1e-9);
+    // Simpson integration of the survival up to just before the horizon recovers the mean
+    // (shape 0.5, the panel minimum, has the steepest start and is off by about 0.1%)
+    checkClose(
+      `Weibull shape ${shape} survival integral`,
+      distribution.survivalIntegral(distribution.horizon * 0.999999),
+      distribution.mean,
+      distribution.mean * 2e-3
+    );
+  }
+
+  // Exponential against its closed forms ∫S = m(1 - e^-t/m) and ∫S² = m/2 (1 - e^-2t/m)
+  const mean = 8;
+  const exponential = lifespanDistribution(
+    lifespan({ distribution: 'exponential', exponentialMean: mean }),
+    0,
+    0
+  );
+  for (const t of [0.5, 4, 20, 60]) {
+    checkClose(
+      `exponential survival integral at ${t}s`,
+      exponential.survivalIntegral(t),
+      mean * (1 - Math.exp(-t / mean)),
+      1e-6
+    );
+    checkClose(
+      `exponential survival square integral at ${t}s`,
+      exponential.survivalSquareIntegral(t),
+      (mean / 2) * (1 - Math.exp((-2 * t) / mean)),
+      1e-6
+    );
+  }
+
+  const bimodal = lifespanDistribution(lifespan({ distribution: 'bimodal' }), 0, 0);
+  checkClose(
+    'bimodal survival integral',
+    bimodal.survivalIntegral(bimodal.horizon * 0.999999),
+    bimodal.mean,
+    bimodal.mean * 1e-4
+  );
+
+  // Uniform: S = (b - u) / (b - a) between the bounds
+  const uniform = lifespanDistribution(undefined, 5, 15);
+  checkClose('uniform mean', uniform.mean, 10, 1e-12);
+  checkClose('uniform survival integral', uniform.survivalIntegral(10), 5 + 3.75, 1e-12);
+  checkClose(
+    'uniform survival square integral',
+    uniform.survivalSquareIntegral(15),
+    5 + 10 / 3,
+    1e-12
+  );
+
+  const histogram = expectedAgeHistogram(exponential, 300);
+  checkClose(
+    'expected age histogram holds the population',
+    histogram.reduce((sum, count) => sum + count, 0),
+    300,
+    1e-6
+  );
+}
+
+// ===== POPULATION MODEL =====
+
+function verifyPopulationModel(): void {
+  const noBirths = { spawnRate: 0, minLifespan: 5, maxLifespan: 15 };
+
+  // A settled population survives with the residual-life distribution: memoryless for the
+  // exponential, 1 - ∫S/mean for the uniform
+  const exponential = lifespan({ distribution: 'exponential', exponentialMean: 8 });
+  for (const t of [1, 8, 24]) {
+    checkClose(
+      `settled exponential survivors at ${t}s`,
+      predictPopulation(
+        { ...noBirths, lifespan: exponential },
+        { population: 1000, minLifespan: 0, maxLifespan: 0, lifespan: exponential, fresh: false },
+        t
+      ).mean,
+      1000 * Math.exp(-t / 8),
+      1e-3
+    );
+  }
+  const settled = { population: 1000, minLifespan: 5, maxLifespan: 15, fresh: false };
+  checkClose(
+    'settled uniform survivors before the minimum',
+    predictPopulation(noBirths, settled, 4).mean,
+    1000 * (1 - 4 / 10),
+    1e-9
+  );
+  checkClose(
+    'settled uniform survivors after the maximum',
+    predictPopulation(noBirths, settled, 16).mean,
+    0,
+    1e-9
+  );
+  checkClose(
+    'fresh uniform survivors',
+    predictPopulation(noBirths, { ...settled, fresh: true }, 12).mean,
+    1000 * 0.3,
+    1e-9
+  );
+
+  // Long run: spawn rate × mean lifespan, and a seeded run settles within the predicted spread
+  const params = { spawnRate: 10, minLifespan: 2, maxLifespan: 6 };
+  const steady = steadyStatePopulation(params);
+  checkClose('steady state population', steady.mean, 40, 1e-9);
+  check('steady state spread', steady.sigma > 0 && steady.sigma < steady.mean);
+
+  const simulation = new HeadlessSimulation({
+    ...params,
+    initialSouls: 0,
+    seed: 3,
+    computeConnections: false,
+  });
+  const result = simulation.run(40 * SIMULATION_TICK_RATE);
+  checkClose('simulated steady state', result.observedMean, steady.mean, steady.sigma);
+}
+
+// ===== EQUILIBRIUM DETECTOR =====
+
+function verifyEquilibrium(): void {
+  checkClose('normal cdf at 0', normalCdf(0), 0.5, 1e-7);
+  checkClose('normal cdf at 1.96', normalCdf(1.96), 0.9750021048517795, 1.5e-7);
+  checkClose('normal cdf symmetry', normalCdf(-1.3) + normalCdf(1.3), 1, 1e-12);
+
+  const ticks = Array.from({ length: 200 }, (_, i) => i * 6);
+  const line = windowStats(
+    ticks,
+    ticks.map(tick => 100 + (2 * tick) / SIMULATION_TICK_RATE),
+    SIMULATION_TICK_RATE
+  );
+  checkClose('slope of a straight line', line.slope, 2, 1e-9);
+  checkClose('slope error of a straight line', line.slopeError, 0, 1e-6);
+
+  const flat = windowStats(ticks, new Array(ticks.length).fill(50), SIMULATION_TICK_RATE);
+  check(
+    'flat series statistics',
+    flat.variance === 0 &&
+      flat.autocorrelation === 0 &&
+      flat.effectiveSamples === flat.samples &&
+      flat.standardError === 0
+  );
+
+  // AR(1) with φ = 0.8: n(1 - φ)/(1 + φ) effective samples
+  const rng = new SeededRandom(1);
+  const phi = 0.8;
+  const values: number[] = [];
+  let x = 0;
+  for (let i = 0; i < 20000; i++) {
+    const noise = Math.sqrt(-2 * Math.log(1 - rng.next())) * Math.cos(2 * Math.PI * rng.next());
+    x = phi * x + noise;
+    values.push(100 + x);
+  }
+  const ar = windowStats(
+    values.map((_, i) => i),
+    values,
+    SIMULATION_TICK_RATE
+  );
+  checkClose('AR(1) autocorrelation', ar.autocorrelation, phi, 0.03);
+  checkClose(
+    'AR(1) effective samples',
+    ar.effectiveSamples,
+    (values.length * (1 - phi)) / (1 + phi),
+    (0.15 * values.length) / 9
+  );
+
+  // Settles at the target, then collapses after a drop in the prediction
+  const detector = new EquilibriumDetector({}, SIMULATION_TICK_RATE);
+  const events = [];
+  let tick = 0;
+  for (; tick < 60 * SIMULATION_TICK_RATE; tick += 10) {
+    events.push(...detector.push(tick, 200 + (tick % 3) - 1, 200));
+  }
+  check(
+    'equilibrium reached at the target',
+    events.some(event => event.type === 'reached')
+  );
+  for (let population = 150; population > 0; population -= 2, tick += 10) {
+    events.push(...detector.push(tick, population, 200));
+  }
+  check(
+    'collapse warned for a falling population',
+    events.some(event => event.type === 'collapse')
+  );
+}
+
+const sections: Array<[string, () => void]> = [
+  ['determinism', verifyDeterminism],
+  ['state round trip', verifyStateRoundTrip],
+  ['shared soul ring', verifySoulRing],
+  ['lifespan distributions', verifyLifespan],
+  ['population model', verifyPopulationModel],
+  ['equilibrium detector', verifyEquilibrium],
+];
+
+for (const [name, verify] of sections) {
+  const before = failures.length;
+  try {
+    verify();
+  } catch (error) {
+    failures.push(`${name}: ${error instanceof Error ? error.message : error}`);
+  }
+  process.stdout.write(`${failures.length === before ? 'ok  ' : 'FAIL'} ${name}\n`);
+}
+
+if (failures.length > 0) {
+  process.stderr.write(`\n${failures.length} of ${checks} checks failed:\n`);
+  for (const failure of failures) {
+    process.stderr.write(`  ${failure}\n`);
+  }
+  process.exit(1);
+}
+process.stdout.write(`\nAll ${checks} checks passed\n`);
@@ -1,17 +1,20 @@
 import * as THREE from 'three';
 import type { PerformanceMetrics } from '../types/performance';
+import { conversionMorphScale } from './constants/rendering';
+import { SPECIES, speciesIndex, type SpeciesId } from './engine/species';
+import { LOD_LEVELS, type CompactLODData, type SoulFrame } from './workerProtocol';
 
-interface SoulCounts {
-  human: number;
-  gpt: number;
-  dewa: number;
-}
+// Souls drawn per species, by species id
+type SoulCounts = Record<SpeciesId, number>;
 
-interface InstancedMeshes {
-  human: THREE.InstancedMesh;
-  gpt: THREE.InstancedMesh;
-  dewa: THREE.InstancedMesh;
-}
+// One instanced mesh per species, indexed like the registry (the frame type codes)
+type InstancedMeshes = THREE.InstancedMesh[];
+
+// Culled souls are not drawn, every other LOD level gets its own set of meshes
+type DetailLevel = 'HIGH' | 'MEDIUM' | 'LOW';
+const DETAIL_LEVELS: DetailLevel[] = ['HIGH', 'MEDIUM', 'LOW'];
+const CULLED_LEVEL = LOD_LEVELS.indexOf('CULLED');
+const MIN_SPHERE_SEGMENTS = 4;
 
 interface InstancedRenderingOptions {
   maxSouls?: number;
@@ -23,8 +26,13 @@ interface InstancedRenderingOptions {
 export class InstancedSoulRenderer {
   private scene: THREE.Scene;
   private maxSouls: number;
-  private soulCounts: SoulCounts;
-  private instancedMeshes!: InstancedMeshes;
+  private soulCounts: SoulCounts = {};
+  private instancedMeshes!: InstancedMeshes; // Full detail (HIGH)
+  private meshesByLevel!: Record<DetailLevel, InstancedMeshes>;
+  private levelDetail: Record<DetailLevel, number> = { HIGH: 1, MEDIUM: 1, LOW: 1 };
+  private lodLevelsById: Map<number, number> = new Map();
+  private conversionTimesById: Map<number, number> = new Map(); // Souls growing into a new vessel
+  private instanceSoulIds: Map<THREE.InstancedMesh, Uint32Array> = new Map(); // For picking
   private tempMatrix: THREE.Matrix4;
   private tempColor: THREE.Color;
   private frustumCulling: boolean;
@@ -40,8 +48,6 @@ export class InstancedSoulRenderer {
     this.enableLOD = options.enableLOD ?? true;
     this.updateFrequency = options.updateFrequency ?? 60;
 
-    this.soulCounts = { human: 0, gpt: 0, dewa: 0 };
-
     // Pre-allocate objects to reduce garbage collection
     this.tempMatrix = new THREE.Matrix4();
     this.tempColor = new THREE.Color();
@@ -50,43 +56,44 @@ export class InstancedSoulRenderer {
   }
 
   private initializeInstancedMeshes(): void {
-    // Human souls - spheres (reduced poly count for performance)
-    const humanMesh = new THREE.InstancedMesh(
-      new THREE.SphereGeometry(0.15, 8, 8),
-      new THREE.MeshBasicMaterial({
-        transparent: true,
-        // Note: vertexColors should NOT be used with instanceColor
-      }),
-      this.maxSouls
-    );
-
-    // GPT souls - cubes
-    const gptMesh = new THREE.InstancedMesh(
-      new THREE.BoxGeometry(0.2, 0.2, 0.2),
-      new THREE.MeshBasicMaterial({
-        transparent: true,
-      }),
-      this.maxSouls
-    );
-
-    // Dewa souls - larger spheres (slightly reduced poly count)
-    const dewaMesh = new THREE.InstancedMesh(
-      new THREE.SphereGeometry(0.333, 12, 12),
-      new THREE.MeshBasicMaterial({
-        transparent: true,
-      }),
-      this.maxSouls
-    );
-
-    this.instancedMeshes = {
-      human: humanMesh,
-      gpt: gptMesh,
-      dewa: dewaMesh,
+    this.meshesByLevel = {
+      HIGH: this.createInstancedMeshes(this.levelDetail.HIGH),
+      MEDIUM: this.createInstancedMeshes(this.levelDetail.MEDIUM),
+      LOW: this.createInstancedMeshes(this.levelDetail.LOW),
     };
+    this.instancedMeshes = this.meshesByLevel.HIGH;
+  }
+
+  /**
+   * Create one instanced mesh per species, with sphere segments scaled by the LOD geometry detail
+   */
+  private createInstancedMeshes(detail: number): InstancedMeshes {
+    const segments = (base: number): number =>
+      Math.max(MIN_SPHERE_SEGMENTS, Math.round(base * detail));
+
+    const meshes: InstancedMeshes = SPECIES.map(({ geometry }) => {
+      const size = geometry.size;
+      return new THREE.InstancedMesh(
+        geometry.shape === 'sphere'
+          ? new THREE.SphereGeometry(
+              size,
+              segments(geometry.instancedSegments),
+              segments(geometry.instancedSegments)
+            )
+          : new THREE.BoxGeometry(size, size, size),
+        new THREE.MeshBasicMaterial({
+          transparent: true,
+          // Note: vertexColors should NOT be used with instanceColor
+        }),
+        this.maxSouls
+      );
+    });
 
     // Add all instanced meshes to scene and start with no visible instances
-    Object.values(this.instancedMeshes).forEach(mesh => {
+    meshes.forEach(mesh => {
       mesh.count = 0;
+      mesh.frustumCulled = this.frustumCulling;
+      this.instanceSoulIds.set(mesh, new Uint32Array(this.maxSouls));
       // Initialize instanceColor attribute for each mesh
       mesh.instanceColor = new THREE.InstancedBufferAttribute(
         new Float32Array(this.maxSouls * 3),
@@ -94,27 +101,82 @@ export class InstancedSoulRenderer {
       );
       this.scene.add(mesh);
     });
+
+    return meshes;
+  }
+
+  /**
+   * Store the latest LOD levels (used by updateFromFrame) and rebuild reduced-detail
+   * meshes when the LOD manager's geometry detail changed
+   */
+  public setLODData(lodData: CompactLODData): void {
+    this.lodLevelsById.clear();
+    for (let i = 0; i < lodData.ids.length; i++) {
+      this.lodLevelsById.set(lodData.ids[i], lodData.levels[i]);
+    }
+
+    DETAIL_LEVELS.forEach(level => {
+      const detail = lodData.levelSettings[LOD_LEVELS.indexOf(level)]?.geometryDetail;
+      if (detail !== undefined && detail > 0 && detail !== this.levelDetail[level]) {
+        this.levelDetail[level] = detail;
+        this.disposeMeshes(this.meshesByLevel[level]);
+        this.meshesByLevel[level] = this.createInstancedMeshes(detail);
+      }
+    });
+    this.instancedMeshes = this.meshesByLevel.HIGH;
+  }
+
+  /**
+   * Start the grow-in of a soul that just switched vessel (it moves meshes by its type)
+   */
+  public markConverted(soulId: number): void {
+    this.conversionTimesById.set(soulId, performance.now());
+  }
+
+  /**
+   * Current scale of a soul: below 1 while it grows into a new vessel
+   */
+  private getConversionScale(soulId: number, now: number): number {
+    const conversionTime = this.conversionTimesById.get(soulId);
+    if (conversionTime === undefined) {
+      return 1;
+    }
+    const scale = conversionMorphScale(now - conversionTime);
+    if (scale >= 1) {
+      this.conversionTimesById.delete(soulId);
+    }
+    return scale;
   }
 
   public updateInstances(souls: THREE.Object3D[]): void {
     const startTime = performance.now();
 
-    // Group souls by type for efficient processing
-    const soulsByType: Record<keyof SoulCounts, THREE.Object3D[]> = {
-      human: [],
-      gpt: [],
-      dewa: [],
-    };
+    // Group souls by LOD level and species for efficient processing
+    const soulsByLevel = {} as Record<DetailLevel, THREE.Object3D[][]>;
+    DETAIL_LEVELS.forEach(level => {
+      soulsByLevel[level] = SPECIES.map(() => []);
+    });
 
     souls.forEach(soul => {
-      const type = this.getSoulType(soul);
-      soulsByType[type].push(soul);
+      const level = this.enableLOD ? (soul.lod ?? 'HIGH') : 'HIGH';
+      // Souls without an id could not be picked or matched to the worker, so they are not drawn
+      if (level === 'CULLED' || soul.userData?.id === undefined) {
+        return;
+      }
+      soulsByLevel[level][this.getSoulType(soul)].push(soul);
     });
 
-    // Update each soul type's instanced mesh
-    Object.entries(soulsByType).forEach(([type, typeSouls]) => {
-      this.updateInstancedMesh(type as keyof SoulCounts, typeSouls);
+    // Update each level's instanced mesh per species
+    const counts = SPECIES.map(() => 0);
+    DETAIL_LEVELS.forEach(level => {
+      counts.forEach((_, type) => {
+        counts[type] += this.updateInstancedMesh(
+          this.meshesByLevel[level][type],
+          soulsByLevel[level][type]
+        );
+      });
     });
+    this.soulCounts = this.countsBySpecies(counts);
 
     // Update performance metrics
     const updateTime = performance.now() - startTime;
@@ -127,23 +189,105 @@ export class InstancedSoulRenderer {
     this.lastUpdateTime = performance.now();
   }
 
-  private updateInstancedMesh(type: keyof SoulCounts, souls: THREE.Object3D[]): void {
-    const instancedMesh = this.instancedMeshes[type];
+  /**
+   * Update all instances straight from a packed binary frame (see workerProtocol),
+   * writing translations and colors into the instance buffers without touching meshes
+   */
+  public updateFromFrame(frame: SoulFrame): void {
+    const startTime = performance.now();
+    const { ids, positions, colors, types } = frame;
+    const morphing = this.conversionTimesById.size > 0;
+    const levelCounts = {} as Record<DetailLevel, number[]>;
+    DETAIL_LEVELS.forEach(level => {
+      levelCounts[level] = SPECIES.map(() => 0);
+    });
+
+    for (let i = 0; i < frame.count; i++) {
+      const levelIndex = this.enableLOD ? (this.lodLevelsById.get(ids[i]) ?? 0) : 0;
+      if (levelIndex === CULLED_LEVEL) {
+        continue;
+      }
+
+      const level = LOD_LEVELS[levelIndex] as DetailLevel;
+      const counts = levelCounts[level];
+      const type = types[i] < SPECIES.length ? types[i] : 0;
+      const index = counts[type];
+      if (index >= this.maxSouls) {
+        continue; // Safety check: prevent buffer overflow
+      }
+
+      const instancedMesh = this.meshesByLevel[level][type];
+      this.instanceSoulIds.get(instancedMesh)![index] = ids[i];
+
+      // Instance matrices start as identity, only the translation column and (while converted
+      // souls grow in) the uniform scale change
+      const matrices = instancedMesh.instanceMatrix.array as Float32Array;
+      if (morphing || matrices[index * 16] !== 1) {
+        const scale = this.getConversionScale(ids[i], startTime);
+        matrices[index * 16] = scale;
+        matrices[index * 16 + 5] = scale;
+        matrices[index * 16 + 10] = scale;
+      }
+      matrices[index * 16 + 12] = positions[i * 3];
+      matrices[index * 16 + 13] = positions[i * 3 + 1];
+      matrices[index * 16 + 14] = positions[i * 3 + 2];
+
+      if (instancedMesh.instanceColor) {
+        const instanceColors = instancedMesh.instanceColor.array as Float32Array;
+        instanceColors[index * 3] = colors[i * 4] / 255;
+        instanceColors[index * 3 + 1] = colors[i * 4 + 1] / 255;
+        instanceColors[index * 3 + 2] = colors[i * 4 + 2] / 255;
+      }
+
+      counts[type] = index + 1;
+    }
+
+    const totals = SPECIES.map(() => 0);
+    DETAIL_LEVELS.forEach(level => {
+      totals.forEach((_, type) => {
+        const instancedMesh = this.meshesByLevel[level][type];
+        instancedMesh.count = levelCounts[level][type];
+        instancedMesh.instanceMatrix.needsUpdate = true;
+        if (instancedMesh.instanceColor) {
+          instancedMesh.instanceColor.needsUpdate = true;
+        }
+        totals[type] += instancedMesh.count;
+      });
+    });
+    this.soulCounts = this.countsBySpecies(totals);
+
+    // Update performance metrics
+    const updateTime = performance.now() - startTime;
+    this.renderingMetrics = {
+      ...this.renderingMetrics,
+      instancedUpdateTime: updateTime,
+      soulsUpdated: frame.count,
+      renderingMode: 'instanced',
+    };
+    this.lastUpdateTime = performance.now();
+  }
+
+  private updateInstancedMesh(instancedMesh: THREE.InstancedMesh, souls: THREE.Object3D[]): number {
     const matrix = this.tempMatrix;
     const color = this.tempColor;
+    const now = performance.now();
 
     if (souls.length === 0) {
       instancedMesh.count = 0;
-      return;
+      return 0;
     }
 
     // Safety check: prevent buffer overflow
     const soulCount = Math.min(souls.length, this.maxSouls);
+    const soulIds = this.instanceSoulIds.get(instancedMesh)!;
 
     souls.slice(0, soulCount).forEach((soul, index) => {
-      // Set transformation matrix (position only for now)
+      // Set transformation matrix (position, plus scale while a converted soul grows in)
+      const scale = this.getConversionScale(soul.userData.id, now);
+      matrix.makeScale(scale, scale, scale);
       matrix.setPosition(soul.position.x, soul.position.y, soul.position.z);
       instancedMesh.setMatrixAt(index, matrix);
+      soulIds[index] = soul.userData.id;
 
       // Set per-instance color with better fallbacks
       if (soul.userData && soul.userData.finalRGB) {
@@ -170,26 +314,45 @@ export class InstancedSoulRenderer {
       instancedMesh.instanceColor.needsUpdate = true;
     }
 
-    // Update soul count for this type
-    this.soulCounts[type] = soulCount;
+    return soulCount;
   }
 
-  private getSoulType(soul: THREE.Object3D): keyof SoulCounts {
-    if (soul.userData?.isDewa) {
-      return 'dewa';
-    }
-    if (soul.userData?.isHuman) {
-      return 'human';
-    }
-    return 'gpt';
+  /**
+   * Registry index of a soul mesh's species
+   */
+  private getSoulType(soul: THREE.Object3D): number {
+    return speciesIndex(soul.userData?.species ?? SPECIES[0].id);
+  }
+
+  private countsBySpecies(counts: number[]): SoulCounts {
+    return Object.fromEntries(SPECIES.map((species, type) => [species.id, counts[type]]));
   }
 
   public getSoulCounts(): Readonly<SoulCounts> {
     return { ...this.soulCounts };
   }
 
-  public getInstancedMesh(type: keyof SoulCounts): THREE.InstancedMesh {
-    return this.instancedMeshes[type];
+  public getInstancedMesh(species: SpeciesId): THREE.InstancedMesh {
+    return this.instancedMeshes[speciesIndex(species)];
+  }
+
+  /**
+   * Id of the nearest drawn soul the ray hits, or null when it misses every instance
+   */
+  public pickSoul(raycaster: THREE.Raycaster): number | null {
+    const meshes = DETAIL_LEVELS.flatMap(level => this.meshesByLevel[level]).filter(
+      mesh => mesh.count > 0
+    );
+    // Bounds follow the instances, which move every frame
+    meshes.forEach(mesh => mesh.computeBoundingSphere());
+
+    const hit = raycaster
+      .intersectObjects(meshes, false)
+      .find(intersection => intersection.instanceId !== undefined);
+    if (!hit || hit.instanceId === undefined) {
+      return null;
+    }
+    return this.instanceSoulIds.get(hit.object as THREE.InstancedMesh)?.[hit.instanceId] ?? null;
   }
 
   public getPerformanceMetrics(): Readonly<Partial<PerformanceMetrics>> {
@@ -207,14 +370,21 @@ export class InstancedSoulRenderer {
 
   public setFrustumCulling(enabled: boolean): void {
     this.frustumCulling = enabled;
-    Object.values(this.instancedMeshes).forEach(mesh => {
-      mesh.frustumCulled = enabled;
+    DETAIL_LEVELS.forEach(level => {
+      this.meshesByLevel[level].forEach(mesh => {
+        mesh.frustumCulled = enabled;
+      });
     });
   }
 
   public dispose(): void {
-    Object.values(this.instancedMeshes).forEach(mesh => {
+    DETAIL_LEVELS.forEach(level => this.disposeMeshes(this.meshesByLevel[level]));
+  }
+
+  private disposeMeshes(meshes: InstancedMeshes): void {
+    meshes.forEach(mesh => {
       this.scene.remove(mesh);
+      this.instanceSoulIds.delete(mesh);
       mesh.geometry.dispose();
       if (Array.isArray(mesh.material)) {
         mesh.material.forEach((material: THREE.Material) => material.dispose());
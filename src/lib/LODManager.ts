@@ -4,12 +4,12 @@
 import * as THREE from 'three';
 import type {
   LODConfiguration,
-  LODData,
   LODDebugInfo,
   LODStatistics,
   LODStatisticsExtended,
   LODUpdateConfiguration,
 } from '../types/simulation';
+import { LOD_LEVELS, type CompactLODData } from './workerProtocol';
 
 // Forward declaration for AdaptivePerformanceManager to avoid circular import
 export type AdaptivePerformanceManager = unknown;
@@ -165,9 +165,9 @@ export class LODManager {
   /**
    * Update LOD levels for all souls
    * @param souls - Array of soul objects
-   * @returns LOD data for worker communication
+   * @returns Compact LOD data for worker communication (one level index per soul)
    */
-  public updateSoulLOD(souls: THREE.Object3D[]): Record<number, LODData> {
+  public updateSoulLOD(souls: THREE.Object3D[]): CompactLODData {
     this.frameCount++;
     const startTime = performance.now();
 
@@ -184,7 +184,9 @@ export class LODManager {
     };
 
     // LOD data for worker communication
-    const lodData: Record<number, LODData> = {};
+    const ids = new Uint32Array(souls.length);
+    const levels = new Uint8Array(souls.length);
+    let count = 0;
 
     // Process each soul
     souls.forEach(soul => {
@@ -202,15 +204,11 @@ export class LODManager {
       // Determine if physics should update this frame
       soul.updatePhysics = this.shouldUpdatePhysics(lodConfig.physicsUpdateRate);
 
-      // Store LOD data for worker
-      const soulId = soul.userData.id;
-      if (soulId !== undefined) {
-        lodData[soulId] = {
-          lod: lodLevel,
-          physicsUpdateRate: lodConfig.physicsUpdateRate,
-          updatePhysics: soul.updatePhysics,
-          connectionMultiplier: lodConfig.connectionMultiplier,
-        };
+      // Store LOD data for worker; a soul without an id has no worker counterpart to match
+      if (soul.userData.id !== undefined) {
+        ids[count] = soul.userData.id;
+        levels[count] = LOD_LEVELS.indexOf(lodLevel);
+        count++;
       }
 
       // Update statistics
@@ -224,7 +222,15 @@ export class LODManager {
     const endTime = performance.now();
     this.lodStats.lodCalculationTime = endTime - startTime;
 
-    return lodData;
+    return {
+      ids: count === souls.length ? ids : ids.slice(0, count),
+      levels: count === souls.length ? levels : levels.slice(0, count),
+      levelSettings: LOD_LEVELS.map(level => ({
+        physicsUpdateRate: this.lodLevels[level].physicsUpdateRate,
+        connectionMultiplier: this.lodLevels[level].connectionMultiplier,
+        geometryDetail: this.lodLevels[level].geometryDetail,
+      })),
+    };
   }
 
   /**
@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+import { POINTER_GIZMO_SETTINGS } from './constants/rendering';
+import type { PointerMode } from './engine/pointer';
+
+/**
+ * 3D cursor: a camera-facing ring at the pointer position, sized to the pointer
+ * interaction radius and colored by the interaction mode
+ */
+export class PointerGizmo {
+  private scene: THREE.Scene;
+  private group: THREE.Group;
+  private ring: THREE.Mesh;
+  private center: THREE.Mesh;
+  private ringMaterial: THREE.MeshBasicMaterial;
+  private centerMaterial: THREE.MeshBasicMaterial;
+
+  constructor(scene: THREE.Scene) {
+    this.scene = scene;
+    const settings = POINTER_GIZMO_SETTINGS;
+
+    // Unit ring, scaled to the pointer radius
+    this.ringMaterial = new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity: settings.OPACITY,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this.ring = new THREE.Mesh(
+      new THREE.RingGeometry(1 - settings.RING_WIDTH, 1, settings.RING_SEGMENTS),
+      this.ringMaterial
+    );
+
+    this.centerMaterial = new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity: settings.OPACITY * 2,
+      depthWrite: false,
+    });
+    this.center = new THREE.Mesh(
+      new THREE.SphereGeometry(settings.CENTER_RADIUS, 8, 8),
+      this.centerMaterial
+    );
+
+    this.group = new THREE.Group();
+    this.group.add(this.ring, this.center);
+    this.group.visible = false;
+    this.scene.add(this.group);
+  }
+
+  /**
+   * Move the gizmo to the cursor, or hide it when there is no cursor position
+   */
+  update(
+    position: THREE.Vector3 | null,
+    mode: PointerMode,
+    radius: number,
+    camera: THREE.Camera
+  ): void {
+    const color = POINTER_GIZMO_SETTINGS.COLORS[mode];
+    if (!position || color === undefined) {
+      this.group.visible = false;
+      return;
+    }
+
+    this.group.visible = true;
+    this.group.position.copy(position);
+    this.group.quaternion.copy(camera.quaternion);
+    this.ring.scale.setScalar(radius);
+    this.ringMaterial.color.setHex(color);
+    this.centerMaterial.color.setHex(color);
+  }
+
+  dispose(): void {
+    this.scene.remove(this.group);
+    this.ring.geometry.dispose();
+    this.center.geometry.dispose();
+    this.ringMaterial.dispose();
+    this.centerMaterial.dispose();
+  }
+}
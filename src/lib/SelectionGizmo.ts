@@ -0,0 +1,54 @@
+import * as THREE from 'three';
+import { SELECTION_GIZMO_SETTINGS } from './constants/rendering';
+
+/**
+ * Camera-facing ring around the soul selected in the inspector panel
+ */
+export class SelectionGizmo {
+  private scene: THREE.Scene;
+  private ring: THREE.Mesh;
+  private material: THREE.MeshBasicMaterial;
+
+  constructor(scene: THREE.Scene) {
+    this.scene = scene;
+    const settings = SELECTION_GIZMO_SETTINGS;
+
+    this.material = new THREE.MeshBasicMaterial({
+      color: settings.COLOR,
+      transparent: true,
+      opacity: settings.OPACITY,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this.ring = new THREE.Mesh(
+      new THREE.RingGeometry(
+        settings.RADIUS * (1 - settings.RING_WIDTH),
+        settings.RADIUS,
+        settings.RING_SEGMENTS
+      ),
+      this.material
+    );
+    this.ring.visible = false;
+    this.scene.add(this.ring);
+  }
+
+  /**
+   * Move the ring to the selected soul, or hide it when no living soul is selected
+   */
+  update(position: THREE.Vector3 | null, camera: THREE.Camera): void {
+    if (!position) {
+      this.ring.visible = false;
+      return;
+    }
+
+    this.ring.visible = true;
+    this.ring.position.copy(position);
+    this.ring.quaternion.copy(camera.quaternion);
+  }
+
+  dispose(): void {
+    this.scene.remove(this.ring);
+    this.ring.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -9,9 +9,9 @@ export interface FeatureFlags {
 }
 
 export interface DefaultParameters {
-  SPAWN_RATE: number;
-  MIN_LIFESPAN: number;
-  MAX_LIFESPAN: number;
+  SPAWN_RATE: number; // Souls per second
+  MIN_LIFESPAN: number; // Seconds
+  MAX_LIFESPAN: number; // Seconds
 }
 
 // Feature flags with type safety
@@ -24,6 +24,13 @@ export const FEATURE_FLAGS: FeatureFlags = {
 // Default values
 export const DEFAULT_SOUL_COUNT: number = 999; // Fallback value when adaptive performance manager is not available
 
+// Simulation clock - physics, aging and spawning advance in fixed ticks, independent of rendering
+export const SIMULATION_TICK_RATE: number = 60; // Ticks per simulated second
+export const MAX_TICKS_PER_FRAME: number = 5; // Catch-up limit; beyond it the simulation slows down
+
+// LOD refresh - per-soul camera distances are recomputed and sent to the worker at this interval
+export const LOD_UPDATE_INTERVAL_MS: number = 100;
+
 // Material pool settings
 export const MATERIAL_POOL_SIZE: number = 20;
 
@@ -33,18 +40,18 @@ export const DEWA_BASE_SPEED: number = 0.02; // Slower, consistent speed for dew
 
 // Default parameter values for reset function
 export const DEFAULT_PARAMETERS: DefaultParameters = {
-  SPAWN_RATE: 0.7,
-  MIN_LIFESPAN: 300,
-  MAX_LIFESPAN: 900,
+  SPAWN_RATE: 42,
+  MIN_LIFESPAN: 5,
+  MAX_LIFESPAN: 15,
 };
 
 // Type guards for runtime validation
 export function isValidSpawnRate(value: number): boolean {
-  return value >= 0.1 && value <= 3.0;
+  return value >= 5 && value <= 180;
 }
 
 export function isValidLifespan(value: number): boolean {
-  return value >= 100 && value <= 1500;
+  return value >= 1.5 && value <= 25;
 }
 
 // Configuration validation
@@ -89,6 +89,34 @@ export const PHYSICS_CONSTANTS: PhysicsConstants = {
   ENHANCEMENT_LIGHTNESS_BOOST,
 };
 
+// Range, step and label of each constant in the physics tuning panel (bounds match the validator)
+export interface PhysicsControlRange {
+  label: string;
+  min: number;
+  max: number;
+  step: number;
+}
+
+export const PHYSICS_CONTROL_RANGES: Record<keyof PhysicsConstants, PhysicsControlRange> = {
+  INTERACTION_DISTANCE: { label: 'Connection Distance', min: 1, max: 20, step: 0.5 },
+  POINTER_INTERACTION_RADIUS: { label: 'Pointer Radius', min: 1, max: 50, step: 1 },
+  POINTER_INFLUENCE_STRENGTH: { label: 'Pointer Strength', min: 0, max: 1, step: 0.01 },
+  NEIGHBOR_SPEED_INFLUENCE_RADIUS: { label: 'Neighbor Speed Radius', min: 1, max: 20, step: 0.5 },
+  NEIGHBOR_SPEED_INFLUENCE_STRENGTH: {
+    label: 'Neighbor Speed Strength',
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  SEPARATION_DISTANCE: { label: 'Separation Distance', min: 0.1, max: 10, step: 0.1 },
+  SEPARATION_STRENGTH: { label: 'Separation Strength', min: 0, max: 1, step: 0.01 },
+  DEWA_ATTRACTION_RADIUS: { label: 'Dewa Attraction Radius', min: 1, max: 50, step: 1 },
+  DEWA_ATTRACTION_STRENGTH: { label: 'Dewa Attraction Strength', min: 0, max: 1, step: 0.001 },
+  DEWA_ENHANCEMENT_RADIUS: { label: 'Dewa Enhancement Radius', min: 1, max: 30, step: 0.5 },
+  ENHANCEMENT_SATURATION_BOOST: { label: 'Saturation Boost', min: 0, max: 1, step: 0.01 },
+  ENHANCEMENT_LIGHTNESS_BOOST: { label: 'Lightness Boost', min: 0, max: 1, step: 0.01 },
+};
+
 // Validation functions for physics parameters
 export function isValidRadius(radius: number): boolean {
   return radius > 0 && radius <= 100;
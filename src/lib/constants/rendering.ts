@@ -50,9 +50,38 @@ export interface GeometrySettings {
 export interface LineSettings {
   OPACITY: number;
   VERTEX_COORDS: number;
+  COLOR_COMPONENTS: number;
   VERTICES_PER_LINE: number;
 }
 
+export interface BoundarySettings {
+  COLOR: number;
+  OPACITY: number;
+  SOFT_OPACITY: number; // Soft boundary is only a comfort radius, drawn fainter
+  SPHERE_SEGMENTS: SegmentSettings;
+}
+
+export interface PointerGizmoSettings {
+  COLORS: Record<string, number>; // Per pointer mode
+  OPACITY: number;
+  RING_WIDTH: number; // Fraction of the pointer radius
+  RING_SEGMENTS: number;
+  CENTER_RADIUS: number;
+}
+
+export interface SelectionGizmoSettings {
+  COLOR: number;
+  OPACITY: number;
+  RADIUS: number; // World units around the selected soul
+  RING_WIDTH: number; // Fraction of the radius
+  RING_SEGMENTS: number;
+}
+
+export interface ConversionMorphSettings {
+  DURATION_MS: number; // Time a converted soul takes to grow into its new vessel
+  START_SCALE: number; // Scale of the new vessel right after the conversion
+}
+
 export interface ControlsSettings {
   DAMPING_FACTOR: number;
   W_MAX: number;
@@ -90,9 +119,41 @@ export const LIGHTING_SETTINGS: LightingSettings = {
 export const LINE_SETTINGS: LineSettings = {
   OPACITY: 0.42,
   VERTEX_COORDS: 3,
+  COLOR_COMPONENTS: 4, // RGBA, alpha carries the per-line opacity
   VERTICES_PER_LINE: 2,
 };
 
+// World boundary outline settings
+export const BOUNDARY_SETTINGS: BoundarySettings = {
+  COLOR: 0x4a90e2,
+  OPACITY: 0.18,
+  SOFT_OPACITY: 0.08,
+  SPHERE_SEGMENTS: { width: 32, height: 16 },
+};
+
+// 3D cursor gizmo: a camera-facing ring showing the pointer radius
+export const POINTER_GIZMO_SETTINGS: PointerGizmoSettings = {
+  COLORS: {
+    attract: 0x00ff88,
+    repel: 0xff5555,
+    vortex: 0x4a90e2,
+    spawn: 0xffd700,
+  },
+  OPACITY: 0.35,
+  RING_WIDTH: 0.03,
+  RING_SEGMENTS: 64,
+  CENTER_RADIUS: 0.12,
+};
+
+// Marker around the soul shown in the inspector panel
+export const SELECTION_GIZMO_SETTINGS: SelectionGizmoSettings = {
+  COLOR: 0xffffff,
+  OPACITY: 0.8,
+  RADIUS: 0.6,
+  RING_WIDTH: 0.15,
+  RING_SEGMENTS: 32,
+};
+
 // Geometry settings - consolidated magic numbers
 export const GEOMETRY_SETTINGS: GeometrySettings = {
   HUMAN_RADIUS: 0.15,
@@ -106,6 +167,20 @@ export const GEOMETRY_SETTINGS: GeometrySettings = {
   },
 };
 
+// Vessel conversion: the new shape grows in instead of popping
+export const CONVERSION_MORPH_SETTINGS: ConversionMorphSettings = {
+  DURATION_MS: 800,
+  START_SCALE: 0.3,
+};
+
+/**
+ * Scale of a converted soul elapsedMs after its conversion (1 once the morph is over)
+ */
+export function conversionMorphScale(elapsedMs: number): number {
+  const t = Math.max(0, Math.min(1, elapsedMs / CONVERSION_MORPH_SETTINGS.DURATION_MS));
+  return CONVERSION_MORPH_SETTINGS.START_SCALE + (1 - CONVERSION_MORPH_SETTINGS.START_SCALE) * t;
+}
+
 // ArcballControls settings
 export const CONTROLS_SETTINGS: ControlsSettings = {
   DAMPING_FACTOR: 0.333, // Much lower for smoother, more responsive feel
@@ -0,0 +1,29 @@
+// src/lib/constants/species.ts
+// Soul species added to the built-in human, GPT and dewa (see engine/species.ts for the fields).
+// Every entry is registered in the main thread, the simulation worker and the headless runner.
+// Example - a rare, slow and long-lived species that draws humans and GPTs like a dewa:
+//
+//   {
+//     id: 'elder',
+//     label: 'Elder',
+//     category: 'dewa',
+//     geometry: { shape: 'box', size: 0.4, segments: 0, instancedSegments: 0 },
+//     opacity: 1,
+//     hue: { kind: 'palette', offset: 0.25, spread: 0.05 },
+//     saturation: 0.6,
+//     lightness: 0.7,
+//     pulses: false,
+//     spawn: { chance: 0.01 },
+//     speed: { min: 0.01, spread: 0.01 },
+//     lifespanMultiplier: 3,
+//     perturbation: 0.01,
+//     feels: ['separation'],
+//     exerts: ['separation', 'attraction'],
+//   },
+//
+// A species with a spawn chance adds a random draw to every birth, so runs with the same seed
+// differ from runs without it.
+
+import type { SpeciesDefinition } from '../engine/species';
+
+export const CUSTOM_SPECIES: SpeciesDefinition[] = [];
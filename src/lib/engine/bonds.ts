@@ -0,0 +1,277 @@
+// src/lib/engine/bonds.ts
+// Bond subsystem: persistent relationships between souls instead of per-frame proximity lines.
+// A pair that stays within the interaction distance forms a bond that strengthens over time;
+// apart, it decays and disappears at zero strength. Stretched past the break distance, or when
+// either soul dies, it breaks at once. Bonds replace the connection lines while enabled and can
+// add a weak spring force that keeps bonded souls together.
+
+import { SIMULATION_TICK_RATE } from '../constants/config';
+import { secondsToTicks } from '../utils/simulationClock';
+import type { Boundary } from './boundaries';
+import type { EngineSoul } from './engineTypes';
+import type { SpatialGrid } from './spatialGrid';
+import { vec } from './vectorMath';
+
+// User-facing settings, times in seconds
+export interface BondSettings {
+  enabled: boolean;
+  formationTime: number; // Seconds together for a new bond to reach full strength
+  decayTime: number; // Seconds apart for a full-strength bond to fade out
+  breakDistance: number; // Multiple of the interaction distance past which a bond breaks
+  springStrength: number; // Pull between bonded souls, scaled by bond strength (0 = off)
+}
+
+// Engine config, times in ticks
+export interface BondConfig {
+  enabled: boolean;
+  formationTime: number; // Ticks
+  decayTime: number; // Ticks
+  breakDistance: number;
+  springStrength: number;
+}
+
+export interface Bond {
+  a: number; // Lower soul id
+  b: number; // Higher soul id
+  strength: number; // 0-1
+  age: number; // Ticks since the bond formed
+}
+
+export interface BondStats {
+  count: number;
+  meanStrength: number;
+  oldestAge: number; // Ticks
+}
+
+export const DEFAULT_BONDS: BondSettings = {
+  enabled: false,
+  formationTime: 2,
+  decayTime: 3,
+  breakDistance: 2,
+  springStrength: 0,
+};
+
+export const BOND_LIMITS = {
+  MIN_TIME: 0.1, // Seconds, formation and decay
+  MAX_TIME: 20, // Seconds, formation and decay
+  MIN_BREAK_DISTANCE: 1,
+  MAX_BREAK_DISTANCE: 5,
+  MAX_SPRING_STRENGTH: 0.02,
+};
+
+// Line opacity of the weakest bond; WebGL lines are always 1px wide, so strength drives opacity
+export const MIN_BOND_LINE_OPACITY = 0.15;
+
+/**
+ * Clamp partial settings into valid ones
+ */
+export function validateBondSettings(settings: Partial<BondSettings>): BondSettings {
+  const clamp = (value: number | undefined, fallback: number, min: number, max: number): number =>
+    Math.max(min, Math.min(max, value ?? fallback));
+
+  return {
+    enabled: settings.enabled ?? DEFAULT_BONDS.enabled,
+    formationTime: clamp(
+      settings.formationTime,
+      DEFAULT_BONDS.formationTime,
+      BOND_LIMITS.MIN_TIME,
+      BOND_LIMITS.MAX_TIME
+    ),
+    decayTime: clamp(
+      settings.decayTime,
+      DEFAULT_BONDS.decayTime,
+      BOND_LIMITS.MIN_TIME,
+      BOND_LIMITS.MAX_TIME
+    ),
+    breakDistance: clamp(
+      settings.breakDistance,
+      DEFAULT_BONDS.breakDistance,
+      BOND_LIMITS.MIN_BREAK_DISTANCE,
+      BOND_LIMITS.MAX_BREAK_DISTANCE
+    ),
+    springStrength: clamp(
+      settings.springStrength,
+      DEFAULT_BONDS.springStrength,
+      0,
+      BOND_LIMITS.MAX_SPRING_STRENGTH
+    ),
+  };
+}
+
+/**
+ * Convert user-facing settings (seconds) to the engine config (ticks)
+ */
+export function toTickBonds(
+  settings: BondSettings,
+  tickRate: number = SIMULATION_TICK_RATE
+): BondConfig {
+  return {
+    ...settings,
+    formationTime: Math.max(1, secondsToTicks(settings.formationTime, tickRate)),
+    decayTime: Math.max(1, secondsToTicks(settings.decayTime, tickRate)),
+  };
+}
+
+/**
+ * Line opacity for a bond of the given strength
+ */
+export function bondLineOpacity(strength: number): number {
+  return MIN_BOND_LINE_OPACITY + (1 - MIN_BOND_LINE_OPACITY) * Math.max(0, Math.min(1, strength));
+}
+
+function pairKey(a: number, b: number): string {
+  return `${a}:${b}`;
+}
+
+/**
+ * All living bonds, indexed by pair and by soul
+ */
+export class BondRegistry {
+  private bonds: Map<string, Bond> = new Map();
+  private bySoul: Map<number, Bond[]> = new Map();
+  private lastUpdateTick: number | null = null;
+
+  /**
+   * Strengthen bonds of pairs within the interaction distance (forming new ones), decay or
+   * break the rest. Ticks elapsed since the previous update are taken into account, so it
+   * can run only on ticks that compute connections
+   */
+  update(
+    souls: EngineSoul[],
+    spatialGrid: SpatialGrid,
+    boundary: Boundary,
+    interactionDistance: number,
+    config: BondConfig,
+    tick: number
+  ): void {
+    const elapsed = this.lastUpdateTick === null ? 1 : Math.max(1, tick - this.lastUpdateTick);
+    this.lastUpdateTick = tick;
+
+    const soulsById = new Map(souls.map(soul => [soul.id, soul]));
+    const maxDistSq = interactionDistance * interactionDistance;
+    const together = new Set<string>();
+
+    for (const soul of souls) {
+      for (const other of spatialGrid.getNearby(soul.position, interactionDistance)) {
+        // The grid is built at the start of the tick, skip souls that died since
+        if (soul.id >= other.id || !soulsById.has(other.id)) {
+          continue;
+        }
+        if (vec.lengthSq(boundary.delta(other.position, soul.position)) >= maxDistSq) {
+          continue;
+        }
+
+        const key = pairKey(soul.id, other.id);
+        together.add(key);
+        let bond = this.bonds.get(key);
+        if (!bond) {
+          bond = { a: soul.id, b: other.id, strength: 0, age: 0 };
+          this.bonds.set(key, bond);
+        }
+        bond.strength = Math.min(1, bond.strength + elapsed / config.formationTime);
+      }
+    }
+
+    const breakDistance = interactionDistance * config.breakDistance;
+    const breakDistSq = breakDistance * breakDistance;
+    this.bonds.forEach((bond, key) => {
+      bond.age += elapsed;
+      if (together.has(key)) {
+        return;
+      }
+
+      const a = soulsById.get(bond.a);
+      const b = soulsById.get(bond.b);
+      if (!a || !b || vec.lengthSq(boundary.delta(b.position, a.position)) > breakDistSq) {
+        this.bonds.delete(key);
+        return;
+      }
+      bond.strength -= elapsed / config.decayTime;
+      if (bond.strength <= 0) {
+        this.bonds.delete(key);
+      }
+    });
+
+    this.rebuildIndex();
+  }
+
+  /**
+   * Break every bond of a soul (on death, so a reborn soul starts without history)
+   */
+  removeSoul(soulId: number): void {
+    const bonds = this.bySoul.get(soulId);
+    if (!bonds) {
+      return;
+    }
+    bonds.forEach(bond => {
+      this.bonds.delete(pairKey(bond.a, bond.b));
+      const partnerId = bond.a === soulId ? bond.b : bond.a;
+      const partnerBonds = this.bySoul.get(partnerId);
+      if (partnerBonds) {
+        this.bySoul.set(
+          partnerId,
+          partnerBonds.filter(other => other !== bond)
+        );
+      }
+    });
+    this.bySoul.delete(soulId);
+  }
+
+  getBonds(): Bond[] {
+    return Array.from(this.bonds.values());
+  }
+
+  getBondsOf(soulId: number): Bond[] {
+    return this.bySoul.get(soulId) ?? [];
+  }
+
+  get size(): number {
+    return this.bonds.size;
+  }
+
+  getStats(): BondStats {
+    let totalStrength = 0;
+    let oldestAge = 0;
+    this.bonds.forEach(bond => {
+      totalStrength += bond.strength;
+      oldestAge = Math.max(oldestAge, bond.age);
+    });
+    return {
+      count: this.bonds.size,
+      meanStrength: this.bonds.size > 0 ? totalStrength / this.bonds.size : 0,
+      oldestAge,
+    };
+  }
+
+  clear(): void {
+    this.bonds.clear();
+    this.bySoul.clear();
+    this.lastUpdateTick = null;
+  }
+
+  /**
+   * Replace every bond (snapshot restore); tick is the last tick the bonds were updated
+   */
+  load(bonds: Bond[], tick: number): void {
+    this.bonds.clear();
+    bonds.forEach(bond => {
+      this.bonds.set(pairKey(bond.a, bond.b), { ...bond });
+    });
+    this.lastUpdateTick = tick;
+    this.rebuildIndex();
+  }
+
+  private rebuildIndex(): void {
+    this.bySoul.clear();
+    this.bonds.forEach(bond => {
+      for (const id of [bond.a, bond.b]) {
+        const list = this.bySoul.get(id);
+        if (list) {
+          list.push(bond);
+        } else {
+          this.bySoul.set(id, [bond]);
+        }
+      }
+    });
+  }
+}
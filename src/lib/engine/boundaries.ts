@@ -0,0 +1,141 @@
+// src/lib/engine/boundaries.ts
+// World boundary subsystem: keeps souls in bounds and defines distances in the world.
+//   open     - no boundary (original behaviour, souls drift freely)
+//   soft     - centering force pulls souls back once they pass the radius
+//   sphere   - hard sphere of the given radius, souls reflect off the wall
+//   periodic - wraparound box with half-size radius; distances use the nearest image
+
+import type { EngineSoul } from './engineTypes';
+import { vec, type Vector3 } from './vectorMath';
+
+export type BoundaryMode = 'open' | 'soft' | 'sphere' | 'periodic';
+
+export const BOUNDARY_MODES: BoundaryMode[] = ['open', 'soft', 'sphere', 'periodic'];
+
+export interface BoundaryConfig {
+  mode: BoundaryMode;
+  radius: number; // Sphere radius, soft comfort radius or half the box size
+  strength: number; // Soft centering force per unit of distance beyond the radius
+}
+
+export const DEFAULT_BOUNDARY: BoundaryConfig = {
+  mode: 'open',
+  radius: 40,
+  strength: 0.01,
+};
+
+// Limits for user-provided boundary settings
+export const BOUNDARY_LIMITS = {
+  MIN_RADIUS: 20, // Souls are born up to 20 units from the center
+  MAX_RADIUS: 120,
+  MAX_STRENGTH: 0.1,
+};
+
+export function isBoundaryMode(value: unknown): value is BoundaryMode {
+  return typeof value === 'string' && (BOUNDARY_MODES as string[]).includes(value);
+}
+
+/**
+ * Clamp a partial boundary config into a valid one (unknown modes fall back to open)
+ */
+export function validateBoundaryConfig(config: Partial<BoundaryConfig>): BoundaryConfig {
+  return {
+    mode: isBoundaryMode(config.mode) ? config.mode : DEFAULT_BOUNDARY.mode,
+    radius: Math.max(
+      BOUNDARY_LIMITS.MIN_RADIUS,
+      Math.min(BOUNDARY_LIMITS.MAX_RADIUS, config.radius ?? DEFAULT_BOUNDARY.radius)
+    ),
+    strength: Math.max(
+      0,
+      Math.min(BOUNDARY_LIMITS.MAX_STRENGTH, config.strength ?? DEFAULT_BOUNDARY.strength)
+    ),
+  };
+}
+
+export class Boundary {
+  private config: BoundaryConfig;
+
+  constructor(config: Partial<BoundaryConfig> = {}) {
+    this.config = validateBoundaryConfig(config);
+  }
+
+  setConfig(config: Partial<BoundaryConfig>): void {
+    this.config = validateBoundaryConfig({ ...this.config, ...config });
+  }
+
+  getConfig(): BoundaryConfig {
+    return { ...this.config };
+  }
+
+  /**
+   * Half-size of the wraparound box, or null when the world does not wrap
+   */
+  getPeriodicHalfExtent(): number | null {
+    return this.config.mode === 'periodic' ? this.config.radius : null;
+  }
+
+  /**
+   * Vector from b to a (a - b); in a periodic world the shortest one across the seams
+   */
+  delta(a: Vector3, b: Vector3): Vector3 {
+    const d = vec.subVectors(a, b);
+    if (this.config.mode === 'periodic') {
+      const size = this.config.radius * 2;
+      d.x -= size * Math.round(d.x / size);
+      d.y -= size * Math.round(d.y / size);
+      d.z -= size * Math.round(d.z / size);
+    }
+    return d;
+  }
+
+  /**
+   * Boundary force, applied with the other steering forces before speed normalization
+   */
+  applyForce(soul: EngineSoul): void {
+    if (this.config.mode !== 'soft') {
+      return;
+    }
+
+    const distance = vec.length(soul.position);
+    const excess = distance - this.config.radius;
+    if (excess > 0) {
+      const inward = vec.multiplyScalar(soul.position, -1 / distance);
+      soul.velocity = vec.add(
+        soul.velocity,
+        vec.multiplyScalar(inward, this.config.strength * excess)
+      );
+    }
+  }
+
+  /**
+   * Hard constraints, applied after integration: reflect off the sphere or wrap around the box
+   */
+  constrain(soul: EngineSoul): void {
+    if (this.config.mode === 'sphere') {
+      const radius = this.config.radius;
+      const distance = vec.length(soul.position);
+      if (distance > radius) {
+        const normal = vec.multiplyScalar(soul.position, 1 / distance);
+
+        // Mirror the overshoot back inside and reflect the outward velocity component
+        soul.position = vec.multiplyScalar(normal, Math.max(0, 2 * radius - distance));
+        const outward =
+          soul.velocity.x * normal.x + soul.velocity.y * normal.y + soul.velocity.z * normal.z;
+        if (outward > 0) {
+          soul.velocity = vec.subVectors(soul.velocity, vec.multiplyScalar(normal, 2 * outward));
+        }
+      }
+    } else if (this.config.mode === 'periodic') {
+      const half = this.config.radius;
+      soul.position.x = wrap(soul.position.x, half);
+      soul.position.y = wrap(soul.position.y, half);
+      soul.position.z = wrap(soul.position.z, half);
+    }
+  }
+}
+
+// Wrap a coordinate into [-half, half)
+function wrap(value: number, half: number): number {
+  const size = half * 2;
+  return ((((value + half) % size) + size) % size) - half;
+}
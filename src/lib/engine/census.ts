@@ -0,0 +1,73 @@
+// src/lib/engine/census.ts
+// Structure of the living population, computed in the worker from the engine souls so the main
+// thread never tracks ages: an age pyramid split by vessel (age = initial life − remaining
+// life, the ticks lived in the current incarnation), the dewa count, the speed distribution
+// and how many souls are currently drawn to a dewa.
+
+import type { EngineSoul } from './engineTypes';
+
+export interface PopulationStructure {
+  total: number;
+  human: number;
+  gpt: number;
+  dewa: number;
+  attachedToDewa: number; // Human/GPT souls following a dewa (chosenDewaId set)
+  agePyramid: {
+    human: number[]; // Souls per age bucket; the last bucket holds older souls
+    gpt: number[];
+  };
+  speedHistogram: number[]; // Human/GPT souls per speed bucket; the last holds faster souls
+  meanSpeed: number; // Nominal speed of the human/GPT souls
+}
+
+// Age pyramid rows: 0 to CENSUS_AGE_BUCKETS × CENSUS_AGE_BUCKET_SECONDS seconds
+export const CENSUS_AGE_BUCKETS = 15;
+export const CENSUS_AGE_BUCKET_SECONDS = 2;
+
+// Newborns start at 0.05-0.08 and neighbors pull their speeds together; the few fast souls of
+// the initial population (up to 0.3) land in the last bucket
+export const SPEED_HISTOGRAM_BUCKETS = 16;
+export const SPEED_HISTOGRAM_MAX = 0.12;
+
+/**
+ * Count the living souls by vessel, age and speed; dewas are counted but kept out of the
+ * pyramid and the speed distribution, which describe the human and GPT vessels
+ */
+export function computePopulationStructure(
+  souls: EngineSoul[],
+  ageBucketTicks: number
+): PopulationStructure {
+  const human = new Array<number>(CENSUS_AGE_BUCKETS).fill(0);
+  const gpt = new Array<number>(CENSUS_AGE_BUCKETS).fill(0);
+  const speedHistogram = new Array<number>(SPEED_HISTOGRAM_BUCKETS).fill(0);
+  const speedBucket = SPEED_HISTOGRAM_MAX / SPEED_HISTOGRAM_BUCKETS;
+
+  let dewa = 0;
+  let attachedToDewa = 0;
+  let totalSpeed = 0;
+  souls.forEach(soul => {
+    if (soul.isDewa) {
+      dewa++;
+      return;
+    }
+    const ageBucket = Math.min(CENSUS_AGE_BUCKETS - 1, Math.floor(soul.age / ageBucketTicks));
+    (soul.isHuman ? human : gpt)[ageBucket]++;
+    speedHistogram[Math.min(SPEED_HISTOGRAM_BUCKETS - 1, Math.floor(soul.speed / speedBucket))]++;
+    totalSpeed += soul.speed;
+    if (soul.chosenDewaId !== null) {
+      attachedToDewa++;
+    }
+  });
+
+  const vessels = souls.length - dewa;
+  return {
+    total: souls.length,
+    human: human.reduce((sum, count) => sum + count, 0),
+    gpt: gpt.reduce((sum, count) => sum + count, 0),
+    dewa,
+    attachedToDewa,
+    agePyramid: { human, gpt },
+    speedHistogram,
+    meanSpeed: vessels > 0 ? totalSpeed / vessels : 0,
+  };
+}
@@ -0,0 +1,355 @@
+// src/lib/engine/connections.ts
+// Connection line calculation between nearby souls
+
+import type { LODData } from '../../types';
+import type { SeededRandom } from '../utils/random';
+import { bondLineOpacity, type Bond } from './bonds';
+import type { Boundary } from './boundaries';
+import type { ConnectionLine, ConnectionTally, EngineSoul } from './engineTypes';
+import type { SpatialGrid } from './spatialGrid';
+import { hslToRgb, vec } from './vectorMath';
+
+// Deterministic hash of an ordered pair (a < b)
+function pairHash(a: number, b: number): number {
+  return ((a * 73856093) ^ (b * 19349663)) >>> 0;
+}
+
+// To keep connection color stable, we need a deterministic color for each pair (id1, id2)
+function getStableColor(id1: number, id2: number): number[] {
+  // Always order ids the same way, use a simple hash function for deterministic color
+  const hash = pairHash(Math.min(id1, id2), Math.max(id1, id2));
+  // Map hash to [0,1]
+  const hue = (hash % 360) / 360;
+  const saturation = 1;
+  const lightness = 0.5; // 0.5-0.7
+  return hslToRgb(hue, saturation, lightness);
+}
+
+// Count one connection of soulId to partner
+function addToTally(tallies: Map<number, ConnectionTally>, soulId: number, partner: EngineSoul) {
+  let tally = tallies.get(soulId);
+  if (!tally) {
+    tally = { total: 0, human: 0, gpt: 0 };
+    tallies.set(soulId, tally);
+  }
+  tally.total++;
+  if (!partner.isDewa) {
+    if (partner.isHuman) {
+      tally.human++;
+    } else {
+      tally.gpt++;
+    }
+  }
+}
+
+// Per-pass budget of the connection sampler, taken from the quality settings
+export interface ConnectionBudget {
+  maxChecks: number; // Souls whose neighborhood is searched per pass (maxConnectionChecks)
+  connectionLimit: number; // Partners per soul (connectionLimit)
+}
+
+// How much of the population the connection network covers
+export interface ConnectionCoverage {
+  population: number;
+  checkedPerPass: number;
+  sweepPasses: number; // Passes needed to search every soul once
+  coveredSouls: number; // Living souls searched at least once
+  connectedSouls: number; // Living souls with at least one connection
+  pairs: number; // Connections tracked, drawn or not
+  lines: number; // Connections drawn (capped by maxConnections)
+}
+
+export const CONNECTION_BUDGET_LIMITS = {
+  MIN_CHECKS: 1,
+  MAX_CHECKS: 5000,
+  MIN_CONNECTION_LIMIT: 1,
+  MAX_CONNECTION_LIMIT: 100,
+};
+
+/**
+ * Clamp a budget into valid ranges (whole numbers)
+ */
+export function validateConnectionBudget(budget: ConnectionBudget): ConnectionBudget {
+  const clamp = (value: number, min: number, max: number): number =>
+    Math.max(min, Math.min(max, Math.round(value)));
+
+  return {
+    maxChecks: clamp(
+      budget.maxChecks,
+      CONNECTION_BUDGET_LIMITS.MIN_CHECKS,
+      CONNECTION_BUDGET_LIMITS.MAX_CHECKS
+    ),
+    connectionLimit: clamp(
+      budget.connectionLimit,
+      CONNECTION_BUDGET_LIMITS.MIN_CONNECTION_LIMIT,
+      CONNECTION_BUDGET_LIMITS.MAX_CONNECTION_LIMIT
+    ),
+  };
+}
+
+interface TrackedPair {
+  a: number; // Lower soul id
+  b: number; // Higher soul id
+  rank: number; // Stable draw order when there are more pairs than lines
+}
+
+// Sampler state carried from pass to pass (snapshots)
+export interface ConnectionSamplerState {
+  pairs: Array<[number, number]>; // Tracked pairs in insertion order
+  checked: number[];
+  cursor: number;
+}
+
+/**
+ * Round-robin connection sampler. Each pass searches the neighborhoods of the next
+ * maxChecks souls (wrapping around the population), so every soul is searched once per
+ * sweep instead of only the first few. Pairs found stay tracked, re-checked against the
+ * interaction distance every pass, until the souls drift apart, die or get culled.
+ * When there are more pairs than lines, a stable hash order picks which ones are drawn,
+ * so the drawn lines are spread over the whole population and do not flicker
+ */
+export class ConnectionSampler {
+  private pairs: Map<string, TrackedPair> = new Map();
+  private partners: Map<number, Set<number>> = new Map(); // Both ends of every tracked pair
+  private checked: Set<number> = new Set();
+  private cursor = 0;
+  private coverage: ConnectionCoverage = {
+    population: 0,
+    checkedPerPass: 0,
+    sweepPasses: 0,
+    coveredSouls: 0,
+    connectedSouls: 0,
+    pairs: 0,
+    lines: 0,
+  };
+
+  /**
+   * Run one pass and return the lines to draw; tallies (when given) count every
+   * tracked pair, not only the drawn ones
+   */
+  update(
+    souls: EngineSoul[],
+    spatialGrid: SpatialGrid,
+    boundary: Boundary,
+    rng: SeededRandom,
+    interactionDistance: number,
+    maxConnections: number,
+    budget: ConnectionBudget,
+    lodData: Record<number, LODData> = {},
+    tallies?: Map<number, ConnectionTally>
+  ): ConnectionLine[] {
+    const soulsById = new Map(souls.map(soul => [soul.id, soul]));
+    const maxDistSq = interactionDistance * interactionDistance;
+    const isCulled = (id: number) => lodData[id]?.lod === 'CULLED';
+    const degrees = new Map<number, number>();
+    const addDegree = (id: number) => degrees.set(id, (degrees.get(id) ?? 0) + 1);
+
+    // Keep tracked pairs that are still alive, visible and within range
+    this.pairs.forEach((pair, key) => {
+      const a = soulsById.get(pair.a);
+      const b = soulsById.get(pair.b);
+      if (
+        !a ||
+        !b ||
+        isCulled(pair.a) ||
+        isCulled(pair.b) ||
+        vec.lengthSq(boundary.delta(b.position, a.position)) >= maxDistSq
+      ) {
+        this.untrack(key, pair);
+        return;
+      }
+      addDegree(pair.a);
+      addDegree(pair.b);
+    });
+    this.checked.forEach(id => {
+      if (!soulsById.has(id)) {
+        this.checked.delete(id);
+      }
+    });
+
+    // Search the next window of souls for new pairs
+    const checks = Math.min(souls.length, budget.maxChecks);
+    for (let n = 0; n < checks; n++) {
+      const soul = souls[(this.cursor + n) % souls.length];
+      this.checked.add(soul.id);
+      if (isCulled(soul.id)) {
+        continue;
+      }
+      const soulMultiplier = lodData[soul.id]?.connectionMultiplier ?? 1.0;
+
+      for (const other of spatialGrid.getNearby(soul.position, interactionDistance)) {
+        if ((degrees.get(soul.id) ?? 0) >= budget.connectionLimit) {
+          break;
+        }
+        // The grid is built at the start of the tick, skip souls that died since
+        if (other.id === soul.id || !soulsById.has(other.id) || isCulled(other.id)) {
+          continue;
+        }
+        const a = Math.min(soul.id, other.id);
+        const b = Math.max(soul.id, other.id);
+        const key = `${a}:${b}`;
+        if (this.pairs.has(key) || (degrees.get(other.id) ?? 0) >= budget.connectionLimit) {
+          continue;
+        }
+
+        // Probabilistic connection based on the lower LOD multiplier of the two souls
+        const otherMultiplier = lodData[other.id]?.connectionMultiplier ?? 1.0;
+        if (rng.next() > Math.min(soulMultiplier, otherMultiplier)) {
+          continue;
+        }
+        if (vec.lengthSq(boundary.delta(other.position, soul.position)) >= maxDistSq) {
+          continue;
+        }
+
+        this.track(key, a, b);
+        addDegree(a);
+        addDegree(b);
+      }
+    }
+    this.cursor = souls.length > 0 ? (this.cursor + checks) % souls.length : 0;
+
+    const ordered = Array.from(this.pairs.values()).sort((x, y) => x.rank - y.rank);
+    const connections: ConnectionLine[] = [];
+    for (const pair of ordered) {
+      const soul = soulsById.get(pair.a);
+      const other = soulsById.get(pair.b);
+      if (!soul || !other) {
+        continue;
+      }
+      if (tallies) {
+        addToTally(tallies, soul.id, other);
+        addToTally(tallies, other.id, soul);
+      }
+      if (connections.length >= maxConnections) {
+        continue;
+      }
+      const offset = boundary.delta(other.position, soul.position);
+      // End at the nearest image of the other soul, so lines never span a periodic box
+      connections.push({
+        start: [soul.position.x, soul.position.y, soul.position.z],
+        end: [soul.position.x + offset.x, soul.position.y + offset.y, soul.position.z + offset.z],
+        color: getStableColor(soul.id, other.id),
+      });
+    }
+
+    this.coverage = {
+      population: souls.length,
+      checkedPerPass: checks,
+      sweepPasses: checks > 0 ? Math.ceil(souls.length / checks) : 0,
+      coveredSouls: this.checked.size,
+      connectedSouls: degrees.size,
+      pairs: this.pairs.size,
+      lines: connections.length,
+    };
+    return connections;
+  }
+
+  /**
+   * Tracked pairs as [lower id, higher id]
+   */
+  getEdges(): Array<[number, number]> {
+    return Array.from(this.pairs.values(), pair => [pair.a, pair.b]);
+  }
+
+  /**
+   * Souls paired with one soul
+   */
+  getPartners(id: number): number[] {
+    return Array.from(this.partners.get(id) ?? []);
+  }
+
+  getCoverage(): ConnectionCoverage {
+    return { ...this.coverage };
+  }
+
+  clear(): void {
+    this.pairs.clear();
+    this.partners.clear();
+    this.checked.clear();
+    this.cursor = 0;
+  }
+
+  getState(): ConnectionSamplerState {
+    return { pairs: this.getEdges(), checked: Array.from(this.checked), cursor: this.cursor };
+  }
+
+  load(state: ConnectionSamplerState): void {
+    this.clear();
+    state.pairs.forEach(([a, b]) => this.track(`${a}:${b}`, a, b));
+    state.checked.forEach(id => this.checked.add(id));
+    this.cursor = state.cursor;
+  }
+
+  private track(key: string, a: number, b: number): void {
+    this.pairs.set(key, { a, b, rank: pairHash(a, b) });
+    this.addPartner(a, b);
+    this.addPartner(b, a);
+  }
+
+  private untrack(key: string, pair: TrackedPair): void {
+    this.pairs.delete(key);
+    this.removePartner(pair.a, pair.b);
+    this.removePartner(pair.b, pair.a);
+  }
+
+  private addPartner(id: number, partner: number): void {
+    const partners = this.partners.get(id);
+    if (partners) {
+      partners.add(partner);
+    } else {
+      this.partners.set(id, new Set([partner]));
+    }
+  }
+
+  private removePartner(id: number, partner: number): void {
+    const partners = this.partners.get(id);
+    partners?.delete(partner);
+    if (partners?.size === 0) {
+      this.partners.delete(id);
+    }
+  }
+}
+
+/**
+ * Connection lines for bonds, strongest first (stable from frame to frame, no random
+ * LOD filter); line opacity follows bond strength. Culled souls draw no lines
+ */
+export function calculateBondConnections(
+  bonds: Bond[],
+  soulsById: Map<number, EngineSoul>,
+  boundary: Boundary,
+  maxConnections: number,
+  lodData: Record<number, LODData> = {},
+  tallies?: Map<number, ConnectionTally>
+): ConnectionLine[] {
+  const connections: ConnectionLine[] = [];
+  const ordered = [...bonds].sort((x, y) => y.strength - x.strength);
+
+  for (const bond of ordered) {
+    if (connections.length >= maxConnections) {
+      break;
+    }
+    const soul = soulsById.get(bond.a);
+    const other = soulsById.get(bond.b);
+    if (!soul || !other) {
+      continue;
+    }
+    if (lodData[soul.id]?.lod === 'CULLED' || lodData[other.id]?.lod === 'CULLED') {
+      continue;
+    }
+
+    const offset = boundary.delta(other.position, soul.position);
+    connections.push({
+      start: [soul.position.x, soul.position.y, soul.position.z],
+      end: [soul.position.x + offset.x, soul.position.y + offset.y, soul.position.z + offset.z],
+      color: getStableColor(soul.id, other.id),
+      opacity: bondLineOpacity(bond.strength),
+    });
+    if (tallies) {
+      addToTally(tallies, soul.id, other);
+      addToTally(tallies, other.id, soul);
+    }
+  }
+
+  return connections;
+}
@@ -0,0 +1,114 @@
+// src/lib/engine/conversion.ts
+// Vessel conversion: humans and GPTs are interchangeable vessels. A soul whose connections are
+// mostly to the other type builds up exposure; its hue drifts toward the other palette as the
+// exposure grows, and once it has lasted long enough the soul switches vessel. Losing the
+// majority lets the exposure (and the hue) fall back. Only species with a conversion target
+// (convertsTo) convert; dewas never convert and do not count.
+
+import { SIMULATION_TICK_RATE } from '../constants/config';
+import { secondsToTicks } from '../utils/simulationClock';
+import type { ConnectionTally, EngineSoul } from './engineTypes';
+import type { SpeciesId } from './species';
+
+// User-facing settings, exposure in seconds
+export interface ConversionSettings {
+  enabled: boolean;
+  exposureTime: number; // Seconds of sustained other-type majority needed to convert
+  majority: number; // Share of a soul's human/GPT connections that must be to the other type
+}
+
+// Engine config, exposure in ticks
+export interface ConversionConfig {
+  enabled: boolean;
+  exposureTime: number; // Ticks
+  majority: number;
+}
+
+// Sent to the main thread when a soul switches vessel
+export interface ConversionEvent {
+  id: number;
+  species: SpeciesId; // New vessel
+  isHuman: boolean;
+  hue: number; // New base hue
+}
+
+export const DEFAULT_CONVERSION: ConversionSettings = {
+  enabled: false,
+  exposureTime: 3,
+  majority: 0.5,
+};
+
+export const CONVERSION_LIMITS = {
+  MIN_EXPOSURE_TIME: 0.5, // Seconds
+  MAX_EXPOSURE_TIME: 30, // Seconds
+  MIN_MAJORITY: 0.5,
+  MAX_MAJORITY: 0.95,
+};
+
+/**
+ * Clamp partial settings into valid ones
+ */
+export function validateConversionSettings(
+  settings: Partial<ConversionSettings>
+): ConversionSettings {
+  const clamp = (value: number | undefined, fallback: number, min: number, max: number): number =>
+    Math.max(min, Math.min(max, value ?? fallback));
+
+  return {
+    enabled: settings.enabled ?? DEFAULT_CONVERSION.enabled,
+    exposureTime: clamp(
+      settings.exposureTime,
+      DEFAULT_CONVERSION.exposureTime,
+      CONVERSION_LIMITS.MIN_EXPOSURE_TIME,
+      CONVERSION_LIMITS.MAX_EXPOSURE_TIME
+    ),
+    majority: clamp(
+      settings.majority,
+      DEFAULT_CONVERSION.majority,
+      CONVERSION_LIMITS.MIN_MAJORITY,
+      CONVERSION_LIMITS.MAX_MAJORITY
+    ),
+  };
+}
+
+/**
+ * Convert user-facing settings (seconds) to the engine config (ticks)
+ */
+export function toTickConversion(
+  settings: ConversionSettings,
+  tickRate: number = SIMULATION_TICK_RATE
+): ConversionConfig {
+  return {
+    ...settings,
+    exposureTime: Math.max(1, secondsToTicks(settings.exposureTime, tickRate)),
+  };
+}
+
+/**
+ * Whether more than the majority share of the soul's human/GPT connections are to the other type
+ */
+export function isOtherTypeMajority(
+  soul: EngineSoul,
+  tally: ConnectionTally | undefined,
+  majority: number
+): boolean {
+  if (!tally) {
+    return false;
+  }
+  const other = soul.isHuman ? tally.gpt : tally.human;
+  const typed = tally.human + tally.gpt;
+  return other > 0 && other > majority * typed;
+}
+
+/**
+ * Interpolate between two hues (0-1) along the shorter way around the color wheel
+ */
+export function blendHue(from: number, to: number, t: number): number {
+  let delta = (to - from) % 1;
+  if (delta > 0.5) {
+    delta -= 1;
+  } else if (delta < -0.5) {
+    delta += 1;
+  }
+  return (((from + delta * t) % 1) + 1) % 1;
+}
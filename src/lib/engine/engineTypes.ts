@@ -0,0 +1,139 @@
+// src/lib/engine/engineTypes.ts
+// Type definitions shared by the simulation engine, the worker and the headless runner
+
+import type { LODData, SoulData } from '../../types';
+import type { Bond } from './bonds';
+import type { ConnectionSamplerState } from './connections';
+import type { ConversionEvent } from './conversion';
+import type { EssenceConfig } from './essence';
+import type { LifespanConfig } from './lifespan';
+import type { PointerInput } from './pointer';
+import type { BardoEntry } from './reincarnation';
+import type { SpeciesId, SpeciesTraits } from './species';
+import type { Vector3 } from './vectorMath';
+
+export type { Vector3 };
+
+// Soul state as tracked by the engine
+export interface EngineSoul {
+  id: number;
+  position: Vector3;
+  velocity: Vector3;
+  speed: number;
+  life: number;
+  age: number; // Ticks lived in the current incarnation
+  incarnation: number; // 1 for a first life, incremented on every rebirth
+  essence: number; // Essence economy: held by the soul, returned to the pool on death
+  species: SpeciesId;
+  isHuman: boolean; // Vessel flags of the species (see speciesFlags)
+  isDewa: boolean;
+  traits: SpeciesTraits; // Of the species, refreshed with it (see speciesTraits)
+  vesselHue: number; // Base hue in the current vessel; baseHSL.h drifts from it during conversion
+  conversionExposure: number; // Ticks of sustained other-type majority (vessel conversion)
+  baseHSL: {
+    h: number;
+    s: number;
+    l: number;
+  };
+  flickerPhase: number;
+  chosenDewaId: number | null;
+  finalHSL?: {
+    h: number;
+    s: number;
+    l: number;
+  };
+  finalRGB?: number[];
+  finalOpacity?: number;
+  colorChanged: boolean;
+  opacityChanged: boolean;
+}
+
+// Fixed engine settings (not user-tunable physics)
+export interface EngineSettings {
+  PULSE_INCREMENT: number;
+  PULSE_MULTIPLIER: number;
+  FLICKER_MULTIPLIER: number;
+  HSL_PRECISION: number;
+  OPACITY_PRECISION: number;
+  LIGHTNESS_PULSE_AMPLITUDE: number;
+  OPACITY_BASE: number;
+  OPACITY_RANGE: number;
+  DISTANCE_EPSILON: number;
+  DEFAULT_INTERACTION_DISTANCE: number;
+  DEFAULT_MAX_CONNECTIONS: number;
+  DEFAULT_MAX_SOULS_TO_CHECK: number;
+  DEFAULT_CONNECTION_LIMIT: number;
+  SPATIAL_GRID_CELL_SIZE: number;
+}
+
+// Connections of one soul in the last connection pass, by partner type (dewas only in total)
+export interface ConnectionTally {
+  total: number;
+  human: number;
+  gpt: number;
+}
+
+export interface ConnectionLine {
+  start: number[];
+  end: number[];
+  color: number[];
+  opacity?: number; // Per-line opacity (bond strength), 1 when absent
+}
+
+// Birth process parameters, all in simulation ticks
+export interface PopulationParameters {
+  spawnRate: number; // Souls per tick (fractional part is a probability)
+  minLifespan: number; // Ticks
+  maxLifespan: number; // Ticks
+  lifespan?: LifespanConfig; // Uniform between the bounds when absent
+}
+
+// Input for a single simulation tick
+export interface StepInput {
+  pointer?: PointerInput | null; // Null or absent when the pointer is not over the scene
+  lodData?: Record<number, LODData> | null;
+  computeConnections?: boolean;
+}
+
+// Output of a single simulation tick
+// Population by type with births and deaths since the previous census
+export interface PopulationCensus {
+  tick: number;
+  population: number;
+  human: number;
+  gpt: number;
+  dewa: number;
+  births: number;
+  deaths: number;
+  meanAge: number; // Ticks
+}
+
+// Soul in a saved state: without the per-frame render caches, and without the species traits,
+// which are resolved again on load
+export type SavedSoul = Omit<EngineSoul, 'traits'>;
+
+// Everything the engine needs to continue a run exactly (snapshots). Settings are applied through
+// their setters, except the essence config the pool belongs to (so setting it again keeps the pool)
+export interface EngineState {
+  frameCount: number;
+  pulseTime: number;
+  nextSoulId: number;
+  rngState: number;
+  spawnRngState: number;
+  souls: SavedSoul[];
+  bardo: BardoEntry[];
+  essence: EssenceConfig;
+  essencePool: number | null; // Pool level, null under the rate model
+  bonds: Bond[];
+  connectionSampler: ConnectionSamplerState;
+  connectionTallies: Array<[number, ConnectionTally]>; // Last pass, read by conversion and essence
+  birthsSinceCensus: number;
+  deathsSinceCensus: number;
+}
+
+export interface StepResult {
+  removedSoulIds: number[];
+  spawnedSouls: SoulData[];
+  convertedSouls: ConversionEvent[];
+  connections: ConnectionLine[];
+}
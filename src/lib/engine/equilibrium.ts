@@ -0,0 +1,237 @@
+// src/lib/engine/equilibrium.ts
+// Equilibrium convergence detector on top of the population stream. Each change of the
+// predicted equilibrium (a slider change) starts a new episode. Over a sliding window of the
+// episode's samples it estimates mean, variance and lag-1 autocorrelation; the autocorrelation
+// shrinks the effective sample size, which widens the error of the mean. Equilibrium is
+// reached once the mean sits within the tolerance band around the prediction with the
+// required confidence. Settling time and overshoot are reported per episode, and a falling
+// population below the band whose trend reaches zero within the horizon raises a collapse
+// warning.
+
+import { SIMULATION_TICK_RATE } from '../constants/config';
+import { secondsToTicks, ticksToSeconds } from '../utils/simulationClock';
+
+export interface EquilibriumDetectorSettings {
+  window: number; // Seconds of samples the statistics cover
+  tolerance: number; // Accepted relative distance between mean and prediction
+  confidenceLevel: number; // Confidence needed to declare equilibrium
+  collapseHorizon: number; // Seconds ahead a falling trend is projected
+}
+
+export interface WindowStats {
+  samples: number;
+  mean: number;
+  variance: number;
+  autocorrelation: number; // Lag 1, between samples
+  effectiveSamples: number; // Sample count corrected for autocorrelation
+  standardError: number; // Of the mean
+  slope: number; // Souls per second, least squares over the window
+  slopeError: number; // Standard error of the slope, corrected for autocorrelation
+}
+
+export interface EquilibriumStatus {
+  target: number; // Predicted equilibrium of the current episode
+  episodeStart: number; // Tick of the parameter change (or the first sample)
+  stats: WindowStats | null; // Null until the window has enough samples
+  confidence: number; // That the mean lies within the tolerance band, 0-1
+  reached: boolean;
+  settlingTime: number | null; // Seconds from the episode start until the population stayed in the band
+  overshoot: number; // Largest excursion past the target, relative to the step size
+}
+
+export type EquilibriumEvent =
+  | { type: 'reached'; status: EquilibriumStatus }
+  | { type: 'collapse'; status: EquilibriumStatus; secondsLeft: number };
+
+export const DEFAULT_EQUILIBRIUM_DETECTOR: EquilibriumDetectorSettings = {
+  window: 30,
+  tolerance: 0.1,
+  confidenceLevel: 0.95,
+  collapseHorizon: 30,
+};
+
+// Fewest samples the window statistics are computed from
+const MIN_WINDOW_SAMPLES = 5;
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+ */
+export function normalCdf(z: number): number {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly =
+    t *
+    (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Mean, variance, lag-1 autocorrelation, effective sample size and trend of a series
+ */
+export function windowStats(ticks: number[], values: number[], tickRate: number): WindowStats {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+
+  let lagSum = 0;
+  let squareSum = 0;
+  for (let i = 0; i < n; i++) {
+    squareSum += (values[i] - mean) ** 2;
+    if (i > 0) {
+      lagSum += (values[i] - mean) * (values[i - 1] - mean);
+    }
+  }
+  const autocorrelation = squareSum > 0 ? Math.max(-0.99, Math.min(0.99, lagSum / squareSum)) : 0;
+  const effectiveSamples = Math.max(
+    1,
+    Math.min(n, (n * (1 - autocorrelation)) / (1 + autocorrelation))
+  );
+
+  const times = ticks.map(tick => ticksToSeconds(tick, tickRate));
+  const meanTime = times.reduce((sum, t) => sum + t, 0) / n;
+  let covariance = 0;
+  let timeVariance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (times[i] - meanTime) * (values[i] - mean);
+    timeVariance += (times[i] - meanTime) ** 2;
+  }
+  const slope = timeVariance > 0 ? covariance / timeVariance : 0;
+  let residualSum = 0;
+  for (let i = 0; i < n; i++) {
+    residualSum += (values[i] - mean - slope * (times[i] - meanTime)) ** 2;
+  }
+  const residualVariance = n > 2 ? residualSum / (n - 2) : 0;
+  const slopeError =
+    timeVariance > 0 ? Math.sqrt((residualVariance / timeVariance) * (n / effectiveSamples)) : 0;
+
+  return {
+    samples: n,
+    mean,
+    variance,
+    autocorrelation,
+    effectiveSamples,
+    standardError: Math.sqrt(variance / effectiveSamples),
+    slope,
+    slopeError,
+  };
+}
+
+export class EquilibriumDetector {
+  private settings: EquilibriumDetectorSettings;
+  private tickRate: number;
+  private ticks: number[] = [];
+  private values: number[] = [];
+  private status: EquilibriumStatus | null = null;
+  private startPopulation = 0;
+  private lastOutsideBand = 0; // Tick of the latest sample outside the tolerance band
+  private collapseWarned = false;
+
+  constructor(
+    settings: Partial<EquilibriumDetectorSettings> = {},
+    tickRate: number = SIMULATION_TICK_RATE
+  ) {
+    this.settings = { ...DEFAULT_EQUILIBRIUM_DETECTOR, ...settings };
+    this.tickRate = tickRate;
+  }
+
+  /**
+   * Add a population sample with the equilibrium predicted at the time; returns the events
+   * it triggered (equilibrium reached, collapse warning)
+   */
+  push(tick: number, population: number, target: number): EquilibriumEvent[] {
+    if (!this.status || this.status.target !== target) {
+      this.startEpisode(tick, population, target);
+    }
+    const status = this.status!;
+
+    this.ticks.push(tick);
+    this.values.push(population);
+    const windowStart = tick - secondsToTicks(this.settings.window, this.tickRate);
+    while (this.ticks.length > 0 && this.ticks[0] < windowStart) {
+      this.ticks.shift();
+      this.values.shift();
+    }
+
+    const band = this.settings.tolerance * target;
+    if (Math.abs(population - target) > band) {
+      this.lastOutsideBand = tick;
+    }
+
+    // Overshoot: furthest excursion past the target in the direction of the step
+    // (steps inside the tolerance band are too small to measure one)
+    const step = target - this.startPopulation;
+    if (Math.abs(step) > band) {
+      status.overshoot = Math.max(status.overshoot, (population - target) / step);
+    }
+
+    const events: EquilibriumEvent[] = [];
+    if (this.values.length < MIN_WINDOW_SAMPLES) {
+      status.stats = null;
+      return events;
+    }
+
+    const stats = windowStats(this.ticks, this.values, this.tickRate);
+    status.stats = stats;
+    status.confidence =
+      stats.standardError > 0
+        ? normalCdf((band - Math.abs(stats.mean - target)) / stats.standardError)
+        : Math.abs(stats.mean - target) <= band
+          ? 1
+          : 0;
+
+    // Declared once per episode, after a full window; the settling time counts up to the
+    // last excursion out of the band
+    const windowFull =
+      tick - status.episodeStart >= secondsToTicks(this.settings.window, this.tickRate);
+    if (!status.reached && windowFull && status.confidence >= this.settings.confidenceLevel) {
+      status.reached = true;
+      status.settlingTime = ticksToSeconds(
+        this.lastOutsideBand - status.episodeStart,
+        this.tickRate
+      );
+      events.push({ type: 'reached', status: this.getStatus()! });
+    }
+
+    // Collapse: below the band and a significant downward trend that reaches zero within the
+    // horizon (falling toward a lower prediction is not a collapse)
+    if (!this.collapseWarned && stats.slope < 0 && population < target - band) {
+      const secondsLeft = population / -stats.slope;
+      if (secondsLeft <= this.settings.collapseHorizon && -stats.slope > 2 * stats.slopeError) {
+        this.collapseWarned = true;
+        events.push({ type: 'collapse', status: this.getStatus()!, secondsLeft });
+      }
+    }
+    return events;
+  }
+
+  getStatus(): EquilibriumStatus | null {
+    return this.status
+      ? { ...this.status, stats: this.status.stats && { ...this.status.stats } }
+      : null;
+  }
+
+  reset(): void {
+    this.ticks = [];
+    this.values = [];
+    this.status = null;
+    this.collapseWarned = false;
+  }
+
+  private startEpisode(tick: number, population: number, target: number): void {
+    this.ticks = [];
+    this.values = [];
+    this.startPopulation = population;
+    this.lastOutsideBand = tick;
+    this.collapseWarned = false;
+    this.status = {
+      target,
+      episodeStart: tick,
+      stats: null,
+      confidence: 0,
+      reached: false,
+      settlingTime: null,
+      overshoot: 0,
+    };
+  }
+}
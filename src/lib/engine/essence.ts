@@ -0,0 +1,135 @@
+// src/lib/engine/essence.ts
+// Essence economy: an alternative population model where births are funded from a universal pool.
+//   rate    - births follow the spawn rate alone (original behaviour)
+//   essence - every birth costs essence from the pool; living souls draw more essence from the
+//             pool through their connections and dewa proximity; on death it all flows back.
+// Essence is conserved: pool + essence held by the living stays equal to the total.
+
+import { SIMULATION_TICK_RATE } from '../constants/config';
+
+export type PopulationModel = 'rate' | 'essence';
+
+export const POPULATION_MODELS: PopulationModel[] = ['rate', 'essence'];
+
+// User-facing settings, gains per second
+export interface EssenceSettings {
+  model: PopulationModel;
+  initialPool: number; // Pool level when the economy starts (living souls also get the birth cost)
+  birthCost: number; // Essence a newborn takes from the pool
+  connectionGain: number; // Essence per connection per second
+  dewaGain: number; // Essence per second while near a dewa
+}
+
+// Engine config, gains per tick
+export type EssenceConfig = EssenceSettings;
+
+export interface EssenceStats {
+  pool: number;
+  held: number; // Sum over living souls
+  total: number; // pool + held, constant while the economy runs
+  meanEssence: number; // Mean essence held per living soul
+}
+
+export const DEFAULT_ESSENCE: EssenceSettings = {
+  model: 'rate',
+  initialPool: 200,
+  birthCost: 1,
+  connectionGain: 0.02,
+  dewaGain: 0.05,
+};
+
+export const ESSENCE_LIMITS = {
+  MAX_INITIAL_POOL: 5000,
+  MIN_BIRTH_COST: 0.1,
+  MAX_BIRTH_COST: 10,
+  MAX_GAIN: 1,
+};
+
+export function isPopulationModel(value: unknown): value is PopulationModel {
+  return typeof value === 'string' && (POPULATION_MODELS as string[]).includes(value);
+}
+
+/**
+ * Clamp partial settings into valid ones (unknown models fall back to rate)
+ */
+export function validateEssenceSettings(settings: Partial<EssenceSettings>): EssenceSettings {
+  const clamp = (value: number | undefined, fallback: number, min: number, max: number): number =>
+    Math.max(min, Math.min(max, value ?? fallback));
+
+  return {
+    model: isPopulationModel(settings.model) ? settings.model : DEFAULT_ESSENCE.model,
+    initialPool: clamp(
+      settings.initialPool,
+      DEFAULT_ESSENCE.initialPool,
+      0,
+      ESSENCE_LIMITS.MAX_INITIAL_POOL
+    ),
+    birthCost: clamp(
+      settings.birthCost,
+      DEFAULT_ESSENCE.birthCost,
+      ESSENCE_LIMITS.MIN_BIRTH_COST,
+      ESSENCE_LIMITS.MAX_BIRTH_COST
+    ),
+    connectionGain: clamp(
+      settings.connectionGain,
+      DEFAULT_ESSENCE.connectionGain,
+      0,
+      ESSENCE_LIMITS.MAX_GAIN
+    ),
+    dewaGain: clamp(settings.dewaGain, DEFAULT_ESSENCE.dewaGain, 0, ESSENCE_LIMITS.MAX_GAIN),
+  };
+}
+
+/**
+ * Convert user-facing settings (per second) to the engine config (per tick)
+ */
+export function toTickEssence(
+  settings: EssenceSettings,
+  tickRate: number = SIMULATION_TICK_RATE
+): EssenceConfig {
+  return {
+    ...settings,
+    connectionGain: settings.connectionGain / tickRate,
+    dewaGain: settings.dewaGain / tickRate,
+  };
+}
+
+/**
+ * Essence-limited equilibrium: how many souls the total essence can sustain when each
+ * living soul holds meanEssence on average (null until there is a mean to divide by)
+ */
+export function essenceEquilibrium(stats: EssenceStats): number | null {
+  return stats.meanEssence > 0 ? stats.total / stats.meanEssence : null;
+}
+
+/**
+ * The universal pool; never goes negative
+ */
+export class EssencePool {
+  private level: number;
+
+  constructor(initial: number) {
+    this.level = Math.max(0, initial);
+  }
+
+  /**
+   * Take up to amount from the pool, returns what was actually taken
+   */
+  withdraw(amount: number): number {
+    const taken = Math.min(this.level, Math.max(0, amount));
+    this.level -= taken;
+    return taken;
+  }
+
+  deposit(amount: number): void {
+    this.level += Math.max(0, amount);
+  }
+
+  canAfford(amount: number): boolean {
+    return this.level >= amount;
+  }
+
+  getLevel(): number {
+    return this.level;
+  }
+}
@@ -0,0 +1,316 @@
+// src/lib/engine/headlessSimulation.ts
+// Drives the simulation engine without rendering: spawning, stepping and time-series sampling.
+// Uses the same random streams and call order as the browser app, so a seed reproduces a run.
+
+import { SIMULATION_TICK_RATE } from '../constants/config';
+import { PHYSICS_CONSTANTS } from '../constants/physics';
+import { RANDOM_STREAMS, SeededRandom } from '../utils/random';
+import { ticksToSeconds, toTickParameters } from '../utils/simulationClock';
+import { type BondSettings, toTickBonds, validateBondSettings } from './bonds';
+import { type BoundaryConfig, DEFAULT_BOUNDARY } from './boundaries';
+import type { ConnectionBudget } from './connections';
+import {
+  type ConversionSettings,
+  toTickConversion,
+  validateConversionSettings,
+} from './conversion';
+import type { PopulationParameters } from './engineTypes';
+import { EquilibriumDetector, type EquilibriumStatus } from './equilibrium';
+import { type EssenceSettings, toTickEssence, validateEssenceSettings } from './essence';
+import { type LifespanSettings, meanLifespan, validateLifespanSettings } from './lifespan';
+import {
+  type ReincarnationSettings,
+  toTickReincarnation,
+  validateReincarnationSettings,
+} from './reincarnation';
+import { type EnginePhysicsConstants, SimulationEngine } from './simulationEngine';
+import { createPalette, generateSoulData, rollInitialSoul } from './soulFactory';
+
+export interface HeadlessSimulationOptions {
+  spawnRate: number; // Souls per second
+  minLifespan: number; // Seconds
+  maxLifespan: number; // Seconds
+  lifespan?: Partial<LifespanSettings>; // Durations in seconds; uniform between the bounds by default
+  tickRate?: number; // Ticks per simulated second
+  initialSouls: number;
+  seed: number;
+  sampleEvery?: number; // Ticks between samples
+  computeConnections?: boolean;
+  boundary?: Partial<BoundaryConfig>;
+  reincarnation?: Partial<ReincarnationSettings>; // Delay in seconds
+  essence?: Partial<EssenceSettings>; // Gains per second
+  conversion?: Partial<ConversionSettings>; // Exposure time in seconds
+  bonds?: Partial<BondSettings>; // Formation and decay times in seconds
+  connectionBudget?: Partial<ConnectionBudget>; // Souls searched per pass, connections per soul
+  constants?: EnginePhysicsConstants;
+}
+
+export interface PopulationSample {
+  tick: number;
+  time: number; // Simulated seconds
+  population: number;
+  human: number;
+  gpt: number;
+  dewa: number;
+  births: number; // Since previous sample
+  deaths: number; // Since previous sample
+  conversions: number; // Vessel conversions since previous sample
+  bardo: number; // Souls waiting to be reborn (reincarnation)
+  essencePool: number | null; // Universal pool level (essence model only)
+  bonds: number | null; // Living bonds (bonds enabled only)
+  connections: number;
+  connectedSouls: number | null; // Souls with at least one connection (null while bonds are on)
+  largestCluster: number; // Souls in the largest connected cluster
+  clustering: number; // Mean local clustering coefficient
+  mixing: number | null; // Share of human–GPT edges among human/GPT edges
+  meanAge: number; // Mean age of the living souls in seconds
+}
+
+type HeadlessOptions = Required<
+  Omit<
+    HeadlessSimulationOptions,
+    | 'constants'
+    | 'lifespan'
+    | 'boundary'
+    | 'reincarnation'
+    | 'essence'
+    | 'conversion'
+    | 'bonds'
+    | 'connectionBudget'
+  >
+>;
+
+export interface HeadlessRunResult {
+  options: HeadlessOptions;
+  lifespan: LifespanSettings;
+  boundary: BoundaryConfig;
+  reincarnation: ReincarnationSettings;
+  essence: EssenceSettings;
+  conversion: ConversionSettings;
+  bonds: BondSettings;
+  connectionBudget: ConnectionBudget;
+  ticks: number;
+  expectedEquilibrium: number; // spawnRate (souls/s) × mean lifespan (s)
+  equilibrium: EquilibriumStatus | null; // Convergence detector over the samples
+  observedMean: number; // Mean population over the second half of the run
+  samples: PopulationSample[];
+}
+
+export class HeadlessSimulation {
+  private options: HeadlessOptions;
+  private lifespan: LifespanSettings;
+  private expectedEquilibrium: number;
+  private reincarnation: ReincarnationSettings;
+  private essence: EssenceSettings;
+  private conversion: ConversionSettings;
+  private bonds: BondSettings;
+  private engine: SimulationEngine;
+  private population: PopulationParameters;
+  private tick: number = 0;
+  private birthsSinceSample: number = 0;
+  private deathsSinceSample: number = 0;
+  private conversionsSinceSample: number = 0;
+  private lastConnectionCount: number = 0;
+  private samples: PopulationSample[] = [];
+  private detector: EquilibriumDetector;
+
+  constructor(options: HeadlessSimulationOptions) {
+    this.options = {
+      spawnRate: options.spawnRate,
+      minLifespan: options.minLifespan,
+      maxLifespan: options.maxLifespan,
+      tickRate: options.tickRate ?? SIMULATION_TICK_RATE,
+      initialSouls: options.initialSouls,
+      seed: options.seed >>> 0,
+      sampleEvery: Math.max(1, options.sampleEvery ?? 10),
+      computeConnections: options.computeConnections ?? true,
+    };
+    this.detector = new EquilibriumDetector({}, this.options.tickRate);
+
+    this.lifespan = validateLifespanSettings(options.lifespan ?? {});
+    this.expectedEquilibrium =
+      this.options.spawnRate *
+      meanLifespan(this.lifespan, this.options.minLifespan, this.options.maxLifespan);
+    this.population = toTickParameters(
+      this.options.spawnRate,
+      this.options.minLifespan,
+      this.options.maxLifespan,
+      this.lifespan,
+      this.options.tickRate
+    );
+
+    // Same call order as the app: palette first, then the initial population on the main stream
+    const rng = new SeededRandom(this.options.seed, RANDOM_STREAMS.MAIN);
+    const palette = createPalette(rng);
+    this.engine = new SimulationEngine(options.constants ?? PHYSICS_CONSTANTS, this.options.seed);
+
+    const initialSouls = [];
+    for (let i = 0; i < this.options.initialSouls; i++) {
+      const { species, angle, speed } = rollInitialSoul(i, this.options.initialSouls, rng);
+      initialSouls.push(
+        generateSoulData(
+          i,
+          {
+            species,
+            angle,
+            speed,
+            minLifespan: this.population.minLifespan,
+            maxLifespan: this.population.maxLifespan,
+            lifespan: this.population.lifespan,
+          },
+          palette,
+          rng
+        )
+      );
+    }
+    this.engine.setBoundary(options.boundary ?? DEFAULT_BOUNDARY);
+    this.reincarnation = validateReincarnationSettings(options.reincarnation ?? {});
+    this.engine.setReincarnation(toTickReincarnation(this.reincarnation, this.options.tickRate));
+    this.conversion = validateConversionSettings(options.conversion ?? {});
+    this.engine.setConversion(toTickConversion(this.conversion, this.options.tickRate));
+    this.bonds = validateBondSettings(options.bonds ?? {});
+    this.engine.setBonds(toTickBonds(this.bonds, this.options.tickRate));
+    this.engine.setConnectionBudget({
+      ...this.engine.getConnectionBudget(),
+      ...options.connectionBudget,
+    });
+    this.engine.loadSouls(initialSouls);
+    // After loading, so the initial souls are funded when the essence economy starts
+    this.essence = validateEssenceSettings(options.essence ?? {});
+    this.engine.setEssence(toTickEssence(this.essence, this.options.tickRate));
+    this.engine.configureSpawning(palette, this.population);
+    this.recordSample();
+  }
+
+  /**
+   * Advance one fixed simulation tick (physics, aging, recycling and spawning)
+   */
+  step(): void {
+    const { removedSoulIds, spawnedSouls, convertedSouls, connections } = this.engine.step({
+      computeConnections: this.options.computeConnections,
+    });
+    this.deathsSinceSample += removedSoulIds.length;
+    this.birthsSinceSample += spawnedSouls.length;
+    this.conversionsSinceSample += convertedSouls.length;
+    this.lastConnectionCount = connections.length;
+
+    this.tick++;
+    if (this.tick % this.options.sampleEvery === 0) {
+      this.recordSample();
+    }
+  }
+
+  /**
+   * Run a number of ticks and summarize the population time series
+   * (use secondsToTicks to run for a simulated duration)
+   */
+  run(ticks: number, onSample?: (sample: PopulationSample) => void): HeadlessRunResult {
+    let reported = this.samples.length;
+    for (let i = 0; i < ticks; i++) {
+      this.step();
+      if (onSample && this.samples.length > reported) {
+        onSample(this.samples[this.samples.length - 1]);
+        reported = this.samples.length;
+      }
+    }
+    return this.getResult();
+  }
+
+  getResult(): HeadlessRunResult {
+    const secondHalf = this.samples.slice(Math.floor(this.samples.length / 2));
+    const observedMean =
+      secondHalf.length > 0
+        ? secondHalf.reduce((sum, s) => sum + s.population, 0) / secondHalf.length
+        : 0;
+
+    return {
+      options: { ...this.options },
+      lifespan: { ...this.lifespan },
+      boundary: this.engine.getBoundary(),
+      reincarnation: { ...this.reincarnation },
+      essence: { ...this.essence },
+      conversion: { ...this.conversion },
+      bonds: { ...this.bonds },
+      connectionBudget: this.engine.getConnectionBudget(),
+      ticks: this.tick,
+      expectedEquilibrium: this.expectedEquilibrium,
+      equilibrium: this.detector.getStatus(),
+      observedMean,
+      samples: [...this.samples],
+    };
+  }
+
+  private recordSample(): void {
+    let human = 0;
+    let gpt = 0;
+    let dewa = 0;
+    let totalAge = 0;
+    const souls = this.engine.getSouls();
+    for (const soul of souls) {
+      totalAge += soul.age;
+      if (soul.isDewa) {
+        dewa++;
+      } else if (soul.isHuman) {
+        human++;
+      } else {
+        gpt++;
+      }
+    }
+
+    const network = this.engine.getNetworkStats();
+    const meanAge =
+      souls.length > 0 ? ticksToSeconds(totalAge / souls.length, this.options.tickRate) : 0;
+    this.samples.push({
+      tick: this.tick,
+      time: Math.round(ticksToSeconds(this.tick, this.options.tickRate) * 1000) / 1000,
+      population: this.engine.getSoulCount(),
+      human,
+      gpt,
+      dewa,
+      births: this.birthsSinceSample,
+      deaths: this.deathsSinceSample,
+      conversions: this.conversionsSinceSample,
+      bardo: this.engine.getBardoSize(),
+      essencePool: this.engine.getEssenceStats()?.pool ?? null,
+      bonds: this.engine.getBondStats()?.count ?? null,
+      connections: this.lastConnectionCount,
+      connectedSouls: this.engine.getConnectionCoverage()?.connectedSouls ?? null,
+      largestCluster: network.largestCluster,
+      clustering: Math.round(network.clustering * 1000) / 1000,
+      mixing: network.mixing === null ? null : Math.round(network.mixing * 1000) / 1000,
+      meanAge: Math.round(meanAge * 1000) / 1000,
+    });
+    this.detector.push(this.tick, this.engine.getSoulCount(), this.expectedEquilibrium);
+    this.birthsSinceSample = 0;
+    this.deathsSinceSample = 0;
+    this.conversionsSinceSample = 0;
+  }
+}
+
+/**
+ * Serialize population samples as CSV (header row + one row per sample)
+ */
+export function samplesToCSV(samples: PopulationSample[]): string {
+  const columns: Array<keyof PopulationSample> = [
+    'tick',
+    'time',
+    'population',
+    'human',
+    'gpt',
+    'dewa',
+    'births',
+    'deaths',
+    'conversions',
+    'bardo',
+    'essencePool',
+    'bonds',
+    'connections',
+    'connectedSouls',
+    'largestCluster',
+    'clustering',
+    'mixing',
+    'meanAge',
+  ];
+  const rows = samples.map(sample => columns.map(column => sample[column]).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
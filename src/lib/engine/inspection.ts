@@ -0,0 +1,110 @@
+// src/lib/engine/inspection.ts
+// Report on a single soul for the inspector panel, computed in the worker: its vessel, where it
+// is in its life, the dewa it follows and its partners in the current connection network. The
+// main thread builds the soul's biography by comparing successive reports.
+
+import { ticksToSeconds } from '../utils/simulationClock';
+import type { ConnectionTally, EngineSoul } from './engineTypes';
+import type { BardoEntry } from './reincarnation';
+import { getSpecies, type SpeciesId } from './species';
+
+export interface SoulInspection {
+  id: number;
+  status: 'alive' | 'bardo' | 'gone'; // Gone: died without reincarnation, or never existed
+  species: SpeciesId | null; // In the bardo, the vessel of the life that ended
+  incarnation: number;
+  age: number; // Ticks lived in the current incarnation
+  life: number; // Ticks left
+  speed: number;
+  essence: number;
+  chosenDewaId: number | null;
+  connections: ConnectionTally; // Last connection pass
+  partners: number[]; // Connected soul ids (bond partners while bonds are on)
+}
+
+/**
+ * Report on a soul from its engine state, or its bardo entry once it has died
+ */
+export function buildSoulInspection(
+  id: number,
+  soul: EngineSoul | null,
+  bardoEntry: BardoEntry | null,
+  tally: ConnectionTally | null,
+  partners: number[]
+): SoulInspection {
+  if (!soul) {
+    return {
+      id,
+      status: bardoEntry ? 'bardo' : 'gone',
+      species: bardoEntry?.species ?? null,
+      incarnation: bardoEntry?.incarnation ?? 0,
+      age: 0,
+      life: 0,
+      speed: 0,
+      essence: 0,
+      chosenDewaId: null,
+      connections: { total: 0, human: 0, gpt: 0 },
+      partners: [],
+    };
+  }
+
+  return {
+    id,
+    status: 'alive',
+    species: soul.species,
+    incarnation: soul.incarnation,
+    age: soul.age,
+    life: soul.life,
+    speed: soul.speed,
+    essence: soul.essence,
+    chosenDewaId: soul.chosenDewaId,
+    connections: tally ? { ...tally } : { total: 0, human: 0, gpt: 0 },
+    partners: [...partners].sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Biography entries for what changed between two reports on the same soul (the first report
+ * of a selection has no previous one)
+ */
+export function describeInspectionChange(
+  previous: SoulInspection | null,
+  next: SoulInspection
+): string[] {
+  const label = (species: SpeciesId | null) => (species ? getSpecies(species).label : 'soul');
+  const ageLabel = (ticks: number) => `${ticksToSeconds(ticks).toFixed(1)} s`;
+
+  if (!previous) {
+    if (next.status === 'alive') {
+      return [
+        `Selected: ${label(next.species)}, incarnation ${next.incarnation}, age ${ageLabel(next.age)}`,
+      ];
+    }
+    return [next.status === 'bardo' ? 'Selected in the bardo' : 'Selected soul is gone'];
+  }
+
+  const entries: string[] = [];
+  const reborn = next.incarnation > previous.incarnation;
+  if (previous.status === 'alive' && (next.status !== 'alive' || reborn)) {
+    // Age plus remaining life is the lifespan it reached, even when it died between reports
+    entries.push(`Died at age ${ageLabel(previous.age + previous.life)}`);
+  }
+  if (next.status === 'bardo' && previous.status === 'alive') {
+    entries.push('Entered the bardo');
+  }
+  if (next.status !== 'alive') {
+    return entries;
+  }
+
+  if (reborn) {
+    entries.push(`Reborn as ${label(next.species)} (incarnation ${next.incarnation})`);
+  } else if (next.species !== previous.species) {
+    entries.push(`Converted to ${label(next.species)}`);
+  }
+  if (next.chosenDewaId !== previous.chosenDewaId) {
+    entries.push(
+      next.chosenDewaId === null ? 'Left its dewa' : `Drawn to dewa #${next.chosenDewaId}`
+    );
+  }
+  return entries;
+}
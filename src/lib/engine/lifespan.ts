@@ -0,0 +1,362 @@
+// src/lib/engine/lifespan.ts
+// Lifespan distributions: how long a newborn soul lives. Uniform between the minimum and
+// maximum lifespan (the original model), normal, exponential (memoryless: the chance to die
+// does not depend on age), Weibull (shape < 1 infant mortality, > 1 aging), and a bimodal
+// mix of infant mortality (exponential) and old age (normal).
+// Besides sampling, each distribution provides its survival function S(u) = P(L > u) and the
+// integrals the analytic population model needs; the mean lifespan is ∫₀^∞ S(u) du, so the
+// equilibrium population stays spawnRate × mean lifespan whatever the shape (M/G/∞).
+
+import { SIMULATION_TICK_RATE } from '../constants/config';
+import { secondsToTicks } from '../utils/simulationClock';
+import { normalCdf } from './equilibrium';
+import type { RandomSource } from './soulFactory';
+
+export type LifespanDistributionKind = 'uniform' | 'normal' | 'exponential' | 'weibull' | 'bimodal';
+
+// User-facing settings, durations in seconds; the uniform distribution uses the
+// minimum and maximum lifespan of the birth parameters
+export interface LifespanSettings {
+  distribution: LifespanDistributionKind;
+  normalMean: number;
+  normalStdDev: number;
+  exponentialMean: number;
+  weibullScale: number;
+  weibullShape: number; // < 1 deaths concentrate early, 1 is exponential, > 1 aging
+  infantShare: number; // Bimodal: share of souls that die in infancy, 0-1
+  infantMean: number; // Bimodal: mean infant lifespan (exponential)
+  oldAgeMean: number; // Bimodal: old-age peak (normal)
+  oldAgeStdDev: number;
+}
+
+// Engine config: the same fields with durations in ticks
+export type LifespanConfig = LifespanSettings;
+
+export type LifespanParameter = Exclude<keyof LifespanSettings, 'distribution'>;
+
+export const DEFAULT_LIFESPAN: LifespanSettings = {
+  distribution: 'uniform',
+  normalMean: 10,
+  normalStdDev: 3,
+  exponentialMean: 10,
+  weibullScale: 11,
+  weibullShape: 2,
+  infantShare: 0.2,
+  infantMean: 1,
+  oldAgeMean: 12,
+  oldAgeStdDev: 2.5,
+};
+
+// Range, step and label of each parameter in the lifespan panel (bounds match the validator)
+export const LIFESPAN_CONTROL_RANGES: Record<
+  LifespanParameter,
+  { label: string; min: number; max: number; step: number }
+> = {
+  normalMean: { label: 'Mean', min: 1.5, max: 25, step: 0.5 },
+  normalStdDev: { label: 'Std Dev', min: 0.1, max: 10, step: 0.1 },
+  exponentialMean: { label: 'Mean', min: 1, max: 25, step: 0.5 },
+  weibullScale: { label: 'Scale', min: 1.5, max: 30, step: 0.5 },
+  weibullShape: { label: 'Shape', min: 0.5, max: 5, step: 0.1 },
+  infantShare: { label: 'Infant Share', min: 0, max: 0.9, step: 0.01 },
+  infantMean: { label: 'Infant Mean', min: 0.1, max: 5, step: 0.1 },
+  oldAgeMean: { label: 'Old Age Mean', min: 3, max: 25, step: 0.5 },
+  oldAgeStdDev: { label: 'Old Age Std Dev', min: 0.1, max: 10, step: 0.1 },
+};
+
+// Label and parameters of each distribution
+export const LIFESPAN_DISTRIBUTIONS: Record<
+  LifespanDistributionKind,
+  { label: string; parameters: LifespanParameter[] }
+> = {
+  uniform: { label: 'Uniform (min–max)', parameters: [] },
+  normal: { label: 'Normal', parameters: ['normalMean', 'normalStdDev'] },
+  exponential: { label: 'Exponential (memoryless)', parameters: ['exponentialMean'] },
+  weibull: { label: 'Weibull', parameters: ['weibullScale', 'weibullShape'] },
+  bimodal: {
+    label: 'Infant mortality + old age',
+    parameters: ['infantShare', 'infantMean', 'oldAgeMean', 'oldAgeStdDev'],
+  },
+};
+
+// Parameters measured in time, converted to ticks for the engine
+const DURATION_PARAMETERS: LifespanParameter[] = [
+  'normalMean',
+  'normalStdDev',
+  'exponentialMean',
+  'weibullScale',
+  'infantMean',
+  'oldAgeMean',
+  'oldAgeStdDev',
+];
+
+// Age histogram of the living souls, sent with the census
+export const AGE_HISTOGRAM_BUCKETS = 30; // The last bucket collects older souls
+export const AGE_HISTOGRAM_BUCKET_SECONDS = 1;
+
+export function isLifespanDistribution(value: unknown): value is LifespanDistributionKind {
+  return typeof value === 'string' && value in LIFESPAN_DISTRIBUTIONS;
+}
+
+/**
+ * Clamp partial settings into valid ones (unknown distributions fall back to uniform)
+ */
+export function validateLifespanSettings(settings: Partial<LifespanSettings>): LifespanSettings {
+  const validated: LifespanSettings = {
+    ...DEFAULT_LIFESPAN,
+    distribution: isLifespanDistribution(settings.distribution)
+      ? settings.distribution
+      : DEFAULT_LIFESPAN.distribution,
+  };
+  (Object.keys(LIFESPAN_CONTROL_RANGES) as LifespanParameter[]).forEach(key => {
+    const { min, max } = LIFESPAN_CONTROL_RANGES[key];
+    const value = settings[key];
+    validated[key] =
+      typeof value === 'number' && Number.isFinite(value)
+        ? Math.max(min, Math.min(max, value))
+        : DEFAULT_LIFESPAN[key];
+  });
+  return validated;
+}
+
+/**
+ * Convert user-facing settings (seconds) to the engine config (ticks)
+ */
+export function toTickLifespan(
+  settings: LifespanSettings,
+  tickRate: number = SIMULATION_TICK_RATE
+): LifespanConfig {
+  const config = { ...settings };
+  DURATION_PARAMETERS.forEach(key => {
+    config[key] = secondsToTicks(settings[key], tickRate);
+  });
+  return config;
+}
+
+// Standard normal variate (Box–Muller), two draws
+function gaussian(rng: RandomSource): number {
+  const radius = Math.sqrt(-2 * Math.log(1 - rng.next()));
+  return radius * Math.cos(2 * Math.PI * rng.next());
+}
+
+/**
+ * Draw a lifespan; minLifespan and maxLifespan bound the uniform distribution. The uniform
+ * draw takes a single number from the generator, exactly as before distributions existed
+ */
+export function sampleLifespan(
+  config: LifespanConfig | undefined,
+  minLifespan: number,
+  maxLifespan: number,
+  rng: RandomSource
+): number {
+  switch (config?.distribution ?? 'uniform') {
+    case 'normal':
+      return Math.max(0, config!.normalMean + config!.normalStdDev * gaussian(rng));
+    case 'exponential':
+      return -config!.exponentialMean * Math.log(1 - rng.next());
+    case 'weibull':
+      return config!.weibullScale * (-Math.log(1 - rng.next())) ** (1 / config!.weibullShape);
+    case 'bimodal':
+      if (rng.next() < config!.infantShare) {
+        return -config!.infantMean * Math.log(1 - rng.next());
+      }
+      return Math.max(0, config!.oldAgeMean + config!.oldAgeStdDev * gaussian(rng));
+    default:
+      return minLifespan + rng.next() * (maxLifespan - minLifespan);
+  }
+}
+
+// Lanczos approximation of the gamma function (g = 7), for the Weibull mean
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+function gamma(x: number): number {
+  if (x < 0.5) {
+    return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+  }
+  const z = x - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) {
+    sum += LANCZOS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return Math.sqrt(2 * Math.PI) * t ** (z + 0.5) * Math.exp(-t) * sum;
+}
+
+// Mean of max(0, N(μ, σ²)): lifespans drawn below zero die on the first tick
+function clippedNormalMean(mean: number, stdDev: number): number {
+  const z = mean / stdDev;
+  const density = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+  return mean * normalCdf(z) + stdDev * density;
+}
+
+// Where the survival functions count as zero (the integration horizon): exponential and
+// Weibull tails at S = e^-20, normal tails 8 σ past the mean
+const SURVIVAL_CUTOFF = 20;
+const NORMAL_SIGMAS = 8;
+
+// ∫₀ᵗ f(u) du by Simpson's rule on segments that halve towards zero, so survival functions
+// that drop sharply near zero (Weibull shape < 1, infant mortality) stay accurate
+const INTEGRATION_SEGMENTS = 8;
+const INTEGRATION_STEPS = 32; // Even, per segment
+
+function integrate(f: (u: number) => number, t: number): number {
+  if (t <= 0) {
+    return 0;
+  }
+  let total = 0;
+  let start = 0;
+  for (let segment = INTEGRATION_SEGMENTS - 1; segment >= 0; segment--) {
+    const end = t / 2 ** segment;
+    const h = (end - start) / INTEGRATION_STEPS;
+    let sum = f(start) + f(end);
+    for (let i = 1; i < INTEGRATION_STEPS; i++) {
+      sum += f(start + i * h) * (i % 2 === 0 ? 2 : 4);
+    }
+    total += (sum * h) / 3;
+    start = end;
+  }
+  return total;
+}
+
+/**
+ * A lifespan distribution in one time unit (seconds or ticks, as its parameters)
+ */
+export interface LifespanDistribution {
+  mean: number;
+  horizon: number; // Beyond it practically nobody is alive
+  survival(u: number): number; // P(L > u)
+  survivalIntegral(t: number): number; // ∫₀ᵗ S(u) du
+  survivalSquareIntegral(t: number): number; // ∫₀ᵗ S(u)² du
+}
+
+function uniformDistribution(a: number, b: number): LifespanDistribution {
+  const width = b - a;
+  return {
+    mean: (a + b) / 2,
+    horizon: b,
+    survival: u => {
+      if (u < a) {
+        return 1;
+      }
+      if (u >= b || b <= a) {
+        return 0;
+      }
+      return (b - u) / width;
+    },
+    survivalIntegral: t => {
+      if (t <= a) {
+        return Math.max(0, t);
+      }
+      const end = Math.min(t, b);
+      return a + (width > 0 ? (width ** 2 - (b - end) ** 2) / (2 * width) : 0);
+    },
+    survivalSquareIntegral: t => {
+      if (t <= a) {
+        return Math.max(0, t);
+      }
+      const end = Math.min(t, b);
+      return a + (width > 0 ? (width ** 3 - (b - end) ** 3) / (3 * width * width) : 0);
+    },
+  };
+}
+
+function numericDistribution(
+  mean: number,
+  horizon: number,
+  survival: (u: number) => number
+): LifespanDistribution {
+  const square = (u: number): number => survival(u) ** 2;
+  return {
+    mean,
+    horizon,
+    survival,
+    survivalIntegral: t => (t >= horizon ? mean : integrate(survival, t)),
+    survivalSquareIntegral: t => integrate(square, Math.min(t, horizon)),
+  };
+}
+
+/**
+ * The distribution described by the settings (or engine config), in their time unit
+ */
+export function lifespanDistribution(
+  settings: LifespanSettings | undefined,
+  minLifespan: number,
+  maxLifespan: number
+): LifespanDistribution {
+  const normalSurvival = (u: number, mean: number, stdDev: number): number =>
+    u < 0 ? 1 : 1 - normalCdf((u - mean) / stdDev);
+
+  switch (settings?.distribution ?? 'uniform') {
+    case 'normal': {
+      const { normalMean: mean, normalStdDev: stdDev } = settings!;
+      return numericDistribution(
+        clippedNormalMean(mean, stdDev),
+        mean + NORMAL_SIGMAS * stdDev,
+        u => normalSurvival(u, mean, stdDev)
+      );
+    }
+    case 'exponential': {
+      const mean = settings!.exponentialMean;
+      return numericDistribution(mean, mean * SURVIVAL_CUTOFF, u =>
+        u < 0 ? 1 : Math.exp(-u / mean)
+      );
+    }
+    case 'weibull': {
+      const { weibullScale: scale, weibullShape: shape } = settings!;
+      return numericDistribution(
+        scale * gamma(1 + 1 / shape),
+        scale * SURVIVAL_CUTOFF ** (1 / shape),
+        u => (u < 0 ? 1 : Math.exp(-((u / scale) ** shape)))
+      );
+    }
+    case 'bimodal': {
+      const { infantShare: p, infantMean, oldAgeMean, oldAgeStdDev } = settings!;
+      return numericDistribution(
+        p * infantMean + (1 - p) * clippedNormalMean(oldAgeMean, oldAgeStdDev),
+        Math.max(infantMean * SURVIVAL_CUTOFF, oldAgeMean + NORMAL_SIGMAS * oldAgeStdDev),
+        u =>
+          u < 0
+            ? 1
+            : p * Math.exp(-u / infantMean) + (1 - p) * normalSurvival(u, oldAgeMean, oldAgeStdDev)
+      );
+    }
+    default:
+      return uniformDistribution(minLifespan, maxLifespan);
+  }
+}
+
+/**
+ * Mean lifespan in the unit of the parameters (for uniform simply (min + max) / 2)
+ */
+export function meanLifespan(
+  settings: LifespanSettings | undefined,
+  minLifespan: number,
+  maxLifespan: number
+): number {
+  return lifespanDistribution(settings, minLifespan, maxLifespan).mean;
+}
+
+/**
+ * Expected souls per age bucket in a settled population: in equilibrium the ages of the
+ * living souls have density S(a) / mean lifespan (all in seconds)
+ */
+export function expectedAgeHistogram(
+  distribution: LifespanDistribution,
+  population: number,
+  buckets: number = AGE_HISTOGRAM_BUCKETS,
+  bucketWidth: number = AGE_HISTOGRAM_BUCKET_SECONDS
+): number[] {
+  if (distribution.mean <= 0) {
+    return new Array(buckets).fill(0);
+  }
+  const scale = population / distribution.mean;
+  return Array.from({ length: buckets }, (_, i) => {
+    const from = distribution.survivalIntegral(i * bucketWidth);
+    const to =
+      i === buckets - 1 ? distribution.mean : distribution.survivalIntegral((i + 1) * bucketWidth);
+    return Math.max(0, to - from) * scale;
+  });
+}
@@ -0,0 +1,141 @@
+// src/lib/engine/network.ts
+// Network analytics over the connection graph: souls are nodes, tracked connections (or bonds)
+// are edges. Metrics are recomputed from the live edge set at each report, which costs
+// O(edges + Σ degree²) - bounded by the per-soul connection limit.
+
+import type { EngineSoul } from './engineTypes';
+
+export interface NetworkStats {
+  nodes: number; // Living souls
+  edges: number;
+  components: number; // Connected clusters of two or more souls
+  isolated: number; // Souls without connections
+  largestCluster: number; // Souls in the largest cluster
+  meanDegree: number;
+  degreeHistogram: number[]; // Souls per degree; the last bucket holds that degree and above
+  clustering: number; // Mean local clustering coefficient over souls with degree ≥ 2
+  mixing: number | null; // Share of human–GPT edges among human/GPT edges (null without any)
+}
+
+// Degrees 0 to DEGREE_HISTOGRAM_BUCKETS - 1, the last bucket collects the rest
+export const DEGREE_HISTOGRAM_BUCKETS = 16;
+
+/**
+ * Compute graph metrics for the living souls; edges to souls that are gone are ignored
+ */
+export function computeNetworkStats(
+  souls: EngineSoul[],
+  edges: Iterable<[number, number]>
+): NetworkStats {
+  const soulsById = new Map(souls.map(soul => [soul.id, soul]));
+  const adjacency = new Map<number, Set<number>>();
+  const parent = new Map<number, number>();
+
+  const find = (id: number): number => {
+    let root = id;
+    while (parent.get(root) !== root) {
+      root = parent.get(root)!;
+    }
+    // Path compression
+    let node = id;
+    while (node !== root) {
+      const next = parent.get(node)!;
+      parent.set(node, root);
+      node = next;
+    }
+    return root;
+  };
+
+  souls.forEach(soul => parent.set(soul.id, soul.id));
+
+  let edgeCount = 0;
+  let typedEdges = 0;
+  let mixedEdges = 0;
+  for (const [a, b] of edges) {
+    const soulA = soulsById.get(a);
+    const soulB = soulsById.get(b);
+    if (!soulA || !soulB || a === b) {
+      continue;
+    }
+    let neighbors = adjacency.get(a);
+    if (!neighbors) {
+      neighbors = new Set();
+      adjacency.set(a, neighbors);
+    }
+    if (neighbors.has(b)) {
+      continue;
+    }
+    neighbors.add(b);
+    let otherNeighbors = adjacency.get(b);
+    if (!otherNeighbors) {
+      otherNeighbors = new Set();
+      adjacency.set(b, otherNeighbors);
+    }
+    otherNeighbors.add(a);
+    edgeCount++;
+
+    if (!soulA.isDewa && !soulB.isDewa) {
+      typedEdges++;
+      if (soulA.isHuman !== soulB.isHuman) {
+        mixedEdges++;
+      }
+    }
+
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent.set(rootA, rootB);
+    }
+  }
+
+  const clusterSizes = new Map<number, number>();
+  const degreeHistogram = new Array<number>(DEGREE_HISTOGRAM_BUCKETS).fill(0);
+  let isolated = 0;
+  let clusteringSum = 0;
+  let clusteringCount = 0;
+  souls.forEach(soul => {
+    const neighbors = adjacency.get(soul.id);
+    const degree = neighbors ? neighbors.size : 0;
+    degreeHistogram[Math.min(degree, DEGREE_HISTOGRAM_BUCKETS - 1)]++;
+    if (degree === 0) {
+      isolated++;
+      return;
+    }
+
+    const root = find(soul.id);
+    clusterSizes.set(root, (clusterSizes.get(root) ?? 0) + 1);
+
+    if (neighbors && degree >= 2) {
+      // Share of neighbor pairs that are connected themselves
+      const list = Array.from(neighbors);
+      let links = 0;
+      for (let i = 0; i < list.length; i++) {
+        const neighborsOfI = adjacency.get(list[i]);
+        for (let j = i + 1; j < list.length; j++) {
+          if (neighborsOfI?.has(list[j])) {
+            links++;
+          }
+        }
+      }
+      clusteringSum += links / ((degree * (degree - 1)) / 2);
+      clusteringCount++;
+    }
+  });
+
+  let largestCluster = 0;
+  clusterSizes.forEach(size => {
+    largestCluster = Math.max(largestCluster, size);
+  });
+
+  return {
+    nodes: souls.length,
+    edges: edgeCount,
+    components: clusterSizes.size,
+    isolated,
+    largestCluster,
+    meanDegree: souls.length > 0 ? (2 * edgeCount) / souls.length : 0,
+    degreeHistogram,
+    clustering: clusteringCount > 0 ? clusteringSum / clusteringCount : 0,
+    mixing: typedEdges > 0 ? mixedEdges / typedEdges : null,
+  };
+}
@@ -0,0 +1,81 @@
+// src/lib/engine/pointer.ts
+// Pointer interaction subsystem: how the cursor acts on souls inside the pointer radius.
+//   off     - pointer has no effect
+//   attract - souls of species that feel it (humans) steer toward the cursor (original behaviour)
+//   repel   - every soul steers away from the cursor
+//   vortex  - souls orbit the cursor around the camera view axis
+//   spawn   - holding the pointer down spawns new souls at the cursor
+
+import type { EngineSoul } from './engineTypes';
+import { vec, type Vector3 } from './vectorMath';
+
+export type PointerMode = 'off' | 'attract' | 'repel' | 'vortex' | 'spawn';
+
+export const POINTER_MODES: PointerMode[] = ['off', 'attract', 'repel', 'vortex', 'spawn'];
+
+// How the cursor depth is chosen on the main thread
+//   plane - camera-facing plane through the orbit target
+//   soul  - snaps to the soul nearest the pointer ray, falls back to the plane
+export type PointerDepthMode = 'plane' | 'soul';
+
+export const POINTER_DEPTH_MODES: PointerDepthMode[] = ['plane', 'soul'];
+
+export const DEFAULT_POINTER_MODE: PointerMode = 'attract';
+export const DEFAULT_POINTER_DEPTH_MODE: PointerDepthMode = 'plane';
+
+export const POINTER_SETTINGS = {
+  SPAWN_RATE: 20, // Souls per second while the pointer is held down in spawn mode
+  SPAWN_JITTER: 1.5, // Spawned souls are scattered up to this far from the cursor
+  VORTEX_INWARD_PULL: 0.3, // Inward share of the vortex direction, keeps souls orbiting
+  SOUL_SNAP_DISTANCE: 2, // Souls this close to the pointer ray set the cursor depth
+};
+
+// Pointer state for one tick, sent by the main thread while the pointer is over the scene
+export interface PointerInput {
+  position: Vector3;
+  mode: PointerMode;
+  axis?: Vector3; // Camera view direction, the vortex spins around it
+  spawnRate?: number; // Souls per tick to spawn at the cursor (spawn mode, pointer held down)
+}
+
+export function isPointerMode(value: unknown): value is PointerMode {
+  return typeof value === 'string' && (POINTER_MODES as string[]).includes(value);
+}
+
+export function isPointerDepthMode(value: unknown): value is PointerDepthMode {
+  return typeof value === 'string' && (POINTER_DEPTH_MODES as string[]).includes(value);
+}
+
+/**
+ * Direction the pointer steers this soul toward, or null when the pointer leaves it alone.
+ * offset is the vector from the cursor to the soul (boundary-aware)
+ */
+export function pointerSteeringDirection(
+  soul: EngineSoul,
+  pointer: PointerInput,
+  offset: Vector3
+): Vector3 | null {
+  switch (pointer.mode) {
+    case 'attract':
+      return soul.traits.feels.pointerAttraction
+        ? vec.normalize(vec.multiplyScalar(offset, -1))
+        : null;
+    case 'repel':
+      return vec.normalize(offset);
+    case 'vortex': {
+      const axis = pointer.axis ?? vec.create(0, 1, 0);
+      const tangent = vec.normalize(cross(axis, offset));
+      const inward = vec.multiplyScalar(
+        vec.normalize(offset),
+        -POINTER_SETTINGS.VORTEX_INWARD_PULL
+      );
+      return vec.normalize(vec.add(tangent, inward));
+    }
+    default:
+      return null;
+  }
+}
+
+function cross(a: Vector3, b: Vector3): Vector3 {
+  return vec.create(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+}
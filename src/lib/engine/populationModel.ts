@@ -0,0 +1,99 @@
+// src/lib/engine/populationModel.ts
+// Analytic population model. Births are a Bernoulli process per tick (the whole part of the
+// per-tick spawn rate always, the fraction as a probability) and lifespans follow the chosen
+// lifespan distribution (uniform between the minimum and maximum by default) - an M/G/∞
+// queue in discrete time. After a change at time 0 the population is the souls already
+// alive that survive plus the newborns still alive, which gives the expected trajectory N(t)
+// and its variance from the survival function of the distribution.
+// Souls alive at the change keep the lifespans they were born with: a fresh start (the
+// initial souls) survives with the lifespan distribution itself, a population that was
+// settled survives with its residual-life (equilibrium excess) distribution.
+
+import { SIMULATION_TICK_RATE } from '../constants/config';
+import { lifespanDistribution, type LifespanSettings } from './lifespan';
+
+export interface PopulationModelParameters {
+  spawnRate: number; // Souls per second
+  minLifespan: number; // Seconds
+  maxLifespan: number; // Seconds
+  lifespan?: LifespanSettings; // Uniform between the bounds when absent
+}
+
+// Population at the start of an episode (a parameter change or the simulation start)
+export interface PopulationEpoch {
+  population: number;
+  minLifespan: number; // Seconds, lifespans the existing souls were born with
+  maxLifespan: number; // Seconds
+  lifespan?: LifespanSettings;
+  fresh: boolean; // Souls just born (initial souls) rather than a settled population
+}
+
+export interface PopulationPrediction {
+  mean: number;
+  sigma: number;
+}
+
+/**
+ * Share of the souls alive at the start of an epoch that are still alive after t seconds
+ */
+function epochSurvival(t: number, epoch: PopulationEpoch): number {
+  const distribution = lifespanDistribution(epoch.lifespan, epoch.minLifespan, epoch.maxLifespan);
+  if (epoch.fresh) {
+    return distribution.survival(t);
+  }
+  return distribution.mean > 0
+    ? Math.max(0, 1 - distribution.survivalIntegral(t) / distribution.mean)
+    : 0;
+}
+
+/**
+ * Expected population and standard deviation t seconds after the start of an epoch
+ */
+export function predictPopulation(
+  params: PopulationModelParameters,
+  epoch: PopulationEpoch,
+  t: number,
+  tickRate: number = SIMULATION_TICK_RATE
+): PopulationPrediction {
+  const elapsed = Math.max(0, t);
+  const distribution = lifespanDistribution(
+    params.lifespan,
+    params.minLifespan,
+    params.maxLifespan
+  );
+
+  // Survivors of the starting population: binomial
+  const survived = epochSurvival(elapsed, epoch);
+  const survivorMean = epoch.population * survived;
+  const survivorVariance = epoch.population * survived * (1 - survived);
+
+  // Newborns still alive: per tick, whole births survive independently, the fractional
+  // birth is Bernoulli - variance per tick m·S(1-S) + f·S(1-f·S)
+  const perTick = params.spawnRate / tickRate;
+  const whole = Math.floor(perTick);
+  const fraction = perTick - whole;
+  const i1 = distribution.survivalIntegral(elapsed);
+  const i2 = distribution.survivalSquareIntegral(elapsed);
+  const newbornMean = params.spawnRate * i1;
+  const newbornVariance = tickRate * ((whole + fraction) * i1 - (whole + fraction ** 2) * i2);
+
+  return {
+    mean: survivorMean + newbornMean,
+    sigma: Math.sqrt(Math.max(0, survivorVariance + newbornVariance)),
+  };
+}
+
+/**
+ * Long-run population: mean spawnRate × mean lifespan and its standard deviation
+ */
+export function steadyStatePopulation(
+  params: PopulationModelParameters,
+  tickRate: number = SIMULATION_TICK_RATE
+): PopulationPrediction {
+  return predictPopulation(
+    params,
+    { population: 0, minLifespan: 0, maxLifespan: 0, fresh: true },
+    lifespanDistribution(params.lifespan, params.minLifespan, params.maxLifespan).horizon,
+    tickRate
+  );
+}
@@ -0,0 +1,149 @@
+// src/lib/engine/reincarnation.ts
+// Reincarnation subsystem: dead souls wait in the "bardo" pool, then come back with the same id.
+// A reborn soul takes the place of a new soul in the birth process, so the spawn rate and the
+// equilibrium population stay the same - only identities are recycled instead of minted.
+
+import { DEWA_SPAWN_CHANCE, SIMULATION_TICK_RATE } from '../constants/config';
+import { secondsToTicks } from '../utils/simulationClock';
+import type { EngineSoul } from './engineTypes';
+import type { RandomSource, SoulType } from './soulFactory';
+
+// How the vessel of a reborn soul is chosen. A re-rolled vessel is one of the built-in species;
+// souls of other species only come back as themselves (keepVesselChance)
+export interface VesselRules {
+  keepVesselChance: number; // Chance to return in the same vessel, otherwise re-rolled
+  dewaChance: number; // Chance a re-rolled vessel is a dewa
+  humanChance: number; // Chance a re-rolled non-dewa vessel is human rather than GPT
+}
+
+// User-facing settings, delay in seconds
+export interface ReincarnationSettings extends VesselRules {
+  enabled: boolean;
+  delay: number; // Seconds a soul spends in the bardo before it can be reborn
+}
+
+// Engine config, delay in ticks
+export interface ReincarnationConfig extends VesselRules {
+  enabled: boolean;
+  delay: number; // Ticks
+}
+
+export const DEFAULT_REINCARNATION: ReincarnationSettings = {
+  enabled: false,
+  delay: 2,
+  keepVesselChance: 0.5,
+  dewaChance: DEWA_SPAWN_CHANCE,
+  humanChance: 0.5,
+};
+
+export const REINCARNATION_LIMITS = {
+  MAX_DELAY: 30, // Seconds
+};
+
+/**
+ * Clamp partial settings into valid ones (chances to [0, 1], delay to [0, MAX_DELAY])
+ */
+export function validateReincarnationSettings(
+  settings: Partial<ReincarnationSettings>
+): ReincarnationSettings {
+  const chance = (value: number | undefined, fallback: number): number =>
+    Math.max(0, Math.min(1, value ?? fallback));
+
+  return {
+    enabled: settings.enabled ?? DEFAULT_REINCARNATION.enabled,
+    delay: Math.max(
+      0,
+      Math.min(REINCARNATION_LIMITS.MAX_DELAY, settings.delay ?? DEFAULT_REINCARNATION.delay)
+    ),
+    keepVesselChance: chance(settings.keepVesselChance, DEFAULT_REINCARNATION.keepVesselChance),
+    dewaChance: chance(settings.dewaChance, DEFAULT_REINCARNATION.dewaChance),
+    humanChance: chance(settings.humanChance, DEFAULT_REINCARNATION.humanChance),
+  };
+}
+
+/**
+ * Convert user-facing settings (seconds) to the engine config (ticks)
+ */
+export function toTickReincarnation(
+  settings: ReincarnationSettings,
+  tickRate: number = SIMULATION_TICK_RATE
+): ReincarnationConfig {
+  return { ...settings, delay: secondsToTicks(settings.delay, tickRate) };
+}
+
+/**
+ * Roll the vessel of a reborn soul from its previous one
+ */
+export function rollReincarnationType(
+  previous: SoulType,
+  rules: VesselRules,
+  rng: RandomSource
+): SoulType {
+  if (rng.next() < rules.keepVesselChance) {
+    return { species: previous.species };
+  }
+  if (rng.next() < rules.dewaChance) {
+    return { species: 'dewa' };
+  }
+  return { species: rng.next() < rules.humanChance ? 'human' : 'gpt' };
+}
+
+export interface BardoEntry extends SoulType {
+  id: number;
+  incarnation: number; // Incarnation that just ended
+  releaseTick: number; // First tick the soul may be reborn
+}
+
+/**
+ * Waiting pool of dead souls, in order of death
+ */
+export class BardoPool {
+  private entries: BardoEntry[] = [];
+
+  enter(soul: EngineSoul, releaseTick: number): void {
+    this.entries.push({
+      id: soul.id,
+      incarnation: soul.incarnation,
+      species: soul.species,
+      releaseTick,
+    });
+  }
+
+  /**
+   * Take the longest-waiting soul whose delay is over, or null if none is ready
+   */
+  takeReady(tick: number): BardoEntry | null {
+    const index = this.entries.findIndex(entry => entry.releaseTick <= tick);
+    if (index === -1) {
+      return null;
+    }
+    return this.entries.splice(index, 1)[0];
+  }
+
+  get size(): number {
+    return this.entries.length;
+  }
+
+  /**
+   * Entry of a soul waiting in the bardo, or null if it is not there
+   */
+  find(id: number): BardoEntry | null {
+    const entry = this.entries.find(candidate => candidate.id === id);
+    return entry ? { ...entry } : null;
+  }
+
+  getEntries(): BardoEntry[] {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Replace the waiting souls (snapshot restore)
+   */
+  load(entries: BardoEntry[]): void {
+    this.entries = entries.map(entry => ({ ...entry }));
+  }
+
+  clear(): void {
+    this.entries = [];
+  }
+}
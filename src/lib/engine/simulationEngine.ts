@@ -0,0 +1,1124 @@
+// src/lib/engine/simulationEngine.ts
+// Pure simulation step: spatial grid, separation, dewa attraction, life decrement,
+// recycling, spawning and connections. No DOM, no worker globals - runs in a worker or in Node.
+// Which forces apply to a soul comes from its species (see species.ts), not from its vessel.
+
+import type { LODData, PhysicsConstants, SoulData } from '../../types';
+import { RANDOM_STREAMS, SeededRandom } from '../utils/random';
+import { BondRegistry, DEFAULT_BONDS, toTickBonds, type BondConfig, type BondStats } from './bonds';
+import { Boundary, type BoundaryConfig } from './boundaries';
+import { computePopulationStructure, type PopulationStructure } from './census';
+import {
+  calculateBondConnections,
+  ConnectionSampler,
+  validateConnectionBudget,
+  type ConnectionBudget,
+  type ConnectionCoverage,
+} from './connections';
+import {
+  blendHue,
+  DEFAULT_CONVERSION,
+  isOtherTypeMajority,
+  toTickConversion,
+  type ConversionConfig,
+  type ConversionEvent,
+} from './conversion';
+import type {
+  ConnectionLine,
+  ConnectionTally,
+  EngineSettings,
+  EngineSoul,
+  EngineState,
+  PopulationCensus,
+  PopulationParameters,
+  StepInput,
+  StepResult,
+  Vector3,
+} from './engineTypes';
+import {
+  DEFAULT_ESSENCE,
+  EssencePool,
+  toTickEssence,
+  type EssenceConfig,
+  type EssenceStats,
+} from './essence';
+import { buildSoulInspection, type SoulInspection } from './inspection';
+import { computeNetworkStats, type NetworkStats } from './network';
+import { POINTER_SETTINGS, pointerSteeringDirection, type PointerInput } from './pointer';
+import {
+  BardoPool,
+  DEFAULT_REINCARNATION,
+  rollReincarnationType,
+  toTickReincarnation,
+  type ReincarnationConfig,
+} from './reincarnation';
+import {
+  conversionHueShift,
+  generateSoulData,
+  rollNewSoulType,
+  rollSpawnCount,
+  type SoulPalette,
+} from './soulFactory';
+import { getSpecies, speciesFlags, speciesTraits } from './species';
+import { SpatialGrid } from './spatialGrid';
+import { hslToRgb, mathUtils, vec } from './vectorMath';
+
+// Engine constants - fixed behaviour that is not exposed as physics tuning
+export const ENGINE_SETTINGS: EngineSettings = {
+  // Pulse and animation
+  PULSE_INCREMENT: 0.02,
+  PULSE_MULTIPLIER: 2,
+  FLICKER_MULTIPLIER: 3,
+
+  // Color change detection thresholds
+  HSL_PRECISION: 0.01, // 1% threshold for color changes
+  OPACITY_PRECISION: 0.01, // 1% threshold for opacity changes
+
+  // Visual effects
+  LIGHTNESS_PULSE_AMPLITUDE: 0.2,
+  OPACITY_BASE: 0.5,
+  OPACITY_RANGE: 0.5,
+
+  // Movement
+  DISTANCE_EPSILON: 0.0001, // Small value to prevent division by zero
+
+  // Connection calculation defaults
+  DEFAULT_INTERACTION_DISTANCE: 6,
+  DEFAULT_MAX_CONNECTIONS: 1000,
+  DEFAULT_MAX_SOULS_TO_CHECK: 150, // Souls searched per connection pass, round-robin
+  DEFAULT_CONNECTION_LIMIT: 20, // Connections per soul
+
+  // Spatial grid
+  SPATIAL_GRID_CELL_SIZE: 8.0, // Cell size slightly larger than max interaction radius
+};
+
+// Physics constants the engine consumes (INTERACTION_DISTANCE is optional for older callers)
+export type EnginePhysicsConstants = Omit<PhysicsConstants, 'INTERACTION_DISTANCE'> &
+  Partial<Pick<PhysicsConstants, 'INTERACTION_DISTANCE'>>;
+
+// Pre-calculated squared distances for performance
+interface SquaredRadii {
+  NEIGHBOR_SPEED_INFLUENCE_RADIUS_SQ: number;
+  SEPARATION_DISTANCE_SQ: number;
+  DEWA_ATTRACTION_RADIUS_SQ: number;
+  DEWA_ENHANCEMENT_RADIUS_SQ: number;
+  POINTER_INTERACTION_RADIUS_SQ: number;
+}
+
+// LOD Physics Helper Functions
+function shouldUpdatePhysicsForSoul(
+  soul: EngineSoul,
+  lodData: Record<number, LODData>,
+  frameCount: number
+): boolean {
+  const lodInfo = lodData[soul.id];
+  if (!lodInfo) {
+    return true;
+  } // Default to full physics if no LOD data
+
+  // Skip physics for culled souls entirely
+  if (lodInfo.lod === 'CULLED') {
+    return false;
+  }
+
+  // For other LOD levels, use physics update rate
+  const updateRate = lodInfo.physicsUpdateRate;
+  if (updateRate >= 1.0) {
+    return true;
+  } // HIGH LOD - always update
+  if (updateRate <= 0) {
+    return false;
+  } // Should not happen, but safety check
+
+  // Use frame count to distribute physics updates across frames, staggered by id so
+  // souls on the same level do not all update on the same tick
+  const interval = Math.round(1 / updateRate);
+  return (frameCount + soul.id) % interval === 0;
+}
+
+export class SimulationEngine {
+  private souls: EngineSoul[] = [];
+  private pulseTime = 0;
+  private frameCount = 0; // For LOD physics update rate calculations
+  private rng: SeededRandom;
+  private spawnRng: SeededRandom; // Births only, independent of LOD-driven connection sampling
+  private nextSoulId = 0;
+  private palette: SoulPalette | null = null;
+  private population: PopulationParameters | null = null; // Spawning is off until configured
+  private settings: EngineSettings;
+  private spatialGrid: SpatialGrid;
+  private boundary: Boundary = new Boundary();
+  private reincarnation: ReincarnationConfig = toTickReincarnation(DEFAULT_REINCARNATION);
+  private bardo: BardoPool = new BardoPool();
+  private essence: EssenceConfig = toTickEssence(DEFAULT_ESSENCE);
+  private essencePool: EssencePool | null = null; // Only while the essence model runs
+  private conversion: ConversionConfig = toTickConversion(DEFAULT_CONVERSION);
+  private connectionTallies: Map<number, ConnectionTally> = new Map(); // Last connection pass
+  private connectionSampler: ConnectionSampler = new ConnectionSampler();
+  private connectionBudget: ConnectionBudget;
+  private birthsSinceCensus = 0;
+  private deathsSinceCensus = 0;
+  private bondConfig: BondConfig = toTickBonds(DEFAULT_BONDS);
+  private bonds: BondRegistry = new BondRegistry();
+  private soulsById: Map<number, EngineSoul> = new Map(); // Kept in step with the population
+  private constants!: EnginePhysicsConstants;
+  private squared!: SquaredRadii;
+
+  constructor(
+    constants: EnginePhysicsConstants,
+    seed: number,
+    settings: Partial<EngineSettings> = {}
+  ) {
+    this.settings = { ...ENGINE_SETTINGS, ...settings };
+    this.spatialGrid = new SpatialGrid(this.settings.SPATIAL_GRID_CELL_SIZE);
+    this.rng = new SeededRandom(seed, RANDOM_STREAMS.WORKER);
+    this.spawnRng = new SeededRandom(seed, RANDOM_STREAMS.SPAWN);
+    this.connectionBudget = {
+      maxChecks: this.settings.DEFAULT_MAX_SOULS_TO_CHECK,
+      connectionLimit: this.settings.DEFAULT_CONNECTION_LIMIT,
+    };
+    this.setConstants(constants);
+  }
+
+  /**
+   * Switch the world boundary (open, soft centering, reflecting sphere, periodic box)
+   */
+  setBoundary(config: Partial<BoundaryConfig>): void {
+    this.boundary.setConfig(config);
+    this.spatialGrid.setPeriodic(this.boundary.getPeriodicHalfExtent());
+  }
+
+  getBoundary(): BoundaryConfig {
+    return this.boundary.getConfig();
+  }
+
+  /**
+   * Switch reincarnation on or off and set the bardo delay and vessel rules.
+   * Turning it off releases every waiting soul for good
+   */
+  setReincarnation(config: ReincarnationConfig): void {
+    this.reincarnation = { ...config };
+    if (!config.enabled) {
+      this.bardo.clear();
+    }
+  }
+
+  getReincarnation(): ReincarnationConfig {
+    return { ...this.reincarnation };
+  }
+
+  /**
+   * Number of dead souls waiting in the bardo to be reborn
+   */
+  getBardoSize(): number {
+    return this.bardo.size;
+  }
+
+  /**
+   * Choose the population model and essence economy parameters. The economy (re)starts when
+   * the essence model is switched on or its initial pool changes: the pool is refilled and
+   * every living soul holds the birth cost
+   */
+  setEssence(config: EssenceConfig): void {
+    const restart =
+      config.model === 'essence' &&
+      (!this.essencePool || config.initialPool !== this.essence.initialPool);
+    this.essence = { ...config };
+
+    if (config.model !== 'essence') {
+      this.essencePool = null;
+      return;
+    }
+    if (restart) {
+      this.essencePool = new EssencePool(config.initialPool);
+      this.souls.forEach(soul => {
+        soul.essence = config.birthCost;
+      });
+    }
+  }
+
+  getEssence(): EssenceConfig {
+    return { ...this.essence };
+  }
+
+  /**
+   * Pool level and essence held by the living, or null under the rate model
+   */
+  getEssenceStats(): EssenceStats | null {
+    if (!this.essencePool) {
+      return null;
+    }
+    const pool = this.essencePool.getLevel();
+    const held = this.souls.reduce((sum, soul) => sum + soul.essence, 0);
+    return {
+      pool,
+      held,
+      total: pool + held,
+      meanEssence: this.souls.length > 0 ? held / this.souls.length : 0,
+    };
+  }
+
+  /**
+   * Switch vessel conversion on or off and set its exposure time and majority share.
+   * Turning it off settles every soul back into its current vessel
+   */
+  setConversion(config: ConversionConfig): void {
+    this.conversion = { ...config };
+    if (!config.enabled) {
+      this.souls.forEach(soul => {
+        soul.conversionExposure = 0;
+        soul.baseHSL.h = soul.vesselHue;
+      });
+    }
+  }
+
+  getConversion(): ConversionConfig {
+    return { ...this.conversion };
+  }
+
+  /**
+   * Switch bonds on or off and set their formation, decay, break distance and spring force.
+   * Turning them off breaks every bond
+   */
+  setBonds(config: BondConfig): void {
+    this.bondConfig = { ...config };
+    if (!config.enabled) {
+      this.bonds.clear();
+    }
+  }
+
+  getBonds(): BondConfig {
+    return { ...this.bondConfig };
+  }
+
+  /**
+   * Bond count, mean strength and oldest age, or null while bonds are off
+   */
+  getBondStats(): BondStats | null {
+    return this.bondConfig.enabled ? this.bonds.getStats() : null;
+  }
+
+  /**
+   * Set how many souls each connection pass searches and how many connections a soul may
+   * have (from the quality settings)
+   */
+  setConnectionBudget(budget: ConnectionBudget): void {
+    this.connectionBudget = validateConnectionBudget(budget);
+  }
+
+  getConnectionBudget(): ConnectionBudget {
+    return { ...this.connectionBudget };
+  }
+
+  /**
+   * Coverage of the last connection pass, or null while bonds draw the lines instead
+   */
+  getConnectionCoverage(): ConnectionCoverage | null {
+    return this.bondConfig.enabled ? null : this.connectionSampler.getCoverage();
+  }
+
+  /**
+   * Graph metrics of the current connection network (bonds while they are on)
+   */
+  getNetworkStats(): NetworkStats {
+    return computeNetworkStats(this.souls, this.getEdges());
+  }
+
+  /**
+   * Inspector report on one soul: alive, waiting in the bardo, or gone
+   */
+  inspectSoul(id: number): SoulInspection {
+    const soul = this.soulsById.get(id) ?? null;
+    return buildSoulInspection(
+      id,
+      soul,
+      soul ? null : this.bardo.find(id),
+      this.connectionTallies.get(id) ?? null,
+      soul ? this.getPartners(id) : []
+    );
+  }
+
+  /**
+   * Souls connected to one soul in the current network (bond partners while bonds are on)
+   */
+  private getPartners(id: number): number[] {
+    return this.bondConfig.enabled
+      ? this.bonds.getBondsOf(id).map(bond => (bond.a === id ? bond.b : bond.a))
+      : this.connectionSampler.getPartners(id);
+  }
+
+  /**
+   * Edges of the current connection network (bonds while they are on)
+   */
+  private getEdges(): Array<[number, number]> {
+    return this.bondConfig.enabled
+      ? this.bonds.getBonds().map(bond => [bond.a, bond.b])
+      : this.connectionSampler.getEdges();
+  }
+
+  /**
+   * Enable spawning with the population palette and birth parameters
+   */
+  configureSpawning(palette: SoulPalette, population: PopulationParameters): void {
+    this.palette = { ...palette };
+    this.setPopulationParameters(population);
+  }
+
+  /**
+   * Update spawn rate and lifespan range (takes effect on the next tick)
+   */
+  setPopulationParameters(population: PopulationParameters): void {
+    this.population = { ...population };
+  }
+
+  /**
+   * Apply physics constants and pre-calculate squared distances
+   */
+  setConstants(constants: EnginePhysicsConstants): void {
+    this.constants = { ...constants };
+    this.squared = {
+      NEIGHBOR_SPEED_INFLUENCE_RADIUS_SQ:
+        constants.NEIGHBOR_SPEED_INFLUENCE_RADIUS * constants.NEIGHBOR_SPEED_INFLUENCE_RADIUS,
+      SEPARATION_DISTANCE_SQ: constants.SEPARATION_DISTANCE * constants.SEPARATION_DISTANCE,
+      DEWA_ATTRACTION_RADIUS_SQ:
+        constants.DEWA_ATTRACTION_RADIUS * constants.DEWA_ATTRACTION_RADIUS,
+      DEWA_ENHANCEMENT_RADIUS_SQ:
+        constants.DEWA_ENHANCEMENT_RADIUS * constants.DEWA_ENHANCEMENT_RADIUS,
+      POINTER_INTERACTION_RADIUS_SQ:
+        constants.POINTER_INTERACTION_RADIUS * constants.POINTER_INTERACTION_RADIUS,
+    };
+  }
+
+  /**
+   * Replace the whole population (worker init)
+   */
+  loadSouls(soulData: SoulData[]): void {
+    this.souls = soulData.map(s => this.toEngineSoul(s));
+    this.soulsById = new Map(this.souls.map(soul => [soul.id, soul]));
+    this.nextSoulId = this.souls.reduce((next, soul) => Math.max(next, soul.id + 1), 0);
+  }
+
+  /**
+   * Add a single soul to the population
+   */
+  addSoul(soulData: SoulData): EngineSoul {
+    const soul = this.toEngineSoul(soulData);
+    this.souls.push(soul);
+    this.soulsById.set(soul.id, soul);
+    this.nextSoulId = Math.max(this.nextSoulId, soul.id + 1);
+    return soul;
+  }
+
+  getSouls(): EngineSoul[] {
+    return this.souls;
+  }
+
+  getSoulCount(): number {
+    return this.souls.length;
+  }
+
+  /**
+   * Count the population by type, with births and deaths since the previous census
+   */
+  takeCensus(): PopulationCensus {
+    let human = 0;
+    let gpt = 0;
+    let dewa = 0;
+    let totalAge = 0;
+    this.souls.forEach(soul => {
+      if (soul.isDewa) {
+        dewa++;
+      } else if (soul.isHuman) {
+        human++;
+      } else {
+        gpt++;
+      }
+      totalAge += soul.age;
+    });
+
+    const census: PopulationCensus = {
+      tick: this.frameCount,
+      population: this.souls.length,
+      human,
+      gpt,
+      dewa,
+      births: this.birthsSinceCensus,
+      deaths: this.deathsSinceCensus,
+      meanAge: this.souls.length > 0 ? totalAge / this.souls.length : 0,
+    };
+    this.birthsSinceCensus = 0;
+    this.deathsSinceCensus = 0;
+    return census;
+  }
+
+  /**
+   * Age pyramid, vessel and speed structure of the living souls (age buckets in ticks)
+   */
+  getPopulationStructure(ageBucketTicks: number): PopulationStructure {
+    return computePopulationStructure(this.souls, ageBucketTicks);
+  }
+
+  /**
+   * Living souls per age bucket (ages in ticks); the last bucket collects the older souls
+   */
+  getAgeHistogram(bucketTicks: number, buckets: number): number[] {
+    const histogram = new Array<number>(buckets).fill(0);
+    this.souls.forEach(soul => {
+      histogram[Math.min(buckets - 1, Math.floor(soul.age / bucketTicks))]++;
+    });
+    return histogram;
+  }
+
+  getFrameCount(): number {
+    return this.frameCount;
+  }
+
+  /**
+   * Copy of the complete simulation state (souls, clock, generators, bardo, essence pool,
+   * bonds and connection sampler) for a snapshot or replay keyframe
+   */
+  saveState(): EngineState {
+    return {
+      frameCount: this.frameCount,
+      pulseTime: this.pulseTime,
+      nextSoulId: this.nextSoulId,
+      rngState: this.rng.getState(),
+      spawnRngState: this.spawnRng.getState(),
+      souls: this.souls.map(({ traits: _traits, ...soul }) => ({
+        ...soul,
+        position: vec.copy(soul.position),
+        velocity: vec.copy(soul.velocity),
+        baseHSL: { ...soul.baseHSL },
+        finalHSL: undefined,
+        finalRGB: undefined,
+        finalOpacity: undefined,
+        colorChanged: true,
+        opacityChanged: true,
+      })),
+      bardo: this.bardo.getEntries(),
+      essence: { ...this.essence },
+      essencePool: this.essencePool ? this.essencePool.getLevel() : null,
+      bonds: this.bonds.getBonds().map(bond => ({ ...bond })),
+      connectionSampler: this.connectionSampler.getState(),
+      connectionTallies: Array.from(this.connectionTallies, ([id, tally]) => [id, { ...tally }]),
+      birthsSinceCensus: this.birthsSinceCensus,
+      deathsSinceCensus: this.deathsSinceCensus,
+    };
+  }
+
+  /**
+   * Continue from a saved state (worker init from a snapshot, replay seek). Settings other
+   * than the essence config are applied through their setters
+   */
+  loadState(state: EngineState): void {
+    this.frameCount = state.frameCount;
+    this.pulseTime = state.pulseTime;
+    this.rng.setState(state.rngState);
+    this.spawnRng.setState(state.spawnRngState);
+    this.souls = state.souls.map(soul => ({
+      ...soul,
+      traits: speciesTraits(soul.species),
+      position: vec.copy(soul.position),
+      velocity: vec.copy(soul.velocity),
+      baseHSL: { ...soul.baseHSL },
+      colorChanged: true,
+      opacityChanged: true,
+    }));
+    this.soulsById = new Map(this.souls.map(soul => [soul.id, soul]));
+    this.nextSoulId = Math.max(
+      state.nextSoulId,
+      this.souls.reduce((next, soul) => Math.max(next, soul.id + 1), 0)
+    );
+    this.bardo.load(state.bardo);
+    this.essence = { ...state.essence };
+    this.essencePool = state.essencePool === null ? null : new EssencePool(state.essencePool);
+    this.bonds.load(state.bonds, state.frameCount);
+    this.birthsSinceCensus = state.birthsSinceCensus;
+    this.deathsSinceCensus = state.deathsSinceCensus;
+    this.connectionSampler.load(state.connectionSampler);
+    this.connectionTallies = new Map(
+      state.connectionTallies.map(([id, tally]) => [id, { ...tally }])
+    );
+  }
+
+  /**
+   * Reset per-frame color change flags after they have been sent out
+   */
+  clearChangeFlags(): void {
+    this.souls.forEach(soul => {
+      soul.colorChanged = false;
+      soul.opacityChanged = false;
+    });
+  }
+
+  private toEngineSoul(s: SoulData): EngineSoul {
+    return {
+      id: s.id,
+      position: vec.create(s.position.x, s.position.y, s.position.z),
+      velocity: vec.create(s.velocity.x, s.velocity.y, s.velocity.z),
+      speed: s.speed,
+      life: s.life, // Use 'life' not 'lifespan'
+      age: 0,
+      incarnation: s.incarnation ?? 1,
+      essence: s.essence ?? 0,
+      species: s.species,
+      ...speciesFlags(s.species),
+      traits: speciesTraits(s.species),
+      vesselHue: s.baseHSL.h,
+      conversionExposure: 0,
+      baseHSL: {
+        h: s.baseHSL.h, // Use baseHSL object
+        s: s.baseHSL.s,
+        l: s.baseHSL.l,
+      },
+      flickerPhase: s.flickerPhase || this.rng.next() * Math.PI * 2,
+      chosenDewaId: null, // Initialize chosenDewaId
+      finalHSL: undefined, // Initialize for color change detection
+      finalRGB: undefined, // Initialize for RGB pre-calculation
+      finalOpacity: undefined, // Initialize for opacity change detection
+      colorChanged: true, // Force initial color update
+      opacityChanged: true, // Force initial opacity update
+    };
+  }
+
+  /**
+   * Advance the simulation by one tick
+   */
+  step(input: StepInput = {}): StepResult {
+    const settings = this.settings;
+    const pointer: PointerInput | null =
+      input.pointer && input.pointer.mode !== 'off'
+        ? {
+            ...input.pointer,
+            position: vec.copy(input.pointer.position),
+            axis: input.pointer.axis ? vec.normalize(input.pointer.axis) : undefined,
+          }
+        : null;
+    const lodData = input.lodData || {}; // LOD data from main thread
+
+    this.frameCount++; // Increment frame counter for LOD physics rate calculations
+    this.pulseTime += settings.PULSE_INCREMENT;
+    const pulse = (Math.sin(this.pulseTime * settings.PULSE_MULTIPLIER) + 1) / 2;
+
+    // Clear and rebuild spatial grid for this frame
+    this.spatialGrid.clear();
+    this.souls.forEach(soul => this.spatialGrid.insert(soul));
+
+    // Souls whose species exerts attraction (the dewas) draw and brighten the others
+    const attractors = this.souls.filter(s => s.traits.exerts.attraction);
+
+    // Vessel conversion first, so this tick's colors already show the hue drift
+    const convertedSouls = this.conversion.enabled ? this.updateConversions() : [];
+
+    const soulsToRemove: number[] = [];
+    this.souls.forEach(soul => {
+      // Check if physics should update for this soul based on LOD
+      const shouldUpdatePhysics = shouldUpdatePhysicsForSoul(soul, lodData, this.frameCount);
+
+      // Skip physics calculations for culled souls or souls that shouldn't update this frame
+      if (!shouldUpdatePhysics) {
+        // Keep drifting along the current velocity so speed does not depend on the LOD level
+        this.drift(soul);
+        this.accrueEssence(soul, false);
+
+        // Still decrement life and check for removal
+        soul.life--;
+        soul.age++;
+        if (soul.life <= 0) {
+          soulsToRemove.push(soul.id);
+        }
+        return; // Skip physics for this soul this frame
+      }
+
+      this.applyPhysics(soul, attractors, pointer);
+
+      soul.life--; // Decrement life
+      soul.age++;
+
+      const nearDewa = this.updateColor(soul, attractors, pulse);
+      this.accrueEssence(soul, nearDewa);
+
+      // Soul recycling: if life is over, mark for removal
+      if (soul.life <= 0) {
+        soulsToRemove.push(soul.id);
+      }
+    });
+
+    // Remove souls marked for removal
+    if (soulsToRemove.length > 0) {
+      const removed = new Set(soulsToRemove);
+      this.souls = this.souls.filter(soul => {
+        if (!removed.has(soul.id)) {
+          return true;
+        }
+        this.soulsById.delete(soul.id);
+        // Essence economy: everything the soul held flows back into the pool
+        this.essencePool?.deposit(soul.essence);
+        this.bonds.removeSoul(soul.id);
+
+        // Reincarnation: the soul waits in the bardo instead of disappearing
+        if (this.reincarnation.enabled) {
+          this.bardo.enter(soul, this.frameCount + this.reincarnation.delay);
+        }
+        return false;
+      });
+    }
+
+    const spawnedSouls = this.spawnSouls();
+    if (pointer && pointer.mode === 'spawn' && pointer.spawnRate) {
+      spawnedSouls.push(...this.spawnSouls(pointer.spawnRate, pointer.position));
+    }
+    this.birthsSinceCensus += spawnedSouls.length;
+    this.deathsSinceCensus += soulsToRemove.length;
+
+    // Calculate connections between the surviving souls
+    let connections: ConnectionLine[] = [];
+    if (input.computeConnections !== false) {
+      const interactionDistance =
+        this.constants.INTERACTION_DISTANCE ?? settings.DEFAULT_INTERACTION_DISTANCE;
+      this.connectionTallies.clear();
+      if (this.bondConfig.enabled) {
+        // Bonds replace the per-frame proximity lines
+        this.bonds.update(
+          this.souls,
+          this.spatialGrid,
+          this.boundary,
+          interactionDistance,
+          this.bondConfig,
+          this.frameCount
+        );
+        connections = calculateBondConnections(
+          this.bonds.getBonds(),
+          this.soulsById,
+          this.boundary,
+          settings.DEFAULT_MAX_CONNECTIONS,
+          lodData,
+          this.connectionTallies
+        );
+      } else {
+        connections = this.connectionSampler.update(
+          this.souls,
+          this.spatialGrid,
+          this.boundary,
+          this.rng,
+          interactionDistance,
+          settings.DEFAULT_MAX_CONNECTIONS,
+          this.connectionBudget,
+          lodData, // Pass LOD data for connection optimization
+          this.connectionTallies
+        );
+      }
+    }
+
+    return { removedSoulIds: soulsToRemove, spawnedSouls, convertedSouls, connections };
+  }
+
+  /**
+   * Birth process: roll this tick's spawn count and add the new souls.
+   * With reincarnation on, each birth goes to a soul from the bardo whose delay is over
+   * (same id, next incarnation) and only mints a new id when none is ready.
+   * Under the essence model every birth is funded from the pool; births stop when it runs dry.
+   * With an origin (pointer spawning) the souls are scattered around it instead of the center
+   */
+  private spawnSouls(rate?: number, origin?: Vector3): SoulData[] {
+    if (!this.palette || !this.population) {
+      return [];
+    }
+
+    const { spawnRate, minLifespan, maxLifespan, lifespan } = this.population;
+    const spawnCount = rollSpawnCount(rate ?? spawnRate, this.spawnRng);
+    const spawned: SoulData[] = [];
+    for (let i = 0; i < spawnCount; i++) {
+      if (this.essencePool && !this.essencePool.canAfford(this.essence.birthCost)) {
+        break;
+      }
+
+      const reborn = this.reincarnation.enabled ? this.bardo.takeReady(this.frameCount) : null;
+      const { species } = reborn
+        ? rollReincarnationType(reborn, this.reincarnation, this.spawnRng)
+        : rollNewSoulType(this.spawnRng);
+      const soulData = generateSoulData(
+        reborn ? reborn.id : this.nextSoulId,
+        { species, minLifespan, maxLifespan, lifespan },
+        this.palette,
+        this.spawnRng
+      );
+      soulData.incarnation = reborn ? reborn.incarnation + 1 : 1;
+      soulData.essence = this.essencePool ? this.essencePool.withdraw(this.essence.birthCost) : 0;
+      if (origin) {
+        const jitter = POINTER_SETTINGS.SPAWN_JITTER;
+        soulData.position = {
+          x: origin.x + (this.spawnRng.next() - 0.5) * 2 * jitter,
+          y: origin.y + (this.spawnRng.next() - 0.5) * 2 * jitter,
+          z: origin.z + (this.spawnRng.next() - 0.5) * 2 * jitter,
+        };
+      }
+      this.addSoul(soulData);
+      spawned.push(soulData);
+    }
+    return spawned;
+  }
+
+  /**
+   * Neighbor speed influence, separation, dewa attraction, perturbation,
+   * pointer interaction and integration for a single soul
+   */
+  private applyPhysics(
+    soul: EngineSoul,
+    attractors: EngineSoul[],
+    pointer: PointerInput | null
+  ): void {
+    const settings = this.settings;
+    const constants = this.constants;
+    const squared = this.squared;
+    const traits = soul.traits;
+
+    // === Speed influence from neighbors using spatial partitioning ===
+    if (traits.feels.speedInfluence) {
+      // Dewas are not affected by neighbor speed influence
+      let influencedSpeed = soul.speed;
+      const nearbyNeighbors = this.spatialGrid.getNearby(
+        soul.position,
+        constants.NEIGHBOR_SPEED_INFLUENCE_RADIUS
+      );
+
+      for (const otherSoul of nearbyNeighbors) {
+        if (soul.id === otherSoul.id || !otherSoul.traits.exerts.speedInfluence) {
+          continue;
+        }
+
+        const distanceToNeighborSq = vec.lengthSq(
+          this.boundary.delta(soul.position, otherSoul.position)
+        );
+        if (distanceToNeighborSq < squared.NEIGHBOR_SPEED_INFLUENCE_RADIUS_SQ) {
+          influencedSpeed = mathUtils.lerp(
+            influencedSpeed,
+            otherSoul.speed,
+            constants.NEIGHBOR_SPEED_INFLUENCE_STRENGTH
+          );
+        }
+      }
+      soul.speed = influencedSpeed;
+    }
+
+    // === Separation from neighbors using spatial partitioning ===
+    const separationForce = vec.create();
+    const nearbySeparationSouls = traits.feels.separation
+      ? this.spatialGrid.getNearby(soul.position, constants.SEPARATION_DISTANCE)
+      : [];
+
+    for (const otherSoul of nearbySeparationSouls) {
+      if (soul.id === otherSoul.id || !otherSoul.traits.exerts.separation) {
+        continue;
+      }
+
+      const distanceToNeighborSq = vec.lengthSq(
+        this.boundary.delta(soul.position, otherSoul.position)
+      );
+      if (distanceToNeighborSq > 0 && distanceToNeighborSq < squared.SEPARATION_DISTANCE_SQ) {
+        const distanceToNeighbor = Math.sqrt(distanceToNeighborSq); // Only calculate sqrt when needed
+        let awayVector = this.boundary.delta(soul.position, otherSoul.position);
+        awayVector = vec.normalize(awayVector);
+        awayVector = vec.multiplyScalar(
+          awayVector,
+          1 / (distanceToNeighbor + settings.DISTANCE_EPSILON)
+        );
+        separationForce.x += awayVector.x;
+        separationForce.y += awayVector.y;
+        separationForce.z += awayVector.z;
+      }
+    }
+    if (vec.lengthSq(separationForce) > 0) {
+      const scaledSeparationForce = vec.multiplyScalar(
+        separationForce,
+        constants.SEPARATION_STRENGTH
+      );
+      soul.velocity = vec.add(soul.velocity, scaledSeparationForce);
+    }
+
+    // === Dewa Attraction (optimized) ===
+    if (traits.feels.attraction) {
+      let targetDewa: EngineSoul | null = null;
+      if (soul.chosenDewaId !== null) {
+        const currentlyChosenDewa = attractors.find(g => g.id === soul.chosenDewaId);
+        if (currentlyChosenDewa) {
+          const distanceToChosenDewaSq = vec.lengthSq(
+            this.boundary.delta(soul.position, currentlyChosenDewa.position)
+          );
+          if (distanceToChosenDewaSq < squared.DEWA_ATTRACTION_RADIUS_SQ) {
+            targetDewa = currentlyChosenDewa;
+          } else {
+            soul.chosenDewaId = null;
+          }
+        } else {
+          soul.chosenDewaId = null;
+        }
+      }
+      if (targetDewa === null) {
+        let closestDewa: EngineSoul | null = null;
+        let minDistanceSq = squared.DEWA_ATTRACTION_RADIUS_SQ;
+        for (const dewa of attractors) {
+          if (dewa.id === soul.id) {
+            continue;
+          }
+          const distanceToDewaSq = vec.lengthSq(this.boundary.delta(dewa.position, soul.position));
+          if (distanceToDewaSq < minDistanceSq) {
+            minDistanceSq = distanceToDewaSq;
+            closestDewa = dewa;
+          }
+        }
+        if (closestDewa) {
+          soul.chosenDewaId = closestDewa.id;
+          targetDewa = closestDewa;
+        }
+      }
+      if (targetDewa) {
+        const distanceToTargetDewaSq = vec.lengthSq(
+          this.boundary.delta(soul.position, targetDewa.position)
+        );
+        if (
+          distanceToTargetDewaSq > 0 &&
+          distanceToTargetDewaSq < squared.DEWA_ATTRACTION_RADIUS_SQ
+        ) {
+          const distanceToTargetDewa = Math.sqrt(distanceToTargetDewaSq); // Only calculate sqrt when needed
+          const directionToDewa = vec.normalize(
+            this.boundary.delta(targetDewa.position, soul.position)
+          );
+          const attractionForce = vec.multiplyScalar(
+            directionToDewa,
+            constants.DEWA_ATTRACTION_STRENGTH *
+              (1 - distanceToTargetDewa / constants.DEWA_ATTRACTION_RADIUS)
+          );
+          soul.velocity = vec.add(soul.velocity, attractionForce);
+        }
+      }
+    }
+
+    // Bond springs: a weak pull toward bonded partners
+    if (this.bondConfig.enabled && this.bondConfig.springStrength > 0) {
+      this.applyBondSprings(soul);
+    }
+
+    // Slightly perturb the velocity
+    const perturbation = traits.perturbation;
+    soul.velocity.x += (this.rng.next() - 0.5) * perturbation;
+    soul.velocity.y += (this.rng.next() - 0.5) * perturbation;
+    soul.velocity.z += (this.rng.next() - 0.5) * perturbation;
+
+    // Pointer interaction (attract, repel or vortex, see pointer.ts)
+    if (pointer) {
+      const offset = this.boundary.delta(soul.position, pointer.position);
+      if (vec.lengthSq(offset) < squared.POINTER_INTERACTION_RADIUS_SQ) {
+        const direction = pointerSteeringDirection(soul, pointer, offset);
+        if (direction) {
+          const targetVelocity = vec.multiplyScalar(direction, soul.speed);
+          soul.velocity = vec.lerp(
+            soul.velocity,
+            targetVelocity,
+            constants.POINTER_INFLUENCE_STRENGTH
+          );
+        }
+      }
+    }
+
+    // World boundary steering (soft centering)
+    this.boundary.applyForce(soul);
+
+    // Normalize to maintain consistent speed and apply the soul's specific speed
+    soul.velocity = vec.normalize(soul.velocity);
+    soul.velocity = vec.multiplyScalar(soul.velocity, soul.speed);
+
+    // Update position, then reflect or wrap at the world boundary
+    soul.position = vec.add(soul.position, soul.velocity);
+    this.boundary.constrain(soul);
+  }
+
+  /**
+   * Pull a soul toward each bonded partner beyond the separation distance, scaled by strength
+   */
+  private applyBondSprings(soul: EngineSoul): void {
+    for (const bond of this.bonds.getBondsOf(soul.id)) {
+      const partner = this.soulsById.get(bond.a === soul.id ? bond.b : bond.a);
+      if (!partner) {
+        continue;
+      }
+      const offset = this.boundary.delta(partner.position, soul.position);
+      if (vec.lengthSq(offset) > this.squared.SEPARATION_DISTANCE_SQ) {
+        const pull = vec.multiplyScalar(
+          vec.normalize(offset),
+          this.bondConfig.springStrength * bond.strength
+        );
+        soul.velocity = vec.add(soul.velocity, pull);
+      }
+    }
+  }
+
+  /**
+   * Integration only (no steering), for souls whose physics is skipped this tick
+   */
+  private drift(soul: EngineSoul): void {
+    soul.position = vec.add(soul.position, soul.velocity);
+    this.boundary.constrain(soul);
+  }
+
+  /**
+   * Vessel conversion: grow or decay each soul's exposure to an other-type majority among its
+   * connections, drift its hue toward the target species' palette and switch species when it is
+   * complete
+   */
+  private updateConversions(): ConversionEvent[] {
+    const { exposureTime, majority } = this.conversion;
+    const events: ConversionEvent[] = [];
+
+    for (const soul of this.souls) {
+      const species = getSpecies(soul.species);
+      if (species.convertsTo === undefined) {
+        continue;
+      }
+      const tally = this.connectionTallies.get(soul.id);
+      if (isOtherTypeMajority(soul, tally, majority)) {
+        soul.conversionExposure++;
+      } else if (soul.conversionExposure > 0) {
+        soul.conversionExposure--;
+      } else {
+        continue;
+      }
+
+      const target = getSpecies(species.convertsTo);
+      const hueShift = conversionHueShift(species, target, this.palette);
+      const targetHue = (((soul.vesselHue + hueShift) % 1) + 1) % 1;
+      if (soul.conversionExposure >= exposureTime) {
+        soul.species = target.id;
+        Object.assign(soul, speciesFlags(target.id));
+        soul.traits = speciesTraits(target.id);
+        soul.vesselHue = targetHue;
+        soul.baseHSL.h = targetHue;
+        soul.conversionExposure = 0;
+        events.push({ id: soul.id, species: target.id, isHuman: soul.isHuman, hue: targetHue });
+      } else {
+        soul.baseHSL.h = blendHue(
+          soul.vesselHue,
+          targetHue,
+          soul.conversionExposure / exposureTime
+        );
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Essence economy: draw essence from the pool for each connection and for dewa proximity
+   */
+  private accrueEssence(soul: EngineSoul, nearDewa: boolean): void {
+    if (!this.essencePool) {
+      return;
+    }
+    const gain =
+      this.essence.connectionGain * (this.connectionTallies.get(soul.id)?.total ?? 0) +
+      (nearDewa ? this.essence.dewaGain : 0);
+    if (gain > 0) {
+      soul.essence += this.essencePool.withdraw(gain);
+    }
+  }
+
+  /**
+   * Visual Enhancement by Dewas & HSL Calculation (optimized)
+   * @returns Whether a dewa enhanced the soul this tick
+   */
+  private updateColor(soul: EngineSoul, attractors: EngineSoul[], pulse: number): boolean {
+    const settings = this.settings;
+    const constants = this.constants;
+
+    let currentSaturation = soul.baseHSL.s;
+    let currentLightness = soul.baseHSL.l;
+    let isEnhanced = false; // Flag to see if enhancement happened
+
+    // Souls that feel the dewa attraction also brighten near a dewa
+    if (soul.traits.feels.attraction) {
+      for (const dewa of attractors) {
+        if (dewa.id === soul.id) {
+          continue;
+        }
+        const distanceToDewaSq = vec.lengthSq(this.boundary.delta(soul.position, dewa.position));
+        if (distanceToDewaSq < this.squared.DEWA_ENHANCEMENT_RADIUS_SQ) {
+          currentSaturation = Math.min(1, soul.baseHSL.s + constants.ENHANCEMENT_SATURATION_BOOST);
+          currentLightness = Math.min(1, soul.baseHSL.l + constants.ENHANCEMENT_LIGHTNESS_BOOST);
+          isEnhanced = true;
+          break;
+        }
+      }
+    }
+
+    // Flicker and color animation
+    const flicker =
+      settings.OPACITY_BASE +
+      settings.OPACITY_RANGE *
+        Math.sin(this.pulseTime * settings.FLICKER_MULTIPLIER + soul.flickerPhase);
+    const newOpacity = settings.OPACITY_BASE + settings.OPACITY_RANGE * flicker;
+
+    // Use the potentially boosted lightness for pulsing, unless the species does not pulse
+    // (dewas retain their base lightness). Enhanced souls use their boosted lightness for pulsing.
+    // Non-enhanced souls pulse their base lightness.
+    let pulsedLightness: number;
+    if (!soul.traits.pulses) {
+      pulsedLightness = soul.baseHSL.l;
+    } else if (isEnhanced) {
+      // If enhanced, pulse based on the boosted lightness
+      pulsedLightness = Math.min(
+        Math.max(currentLightness + settings.LIGHTNESS_PULSE_AMPLITUDE * (pulse - 0.5), 0),
+        1
+      );
+    } else {
+      // If not enhanced, pulse based on original base lightness
+      pulsedLightness = Math.min(
+        Math.max(soul.baseHSL.l + settings.LIGHTNESS_PULSE_AMPLITUDE * (pulse - 0.5), 0),
+        1
+      );
+    }
+
+    // Calculate new HSL values
+    const newHSL = {
+      h: soul.baseHSL.h,
+      s: currentSaturation,
+      l: pulsedLightness,
+    };
+
+    // Color change detection - only update if HSL or opacity actually changed
+    const colorChanged =
+      !soul.finalHSL ||
+      Math.abs(soul.finalHSL.h - newHSL.h) > settings.HSL_PRECISION ||
+      Math.abs(soul.finalHSL.s - newHSL.s) > settings.HSL_PRECISION ||
+      Math.abs(soul.finalHSL.l - newHSL.l) > settings.HSL_PRECISION;
+
+    const opacityChanged =
+      soul.finalOpacity === undefined ||
+      Math.abs(soul.finalOpacity - newOpacity) > settings.OPACITY_PRECISION;
+
+    // Store color change flags for main thread optimization
+    soul.colorChanged = colorChanged;
+    soul.opacityChanged = opacityChanged;
+
+    // Only update stored values if they actually changed
+    if (colorChanged) {
+      soul.finalHSL = newHSL;
+      // Pre-calculate RGB to avoid HSL-to-RGB conversion on main thread
+      const rgbResult = hslToRgb(newHSL.h, newHSL.s, newHSL.l);
+      // Validate RGB result before storing
+      if (
+        rgbResult &&
+        rgbResult.length === 3 &&
+        rgbResult.every(val => typeof val === 'number' && !isNaN(val))
+      ) {
+        soul.finalRGB = rgbResult;
+      } else {
+        // Fallback to white if RGB conversion fails
+        soul.finalRGB = [1, 1, 1];
+      }
+    }
+    if (opacityChanged) {
+      soul.finalOpacity = newOpacity;
+    }
+
+    return isEnhanced;
+  }
+}
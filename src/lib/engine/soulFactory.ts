@@ -0,0 +1,188 @@
+// src/lib/engine/soulFactory.ts
+// Pure soul data generation shared by the main thread, the worker and the headless runner
+
+import type { SoulCreationParams, SoulData } from '../../types';
+import { sampleLifespan } from './lifespan';
+import {
+  getSpecies,
+  SPECIES,
+  speciesFlags,
+  type SpeciesDefinition,
+  type SpeciesId,
+} from './species';
+
+// Anything with a Math.random()-like next() works (SeededRandom, or a wrapper around it)
+export interface RandomSource {
+  next(): number;
+}
+
+// Base hues the whole population is colored around
+export interface SoulPalette {
+  humanBaseHue: number;
+  gptBaseHue: number;
+}
+
+export interface SoulType {
+  species: SpeciesId;
+}
+
+/**
+ * Pick the human base hue at random and put GPTs on the opposite side of the color wheel
+ */
+export function createPalette(rng: RandomSource): SoulPalette {
+  const humanBaseHue = rng.next();
+  return { humanBaseHue, gptBaseHue: (humanBaseHue + 0.5) % 1 };
+}
+
+/**
+ * Base hue of a palette species (its random spread is added per soul)
+ */
+export function speciesBaseHue(species: SpeciesDefinition, palette: SoulPalette): number {
+  return species.hue.kind === 'palette' ? (palette.humanBaseHue + species.hue.offset) % 1 : 0;
+}
+
+/**
+ * Hue change of a soul converting between two species, from base hue to base hue
+ */
+export function conversionHueShift(
+  from: SpeciesDefinition,
+  to: SpeciesDefinition,
+  palette: SoulPalette | null
+): number {
+  if (from.hue.kind !== 'palette' || to.hue.kind !== 'palette') {
+    return 0;
+  }
+  if (!palette) {
+    return to.hue.offset - from.hue.offset;
+  }
+  return speciesBaseHue(to, palette) - speciesBaseHue(from, palette);
+}
+
+/**
+ * Species with a spawn chance are rolled first, one draw each; otherwise a single draw picks
+ * among the others by weight
+ */
+function rollSpecies(
+  rng: RandomSource,
+  weightOf: (species: SpeciesDefinition) => number
+): SpeciesId {
+  for (const species of SPECIES) {
+    if (species.spawn.chance !== undefined && rng.next() < species.spawn.chance) {
+      return species.id;
+    }
+  }
+
+  const weighted = SPECIES.filter(species => weightOf(species) > 0);
+  if (weighted.length === 0) {
+    return SPECIES[0].id;
+  }
+  const total = weighted.reduce((sum, species) => sum + weightOf(species), 0);
+  const roll = rng.next() * total;
+  let cumulative = 0;
+  for (const species of weighted) {
+    cumulative += weightOf(species);
+    if (roll < cumulative) {
+      return species.id;
+    }
+  }
+  return weighted[weighted.length - 1].id;
+}
+
+/**
+ * Roll the species of a soul spawned during the run
+ */
+export function rollNewSoulType(rng: RandomSource): SoulType {
+  return { species: rollSpecies(rng, species => species.spawn.weight ?? 0) };
+}
+
+/**
+ * Roll the species and speed of a soul in the initial population. A tenth of the initial souls
+ * start fast; species with a fixed speed ignore the rolled speed
+ */
+export function rollInitialSoul(
+  index: number,
+  count: number,
+  rng: RandomSource
+): SoulType & { angle: number; speed: number } {
+  const angle = (index / count) * Math.PI * 2;
+  const species = rollSpecies(rng, definition => definition.spawn.initialWeight ?? 0);
+  const speed = rng.next() < 0.1 ? 0.05 + rng.next() * 0.25 : 0.05 + rng.next() * 0.025;
+  return { species, angle, speed };
+}
+
+/**
+ * Number of souls to spawn this tick: whole part always, fractional part as a probability
+ */
+export function rollSpawnCount(spawnRate: number, rng: RandomSource): number {
+  let count = 0;
+  let remaining = spawnRate;
+
+  // Spawn multiple souls if spawn rate > 1
+  while (remaining > 1) {
+    count++;
+    remaining--;
+  }
+
+  // Spawn soul based on probability if spawn rate < 1
+  if (rng.next() < remaining) {
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Generate the full data of a soul: color, position, velocity, speed and life
+ */
+export function generateSoulData(
+  id: number,
+  params: SoulCreationParams,
+  palette: SoulPalette,
+  rng: RandomSource
+): SoulData {
+  const { angle = 0, speed = 0, minLifespan, maxLifespan, lifespan } = params;
+  const species = getSpecies(params.species);
+
+  // HSL color values: random hue, or around the species' palette hue
+  let h_val: number;
+  if (species.hue.kind === 'random') {
+    h_val = rng.next();
+  } else {
+    const baseHue = speciesBaseHue(species, palette);
+    const hueOffset = rng.next() * species.hue.spread - species.hue.spread / 2;
+    h_val = (baseHue + hueOffset + angle / (2 * Math.PI)) % 1;
+  }
+
+  // Set random position in spherical distribution
+  const radius = 10 + rng.next() * 10;
+  const theta = rng.next() * 2 * Math.PI;
+  const phi = Math.acos(2 * rng.next() - 1);
+  const position = {
+    x: radius * Math.sin(phi) * Math.cos(theta),
+    y: radius * Math.sin(phi) * Math.sin(theta),
+    z: radius * Math.cos(phi),
+  };
+
+  // Calculate speed and initial velocity
+  const { min, spread } = species.speed;
+  const currentSpeed = spread === 0 ? min : speed === 0 ? min + rng.next() * spread : speed;
+  const direction = { x: rng.next() - 0.5, y: rng.next() - 0.5, z: rng.next() - 0.5 };
+  const length = Math.sqrt(direction.x ** 2 + direction.y ** 2 + direction.z ** 2) || 1;
+  const velocity = {
+    x: (direction.x / length) * currentSpeed,
+    y: (direction.y / length) * currentSpeed,
+    z: (direction.z / length) * currentSpeed,
+  };
+
+  return {
+    id,
+    position,
+    velocity,
+    speed: currentSpeed,
+    life: sampleLifespan(lifespan, minLifespan, maxLifespan, rng) * species.lifespanMultiplier,
+    species: species.id,
+    ...speciesFlags(species.id),
+    flickerPhase: rng.next() * Math.PI * 2,
+    baseHSL: { h: h_val, s: species.saturation, l: species.lightness },
+  };
+}
@@ -0,0 +1,102 @@
+// src/lib/engine/spatialGrid.ts
+// Spatial partitioning system for neighbor queries
+
+import type { EngineSoul, Vector3 } from './engineTypes';
+
+// Grid layout of a periodic (wraparound) world
+interface PeriodicLayout {
+  halfExtent: number;
+  cellsPerAxis: number;
+  cellSize: number; // Adjusted so a whole number of cells tiles the box
+}
+
+export class SpatialGrid {
+  private cellSize: number;
+  private grid = new Map<string, EngineSoul[]>();
+  private periodic: PeriodicLayout | null = null;
+
+  constructor(cellSize: number) {
+    this.cellSize = cellSize;
+  }
+
+  /**
+   * Make cells wrap around a box of the given half-size, or pass null for an unbounded grid
+   */
+  setPeriodic(halfExtent: number | null): void {
+    if (halfExtent === null) {
+      this.periodic = null;
+      return;
+    }
+
+    const cellsPerAxis = Math.max(1, Math.floor((halfExtent * 2) / this.cellSize));
+    this.periodic = {
+      halfExtent,
+      cellsPerAxis,
+      cellSize: (halfExtent * 2) / cellsPerAxis,
+    };
+  }
+
+  clear(): void {
+    this.grid.clear();
+  }
+
+  private getCell(value: number): number {
+    if (!this.periodic) {
+      return Math.floor(value / this.cellSize);
+    }
+    const { halfExtent, cellSize, cellsPerAxis } = this.periodic;
+    return this.wrapCell(Math.floor((value + halfExtent) / cellSize), cellsPerAxis);
+  }
+
+  private wrapCell(cell: number, cellsPerAxis: number): number {
+    return ((cell % cellsPerAxis) + cellsPerAxis) % cellsPerAxis;
+  }
+
+  private getKey(x: number, y: number, z: number): string {
+    return `${this.getCell(x)},${this.getCell(y)},${this.getCell(z)}`;
+  }
+
+  insert(soul: EngineSoul): void {
+    const key = this.getKey(soul.position.x, soul.position.y, soul.position.z);
+    if (!this.grid.has(key)) {
+      this.grid.set(key, []);
+    }
+    this.grid.get(key)!.push(soul);
+  }
+
+  getNearby(position: Vector3, radius: number): EngineSoul[] {
+    const nearby: EngineSoul[] = [];
+    const cellSize = this.periodic ? this.periodic.cellSize : this.cellSize;
+    const cellRadius = Math.ceil(radius / cellSize);
+    const centerX = this.getCell(position.x);
+    const centerY = this.getCell(position.y);
+    const centerZ = this.getCell(position.z);
+
+    // In a small periodic box the neighborhood can wrap onto itself; visit each cell once
+    const visited = this.periodic ? new Set<string>() : null;
+
+    for (let dx = -cellRadius; dx <= cellRadius; dx++) {
+      for (let dy = -cellRadius; dy <= cellRadius; dy++) {
+        for (let dz = -cellRadius; dz <= cellRadius; dz++) {
+          let key: string;
+          if (this.periodic) {
+            const n = this.periodic.cellsPerAxis;
+            key = `${this.wrapCell(centerX + dx, n)},${this.wrapCell(centerY + dy, n)},${this.wrapCell(centerZ + dz, n)}`;
+            if (visited!.has(key)) {
+              continue;
+            }
+            visited!.add(key);
+          } else {
+            key = `${centerX + dx},${centerY + dy},${centerZ + dz}`;
+          }
+
+          const cells = this.grid.get(key);
+          if (cells) {
+            nearby.push(...cells);
+          }
+        }
+      }
+    }
+    return nearby;
+  }
+}
@@ -0,0 +1,233 @@
+// src/lib/engine/species.ts
+// Species registry: shape, color, spawning, speed, lifespan and the forces a kind of soul takes
+// part in are data here instead of isHuman/isDewa branches. Human, GPT and dewa are the built-in
+// entries; species added in constants/species.ts are registered the same way in the main thread,
+// the worker and the headless runner, so the engine loop needs no changes for them.
+
+import { DEWA_BASE_SPEED, DEWA_SPAWN_CHANCE } from '../constants/config';
+import { GEOMETRY_SETTINGS } from '../constants/rendering';
+import { CUSTOM_SPECIES } from '../constants/species';
+
+export type SpeciesId = string;
+
+// Group a species is counted in by the census, the network analytics and vessel conversion
+export type SpeciesCategory = 'human' | 'gpt' | 'dewa';
+
+// Forces between souls: speed influence (lerp toward neighbor speeds), separation, attraction
+// (souls that feel it follow and glow near the closest soul that exerts it) and the pointer's
+// attract mode (repel and vortex move every soul)
+export type SpeciesForce = 'speedInfluence' | 'separation' | 'attraction' | 'pointerAttraction';
+
+// What the engine reads from a soul's species every tick, resolved once per vessel so the
+// neighbor loops read a flag instead of looking the species up for every pair
+export interface SpeciesTraits {
+  feels: Record<SpeciesForce, boolean>;
+  exerts: Record<SpeciesForce, boolean>;
+  perturbation: number;
+  pulses: boolean;
+}
+
+export interface SpeciesGeometry {
+  shape: 'sphere' | 'box';
+  size: number; // Sphere radius or box edge
+  segments: number; // Sphere segments of individual meshes
+  instancedSegments: number; // Sphere segments of the instanced meshes
+}
+
+// Base hue: anywhere on the color wheel, or the population's human base hue plus an offset,
+// spread at random around it
+export type SpeciesHueRule =
+  | { kind: 'random' }
+  | { kind: 'palette'; offset: number; spread: number };
+
+export interface SpeciesDefinition {
+  id: SpeciesId;
+  label: string;
+  category: SpeciesCategory;
+  geometry: SpeciesGeometry;
+  opacity: number; // Individual mesh material, 1 is opaque
+  hue: SpeciesHueRule;
+  saturation: number;
+  lightness: number;
+  pulses: boolean; // Lightness pulse; false keeps the base color
+  spawn: {
+    chance?: number; // Rolled for every birth before the weighted pick, in registry order
+    weight?: number; // Share of the remaining births
+    initialWeight?: number; // Share of the remaining initial population
+  };
+  speed: { min: number; spread: number }; // min + random × spread; spread 0 is a fixed speed
+  lifespanMultiplier: number; // Applied to the sampled lifespan
+  perturbation: number; // Random velocity jitter per tick
+  convertsTo?: SpeciesId; // Vessel after a conversion, none when the species never converts
+  feels: SpeciesForce[];
+  exerts: SpeciesForce[];
+}
+
+export const BUILT_IN_SPECIES: SpeciesDefinition[] = [
+  {
+    id: 'human',
+    label: 'Human',
+    category: 'human',
+    geometry: {
+      shape: 'sphere',
+      size: GEOMETRY_SETTINGS.HUMAN_RADIUS,
+      segments: GEOMETRY_SETTINGS.HUMAN_SEGMENTS.width,
+      instancedSegments: 8,
+    },
+    opacity: GEOMETRY_SETTINGS.MATERIAL_OPACITY.DEFAULT,
+    hue: { kind: 'palette', offset: 0, spread: 0.3 },
+    saturation: 1,
+    lightness: 0.56,
+    pulses: true,
+    spawn: { weight: 0.5, initialWeight: 0.6 },
+    speed: { min: 0.05, spread: 0.03 },
+    lifespanMultiplier: 1,
+    perturbation: 0.2,
+    convertsTo: 'gpt',
+    feels: ['speedInfluence', 'separation', 'attraction', 'pointerAttraction'],
+    exerts: ['speedInfluence', 'separation'],
+  },
+  {
+    id: 'gpt',
+    label: 'GPT',
+    category: 'gpt',
+    geometry: { shape: 'box', size: GEOMETRY_SETTINGS.GPT_SIZE, segments: 0, instancedSegments: 0 },
+    opacity: GEOMETRY_SETTINGS.MATERIAL_OPACITY.DEFAULT,
+    hue: { kind: 'palette', offset: 0.5, spread: 0.3 },
+    saturation: 1,
+    lightness: 0.56,
+    pulses: true,
+    spawn: { weight: 0.5, initialWeight: 0.4 },
+    speed: { min: 0.05, spread: 0.03 },
+    lifespanMultiplier: 1,
+    perturbation: 0.2,
+    convertsTo: 'human',
+    feels: ['speedInfluence', 'separation', 'attraction'],
+    exerts: ['speedInfluence', 'separation'],
+  },
+  {
+    id: 'dewa',
+    label: 'Dewa',
+    category: 'dewa',
+    geometry: {
+      shape: 'sphere',
+      size: GEOMETRY_SETTINGS.DEWA_RADIUS,
+      segments: GEOMETRY_SETTINGS.DEWA_SEGMENTS.width,
+      instancedSegments: 12,
+    },
+    opacity: 1,
+    hue: { kind: 'random' },
+    saturation: 1,
+    lightness: 0.5,
+    pulses: false,
+    spawn: { chance: DEWA_SPAWN_CHANCE },
+    speed: { min: DEWA_BASE_SPEED, spread: 0 },
+    lifespanMultiplier: 1,
+    perturbation: 0.01,
+    feels: ['separation'],
+    exerts: ['separation', 'attraction'],
+  },
+];
+
+/**
+ * Check the definitions and index them; throws on duplicate ids, unknown conversion targets or
+ * more species than the one-byte type codes of the soul frames hold
+ */
+function buildRegistry(definitions: SpeciesDefinition[]): Map<SpeciesId, SpeciesDefinition> {
+  if (definitions.length > 256) {
+    throw new Error(`At most 256 species are supported, got ${definitions.length}`);
+  }
+  const registry = new Map<SpeciesId, SpeciesDefinition>();
+  definitions.forEach(definition => {
+    if (registry.has(definition.id)) {
+      throw new Error(`Duplicate species id "${definition.id}"`);
+    }
+    registry.set(definition.id, definition);
+  });
+  definitions.forEach(definition => {
+    if (definition.convertsTo !== undefined && !registry.has(definition.convertsTo)) {
+      throw new Error(
+        `Species "${definition.id}" converts to unknown species "${definition.convertsTo}"`
+      );
+    }
+  });
+  return registry;
+}
+
+const registry = buildRegistry([...BUILT_IN_SPECIES, ...CUSTOM_SPECIES]);
+
+// Every registered species; the index is the type code in soul frames
+export const SPECIES: readonly SpeciesDefinition[] = Array.from(registry.values());
+
+const indexById = new Map(SPECIES.map((species, index) => [species.id, index]));
+
+const forceFlags = (forces: SpeciesForce[]): Record<SpeciesForce, boolean> => ({
+  speedInfluence: forces.includes('speedInfluence'),
+  separation: forces.includes('separation'),
+  attraction: forces.includes('attraction'),
+  pointerAttraction: forces.includes('pointerAttraction'),
+});
+const traitsById = new Map<SpeciesId, SpeciesTraits>(
+  SPECIES.map(species => [
+    species.id,
+    {
+      feels: forceFlags(species.feels),
+      exerts: forceFlags(species.exerts),
+      perturbation: species.perturbation,
+      pulses: species.pulses,
+    },
+  ])
+);
+
+export function hasSpecies(id: SpeciesId): boolean {
+  return registry.has(id);
+}
+
+export function getSpecies(id: SpeciesId): SpeciesDefinition {
+  const species = registry.get(id);
+  if (!species) {
+    throw new Error(`Unknown species "${id}"`);
+  }
+  return species;
+}
+
+/**
+ * Type code of a species in soul frames
+ */
+export function speciesIndex(id: SpeciesId): number {
+  const index = indexById.get(id);
+  if (index === undefined) {
+    throw new Error(`Unknown species "${id}"`);
+  }
+  return index;
+}
+
+/**
+ * Vessel flags the census, analytics and conversion read (dewas count as human, as they always
+ * have)
+ */
+export function speciesFlags(id: SpeciesId): { isHuman: boolean; isDewa: boolean } {
+  const { category } = getSpecies(id);
+  return { isHuman: category !== 'gpt', isDewa: category === 'dewa' };
+}
+
+/**
+ * Built-in species of a soul saved before species existed
+ */
+export function speciesFromFlags(isHuman: boolean, isDewa: boolean): SpeciesId {
+  if (isDewa) {
+    return 'dewa';
+  }
+  return isHuman ? 'human' : 'gpt';
+}
+
+/**
+ * Per-tick traits of a species, for EngineSoul.traits
+ */
+export function speciesTraits(id: SpeciesId): SpeciesTraits {
+  const traits = traitsById.get(id);
+  if (!traits) {
+    throw new Error(`Unknown species "${id}"`);
+  }
+  return traits;
+}
@@ -0,0 +1,96 @@
+// src/lib/engine/vectorMath.ts
+// Minimal vector and color math for the simulation engine (no Three.js dependency)
+
+export interface Vector3 {
+  x: number;
+  y: number;
+  z: number;
+}
+
+// Minimal THREE.Vector3-like operations for plain objects
+export const vec = {
+  create: (x = 0, y = 0, z = 0): Vector3 => ({ x, y, z }),
+  copy: (v: Vector3): Vector3 => ({ ...v }),
+  set: (target: Vector3, x: number, y: number, z: number): Vector3 => {
+    target.x = x;
+    target.y = y;
+    target.z = z;
+    return target;
+  },
+  add: (v1: Vector3, v2: Vector3): Vector3 => ({
+    x: v1.x + v2.x,
+    y: v1.y + v2.y,
+    z: v1.z + v2.z,
+  }),
+  subVectors: (v1: Vector3, v2: Vector3): Vector3 => ({
+    x: v1.x - v2.x,
+    y: v1.y - v2.y,
+    z: v1.z - v2.z,
+  }),
+  multiplyScalar: (v: Vector3, s: number): Vector3 => ({
+    x: v.x * s,
+    y: v.y * s,
+    z: v.z * s,
+  }),
+  lengthSq: (v: Vector3): number => v.x * v.x + v.y * v.y + v.z * v.z,
+  length: (v: Vector3): number => Math.sqrt(vec.lengthSq(v)),
+  normalize: (v: Vector3): Vector3 => {
+    const l = vec.length(v);
+    return l > 0 ? vec.multiplyScalar(v, 1 / l) : vec.create();
+  },
+  distanceTo: (v1: Vector3, v2: Vector3): number => vec.length(vec.subVectors(v1, v2)),
+  lerp: (v1: Vector3, v2: Vector3, alpha: number): Vector3 => ({
+    x: v1.x + (v2.x - v1.x) * alpha,
+    y: v1.y + (v2.y - v1.y) * alpha,
+    z: v1.z + (v2.z - v1.z) * alpha,
+  }),
+};
+
+export const mathUtils = {
+  lerp: (a: number, b: number, t: number): number => a + (b - a) * t,
+};
+
+// HSL to RGB conversion function to avoid main thread conversion overhead
+export function hslToRgb(h: number, s: number, l: number): number[] {
+  // Normalize inputs to valid ranges
+  h = h % 1; // Ensure hue is in [0, 1] range
+  if (h < 0) {
+    h += 1;
+  } // Handle negative hue values
+  s = Math.max(0, Math.min(1, s)); // Clamp saturation to [0, 1]
+  l = Math.max(0, Math.min(1, l)); // Clamp lightness to [0, 1]
+
+  let r: number, g: number, b: number;
+
+  if (s === 0) {
+    r = g = b = l; // achromatic
+  } else {
+    const hue2rgb = (p: number, q: number, t: number): number => {
+      if (t < 0) {
+        t += 1;
+      }
+      if (t > 1) {
+        t -= 1;
+      }
+      if (t < 1 / 6) {
+        return p + (q - p) * 6 * t;
+      }
+      if (t < 1 / 2) {
+        return q;
+      }
+      if (t < 2 / 3) {
+        return p + (q - p) * (2 / 3 - t) * 6;
+      }
+      return p;
+    };
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    r = hue2rgb(p, q, h + 1 / 3);
+    g = hue2rgb(p, q, h);
+    b = hue2rgb(p, q, h - 1 / 3);
+  }
+
+  // Ensure RGB values are in valid range [0, 1]
+  return [Math.max(0, Math.min(1, r)), Math.max(0, Math.min(1, g)), Math.max(0, Math.min(1, b))];
+}
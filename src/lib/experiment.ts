@@ -0,0 +1,368 @@
+// Parameter sweep experiments: ranges over the birth parameters and physics constants are
+// expanded into runs (every combination × a few seeds), each run is simulated headless in an
+// experiment worker and summarized into equilibrium and cluster metrics, and the runs of a
+// combination are aggregated into one point of the results table and chart.
+// Everything that is not swept is taken from the live simulation when the experiment starts.
+
+import { SIMULATION_TICK_RATE } from './constants/config';
+import {
+  PHYSICS_CONSTANTS,
+  PHYSICS_CONTROL_RANGES,
+  type PhysicsConstants,
+  validatePhysicsConstants,
+} from './constants/physics';
+import type {
+  HeadlessRunResult,
+  HeadlessSimulationOptions,
+  PopulationSample,
+} from './engine/headlessSimulation';
+import type { SnapshotParameters } from './snapshot';
+import { downloadFile, fileTimestamp } from './utils/download';
+
+// Bump when the report format changes
+export const EXPERIMENT_REPORT_VERSION = 1;
+
+export const MAX_SWEEP_RANGES = 3;
+export const MAX_SWEEP_STEPS = 20;
+export const MAX_EXPERIMENT_RUNS = 500;
+export const MAX_EXPERIMENT_WORKERS = 8;
+
+export type SweepParameter = 'spawnRate' | 'minLifespan' | 'maxLifespan' | keyof PhysicsConstants;
+
+export interface SweepParameterInfo {
+  label: string;
+  min: number;
+  max: number;
+}
+
+// Sweepable parameters with the bounds the sliders allow
+export const SWEEP_PARAMETERS: Record<SweepParameter, SweepParameterInfo> = {
+  spawnRate: { label: 'Spawn Rate (souls/s)', min: 5, max: 180 },
+  minLifespan: { label: 'Min Lifespan (s)', min: 1.5, max: 15 },
+  maxLifespan: { label: 'Max Lifespan (s)', min: 3, max: 25 },
+  ...(Object.fromEntries(
+    Object.entries(PHYSICS_CONTROL_RANGES).map(([key, range]) => [
+      key,
+      { label: range.label, min: range.min, max: range.max },
+    ])
+  ) as Record<keyof PhysicsConstants, SweepParameterInfo>),
+};
+
+export interface SweepRange {
+  parameter: SweepParameter;
+  from: number;
+  to: number;
+  steps: number; // Values from `from` to `to`, both included
+}
+
+export interface ExperimentConfig {
+  ranges: SweepRange[];
+  replicates: number; // Seeds per combination
+  seed: number; // Replicate r runs with seed + r in every combination
+  duration: number; // Simulated seconds per run
+  initialSouls: number;
+  workers: number;
+  base: SnapshotParameters; // Everything that is not swept
+}
+
+export interface ExperimentRun {
+  index: number;
+  combination: number;
+  replicate: number;
+  seed: number;
+  values: Partial<Record<SweepParameter, number>>;
+}
+
+// Summary of one run; means and variance over the second half, like the headless runner
+export interface ExperimentMetrics {
+  expected: number; // spawnRate × mean lifespan
+  meanPopulation: number;
+  variance: number;
+  finalPopulation: number;
+  reached: boolean; // Equilibrium detector verdict at the end of the run
+  confidence: number;
+  settlingTime: number | null; // Seconds
+  largestCluster: number; // Share of the living souls in the largest cluster
+  clustering: number;
+  mixing: number | null;
+}
+
+export interface ExperimentRunResult extends ExperimentRun {
+  metrics: ExperimentMetrics | null; // Null when the run failed
+  error?: string;
+  elapsed: number; // Wall-clock milliseconds
+}
+
+export type ExperimentMetric = Exclude<keyof ExperimentMetrics, 'reached'>;
+
+export const EXPERIMENT_METRICS: Record<ExperimentMetric, string> = {
+  meanPopulation: 'Mean population',
+  variance: 'Variance',
+  finalPopulation: 'Final population',
+  expected: 'Expected equilibrium',
+  confidence: 'Confidence',
+  settlingTime: 'Settling time (s)',
+  largestCluster: 'Largest cluster share',
+  clustering: 'Clustering',
+  mixing: 'H–G mixing',
+};
+
+// Mean and standard deviation of a metric over the runs of a combination (null without values)
+export interface MetricSummary {
+  mean: number | null;
+  std: number | null;
+}
+
+export interface ExperimentPoint {
+  combination: number;
+  values: Partial<Record<SweepParameter, number>>;
+  runs: number; // Runs that finished
+  reached: number; // Runs that reached equilibrium
+  metrics: Record<ExperimentMetric, MetricSummary>;
+}
+
+export interface ExperimentReport {
+  version: number;
+  startedAt: string;
+  finishedAt: string;
+  completed: boolean; // False when the experiment was cancelled
+  config: ExperimentConfig;
+  results: ExperimentRunResult[];
+  points: ExperimentPoint[];
+}
+
+// Worker protocol: the manager posts one run at a time to each experiment worker
+export interface ExperimentRunMessage {
+  type: 'run';
+  data: {
+    run: number;
+    options: HeadlessSimulationOptions;
+    ticks: number;
+  };
+}
+
+export type ExperimentWorkerReply =
+  | { type: 'progress'; data: { run: number; fraction: number } }
+  | { type: 'result'; data: { run: number; metrics: ExperimentMetrics; elapsed: number } }
+  | { type: 'error'; data: { run: number; message: string } };
+
+/**
+ * Values of a range, rounded so labels and JSON stay readable
+ */
+export function sweepValues(range: SweepRange): number[] {
+  const steps = Math.max(1, Math.floor(range.steps));
+  if (steps === 1) {
+    return [range.from];
+  }
+  return Array.from({ length: steps }, (_, i) => {
+    const value = range.from + ((range.to - range.from) * i) / (steps - 1);
+    return Math.round(value * 1e6) / 1e6;
+  });
+}
+
+/**
+ * Check the ranges; throws with a readable message when the sweep cannot run
+ */
+export function validateSweepRanges(ranges: SweepRange[]): void {
+  if (ranges.length > MAX_SWEEP_RANGES) {
+    throw new Error(`At most ${MAX_SWEEP_RANGES} parameters can be swept`);
+  }
+  const seen = new Set<SweepParameter>();
+  ranges.forEach(range => {
+    const info = SWEEP_PARAMETERS[range.parameter];
+    if (!info) {
+      throw new Error(`Unknown parameter ${range.parameter}`);
+    }
+    if (seen.has(range.parameter)) {
+      throw new Error(`${info.label} is swept twice`);
+    }
+    seen.add(range.parameter);
+    if (!Number.isFinite(range.from) || !Number.isFinite(range.to)) {
+      throw new Error(`${info.label} needs a start and an end`);
+    }
+    if (Math.min(range.from, range.to) < info.min || Math.max(range.from, range.to) > info.max) {
+      throw new Error(`${info.label} must stay within ${info.min}–${info.max}`);
+    }
+    if (!(range.steps >= 1 && range.steps <= MAX_SWEEP_STEPS)) {
+      throw new Error(`${info.label} takes 1–${MAX_SWEEP_STEPS} steps`);
+    }
+  });
+}
+
+/**
+ * Every combination of the swept values; combinations with the minimum lifespan above the
+ * maximum are left out
+ */
+export function sweepCombinations(
+  ranges: SweepRange[],
+  base: SnapshotParameters
+): Array<Partial<Record<SweepParameter, number>>> {
+  let combinations: Array<Partial<Record<SweepParameter, number>>> = [{}];
+  ranges.forEach(range => {
+    const values = sweepValues(range);
+    combinations = combinations.flatMap(combination =>
+      values.map(value => ({ ...combination, [range.parameter]: value }))
+    );
+  });
+  return combinations.filter(
+    values => (values.minLifespan ?? base.minLifespan) <= (values.maxLifespan ?? base.maxLifespan)
+  );
+}
+
+/**
+ * Expand an experiment into its runs (combination-major, so early results cover few points)
+ */
+export function buildExperimentRuns(config: ExperimentConfig): ExperimentRun[] {
+  validateSweepRanges(config.ranges);
+  if (!(config.replicates >= 1)) {
+    throw new Error('Each combination needs at least one seed');
+  }
+  if (!(config.duration > 0)) {
+    throw new Error('Runs need a duration');
+  }
+  const combinations = sweepCombinations(config.ranges, config.base);
+  if (combinations.length === 0) {
+    throw new Error('Every combination has the minimum lifespan above the maximum');
+  }
+  const total = combinations.length * config.replicates;
+  if (total > MAX_EXPERIMENT_RUNS) {
+    throw new Error(`${total} runs is more than the limit of ${MAX_EXPERIMENT_RUNS}`);
+  }
+
+  const runs: ExperimentRun[] = [];
+  combinations.forEach((values, combination) => {
+    for (let replicate = 0; replicate < config.replicates; replicate++) {
+      runs.push({
+        index: runs.length,
+        combination,
+        replicate,
+        seed: (config.seed + replicate) >>> 0,
+        values,
+      });
+    }
+  });
+  return runs;
+}
+
+function isPhysicsConstant(parameter: SweepParameter): parameter is keyof PhysicsConstants {
+  return parameter in PHYSICS_CONSTANTS;
+}
+
+/**
+ * Headless simulation options of a run: the base parameters with the run's values swept in
+ */
+export function runOptions(
+  config: ExperimentConfig,
+  run: ExperimentRun
+): HeadlessSimulationOptions {
+  const { base } = config;
+  const physics: Partial<PhysicsConstants> = { ...base.physics };
+  (Object.keys(run.values) as SweepParameter[]).forEach(parameter => {
+    if (isPhysicsConstant(parameter)) {
+      physics[parameter] = run.values[parameter];
+    }
+  });
+
+  return {
+    spawnRate: run.values.spawnRate ?? base.spawnRate,
+    minLifespan: run.values.minLifespan ?? base.minLifespan,
+    maxLifespan: run.values.maxLifespan ?? base.maxLifespan,
+    lifespan: base.lifespan,
+    tickRate: SIMULATION_TICK_RATE,
+    initialSouls: config.initialSouls,
+    seed: run.seed,
+    boundary: base.boundary,
+    reincarnation: base.reincarnation,
+    essence: base.essence,
+    conversion: base.conversion,
+    bonds: base.bonds,
+    constants: validatePhysicsConstants(physics),
+  };
+}
+
+function mean(values: number[]): number {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function variance(values: number[]): number {
+  const m = mean(values);
+  return values.length > 1
+    ? values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1)
+    : 0;
+}
+
+/**
+ * Metrics of a finished headless run
+ */
+export function summarizeRun(result: HeadlessRunResult): ExperimentMetrics {
+  const secondHalf: PopulationSample[] = result.samples.slice(
+    Math.floor(result.samples.length / 2)
+  );
+  const populations = secondHalf.map(sample => sample.population);
+  const mixing = secondHalf
+    .map(sample => sample.mixing)
+    .filter((value): value is number => value !== null);
+  const last = result.samples[result.samples.length - 1];
+
+  return {
+    expected: result.expectedEquilibrium,
+    meanPopulation: result.observedMean,
+    variance: variance(populations),
+    finalPopulation: last ? last.population : 0,
+    reached: result.equilibrium?.reached ?? false,
+    confidence: result.equilibrium?.confidence ?? 0,
+    settlingTime: result.equilibrium?.settlingTime ?? null,
+    largestCluster: mean(
+      secondHalf.map(sample =>
+        sample.population > 0 ? sample.largestCluster / sample.population : 0
+      )
+    ),
+    clustering: mean(secondHalf.map(sample => sample.clustering)),
+    mixing: mixing.length > 0 ? mean(mixing) : null,
+  };
+}
+
+/**
+ * One point per combination: mean and spread of each metric over its finished runs
+ */
+export function aggregateResults(results: ExperimentRunResult[]): ExperimentPoint[] {
+  const byCombination = new Map<number, ExperimentRunResult[]>();
+  results.forEach(result => {
+    const runs = byCombination.get(result.combination) ?? [];
+    runs.push(result);
+    byCombination.set(result.combination, runs);
+  });
+
+  return Array.from(byCombination.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([combination, runs]) => {
+      const finished = runs
+        .map(run => run.metrics)
+        .filter((metrics): metrics is ExperimentMetrics => metrics !== null);
+      const metrics = {} as Record<ExperimentMetric, MetricSummary>;
+      (Object.keys(EXPERIMENT_METRICS) as ExperimentMetric[]).forEach(metric => {
+        const values = finished
+          .map(run => run[metric])
+          .filter((value): value is number => value !== null);
+        metrics[metric] =
+          values.length > 0
+            ? { mean: mean(values), std: Math.sqrt(variance(values)) }
+            : { mean: null, std: null };
+      });
+      return {
+        combination,
+        values: runs[0].values,
+        runs: finished.length,
+        reached: finished.filter(run => run.reached).length,
+        metrics,
+      };
+    });
+}
+
+export function downloadExperimentReport(report: ExperimentReport): void {
+  downloadFile(
+    JSON.stringify(report, null, 2),
+    'application/json',
+    `soul-experiment-${fileTimestamp(new Date(report.startedAt))}.json`
+  );
+}
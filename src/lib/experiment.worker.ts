@@ -0,0 +1,46 @@
+// Soul Recycling Simulation - Experiment Worker (TypeScript)
+// Runs parameter sweep runs headless, one at a time, as fast as the engine steps:
+// no rendering, no frame pacing, just the engine, the census and the network statistics
+
+import { HeadlessSimulation } from './engine/headlessSimulation';
+import { summarizeRun, type ExperimentRunMessage, type ExperimentWorkerReply } from './experiment';
+import { secondsToTicks } from './utils/simulationClock';
+
+// Ticks between progress reports
+const PROGRESS_TICKS = secondsToTicks(5);
+
+function reply(message: ExperimentWorkerReply): void {
+  self.postMessage(message);
+}
+
+// Message handler
+self.onmessage = function (e: MessageEvent<ExperimentRunMessage>) {
+  const { type, data } = e.data;
+
+  if (type === 'run') {
+    const started = performance.now();
+    try {
+      const simulation = new HeadlessSimulation(data.options);
+      for (let tick = 1; tick <= data.ticks; tick++) {
+        simulation.step();
+        if (tick % PROGRESS_TICKS === 0) {
+          reply({ type: 'progress', data: { run: data.run, fraction: tick / data.ticks } });
+        }
+      }
+      reply({
+        type: 'result',
+        data: {
+          run: data.run,
+          metrics: summarizeRun(simulation.getResult()),
+          elapsed: performance.now() - started,
+        },
+      });
+    } catch (error) {
+      console.error('Experiment run failed:', error);
+      reply({
+        type: 'error',
+        data: { run: data.run, message: error instanceof Error ? error.message : String(error) },
+      });
+    }
+  }
+};
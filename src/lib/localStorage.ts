@@ -1,12 +1,93 @@
 // localStorage keys for parameter persistence
 import type { StorageKeys } from '../types/index.js';
+import { SIMULATION_TICK_RATE } from './constants/config';
+import {
+  PHYSICS_CONSTANTS,
+  type PhysicsConstants,
+  validatePhysicsConstants,
+} from './constants/physics';
+import { type BondSettings, validateBondSettings } from './engine/bonds';
+import { BOUNDARY_LIMITS } from './engine/boundaries';
+import { type ConversionSettings, validateConversionSettings } from './engine/conversion';
+import { type EssenceSettings, isPopulationModel, validateEssenceSettings } from './engine/essence';
+import {
+  isLifespanDistribution,
+  LIFESPAN_CONTROL_RANGES,
+  type LifespanParameter,
+  type LifespanSettings,
+  validateLifespanSettings,
+} from './engine/lifespan';
+import { type ReincarnationSettings, validateReincarnationSettings } from './engine/reincarnation';
+import { DEFAULT_TELEMETRY, type TelemetrySettings } from './telemetry';
 
+// Parameters are stored in real units: souls per second and seconds
 export const STORAGE_KEYS: StorageKeys = {
+  SPAWN_RATE: 'soul_simulation_spawn_rate_per_second',
+  MIN_LIFESPAN: 'soul_simulation_min_lifespan_seconds',
+  MAX_LIFESPAN: 'soul_simulation_max_lifespan_seconds',
+  LIFESPAN: 'soul_simulation_lifespan',
+  BOUNDARY_MODE: 'soul_simulation_boundary_mode',
+  BOUNDARY_RADIUS: 'soul_simulation_boundary_radius',
+  SHOW_BOUNDARY: 'soul_simulation_show_boundary',
+  POINTER_MODE: 'soul_simulation_pointer_mode',
+  POINTER_DEPTH: 'soul_simulation_pointer_depth',
+  PHYSICS_CONSTANTS: 'soul_simulation_physics_constants',
+  REINCARNATION: 'soul_simulation_reincarnation',
+  ESSENCE: 'soul_simulation_essence',
+  CONVERSION: 'soul_simulation_conversion',
+  BONDS: 'soul_simulation_bonds',
+  TELEMETRY: 'soul_simulation_telemetry',
+};
+
+type PopulationStorageKey = 'SPAWN_RATE' | 'MIN_LIFESPAN' | 'MAX_LIFESPAN';
+
+// Older versions stored per-frame values (souls per frame, lifespans in frames)
+const LEGACY_STORAGE_KEYS: Pick<StorageKeys, PopulationStorageKey> = {
   SPAWN_RATE: 'soul_simulation_spawn_rate',
   MIN_LIFESPAN: 'soul_simulation_min_lifespan',
   MAX_LIFESPAN: 'soul_simulation_max_lifespan',
 };
 
+// Allowed range for each stored parameter
+const PARAMETER_BOUNDS: Record<string, { min: number; max: number }> = {
+  [STORAGE_KEYS.SPAWN_RATE]: { min: 5, max: 180 },
+  [STORAGE_KEYS.MIN_LIFESPAN]: { min: 1.5, max: 15 },
+  [STORAGE_KEYS.MAX_LIFESPAN]: { min: 3, max: 25 },
+  [STORAGE_KEYS.BOUNDARY_RADIUS]: {
+    min: BOUNDARY_LIMITS.MIN_RADIUS,
+    max: BOUNDARY_LIMITS.MAX_RADIUS,
+  },
+};
+
+/**
+ * Convert per-frame values saved by older versions to real units (assuming 60 fps),
+ * then drop the legacy keys. Runs once; does nothing when nothing legacy is stored.
+ */
+export function migrateLegacyParameters(): void {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return;
+  }
+
+  const conversions: Array<[PopulationStorageKey, (value: number) => number]> = [
+    ['SPAWN_RATE', value => value * SIMULATION_TICK_RATE],
+    ['MIN_LIFESPAN', value => value / SIMULATION_TICK_RATE],
+    ['MAX_LIFESPAN', value => value / SIMULATION_TICK_RATE],
+  ];
+
+  for (const [name, convert] of conversions) {
+    const legacyValue = localStorage.getItem(LEGACY_STORAGE_KEYS[name]);
+    if (legacyValue === null) {
+      continue;
+    }
+
+    const parsed = parseFloat(legacyValue);
+    if (!isNaN(parsed) && localStorage.getItem(STORAGE_KEYS[name]) === null) {
+      saveToStorage(STORAGE_KEYS[name], validateParameter(STORAGE_KEYS[name], convert(parsed)));
+    }
+    localStorage.removeItem(LEGACY_STORAGE_KEYS[name]);
+  }
+}
+
 // Type-safe localStorage helper functions
 export function loadFromStorage<T extends number | string | boolean>(
   key: string,
@@ -23,15 +104,7 @@ export function loadFromStorage<T extends number | string | boolean>(
         }
 
         // Validate bounds for each parameter
-        if (key === STORAGE_KEYS.SPAWN_RATE) {
-          return Math.max(0.1, Math.min(3.0, parsed)) as T;
-        } else if (key === STORAGE_KEYS.MIN_LIFESPAN) {
-          return Math.max(100, Math.min(800, parsed)) as T;
-        } else if (key === STORAGE_KEYS.MAX_LIFESPAN) {
-          return Math.max(200, Math.min(1500, parsed)) as T;
-        }
-
-        return parsed as T;
+        return validateParameter(key, parsed) as T;
       } else if (typeof defaultValue === 'boolean') {
         return (saved === 'true') as T;
       } else {
@@ -48,16 +121,130 @@ export function saveToStorage<T extends number | string | boolean>(key: string,
   }
 }
 
+/**
+ * Read a JSON object from storage; null when missing or not an object
+ */
+function loadObjectFromStorage(key: string): Record<string, unknown> | null {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return null;
+  }
+
+  const saved = localStorage.getItem(key);
+  if (saved === null) {
+    return null;
+  }
+
+  try {
+    const parsed: unknown = JSON.parse(saved);
+    return typeof parsed === 'object' && parsed !== null
+      ? (parsed as Record<string, unknown>)
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load settings stored as one JSON object. The stored object goes through parse, which keeps the
+ * valid fields and fills in the rest; a missing or unreadable entry gives a copy of the defaults
+ */
+export function loadJsonSettings<T extends object>(
+  key: string,
+  defaults: T,
+  parse: (stored: Record<string, unknown>) => T
+): T {
+  const stored = loadObjectFromStorage(key);
+  return stored ? parse(stored) : { ...defaults };
+}
+
+export function saveJsonSettings<T extends object>(key: string, value: T): void {
+  if (typeof window !== 'undefined' && window.localStorage) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+}
+
+// Stored fields of the expected type; anything else is left to the defaults
+function storedNumbers<K extends string>(
+  stored: Record<string, unknown>,
+  keys: readonly K[]
+): Partial<Record<K, number>> {
+  const numbers: Partial<Record<K, number>> = {};
+  for (const key of keys) {
+    const value = stored[key];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      numbers[key] = value;
+    }
+  }
+  return numbers;
+}
+
+function storedBooleans<K extends string>(
+  stored: Record<string, unknown>,
+  keys: readonly K[]
+): Partial<Record<K, boolean>> {
+  const booleans: Partial<Record<K, boolean>> = {};
+  for (const key of keys) {
+    const value = stored[key];
+    if (typeof value === 'boolean') {
+      booleans[key] = value;
+    }
+  }
+  return booleans;
+}
+
+// Parsers for loadJsonSettings, one per stored settings object
+
+export function parsePhysicsConstants(stored: Record<string, unknown>): PhysicsConstants {
+  // Only finite numbers, so a corrupted entry cannot poison the physics
+  const keys = Object.keys(PHYSICS_CONSTANTS) as Array<keyof PhysicsConstants>;
+  return validatePhysicsConstants(storedNumbers(stored, keys));
+}
+
+export function parseLifespanSettings(stored: Record<string, unknown>): LifespanSettings {
+  const keys = Object.keys(LIFESPAN_CONTROL_RANGES) as LifespanParameter[];
+  return validateLifespanSettings({
+    ...(isLifespanDistribution(stored.distribution) ? { distribution: stored.distribution } : {}),
+    ...storedNumbers(stored, keys),
+  });
+}
+
+export function parseReincarnationSettings(stored: Record<string, unknown>): ReincarnationSettings {
+  return validateReincarnationSettings({
+    ...storedBooleans(stored, ['enabled']),
+    ...storedNumbers(stored, ['delay', 'keepVesselChance', 'dewaChance', 'humanChance']),
+  });
+}
+
+export function parseEssenceSettings(stored: Record<string, unknown>): EssenceSettings {
+  return validateEssenceSettings({
+    ...(isPopulationModel(stored.model) ? { model: stored.model } : {}),
+    ...storedNumbers(stored, ['initialPool', 'birthCost', 'connectionGain', 'dewaGain']),
+  });
+}
+
+export function parseConversionSettings(stored: Record<string, unknown>): ConversionSettings {
+  return validateConversionSettings({
+    ...storedBooleans(stored, ['enabled']),
+    ...storedNumbers(stored, ['exposureTime', 'majority']),
+  });
+}
+
+export function parseBondSettings(stored: Record<string, unknown>): BondSettings {
+  return validateBondSettings({
+    ...storedBooleans(stored, ['enabled']),
+    ...storedNumbers(stored, ['formationTime', 'decayTime', 'breakDistance', 'springStrength']),
+  });
+}
+
+export function parseTelemetrySettings(stored: Record<string, unknown>): TelemetrySettings {
+  return { ...DEFAULT_TELEMETRY, ...storedBooleans(stored, ['recording', 'persist']) };
+}
+
 // Type-safe parameter validation
 export function validateParameter(key: string, value: number): number {
-  switch (key) {
-    case STORAGE_KEYS.SPAWN_RATE:
-      return Math.max(0.1, Math.min(3.0, value));
-    case STORAGE_KEYS.MIN_LIFESPAN:
-      return Math.max(100, Math.min(800, value));
-    case STORAGE_KEYS.MAX_LIFESPAN:
-      return Math.max(200, Math.min(1500, value));
-    default:
-      return value;
+  const bounds = PARAMETER_BOUNDS[key];
+  if (!bounds) {
+    return value;
   }
+  return Math.max(bounds.min, Math.min(bounds.max, value));
 }
@@ -0,0 +1,309 @@
+// Run recordings: the snapshot a run starts from plus every worker input after it (frame
+// updates with their ticks, pointer, birth parameters and LOD levels, setting changes, added
+// souls) in the order the worker received them. The worker handles inputs strictly in order
+// and the engine is deterministic, so feeding the same inputs to a worker restored from the
+// snapshot reproduces the run exactly.
+// Frame updates are stored compactly: LOD levels as changes since the previous refresh, and
+// runs of identical plain updates as one entry with a repeat count.
+
+import type { PopulationParameters } from './engine/engineTypes';
+import type { PointerInput } from './engine/pointer';
+import { parseSnapshot, type SimulationSnapshot } from './snapshot';
+import { downloadFile, fileTimestamp } from './utils/download';
+import {
+  createDatabaseOpener,
+  isIndexedDbSupported,
+  requestToPromise,
+  transactionDone,
+} from './utils/indexedDb';
+import {
+  SETTING_INPUT_TYPES,
+  updateTickCount,
+  type CompactLODData,
+  type LODLevelSettings,
+  type WorkerInput,
+  type WorkerInputType,
+  type WorkerUpdateData,
+} from './workerProtocol';
+
+// Bump when the format changes; older recordings then need a migration in parseRecording
+export const RECORDING_VERSION = 1;
+
+// LOD levels changed since the previous refresh
+export interface RecordedLODChange {
+  ids: number[]; // Souls whose level changed or that are new
+  levels: number[]; // Index into LOD_LEVELS
+  removed: number[]; // Souls no longer in the LOD data
+  levelSettings?: LODLevelSettings[]; // Only when they changed
+}
+
+export interface RecordedUpdate {
+  ticks: number;
+  repeat?: number; // Identical plain updates in a row (no pointer, LOD or parameters)
+  pointer?: PointerInput;
+  population?: PopulationParameters; // Only when it changed
+  lod?: RecordedLODChange;
+}
+
+export interface RecordedInput extends WorkerInput {
+  tick: number; // Ticks since the start snapshot when the worker received the input
+}
+
+export interface Recording {
+  version: number;
+  recordedAt: string; // ISO wall-clock time of the start
+  duration: number; // Ticks
+  start: SimulationSnapshot;
+  settings: WorkerInput[]; // Setting inputs in effect at the start
+  inputs: RecordedInput[];
+}
+
+const INPUT_TYPES: WorkerInputType[] = ['update', 'addSoul', ...SETTING_INPUT_TYPES];
+
+const DATABASE_NAME = 'soul_simulation_recordings';
+const DATABASE_VERSION = 1;
+const PENDING_STORE = 'pending'; // Recording to replay on the next start
+const PENDING_KEY = 'replay';
+
+/**
+ * LOD levels per soul as last sent to the worker, rebuilt from recorded changes
+ */
+export class RecordedLODLevels {
+  private levels = new Map<number, number>();
+  private levelSettings: LODLevelSettings[] | null = null;
+
+  /**
+   * Changes from the current levels to a new refresh (and adopt it)
+   */
+  diff(lodData: CompactLODData): RecordedLODChange {
+    const change: RecordedLODChange = { ids: [], levels: [], removed: [] };
+    const next = new Map<number, number>();
+    for (let i = 0; i < lodData.ids.length; i++) {
+      const id = lodData.ids[i];
+      const level = lodData.levels[i];
+      next.set(id, level);
+      if (this.levels.get(id) !== level) {
+        change.ids.push(id);
+        change.levels.push(level);
+      }
+    }
+    this.levels.forEach((_, id) => {
+      if (!next.has(id)) {
+        change.removed.push(id);
+      }
+    });
+    if (JSON.stringify(lodData.levelSettings) !== JSON.stringify(this.levelSettings)) {
+      change.levelSettings = lodData.levelSettings.map(settings => ({ ...settings }));
+    }
+
+    this.levels = next;
+    this.levelSettings = change.levelSettings ?? this.levelSettings;
+    return change;
+  }
+
+  apply(change: RecordedLODChange): void {
+    change.removed.forEach(id => this.levels.delete(id));
+    change.ids.forEach((id, i) => this.levels.set(id, change.levels[i]));
+    if (change.levelSettings) {
+      this.levelSettings = change.levelSettings;
+    }
+  }
+
+  /**
+   * Levels in the form the worker takes, or null before the first refresh
+   */
+  toCompact(): CompactLODData | null {
+    if (!this.levelSettings) {
+      return null;
+    }
+    return {
+      ids: Uint32Array.from(this.levels.keys()),
+      levels: Uint8Array.from(this.levels.values()),
+      levelSettings: this.levelSettings.map(settings => ({ ...settings })),
+    };
+  }
+
+  clone(): RecordedLODLevels {
+    const copy = new RecordedLODLevels();
+    copy.levels = new Map(this.levels);
+    copy.levelSettings = this.levelSettings;
+    return copy;
+  }
+}
+
+/**
+ * Collects the inputs of a recording as the worker manager sends them
+ */
+export class RunRecorder {
+  private settings: WorkerInput[];
+  private inputs: RecordedInput[] = [];
+  private elapsed = 0; // Ticks sent since the start
+  private lod = new RecordedLODLevels();
+  private population = ''; // Last recorded birth parameters (JSON)
+  private pendingLOD: CompactLODData | null; // LOD in effect at the start, sent with the first update
+
+  /**
+   * Start with the settings and LOD levels the worker already has
+   */
+  constructor(settings: WorkerInput[], lodData: CompactLODData | null) {
+    this.settings = settings;
+    this.pendingLOD = lodData;
+  }
+
+  record(input: WorkerInput): void {
+    if (input.type !== 'update') {
+      this.inputs.push({ tick: this.elapsed, ...input });
+      return;
+    }
+
+    const data = input.data as WorkerUpdateData;
+    const update: RecordedUpdate = { ticks: updateTickCount(data) };
+    if (data.pointer) {
+      update.pointer = data.pointer;
+    }
+    if (data.population && JSON.stringify(data.population) !== this.population) {
+      this.population = JSON.stringify(data.population);
+      update.population = { ...data.population };
+    }
+    const lodData = data.lodData ?? this.pendingLOD;
+    this.pendingLOD = null;
+    if (lodData) {
+      update.lod = this.lod.diff(lodData);
+    }
+
+    // Fold a plain update into the previous entry when it is the same
+    const last = this.inputs[this.inputs.length - 1];
+    const lastUpdate = last?.type === 'update' ? (last.data as RecordedUpdate) : null;
+    if (
+      Object.keys(update).length === 1 &&
+      lastUpdate &&
+      lastUpdate.ticks === update.ticks &&
+      Object.keys(lastUpdate).every(key => key === 'ticks' || key === 'repeat')
+    ) {
+      lastUpdate.repeat = (lastUpdate.repeat ?? 1) + 1;
+    } else {
+      this.inputs.push({ tick: this.elapsed, type: 'update', data: update });
+    }
+    this.elapsed += update.ticks;
+  }
+
+  /**
+   * Ticks recorded so far
+   */
+  getElapsed(): number {
+    return this.elapsed;
+  }
+
+  getInputCount(): number {
+    return this.inputs.length;
+  }
+
+  finish(start: SimulationSnapshot, recordedAt: string): Recording {
+    return {
+      version: RECORDING_VERSION,
+      recordedAt,
+      duration: this.elapsed,
+      start,
+      settings: this.settings,
+      inputs: this.inputs,
+    };
+  }
+}
+
+/**
+ * Inputs of a recording with repeated updates written out, one entry per worker message
+ */
+export function expandInputs(recording: Recording): RecordedInput[] {
+  const expanded: RecordedInput[] = [];
+  recording.inputs.forEach(input => {
+    if (input.type !== 'update') {
+      expanded.push(input);
+      return;
+    }
+    const { repeat, ...update } = input.data as RecordedUpdate;
+    for (let i = 0; i < (repeat ?? 1); i++) {
+      expanded.push({ tick: input.tick + i * update.ticks, type: 'update', data: update });
+    }
+  });
+  return expanded;
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isInput(value: unknown): boolean {
+  return isRecord(value) && INPUT_TYPES.includes(value.type as WorkerInputType);
+}
+
+/**
+ * Check a parsed recording file; throws with a readable message when it cannot be replayed
+ */
+export function parseRecording(value: unknown): Recording {
+  if (!isRecord(value) || typeof value.version !== 'number') {
+    throw new Error('Not a simulation recording');
+  }
+  if (value.version > RECORDING_VERSION) {
+    throw new Error(`Recording version ${value.version} is newer than this app supports`);
+  }
+  if (value.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${value.version}`);
+  }
+  if (
+    typeof value.duration !== 'number' ||
+    !Array.isArray(value.settings) ||
+    !value.settings.every(isInput) ||
+    !Array.isArray(value.inputs) ||
+    !value.inputs.every(input => isInput(input) && typeof input.tick === 'number')
+  ) {
+    throw new Error('Recording is missing its inputs');
+  }
+  return { ...(value as unknown as Recording), start: parseSnapshot(value.start) };
+}
+
+export function downloadRecording(recording: Recording): void {
+  downloadFile(
+    JSON.stringify(recording),
+    'application/json',
+    `soul-recording-${fileTimestamp(new Date(recording.recordedAt))}.json`
+  );
+}
+
+export async function readRecordingFile(file: File): Promise<Recording> {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  return parseRecording(parsed);
+}
+
+const openDatabase = createDatabaseOpener(DATABASE_NAME, DATABASE_VERSION, database => {
+  database.createObjectStore(PENDING_STORE);
+});
+
+export function isRecordingStorageSupported(): boolean {
+  return isIndexedDbSupported();
+}
+
+/**
+ * Park a recording to be replayed after the next page start
+ */
+export async function setPendingReplay(recording: Recording): Promise<void> {
+  const transaction = (await openDatabase()).transaction(PENDING_STORE, 'readwrite');
+  transaction.objectStore(PENDING_STORE).put(recording, PENDING_KEY);
+  await transactionDone(transaction);
+}
+
+/**
+ * Take the recording parked for replay (removing it), or null if there is none
+ */
+export async function takePendingReplay(): Promise<Recording | null> {
+  const transaction = (await openDatabase()).transaction(PENDING_STORE, 'readwrite');
+  const store = transaction.objectStore(PENDING_STORE);
+  const stored = await requestToPromise(store.get(PENDING_KEY));
+  store.delete(PENDING_KEY);
+  await transactionDone(transaction);
+  return stored === undefined ? null : parseRecording(stored);
+}
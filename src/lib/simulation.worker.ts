@@ -1,58 +1,50 @@
 // Soul Recycling Simulation - Web Worker (TypeScript)
 // Handles physics simulation, color calculations, and connection rendering
-// Optimized for performance with spatial partitioning and delta compression
+// Optimized for performance with spatial partitioning, binary frames and delta compression
 
 import type { PhysicsConstants, SoulData, LODData, WorkerMessage } from '../types';
+import type {
+  ConnectionLine,
+  EngineSoul,
+  EngineState,
+  PopulationCensus,
+  PopulationParameters,
+  Vector3,
+} from './engine/engineTypes';
+import type { BoundaryConfig } from './engine/boundaries';
+import type { BondConfig, BondStats } from './engine/bonds';
+import type { PopulationStructure } from './engine/census';
+import type { ConnectionBudget, ConnectionCoverage } from './engine/connections';
+import type { ConversionConfig, ConversionEvent } from './engine/conversion';
+import type { EssenceConfig, EssenceStats } from './engine/essence';
+import type { SoulInspection } from './engine/inspection';
+import type { NetworkStats } from './engine/network';
+import type { ReincarnationConfig } from './engine/reincarnation';
+import { SIMULATION_TICK_RATE } from './constants/config';
+import { validatePhysicsConstants } from './constants/physics';
+import { CENSUS_AGE_BUCKET_SECONDS } from './engine/census';
+import { AGE_HISTOGRAM_BUCKET_SECONDS, AGE_HISTOGRAM_BUCKETS } from './engine/lifespan';
+import { SimulationEngine } from './engine/simulationEngine';
+import type { SoulPalette } from './engine/soulFactory';
+import { vec } from './engine/vectorMath';
+import { secondsToTicks, ticksToSeconds } from './utils/simulationClock';
+import {
+  SharedSoulRing,
+  connectionFrameByteLength,
+  createConnectionFrameView,
+  createSoulFrameView,
+  decodeLODData,
+  soulFrameByteLength,
+  updateTickCount,
+  writeConnectionFrame,
+  writeSoulFrame,
+  type CompactLODData,
+  type TransferMode,
+  type WorkerUpdateData,
+} from './workerProtocol';
 
 // Worker-specific interfaces
-interface Vector3 {
-  x: number;
-  y: number;
-  z: number;
-}
-
-interface WorkerSoulData {
-  id: number;
-  position: Vector3;
-  velocity: Vector3;
-  speed: number;
-  life: number;
-  isHuman: boolean;
-  isDewa: boolean;
-  baseHSL: {
-    h: number;
-    s: number;
-    l: number;
-  };
-  flickerPhase: number;
-  chosenDewaId: number | null;
-  finalHSL?: {
-    h: number;
-    s: number;
-    l: number;
-  };
-  finalRGB?: number[];
-  finalOpacity?: number;
-  colorChanged: boolean;
-  opacityChanged: boolean;
-}
-
-interface WorkerSettings {
-  PULSE_INCREMENT: number;
-  PULSE_MULTIPLIER: number;
-  FLICKER_MULTIPLIER: number;
-  HSL_PRECISION: number;
-  OPACITY_PRECISION: number;
-  LIGHTNESS_PULSE_AMPLITUDE: number;
-  OPACITY_BASE: number;
-  OPACITY_RANGE: number;
-  REGULAR_SOUL_PERTURBATION: number;
-  DEWA_PERTURBATION: number;
-  DISTANCE_EPSILON: number;
-  DEFAULT_INTERACTION_DISTANCE: number;
-  DEFAULT_MAX_CONNECTIONS: number;
-  DEFAULT_MAX_SOULS_TO_CHECK: number;
-  SPATIAL_GRID_CELL_SIZE: number;
+interface TransferSettings {
   POSITION_PRECISION: number;
   RGB_PRECISION: number;
   OPACITY_PRECISION_OUT: number;
@@ -83,15 +75,21 @@ interface InitMessage extends WorkerMessage {
   data: {
     souls: SoulData[];
     constants: PhysicsConstants;
+    seed: number;
+    palette: SoulPalette;
+    population: PopulationParameters; // Per tick, see simulationClock
+    state?: EngineState; // Snapshot to continue from; souls then mirror its souls
+    transfer?: {
+      mode: TransferMode;
+      sharedBuffer?: SharedArrayBuffer; // Soul ring, only in 'shared' mode
+      capacity?: number;
+    };
   };
 }
 
 interface UpdateMessage extends WorkerMessage {
   type: 'update';
-  data: {
-    pointerPosition3D?: Vector3;
-    lodData?: Record<number, LODData>;
-  };
+  data: WorkerUpdateData;
 }
 
 interface AddSoulMessage extends WorkerMessage {
@@ -101,7 +99,98 @@ interface AddSoulMessage extends WorkerMessage {
   };
 }
 
-type IncomingMessage = InitMessage | UpdateMessage | AddSoulMessage;
+interface SetBoundaryMessage extends WorkerMessage {
+  type: 'setBoundary';
+  data: {
+    boundary: Partial<BoundaryConfig>;
+  };
+}
+
+interface SetReincarnationMessage extends WorkerMessage {
+  type: 'setReincarnation';
+  data: {
+    reincarnation: ReincarnationConfig;
+  };
+}
+
+interface SetBondsMessage extends WorkerMessage {
+  type: 'setBonds';
+  data: {
+    bonds: BondConfig;
+  };
+}
+
+interface SetConnectionBudgetMessage extends WorkerMessage {
+  type: 'setConnectionBudget';
+  data: {
+    budget: ConnectionBudget;
+  };
+}
+
+interface SetConversionMessage extends WorkerMessage {
+  type: 'setConversion';
+  data: {
+    conversion: ConversionConfig;
+  };
+}
+
+interface SetEssenceMessage extends WorkerMessage {
+  type: 'setEssence';
+  data: {
+    essence: EssenceConfig;
+  };
+}
+
+interface SetConstantsMessage extends WorkerMessage {
+  type: 'setConstants';
+  data: {
+    constants: Partial<PhysicsConstants>;
+  };
+}
+
+interface SnapshotMessage extends WorkerMessage {
+  type: 'snapshot';
+  data: Record<string, never>;
+}
+
+interface LoadStateMessage extends WorkerMessage {
+  type: 'loadState';
+  data: {
+    state: EngineState;
+    lodData: CompactLODData | null; // LOD levels in effect at that state
+    population: PopulationParameters | null;
+  };
+}
+
+interface InspectSoulMessage extends WorkerMessage {
+  type: 'inspectSoul';
+  data: {
+    id: number | null; // Null stops the reports
+  };
+}
+
+interface RecycleBufferMessage extends WorkerMessage {
+  type: 'recycleBuffer';
+  data: {
+    buffer: ArrayBuffer;
+  };
+}
+
+type IncomingMessage =
+  | InitMessage
+  | UpdateMessage
+  | AddSoulMessage
+  | SetBoundaryMessage
+  | SetReincarnationMessage
+  | SetBondsMessage
+  | SetConnectionBudgetMessage
+  | SetConversionMessage
+  | SetEssenceMessage
+  | SetConstantsMessage
+  | SnapshotMessage
+  | LoadStateMessage
+  | InspectSoulMessage
+  | RecycleBufferMessage;
 
 interface SoulUpdatedMessage {
   type: 'soulsUpdated';
@@ -120,9 +209,42 @@ interface ConnectionsUpdatedMessage {
     start: number[];
     end: number[];
     color: number[];
+    opacity?: number;
   }>;
 }
 
+interface SoulsFrameMessage {
+  type: 'soulsFrame';
+  data: {
+    buffer: ArrayBuffer;
+    capacity: number;
+    count: number;
+  };
+}
+
+interface SoulsFrameSharedMessage {
+  type: 'soulsFrameShared';
+  data: {
+    count: number;
+    frame: number; // Ring frame number to read
+  };
+}
+
+interface ConnectionsFrameMessage {
+  type: 'connectionsFrame';
+  data: {
+    buffer: ArrayBuffer;
+    count: number;
+  };
+}
+
+interface SoulsSpawnedMessage {
+  type: 'soulsSpawned';
+  data: {
+    souls: SoulData[];
+  };
+}
+
 interface SoulRemovedMessage {
   type: 'soulRemoved';
   data: {
@@ -130,10 +252,192 @@ interface SoulRemovedMessage {
   };
 }
 
-// Worker state
-let souls: WorkerSoulData[] = [];
-let pulseTime = 0;
-let frameCount = 0; // For LOD physics update rate calculations
+interface BardoUpdatedMessage {
+  type: 'bardoUpdated';
+  data: {
+    size: number;
+  };
+}
+
+interface SoulsConvertedMessage {
+  type: 'soulsConverted';
+  data: {
+    conversions: ConversionEvent[]; // Current vessel of each converted soul still alive
+    toHuman: number; // Conversion events in this batch, by new vessel
+    toGpt: number;
+  };
+}
+
+interface BondsUpdatedMessage {
+  type: 'bondsUpdated';
+  data: {
+    stats: BondStats | null;
+  };
+}
+
+interface CoverageUpdatedMessage {
+  type: 'coverageUpdated';
+  data: {
+    coverage: ConnectionCoverage | null;
+  };
+}
+
+interface PopulationCensusMessage {
+  type: 'populationCensus';
+  data: {
+    samples: PopulationCensus[];
+    ageHistogram: number[]; // Living souls per age bucket at the latest census
+  };
+}
+
+interface NetworkStatsMessage {
+  type: 'networkStats';
+  data: {
+    stats: NetworkStats;
+    time: number; // Simulated seconds
+  };
+}
+
+interface PopulationStructureMessage {
+  type: 'populationStructure';
+  data: {
+    structure: PopulationStructure;
+    time: number; // Simulated seconds
+  };
+}
+
+interface SoulInspectionMessage {
+  type: 'soulInspection';
+  data: {
+    inspection: SoulInspection;
+    time: number; // Simulated seconds
+  };
+}
+
+interface SnapshotTakenMessage {
+  type: 'snapshotTaken';
+  data: {
+    state: EngineState;
+  };
+}
+
+interface StateLoadedMessage {
+  type: 'stateLoaded';
+  data: {
+    frameCount: number;
+  };
+}
+
+// Replies when saving or loading a state threw, so the main thread's request fails
+interface SnapshotFailedMessage {
+  type: 'snapshotFailed';
+  data: {
+    error: string;
+  };
+}
+
+interface StateLoadFailedMessage {
+  type: 'stateLoadFailed';
+  data: {
+    error: string;
+  };
+}
+
+interface EssenceUpdatedMessage {
+  type: 'essenceUpdated';
+  data: {
+    stats: EssenceStats | null;
+  };
+}
+
+// Worker state - the simulation itself lives in the engine
+let engine: SimulationEngine | null = null;
+let transferMode: TransferMode = 'objects';
+let sharedRing: SharedSoulRing | null = null;
+
+// Bardo pool size last reported to the main thread
+let reportedBardoSize = 0;
+
+// Essence, bond and connection coverage stats are reported on a timer, they change almost
+// every tick
+const STATS_REPORT_INTERVAL_MS = 250;
+let lastStatsReport = 0;
+
+// Population census once per simulated second, for the history chart
+const CENSUS_INTERVAL_TICKS = SIMULATION_TICK_RATE;
+
+// Network analytics walk the whole graph, so they are reported less often
+const NETWORK_REPORT_INTERVAL_MS = 1000;
+let lastNetworkReport = 0;
+
+// Age pyramid and census panel, throttled so the main thread never tracks ages itself
+const STRUCTURE_REPORT_INTERVAL_MS = 1000;
+let lastStructureReport = 0;
+
+// Soul shown in the inspector panel, reported a few times a second while one is selected
+const INSPECTION_REPORT_INTERVAL_MS = 250;
+let inspectedSoulId: number | null = null;
+let lastInspectionReport = 0;
+
+// Latest LOD levels from the main thread, kept until the next refresh
+let currentLODData: Record<number, LODData> = {};
+
+// Frame buffers handed back by the main thread, reused to avoid steady-state allocation
+const MAX_POOLED_BUFFERS = 4;
+const MIN_FRAME_BYTES = 4096;
+const bufferPool: ArrayBuffer[] = [];
+
+function acquireBuffer(byteLength: number): ArrayBuffer {
+  const index = bufferPool.findIndex(buffer => buffer.byteLength >= byteLength);
+  if (index !== -1) {
+    return bufferPool.splice(index, 1)[0];
+  }
+  // Round up so a growing population does not need a new buffer every frame
+  let size = MIN_FRAME_BYTES;
+  while (size < byteLength) {
+    size *= 2;
+  }
+  return new ArrayBuffer(size);
+}
+
+function releaseBuffer(buffer: ArrayBuffer): void {
+  if (bufferPool.length < MAX_POOLED_BUFFERS) {
+    bufferPool.push(buffer);
+  }
+}
+
+// Post the current souls as a packed frame (ring slot when shared, transferred buffer otherwise)
+function postSoulFrame(souls: EngineSoul[]): void {
+  const frame = sharedRing ? sharedRing.write(souls) : null;
+  if (frame !== null) {
+    const sharedMessage: SoulsFrameSharedMessage = {
+      type: 'soulsFrameShared',
+      data: { count: souls.length, frame },
+    };
+    self.postMessage(sharedMessage);
+    return;
+  }
+
+  // Transferable path, also used when the population outgrows the shared ring
+  const buffer = acquireBuffer(soulFrameByteLength(souls.length));
+  const capacity = Math.floor(buffer.byteLength / soulFrameByteLength(1));
+  const count = writeSoulFrame(createSoulFrameView(buffer, capacity, 0), souls);
+  const frameMessage: SoulsFrameMessage = {
+    type: 'soulsFrame',
+    data: { buffer, capacity, count },
+  };
+  self.postMessage(frameMessage, { transfer: [buffer] });
+}
+
+function postConnectionFrame(connections: ConnectionLine[]): void {
+  const buffer = acquireBuffer(connectionFrameByteLength(connections.length));
+  writeConnectionFrame(createConnectionFrameView(buffer, connections.length), connections);
+  const frameMessage: ConnectionsFrameMessage = {
+    type: 'connectionsFrame',
+    data: { buffer, count: connections.length },
+  };
+  self.postMessage(frameMessage, { transfer: [buffer] });
+}
 
 // Phase 5: Advanced Worker Communication - Delta Compression Manager
 class DeltaCompressionManager {
@@ -182,7 +486,7 @@ class DeltaCompressionManager {
   }
 
   // Compress soul data with enhanced delta compression
-  compressSoulData(souls: WorkerSoulData[]): CompressedData {
+  compressSoulData(souls: EngineSoul[]): CompressedData {
     const changedSouls: CompressedData['souls'] = [];
     const messageId = this.messageId++;
 
@@ -256,6 +560,11 @@ class DeltaCompressionManager {
     }
   }
 
+  // Forget every tracked soul (engine state replaced), so the next update sends all of them
+  reset(): void {
+    this.previousStates.clear();
+  }
+
   // Initialize state for a new soul
   initializeSoulState(soulId: number, position: Vector3, velocity: Vector3): void {
     this.previousStates.set(soulId, {
@@ -270,635 +579,217 @@ class DeltaCompressionManager {
 // Initialize delta compression manager
 const deltaCompressionManager = new DeltaCompressionManager();
 
-// Worker constants - configured from main thread
-const WORKER_SETTINGS: WorkerSettings = {
-  // Pulse and animation
-  PULSE_INCREMENT: 0.02,
-  PULSE_MULTIPLIER: 2,
-  FLICKER_MULTIPLIER: 3,
-
-  // Color change detection thresholds
-  HSL_PRECISION: 0.01, // 1% threshold for color changes
-  OPACITY_PRECISION: 0.01, // 1% threshold for opacity changes
-
-  // Visual effects
-  LIGHTNESS_PULSE_AMPLITUDE: 0.2,
-  OPACITY_BASE: 0.5,
-  OPACITY_RANGE: 0.5,
-
-  // Movement perturbation
-  REGULAR_SOUL_PERTURBATION: 0.2,
-  DEWA_PERTURBATION: 0.01,
-  DISTANCE_EPSILON: 0.0001, // Small value to prevent division by zero
-
-  // Connection calculation defaults
-  DEFAULT_INTERACTION_DISTANCE: 6,
-  DEFAULT_MAX_CONNECTIONS: 1000,
-  DEFAULT_MAX_SOULS_TO_CHECK: 150,
-
-  // Spatial grid
-  SPATIAL_GRID_CELL_SIZE: 8.0, // Cell size slightly larger than max interaction radius
-
-  // Precision for data transmission
+// Transfer precision settings
+const WORKER_SETTINGS: TransferSettings = {
   POSITION_PRECISION: 100, // Round to 2 decimal places
   RGB_PRECISION: 255, // RGB color precision
   OPACITY_PRECISION_OUT: 255, // Opacity precision for output
 };
 
-// Physics constants (initialized from main thread)
-let POINTER_INTERACTION_RADIUS: number;
-let POINTER_INFLUENCE_STRENGTH: number;
-let NEIGHBOR_SPEED_INFLUENCE_RADIUS: number;
-let NEIGHBOR_SPEED_INFLUENCE_STRENGTH: number;
-let SEPARATION_DISTANCE: number;
-let SEPARATION_STRENGTH: number;
-let DEWA_ATTRACTION_RADIUS: number;
-let DEWA_ATTRACTION_STRENGTH: number;
-let DEWA_ENHANCEMENT_RADIUS: number;
-let ENHANCEMENT_SATURATION_BOOST: number;
-let ENHANCEMENT_LIGHTNESS_BOOST: number;
-
-// Pre-calculated squared distances for performance
-let NEIGHBOR_SPEED_INFLUENCE_RADIUS_SQ: number;
-let SEPARATION_DISTANCE_SQ: number;
-let DEWA_ATTRACTION_RADIUS_SQ: number;
-let DEWA_ENHANCEMENT_RADIUS_SQ: number;
-let POINTER_INTERACTION_RADIUS_SQ: number;
-
-// HSL to RGB conversion function to avoid main thread conversion overhead
-function hslToRgb(h: number, s: number, l: number): number[] {
-  // Normalize inputs to valid ranges
-  h = h % 1; // Ensure hue is in [0, 1] range
-  if (h < 0) {
-    h += 1;
-  } // Handle negative hue values
-  s = Math.max(0, Math.min(1, s)); // Clamp saturation to [0, 1]
-  l = Math.max(0, Math.min(1, l)); // Clamp lightness to [0, 1]
-
-  let r: number, g: number, b: number;
-
-  if (s === 0) {
-    r = g = b = l; // achromatic
-  } else {
-    const hue2rgb = (p: number, q: number, t: number): number => {
-      if (t < 0) {
-        t += 1;
-      }
-      if (t > 1) {
-        t -= 1;
-      }
-      if (t < 1 / 6) {
-        return p + (q - p) * 6 * t;
-      }
-      if (t < 1 / 2) {
-        return q;
-      }
-      if (t < 2 / 3) {
-        return p + (q - p) * (2 / 3 - t) * 6;
-      }
-      return p;
-    };
-
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    r = hue2rgb(p, q, h + 1 / 3);
-    g = hue2rgb(p, q, h);
-    b = hue2rgb(p, q, h - 1 / 3);
-  }
-
-  // Ensure RGB values are in valid range [0, 1]
-  return [Math.max(0, Math.min(1, r)), Math.max(0, Math.min(1, g)), Math.max(0, Math.min(1, b))];
-}
-
-// Spatial partitioning system
-class SpatialGrid {
-  private cellSize: number;
-  private grid = new Map<string, WorkerSoulData[]>();
-
-  constructor(cellSize: number) {
-    this.cellSize = cellSize;
-  }
-
-  clear(): void {
-    this.grid.clear();
-  }
-
-  private getKey(x: number, y: number, z: number): string {
-    const cx = Math.floor(x / this.cellSize);
-    const cy = Math.floor(y / this.cellSize);
-    const cz = Math.floor(z / this.cellSize);
-    return `${cx},${cy},${cz}`;
-  }
+// Message handler
+self.onmessage = function (e: MessageEvent<IncomingMessage>) {
+  const { type, data } = e.data;
 
-  insert(soul: WorkerSoulData): void {
-    const key = this.getKey(soul.position.x, soul.position.y, soul.position.z);
-    if (!this.grid.has(key)) {
-      this.grid.set(key, []);
+  if (type === 'init') {
+    engine = new SimulationEngine(data.constants, data.seed);
+    currentLODData = {};
+    reportedBardoSize = 0;
+    lastStatsReport = 0;
+    lastNetworkReport = 0;
+    lastStructureReport = 0;
+    lastInspectionReport = 0;
+    if (data.state) {
+      engine.loadState(data.state);
+    } else {
+      engine.loadSouls(data.souls);
     }
-    this.grid.get(key)!.push(soul);
-  }
+    engine.configureSpawning(data.palette, data.population);
 
-  getNearby(position: Vector3, radius: number): WorkerSoulData[] {
-    const nearby: WorkerSoulData[] = [];
-    const cellRadius = Math.ceil(radius / this.cellSize);
-    const centerX = Math.floor(position.x / this.cellSize);
-    const centerY = Math.floor(position.y / this.cellSize);
-    const centerZ = Math.floor(position.z / this.cellSize);
-
-    for (let dx = -cellRadius; dx <= cellRadius; dx++) {
-      for (let dy = -cellRadius; dy <= cellRadius; dy++) {
-        for (let dz = -cellRadius; dz <= cellRadius; dz++) {
-          const key = `${centerX + dx},${centerY + dy},${centerZ + dz}`;
-          const cells = this.grid.get(key);
-          if (cells) {
-            nearby.push(...cells);
-          }
-        }
-      }
+    transferMode = data.transfer?.mode ?? 'objects';
+    sharedRing =
+      transferMode === 'shared' && data.transfer?.sharedBuffer && data.transfer.capacity
+        ? new SharedSoulRing(data.transfer.sharedBuffer, data.transfer.capacity)
+        : null;
+  } else if (type === 'update') {
+    if (!engine) {
+      return;
     }
-    return nearby;
-  }
-}
 
-const spatialGrid = new SpatialGrid(WORKER_SETTINGS.SPATIAL_GRID_CELL_SIZE);
-
-// Minimal THREE.Vector3-like operations for plain objects
-const vec = {
-  create: (x = 0, y = 0, z = 0): Vector3 => ({ x, y, z }),
-  copy: (v: Vector3): Vector3 => ({ ...v }),
-  set: (target: Vector3, x: number, y: number, z: number): Vector3 => {
-    target.x = x;
-    target.y = y;
-    target.z = z;
-    return target;
-  },
-  add: (v1: Vector3, v2: Vector3): Vector3 => ({
-    x: v1.x + v2.x,
-    y: v1.y + v2.y,
-    z: v1.z + v2.z,
-  }),
-  subVectors: (v1: Vector3, v2: Vector3): Vector3 => ({
-    x: v1.x - v2.x,
-    y: v1.y - v2.y,
-    z: v1.z - v2.z,
-  }),
-  multiplyScalar: (v: Vector3, s: number): Vector3 => ({
-    x: v.x * s,
-    y: v.y * s,
-    z: v.z * s,
-  }),
-  lengthSq: (v: Vector3): number => v.x * v.x + v.y * v.y + v.z * v.z,
-  length: (v: Vector3): number => Math.sqrt(vec.lengthSq(v)),
-  normalize: (v: Vector3): Vector3 => {
-    const l = vec.length(v);
-    return l > 0 ? vec.multiplyScalar(v, 1 / l) : vec.create();
-  },
-  distanceTo: (v1: Vector3, v2: Vector3): number => vec.length(vec.subVectors(v1, v2)),
-  lerp: (v1: Vector3, v2: Vector3, alpha: number): Vector3 => ({
-    x: v1.x + (v2.x - v1.x) * alpha,
-    y: v1.y + (v2.y - v1.y) * alpha,
-    z: v1.z + (v2.z - v1.z) * alpha,
-  }),
-};
-
-const mathUtils = {
-  lerp: (a: number, b: number, t: number): number => a + (b - a) * t,
-};
-
-// LOD Physics Helper Functions
-function shouldUpdatePhysicsForSoul(
-  soul: WorkerSoulData,
-  lodData: Record<number, LODData>,
-  frameCount: number
-): boolean {
-  const lodInfo = lodData[soul.id];
-  if (!lodInfo) {
-    return true;
-  } // Default to full physics if no LOD data
-
-  // Skip physics for culled souls entirely
-  if (lodInfo.lod === 'CULLED') {
-    return false;
-  }
-
-  // For other LOD levels, use physics update rate
-  const updateRate = lodInfo.physicsUpdateRate;
-  if (updateRate >= 1.0) {
-    return true;
-  } // HIGH LOD - always update
-  if (updateRate <= 0) {
-    return false;
-  } // Should not happen, but safety check
-
-  // Use frame count to distribute physics updates across frames
-  const interval = Math.round(1 / updateRate);
-  return frameCount % interval === 0;
-}
-
-// Add connection calculation function
-function calculateConnections(
-  souls: WorkerSoulData[],
-  interactionDistance: number,
-  maxConnections: number,
-  maxSoulsToCheck: number,
-  lodData: Record<number, LODData> = {}
-): Array<{ start: number[]; end: number[]; color: number[] }> {
-  const connections: Array<{ start: number[]; end: number[]; color: number[] }> = [];
-  const maxDistSq = interactionDistance * interactionDistance;
-
-  // Use spatial grid for O(n) complexity instead of O(n²)
-  const maxSouls = Math.min(souls.length, maxSoulsToCheck);
-  const soulsToCheck = souls.slice(0, maxSouls);
-
-  // To keep connection color stable, we need a deterministic color for each pair (id1, id2)
-  function getStableColor(id1: number, id2: number): number[] {
-    // Always order ids the same way
-    const a = Math.min(id1, id2);
-    const b = Math.max(id1, id2);
-    // Use a simple hash function for deterministic color
-    const hash = ((a * 73856093) ^ (b * 19349663)) >>> 0;
-    // Map hash to [0,1]
-    const hue = (hash % 360) / 360;
-    const saturation = 1;
-    const lightness = 0.5; // 0.5-0.7
-    return hslToRgb(hue, saturation, lightness);
-  }
-
-  for (let i = 0; i < soulsToCheck.length && connections.length < maxConnections; i++) {
-    const soul = soulsToCheck[i];
-
-    // LOD-aware connection filtering
-    const soulLodInfo = lodData[soul.id];
-    const soulConnectionMultiplier = soulLodInfo ? soulLodInfo.connectionMultiplier : 1.0;
+    if (data.population) {
+      engine.setPopulationParameters(data.population);
+    }
 
-    // Skip connections entirely for culled souls
-    if (soulLodInfo && soulLodInfo.lod === 'CULLED') {
-      continue;
+    if (data.lodData) {
+      currentLODData = decodeLODData(data.lodData);
     }
 
-    const nearby = spatialGrid.getNearby(soul.position, interactionDistance);
-    for (const other of nearby) {
-      if (soul.id >= other.id) {
-        continue;
-      } // Avoid duplicates
-      if (connections.length >= maxConnections) {
-        break;
+    // Advance the fixed-timestep simulation; connections are only needed for the last tick
+    const ticks = updateTickCount(data);
+    const knownIds = new Set(engine.getSouls().map(soul => soul.id)); // Souls the main thread has
+    const removedSoulIds: number[] = [];
+    const spawnedSouls: SoulData[] = [];
+    const convertedSouls: ConversionEvent[] = [];
+    const censusSamples: PopulationCensus[] = [];
+    let connections: ConnectionLine[] = [];
+    for (let tick = 0; tick < ticks; tick++) {
+      const result = engine.step({
+        pointer: data.pointer,
+        lodData: currentLODData,
+        computeConnections: tick === ticks - 1,
+      });
+      removedSoulIds.push(...result.removedSoulIds);
+      spawnedSouls.push(...result.spawnedSouls);
+      convertedSouls.push(...result.convertedSouls);
+      connections = result.connections;
+      if (engine.getFrameCount() % CENSUS_INTERVAL_TICKS === 0) {
+        censusSamples.push(engine.takeCensus());
       }
+    }
 
-      // Check LOD for the other soul too
-      const otherLodInfo = lodData[other.id];
-      const otherConnectionMultiplier = otherLodInfo ? otherLodInfo.connectionMultiplier : 1.0;
-
-      // Skip connections for culled souls
-      if (otherLodInfo && otherLodInfo.lod === 'CULLED') {
-        continue;
+    // Soul recycling: notify main thread about souls it knows whose life is over. This goes
+    // first, because with reincarnation the same id may already be back among the births
+    // (souls born and recycled within the same batch were never announced)
+    new Set(removedSoulIds).forEach(soulId => {
+      if (!knownIds.has(soulId)) {
+        return;
       }
 
-      // Use the minimum connection multiplier between the two souls
-      const effectiveConnectionMultiplier = Math.min(
-        soulConnectionMultiplier,
-        otherConnectionMultiplier
-      );
-
-      // Probabilistic connection based on LOD multiplier
-      if (Math.random() > effectiveConnectionMultiplier) {
-        continue;
-      }
+      const removeMessage: SoulRemovedMessage = {
+        type: 'soulRemoved',
+        data: { soulId },
+      };
+      self.postMessage(removeMessage);
+    });
 
-      const distSq = vec.lengthSq(vec.subVectors(soul.position, other.position));
-      if (distSq < maxDistSq) {
-        const rgb = getStableColor(soul.id, other.id);
-        connections.push({
-          start: [soul.position.x, soul.position.y, soul.position.z],
-          end: [other.position.x, other.position.y, other.position.z],
-          color: rgb,
+    // Births before the soul updates, so the main thread has a mesh for every soul it updates.
+    // Only the latest birth of an id that is still alive counts
+    const aliveIds = new Set(engine.getSouls().map(soul => soul.id));
+    const latestBirths = new Map<number, SoulData>();
+    spawnedSouls.forEach(soul => latestBirths.set(soul.id, soul));
+    const bornSouls = Array.from(latestBirths.values()).filter(soul => aliveIds.has(soul.id));
+    if (bornSouls.length > 0) {
+      if (transferMode === 'objects') {
+        bornSouls.forEach(soul => {
+          deltaCompressionManager.initializeSoulState(soul.id, soul.position, soul.velocity);
         });
       }
+      const spawnedMessage: SoulsSpawnedMessage = {
+        type: 'soulsSpawned',
+        data: { souls: bornSouls },
+      };
+      self.postMessage(spawnedMessage);
     }
-  }
-
-  return connections;
-}
-
-// Message handler
-self.onmessage = function (e: MessageEvent<IncomingMessage>) {
-  const { type, data } = e.data;
-
-  if (type === 'init') {
-    souls = data.souls.map(s => ({
-      id: s.id,
-      position: vec.create(s.position.x, s.position.y, s.position.z),
-      velocity: vec.create(s.velocity.x, s.velocity.y, s.velocity.z),
-      speed: s.speed,
-      life: s.life, // Use 'life' not 'lifespan'
-      isHuman: s.isHuman,
-      isDewa: s.isDewa,
-      baseHSL: {
-        h: s.baseHSL.h, // Use baseHSL object
-        s: s.baseHSL.s,
-        l: s.baseHSL.l,
-      },
-      flickerPhase: s.flickerPhase || Math.random() * Math.PI * 2,
-      chosenDewaId: null, // Initialize chosenDewaId
-      colorChanged: true,
-      opacityChanged: true,
-    }));
-
-    POINTER_INTERACTION_RADIUS = data.constants.POINTER_INTERACTION_RADIUS;
-    POINTER_INFLUENCE_STRENGTH = data.constants.POINTER_INFLUENCE_STRENGTH;
-    NEIGHBOR_SPEED_INFLUENCE_RADIUS = data.constants.NEIGHBOR_SPEED_INFLUENCE_RADIUS;
-    NEIGHBOR_SPEED_INFLUENCE_STRENGTH = data.constants.NEIGHBOR_SPEED_INFLUENCE_STRENGTH;
-    SEPARATION_DISTANCE = data.constants.SEPARATION_DISTANCE;
-    SEPARATION_STRENGTH = data.constants.SEPARATION_STRENGTH;
-    DEWA_ATTRACTION_RADIUS = data.constants.DEWA_ATTRACTION_RADIUS;
-    DEWA_ATTRACTION_STRENGTH = data.constants.DEWA_ATTRACTION_STRENGTH;
-    DEWA_ENHANCEMENT_RADIUS = data.constants.DEWA_ENHANCEMENT_RADIUS;
-    ENHANCEMENT_SATURATION_BOOST = data.constants.ENHANCEMENT_SATURATION_BOOST;
-    ENHANCEMENT_LIGHTNESS_BOOST = data.constants.ENHANCEMENT_LIGHTNESS_BOOST;
-
-    // Pre-calculate squared distances for performance
-    NEIGHBOR_SPEED_INFLUENCE_RADIUS_SQ =
-      NEIGHBOR_SPEED_INFLUENCE_RADIUS * NEIGHBOR_SPEED_INFLUENCE_RADIUS;
-    SEPARATION_DISTANCE_SQ = SEPARATION_DISTANCE * SEPARATION_DISTANCE;
-    DEWA_ATTRACTION_RADIUS_SQ = DEWA_ATTRACTION_RADIUS * DEWA_ATTRACTION_RADIUS;
-    DEWA_ENHANCEMENT_RADIUS_SQ = DEWA_ENHANCEMENT_RADIUS * DEWA_ENHANCEMENT_RADIUS;
-    POINTER_INTERACTION_RADIUS_SQ = POINTER_INTERACTION_RADIUS * POINTER_INTERACTION_RADIUS;
-  } else if (type === 'update') {
-    const pointerPosition3D = data.pointerPosition3D
-      ? vec.create(data.pointerPosition3D.x, data.pointerPosition3D.y, data.pointerPosition3D.z)
-      : null;
-    const lodData = data.lodData || {}; // LOD data from main thread
-
-    frameCount++; // Increment frame counter for LOD physics rate calculations
-    pulseTime += WORKER_SETTINGS.PULSE_INCREMENT;
-    const pulse = (Math.sin(pulseTime * WORKER_SETTINGS.PULSE_MULTIPLIER) + 1) / 2;
-
-    // Clear and rebuild spatial grid for this frame
-    spatialGrid.clear();
-    souls.forEach(soul => spatialGrid.insert(soul));
 
-    const dewaSouls = souls.filter(s => s.isDewa);
-
-    const soulsToRemove: number[] = [];
-    souls.forEach(soul => {
-      // Check if physics should update for this soul based on LOD
-      const shouldUpdatePhysics = shouldUpdatePhysicsForSoul(soul, lodData, frameCount);
-
-      // Skip physics calculations for culled souls or souls that shouldn't update this frame
-      if (!shouldUpdatePhysics) {
-        // Still decrement life and check for removal
-        soul.life--;
-        if (soul.life <= 0) {
-          soulsToRemove.push(soul.id);
-          const removeMessage: SoulRemovedMessage = {
-            type: 'soulRemoved',
-            data: { soulId: soul.id },
-          };
-          self.postMessage(removeMessage);
-        }
-        return; // Skip physics for this soul this frame
-      }
-
-      // === Speed influence from neighbors using spatial partitioning ===
-      if (!soul.isDewa) {
-        // Dewas are not affected by neighbor speed influence
-        let influencedSpeed = soul.speed;
-        const nearbyNeighbors = spatialGrid.getNearby(
-          soul.position,
-          NEIGHBOR_SPEED_INFLUENCE_RADIUS
-        );
-
-        for (const otherSoul of nearbyNeighbors) {
-          if (soul.id === otherSoul.id || otherSoul.isDewa) {
-            continue;
-          }
-
-          const distanceToNeighborSq = vec.lengthSq(
-            vec.subVectors(soul.position, otherSoul.position)
-          );
-          if (distanceToNeighborSq < NEIGHBOR_SPEED_INFLUENCE_RADIUS_SQ) {
-            influencedSpeed = mathUtils.lerp(
-              influencedSpeed,
-              otherSoul.speed,
-              NEIGHBOR_SPEED_INFLUENCE_STRENGTH
-            );
-          }
-        }
-        soul.speed = influencedSpeed;
-      }
-
-      // === Separation from neighbors using spatial partitioning ===
-      const separationForce = vec.create();
-      const nearbySeparationSouls = spatialGrid.getNearby(soul.position, SEPARATION_DISTANCE);
-
-      for (const otherSoul of nearbySeparationSouls) {
-        if (soul.id === otherSoul.id) {
-          continue;
-        }
-
-        const distanceToNeighborSq = vec.lengthSq(
-          vec.subVectors(soul.position, otherSoul.position)
-        );
-        if (distanceToNeighborSq > 0 && distanceToNeighborSq < SEPARATION_DISTANCE_SQ) {
-          const distanceToNeighbor = Math.sqrt(distanceToNeighborSq); // Only calculate sqrt when needed
-          let awayVector = vec.subVectors(soul.position, otherSoul.position);
-          awayVector = vec.normalize(awayVector);
-          awayVector = vec.multiplyScalar(
-            awayVector,
-            1 / (distanceToNeighbor + WORKER_SETTINGS.DISTANCE_EPSILON)
-          );
-          separationForce.x += awayVector.x;
-          separationForce.y += awayVector.y;
-          separationForce.z += awayVector.z;
-        }
-      }
-      if (vec.lengthSq(separationForce) > 0) {
-        const scaledSeparationForce = vec.multiplyScalar(separationForce, SEPARATION_STRENGTH);
-        soul.velocity = vec.add(soul.velocity, scaledSeparationForce);
-      }
-
-      // === Dewa Attraction (optimized) ===
-      if (!soul.isDewa) {
-        let targetDewa: WorkerSoulData | null = null;
-        if (soul.chosenDewaId !== null) {
-          const currentlyChosenDewa = dewaSouls.find(g => g.id === soul.chosenDewaId);
-          if (currentlyChosenDewa) {
-            const distanceToChosenDewaSq = vec.lengthSq(
-              vec.subVectors(soul.position, currentlyChosenDewa.position)
-            );
-            if (distanceToChosenDewaSq < DEWA_ATTRACTION_RADIUS_SQ) {
-              targetDewa = currentlyChosenDewa;
-            } else {
-              soul.chosenDewaId = null;
-            }
-          } else {
-            soul.chosenDewaId = null;
-          }
-        }
-        if (targetDewa === null) {
-          let closestDewa: WorkerSoulData | null = null;
-          let minDistanceSq = DEWA_ATTRACTION_RADIUS_SQ;
-          for (const dewa of dewaSouls) {
-            const distanceToDewaSq = vec.lengthSq(vec.subVectors(dewa.position, soul.position));
-            if (distanceToDewaSq < minDistanceSq) {
-              minDistanceSq = distanceToDewaSq;
-              closestDewa = dewa;
-            }
-          }
-          if (closestDewa) {
-            soul.chosenDewaId = closestDewa.id;
-            targetDewa = closestDewa;
-          }
-        }
-        if (targetDewa) {
-          const distanceToTargetDewaSq = vec.lengthSq(
-            vec.subVectors(soul.position, targetDewa.position)
-          );
-          if (distanceToTargetDewaSq > 0 && distanceToTargetDewaSq < DEWA_ATTRACTION_RADIUS_SQ) {
-            const distanceToTargetDewa = Math.sqrt(distanceToTargetDewaSq); // Only calculate sqrt when needed
-            const directionToDewa = vec.normalize(
-              vec.subVectors(targetDewa.position, soul.position)
-            );
-            const attractionForce = vec.multiplyScalar(
-              directionToDewa,
-              DEWA_ATTRACTION_STRENGTH * (1 - distanceToTargetDewa / DEWA_ATTRACTION_RADIUS)
-            );
-            soul.velocity = vec.add(soul.velocity, attractionForce);
-          }
-        }
-      }
-
-      // Slightly perturb the velocity
-      if (!soul.isDewa) {
-        soul.velocity.x += (Math.random() - 0.5) * WORKER_SETTINGS.REGULAR_SOUL_PERTURBATION;
-        soul.velocity.y += (Math.random() - 0.5) * WORKER_SETTINGS.REGULAR_SOUL_PERTURBATION;
-        soul.velocity.z += (Math.random() - 0.5) * WORKER_SETTINGS.REGULAR_SOUL_PERTURBATION;
-      } else {
-        soul.velocity.x += (Math.random() - 0.5) * WORKER_SETTINGS.DEWA_PERTURBATION;
-        soul.velocity.y += (Math.random() - 0.5) * WORKER_SETTINGS.DEWA_PERTURBATION;
-        soul.velocity.z += (Math.random() - 0.5) * WORKER_SETTINGS.DEWA_PERTURBATION;
-      }
-
-      // Pointer interaction logic (optimized)
-      if (pointerPosition3D && soul.isHuman && !soul.isDewa) {
-        const distanceToPointSq = vec.lengthSq(vec.subVectors(soul.position, pointerPosition3D));
-        if (distanceToPointSq < POINTER_INTERACTION_RADIUS_SQ) {
-          const directionToPoint = vec.normalize(vec.subVectors(pointerPosition3D, soul.position));
-          const targetVelocity = vec.multiplyScalar(directionToPoint, soul.speed);
-          soul.velocity = vec.lerp(soul.velocity, targetVelocity, POINTER_INFLUENCE_STRENGTH);
-        }
-      }
+    // Vessel conversions after the births, so every converted soul has a mesh to move.
+    // Send the current vessel of each converted soul that is still alive (a soul may convert
+    // more than once, or die and be reborn, within the same batch)
+    if (convertedSouls.length > 0) {
+      const convertedIds = new Set(convertedSouls.map(event => event.id));
+      const conversions: ConversionEvent[] = engine
+        .getSouls()
+        .filter(soul => convertedIds.has(soul.id))
+        .map(soul => ({
+          id: soul.id,
+          species: soul.species,
+          isHuman: soul.isHuman,
+          hue: soul.vesselHue,
+        }));
+      const toHuman = convertedSouls.filter(event => event.isHuman).length;
+      const convertedMessage: SoulsConvertedMessage = {
+        type: 'soulsConverted',
+        data: { conversions, toHuman, toGpt: convertedSouls.length - toHuman },
+      };
+      self.postMessage(convertedMessage);
+    }
 
-      // Normalize to maintain consistent speed and apply the soul's specific speed
-      soul.velocity = vec.normalize(soul.velocity);
-      soul.velocity = vec.multiplyScalar(soul.velocity, soul.speed);
-
-      // Update position
-      soul.position = vec.add(soul.position, soul.velocity);
-
-      soul.life--; // Decrement life
-
-      // Visual Enhancement by Dewas & HSL Calculation (optimized)
-      let currentSaturation = soul.baseHSL.s;
-      let currentLightness = soul.baseHSL.l;
-      let isEnhanced = false; // Flag to see if enhancement happened
-
-      if (!soul.isDewa) {
-        for (const dewa of dewaSouls) {
-          const distanceToDewaSq = vec.lengthSq(vec.subVectors(soul.position, dewa.position));
-          if (distanceToDewaSq < DEWA_ENHANCEMENT_RADIUS_SQ) {
-            currentSaturation = Math.min(1, soul.baseHSL.s + ENHANCEMENT_SATURATION_BOOST);
-            currentLightness = Math.min(1, soul.baseHSL.l + ENHANCEMENT_LIGHTNESS_BOOST);
-            isEnhanced = true;
-            break;
-          }
-        }
-      }
+    if (censusSamples.length > 0) {
+      const censusMessage: PopulationCensusMessage = {
+        type: 'populationCensus',
+        data: {
+          samples: censusSamples,
+          ageHistogram: engine.getAgeHistogram(
+            secondsToTicks(AGE_HISTOGRAM_BUCKET_SECONDS),
+            AGE_HISTOGRAM_BUCKETS
+          ),
+        },
+      };
+      self.postMessage(censusMessage);
+    }
 
-      // Flicker and color animation
-      const flicker =
-        WORKER_SETTINGS.OPACITY_BASE +
-        WORKER_SETTINGS.OPACITY_RANGE *
-          Math.sin(pulseTime * WORKER_SETTINGS.FLICKER_MULTIPLIER + soul.flickerPhase);
-      const newOpacity = WORKER_SETTINGS.OPACITY_BASE + WORKER_SETTINGS.OPACITY_RANGE * flicker;
-
-      // Use the potentially boosted lightness for pulsing, unless it's a dewa or already enhanced to max
-      // Dewas retain their base lightness. Enhanced souls use their boosted lightness for pulsing.
-      // Non-enhanced, non-dewa souls pulse their base lightness.
-      let pulsedLightness: number;
-      if (soul.isDewa) {
-        pulsedLightness = soul.baseHSL.l;
-      } else if (isEnhanced) {
-        // If enhanced, pulse based on the boosted lightness
-        pulsedLightness = Math.min(
-          Math.max(currentLightness + WORKER_SETTINGS.LIGHTNESS_PULSE_AMPLITUDE * (pulse - 0.5), 0),
-          1
-        );
-      } else {
-        // If not enhanced, pulse based on original base lightness
-        pulsedLightness = Math.min(
-          Math.max(soul.baseHSL.l + WORKER_SETTINGS.LIGHTNESS_PULSE_AMPLITUDE * (pulse - 0.5), 0),
-          1
-        );
-      }
+    const bardoSize = engine.getBardoSize();
+    if (bardoSize !== reportedBardoSize) {
+      reportedBardoSize = bardoSize;
+      const bardoMessage: BardoUpdatedMessage = {
+        type: 'bardoUpdated',
+        data: { size: bardoSize },
+      };
+      self.postMessage(bardoMessage);
+    }
 
-      // Calculate new HSL values
-      const newHSL = {
-        h: soul.baseHSL.h,
-        s: soul.isDewa ? soul.baseHSL.s : currentSaturation,
-        l: pulsedLightness,
+    const now = performance.now();
+    if (now - lastStatsReport >= STATS_REPORT_INTERVAL_MS) {
+      lastStatsReport = now;
+      const essenceMessage: EssenceUpdatedMessage = {
+        type: 'essenceUpdated',
+        data: { stats: engine.getEssenceStats() },
+      };
+      self.postMessage(essenceMessage);
+      const bondsMessage: BondsUpdatedMessage = {
+        type: 'bondsUpdated',
+        data: { stats: engine.getBondStats() },
+      };
+      self.postMessage(bondsMessage);
+      const coverageMessage: CoverageUpdatedMessage = {
+        type: 'coverageUpdated',
+        data: { coverage: engine.getConnectionCoverage() },
+      };
+      self.postMessage(coverageMessage);
+    }
+    if (now - lastNetworkReport >= NETWORK_REPORT_INTERVAL_MS) {
+      lastNetworkReport = now;
+      const networkMessage: NetworkStatsMessage = {
+        type: 'networkStats',
+        data: {
+          stats: engine.getNetworkStats(),
+          time: ticksToSeconds(engine.getFrameCount()),
+        },
       };
+      self.postMessage(networkMessage);
+    }
+    if (now - lastStructureReport >= STRUCTURE_REPORT_INTERVAL_MS) {
+      lastStructureReport = now;
+      const structureMessage: PopulationStructureMessage = {
+        type: 'populationStructure',
+        data: {
+          structure: engine.getPopulationStructure(secondsToTicks(CENSUS_AGE_BUCKET_SECONDS)),
+          time: ticksToSeconds(engine.getFrameCount()),
+        },
+      };
+      self.postMessage(structureMessage);
+    }
+    if (inspectedSoulId !== null && now - lastInspectionReport >= INSPECTION_REPORT_INTERVAL_MS) {
+      lastInspectionReport = now;
+      const inspectionMessage: SoulInspectionMessage = {
+        type: 'soulInspection',
+        data: {
+          inspection: engine.inspectSoul(inspectedSoulId),
+          time: ticksToSeconds(engine.getFrameCount()),
+        },
+      };
+      self.postMessage(inspectionMessage);
+    }
 
-      // Color change detection - only update if HSL or opacity actually changed
-      const colorChanged =
-        !soul.finalHSL ||
-        Math.abs(soul.finalHSL.h - newHSL.h) > WORKER_SETTINGS.HSL_PRECISION ||
-        Math.abs(soul.finalHSL.s - newHSL.s) > WORKER_SETTINGS.HSL_PRECISION ||
-        Math.abs(soul.finalHSL.l - newHSL.l) > WORKER_SETTINGS.HSL_PRECISION;
-
-      const opacityChanged =
-        soul.finalOpacity === undefined ||
-        Math.abs(soul.finalOpacity - newOpacity) > WORKER_SETTINGS.OPACITY_PRECISION;
-
-      // Store color change flags for main thread optimization
-      soul.colorChanged = colorChanged;
-      soul.opacityChanged = opacityChanged;
-
-      // Only update stored values if they actually changed
-      if (colorChanged) {
-        soul.finalHSL = newHSL;
-        // Pre-calculate RGB to avoid HSL-to-RGB conversion on main thread
-        const rgbResult = hslToRgb(newHSL.h, newHSL.s, newHSL.l);
-        // Validate RGB result before storing
-        if (
-          rgbResult &&
-          rgbResult.length === 3 &&
-          rgbResult.every(val => typeof val === 'number' && !isNaN(val))
-        ) {
-          soul.finalRGB = rgbResult;
-        } else {
-          // Fallback to white if RGB conversion fails
-          soul.finalRGB = [1, 1, 1];
-        }
-      }
-      if (opacityChanged) {
-        soul.finalOpacity = newOpacity;
-      }
+    const souls = engine.getSouls();
 
-      // Soul recycling: if life is over, mark for removal
-      if (soul.life <= 0) {
-        soulsToRemove.push(soul.id);
-        const removeMessage: SoulRemovedMessage = {
-          type: 'soulRemoved',
-          data: { soulId: soul.id },
-        };
-        self.postMessage(removeMessage);
-      }
-    }); // End of souls.forEach(soul => { ... })
+    // Binary protocol: every soul in one packed frame, connections in another
+    if (transferMode !== 'objects') {
+      postSoulFrame(souls);
+      engine.clearChangeFlags();
+      postConnectionFrame(connections);
+      return;
+    }
 
-    // Remove souls marked for removal from the worker's list
-    if (soulsToRemove.length > 0) {
-      souls = souls.filter(soul => !soulsToRemove.includes(soul.id));
+    if (removedSoulIds.length > 0) {
       // Clean up delta compression states for removed souls
       deltaCompressionManager.cleanupRemovedSouls(souls.map(s => s.id));
     }
@@ -907,19 +798,7 @@ self.onmessage = function (e: MessageEvent<IncomingMessage>) {
     const compressedData = deltaCompressionManager.compressSoulData(souls);
 
     // Reset change flags after processing to ensure clean state for next frame
-    souls.forEach(soul => {
-      soul.colorChanged = false;
-      soul.opacityChanged = false;
-    });
-
-    // Calculate connections in worker to reduce main thread load
-    const connections = calculateConnections(
-      souls,
-      WORKER_SETTINGS.DEFAULT_INTERACTION_DISTANCE,
-      WORKER_SETTINGS.DEFAULT_MAX_CONNECTIONS,
-      WORKER_SETTINGS.DEFAULT_MAX_SOULS_TO_CHECK,
-      lodData // Pass LOD data for connection optimization
-    );
+    engine.clearChangeFlags();
 
     // Send enhanced delta-compressed soul data
     const updateMessage: SoulUpdatedMessage = {
@@ -943,30 +822,114 @@ self.onmessage = function (e: MessageEvent<IncomingMessage>) {
       self.postMessage(connectionsMessage);
     }
   } else if (type === 'addSoul') {
-    const newSoul: WorkerSoulData = {
-      id: data.soul.id,
-      position: vec.create(data.soul.position.x, data.soul.position.y, data.soul.position.z),
-      velocity: vec.create(data.soul.velocity.x, data.soul.velocity.y, data.soul.velocity.z),
-      speed: data.soul.speed,
-      life: data.soul.life, // Use 'life' not 'lifespan'
-      isHuman: data.soul.isHuman,
-      isDewa: data.soul.isDewa,
-      baseHSL: {
-        h: data.soul.baseHSL.h, // Use baseHSL object
-        s: data.soul.baseHSL.s,
-        l: data.soul.baseHSL.l,
-      },
-      flickerPhase: data.soul.flickerPhase || Math.random() * Math.PI * 2,
-      chosenDewaId: null, // Initialize chosenDewaId for new souls
-      finalHSL: undefined, // Initialize for color change detection
-      finalRGB: undefined, // Initialize for RGB pre-calculation
-      finalOpacity: undefined, // Initialize for opacity change detection
-      colorChanged: true, // Force initial color update
-      opacityChanged: true, // Force initial opacity update
-    };
-    souls.push(newSoul);
+    if (!engine) {
+      return;
+    }
+
+    const newSoul = engine.addSoul(data.soul);
 
     // Initialize delta compression state for new soul
     deltaCompressionManager.initializeSoulState(newSoul.id, newSoul.position, newSoul.velocity);
+  } else if (type === 'setBoundary') {
+    if (!engine) {
+      return;
+    }
+
+    engine.setBoundary(data.boundary);
+  } else if (type === 'setReincarnation') {
+    if (!engine) {
+      return;
+    }
+
+    engine.setReincarnation(data.reincarnation);
+  } else if (type === 'setBonds') {
+    if (!engine) {
+      return;
+    }
+
+    engine.setBonds(data.bonds);
+    lastStatsReport = 0;
+  } else if (type === 'setConnectionBudget') {
+    if (!engine) {
+      return;
+    }
+
+    engine.setConnectionBudget(data.budget);
+  } else if (type === 'setConversion') {
+    if (!engine) {
+      return;
+    }
+
+    engine.setConversion(data.conversion);
+  } else if (type === 'setEssence') {
+    if (!engine) {
+      return;
+    }
+
+    engine.setEssence(data.essence);
+    lastStatsReport = 0; // Report the restarted economy right away
+  } else if (type === 'setConstants') {
+    if (!engine) {
+      return;
+    }
+
+    engine.setConstants(validatePhysicsConstants(data.constants));
+  } else if (type === 'snapshot') {
+    if (!engine) {
+      return;
+    }
+
+    try {
+      const snapshotMessage: SnapshotTakenMessage = {
+        type: 'snapshotTaken',
+        data: { state: engine.saveState() },
+      };
+      self.postMessage(snapshotMessage);
+    } catch (error) {
+      const failedMessage: SnapshotFailedMessage = {
+        type: 'snapshotFailed',
+        data: { error: error instanceof Error ? error.message : String(error) },
+      };
+      self.postMessage(failedMessage);
+    }
+  } else if (type === 'loadState') {
+    if (!engine) {
+      return;
+    }
+
+    // Jump to another state of the same run (replay seek); the main thread rebuilds its
+    // meshes when it sees the reply, after every message from the old state
+    try {
+      engine.loadState(data.state);
+      if (data.population) {
+        engine.setPopulationParameters(data.population);
+      }
+    } catch (error) {
+      const failedMessage: StateLoadFailedMessage = {
+        type: 'stateLoadFailed',
+        data: { error: error instanceof Error ? error.message : String(error) },
+      };
+      self.postMessage(failedMessage);
+      return;
+    }
+    currentLODData = data.lodData ? decodeLODData(data.lodData) : {};
+    deltaCompressionManager.reset();
+    reportedBardoSize = 0;
+    lastStatsReport = 0;
+    lastNetworkReport = 0;
+    lastStructureReport = 0;
+    lastInspectionReport = 0;
+
+    const loadedMessage: StateLoadedMessage = {
+      type: 'stateLoaded',
+      data: { frameCount: engine.getFrameCount() },
+    };
+    self.postMessage(loadedMessage);
+  } else if (type === 'inspectSoul') {
+    // Not a simulation input: selecting a soul only changes what is reported
+    inspectedSoulId = data.id;
+    lastInspectionReport = 0; // Report the new selection right away
+  } else if (type === 'recycleBuffer') {
+    releaseBuffer(data.buffer);
   }
 };
@@ -0,0 +1,251 @@
+// Simulation snapshots: the complete state of a run - worker engine state (every soul with its
+// position, remaining life and dewa choice, bardo, essence pool, bonds, generators), main-thread
+// state (generator, soul id counter, palette, chart histories) and the parameters - in a
+// versioned JSON format. Snapshots are kept in named IndexedDB slots or downloaded as files.
+// A restore goes through a page reload: the snapshot is parked as pending and the fresh
+// worker init continues from it.
+
+import type { PhysicsConstants } from './constants/physics';
+import type { BondSettings } from './engine/bonds';
+import type { BoundaryConfig } from './engine/boundaries';
+import type { ConversionSettings } from './engine/conversion';
+import type { EngineState } from './engine/engineTypes';
+import type { EssenceSettings } from './engine/essence';
+import type { LifespanSettings } from './engine/lifespan';
+import type { ReincarnationSettings } from './engine/reincarnation';
+import type { SoulPalette } from './engine/soulFactory';
+import { hasSpecies, speciesFromFlags } from './engine/species';
+import type {
+  ConversionCounts,
+  NetworkSample,
+  ParameterMarker,
+  PopulationHistorySample,
+} from './stores/simulationState.svelte';
+import { downloadFile, fileTimestamp } from './utils/download';
+import {
+  createDatabaseOpener,
+  isIndexedDbSupported,
+  requestToPromise,
+  transactionDone,
+} from './utils/indexedDb';
+import { ticksToSeconds } from './utils/simulationClock';
+
+// Bump when the format changes; older snapshots then need a migration in parseSnapshot.
+// Version 2 added the connection sampler and tallies to the worker state, version 3 the species
+// of every soul
+export const SNAPSHOT_VERSION = 3;
+
+export interface SnapshotParameters {
+  spawnRate: number; // Souls per second
+  minLifespan: number; // Seconds
+  maxLifespan: number; // Seconds
+  lifespan?: LifespanSettings; // Absent in snapshots from before lifespan distributions
+  boundary: BoundaryConfig;
+  showBoundary: boolean;
+  physics: PhysicsConstants;
+  reincarnation: ReincarnationSettings;
+  essence: EssenceSettings;
+  conversion: ConversionSettings;
+  bonds: BondSettings;
+}
+
+// Chart histories and counters kept by the store
+export interface SnapshotHistories {
+  populationHistory: PopulationHistorySample[];
+  parameterMarkers: ParameterMarker[];
+  networkHistory: NetworkSample[];
+  conversionCounts: ConversionCounts;
+}
+
+export interface SnapshotMainThread extends SnapshotHistories {
+  randomState: number; // Main-thread generator
+  nextSoulId: number; // Main-thread soul id counter
+  palette: SoulPalette;
+}
+
+export interface SimulationSnapshot {
+  version: number;
+  savedAt: string; // ISO wall-clock time
+  seed: number;
+  worker: EngineState;
+  mainThread: SnapshotMainThread;
+  parameters: SnapshotParameters;
+}
+
+export interface SnapshotSlotInfo {
+  name: string;
+  savedAt: string;
+  population: number;
+  time: number; // Simulated seconds
+}
+
+const DATABASE_NAME = 'soul_simulation_snapshots';
+const DATABASE_VERSION = 1;
+const SLOT_STORE = 'slots'; // Snapshots by slot name
+const SLOT_INFO_STORE = 'slotInfo'; // Summaries, so listing does not load every snapshot
+const PENDING_STORE = 'pending'; // Snapshot to restore on the next start
+const PENDING_KEY = 'restore';
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a parsed snapshot file or slot; throws with a readable message when it cannot be
+ * restored
+ */
+export function parseSnapshot(value: unknown): SimulationSnapshot {
+  if (!isRecord(value) || typeof value.version !== 'number') {
+    throw new Error('Not a simulation snapshot');
+  }
+  if (value.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${value.version} is newer than this app supports`);
+  }
+  if (value.version < 1) {
+    throw new Error(`Unsupported snapshot version ${value.version}`);
+  }
+
+  const { worker, mainThread, parameters } = value;
+  if (
+    !isRecord(worker) ||
+    !Array.isArray(worker.souls) ||
+    !Array.isArray(worker.bardo) ||
+    !Array.isArray(worker.bonds) ||
+    typeof worker.frameCount !== 'number' ||
+    typeof worker.rngState !== 'number' ||
+    typeof worker.spawnRngState !== 'number'
+  ) {
+    throw new Error('Snapshot is missing the worker state');
+  }
+  if (!isRecord(mainThread) || !isRecord(mainThread.palette)) {
+    throw new Error('Snapshot is missing the main-thread state');
+  }
+  if (!isRecord(parameters) || typeof parameters.spawnRate !== 'number') {
+    throw new Error('Snapshot is missing the parameters');
+  }
+  if (typeof value.seed !== 'number') {
+    throw new Error('Snapshot is missing the random seed');
+  }
+
+  // Version 1: the connection network is rebuilt from scratch
+  if (value.version === 1) {
+    worker.connectionSampler = { pairs: [], checked: [], cursor: 0 };
+    worker.connectionTallies = [];
+  }
+  // Versions 1-2: souls only had vessel flags, which map to the built-in species
+  if (value.version < 3) {
+    [...worker.souls, ...worker.bardo].filter(isRecord).forEach(soul => {
+      soul.species = speciesFromFlags(soul.isHuman === true, soul.isDewa === true);
+    });
+  }
+  value.version = SNAPSHOT_VERSION;
+
+  // Species come from the app's registry, a snapshot can only use the ones configured here
+  const unknown = [...worker.souls, ...worker.bardo].find(
+    soul => !isRecord(soul) || typeof soul.species !== 'string' || !hasSpecies(soul.species)
+  );
+  if (unknown !== undefined) {
+    const species = isRecord(unknown) ? String(unknown.species) : 'none';
+    throw new Error(`Snapshot uses a species this app does not define (${species})`);
+  }
+  return value as unknown as SimulationSnapshot;
+}
+
+export function snapshotInfo(name: string, snapshot: SimulationSnapshot): SnapshotSlotInfo {
+  return {
+    name,
+    savedAt: snapshot.savedAt,
+    population: snapshot.worker.souls.length,
+    time: ticksToSeconds(snapshot.worker.frameCount),
+  };
+}
+
+export function downloadSnapshot(snapshot: SimulationSnapshot): void {
+  downloadFile(
+    JSON.stringify(snapshot),
+    'application/json',
+    `soul-snapshot-${fileTimestamp(new Date(snapshot.savedAt))}.json`
+  );
+}
+
+export async function readSnapshotFile(file: File): Promise<SimulationSnapshot> {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  return parseSnapshot(parsed);
+}
+
+const openDatabase = createDatabaseOpener(DATABASE_NAME, DATABASE_VERSION, database => {
+  database.createObjectStore(SLOT_STORE);
+  database.createObjectStore(SLOT_INFO_STORE, { keyPath: 'name' });
+  database.createObjectStore(PENDING_STORE);
+});
+
+/**
+ * Named snapshot slots and the pending restore in IndexedDB
+ */
+export class SnapshotSlots {
+  static isSupported(): boolean {
+    return isIndexedDbSupported();
+  }
+
+  async save(name: string, snapshot: SimulationSnapshot): Promise<SnapshotSlotInfo> {
+    const info = snapshotInfo(name, snapshot);
+    const transaction = (await openDatabase()).transaction(
+      [SLOT_STORE, SLOT_INFO_STORE],
+      'readwrite'
+    );
+    transaction.objectStore(SLOT_STORE).put(snapshot, name);
+    transaction.objectStore(SLOT_INFO_STORE).put(info);
+    await transactionDone(transaction);
+    return info;
+  }
+
+  async load(name: string): Promise<SimulationSnapshot> {
+    const transaction = (await openDatabase()).transaction(SLOT_STORE, 'readonly');
+    const stored = await requestToPromise(transaction.objectStore(SLOT_STORE).get(name));
+    if (stored === undefined) {
+      throw new Error(`No snapshot in slot "${name}"`);
+    }
+    return parseSnapshot(stored);
+  }
+
+  async list(): Promise<SnapshotSlotInfo[]> {
+    const transaction = (await openDatabase()).transaction(SLOT_INFO_STORE, 'readonly');
+    const slots: SnapshotSlotInfo[] = await requestToPromise(
+      transaction.objectStore(SLOT_INFO_STORE).getAll()
+    );
+    return slots.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  async remove(name: string): Promise<void> {
+    const transaction = (await openDatabase()).transaction(
+      [SLOT_STORE, SLOT_INFO_STORE],
+      'readwrite'
+    );
+    transaction.objectStore(SLOT_STORE).delete(name);
+    transaction.objectStore(SLOT_INFO_STORE).delete(name);
+    await transactionDone(transaction);
+  }
+
+  async setPending(snapshot: SimulationSnapshot): Promise<void> {
+    const transaction = (await openDatabase()).transaction(PENDING_STORE, 'readwrite');
+    transaction.objectStore(PENDING_STORE).put(snapshot, PENDING_KEY);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Take the snapshot parked for restore (removing it), or null if there is none
+   */
+  async takePending(): Promise<SimulationSnapshot | null> {
+    const transaction = (await openDatabase()).transaction(PENDING_STORE, 'readwrite');
+    const store = transaction.objectStore(PENDING_STORE);
+    const stored = await requestToPromise(store.get(PENDING_KEY));
+    store.delete(PENDING_KEY);
+    await transactionDone(transaction);
+    return stored === undefined ? null : parseSnapshot(stored);
+  }
+}
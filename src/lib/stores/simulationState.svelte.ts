@@ -5,8 +5,105 @@ import type { PerformanceMetrics, QualityLevel } from '../../types/performance';
 import type { LODManager } from '../LODManager';
 import type { AdaptivePerformanceManager } from '../AdaptivePerformanceManager';
 import type { InstancedSoulRenderer } from '../InstancedSoulRenderer';
-import { loadFromStorage, saveToStorage, STORAGE_KEYS } from '../localStorage';
+import {
+  loadFromStorage,
+  loadJsonSettings,
+  migrateLegacyParameters,
+  parseBondSettings,
+  parseConversionSettings,
+  parseEssenceSettings,
+  parseLifespanSettings,
+  parsePhysicsConstants,
+  parseReincarnationSettings,
+  parseTelemetrySettings,
+  saveJsonSettings,
+  saveToStorage,
+  STORAGE_KEYS,
+  validateParameter,
+} from '../localStorage';
 import { DEFAULT_PARAMETERS, FEATURE_FLAGS } from '../constants/config';
+import {
+  PHYSICS_CONSTANTS,
+  type PhysicsConstants,
+  validatePhysicsConstants,
+} from '../constants/physics';
+import {
+  type BoundaryConfig,
+  type BoundaryMode,
+  DEFAULT_BOUNDARY,
+  isBoundaryMode,
+} from '../engine/boundaries';
+import {
+  type BondSettings,
+  type BondStats,
+  DEFAULT_BONDS,
+  validateBondSettings,
+} from '../engine/bonds';
+import type { PopulationStructure } from '../engine/census';
+import type { ConnectionCoverage } from '../engine/connections';
+import type { PopulationCensus } from '../engine/engineTypes';
+import { describeInspectionChange, type SoulInspection } from '../engine/inspection';
+import {
+  EquilibriumDetector,
+  type EquilibriumEvent,
+  type EquilibriumStatus,
+} from '../engine/equilibrium';
+import type { NetworkStats } from '../engine/network';
+import {
+  DEFAULT_LIFESPAN,
+  LIFESPAN_CONTROL_RANGES,
+  LIFESPAN_DISTRIBUTIONS,
+  type LifespanParameter,
+  type LifespanSettings,
+  meanLifespan,
+  validateLifespanSettings,
+} from '../engine/lifespan';
+import type { ExperimentPoint } from '../experiment';
+import {
+  type PopulationEpoch,
+  type PopulationModelParameters,
+  predictPopulation,
+} from '../engine/populationModel';
+import {
+  type ConversionSettings,
+  DEFAULT_CONVERSION,
+  validateConversionSettings,
+} from '../engine/conversion';
+import {
+  DEFAULT_ESSENCE,
+  type EssenceSettings,
+  type EssenceStats,
+  validateEssenceSettings,
+} from '../engine/essence';
+import {
+  DEFAULT_POINTER_DEPTH_MODE,
+  DEFAULT_POINTER_MODE,
+  isPointerDepthMode,
+  isPointerMode,
+  type PointerDepthMode,
+  type PointerMode,
+} from '../engine/pointer';
+import {
+  DEFAULT_REINCARNATION,
+  type ReincarnationSettings,
+  validateReincarnationSettings,
+} from '../engine/reincarnation';
+import type { SnapshotHistories, SnapshotParameters } from '../snapshot';
+import {
+  DEFAULT_TELEMETRY,
+  downloadTelemetry,
+  TELEMETRY_BUFFER_LENGTH,
+  TelemetryDatabase,
+  type TelemetryFormat,
+  type TelemetryParameterSet,
+  TelemetryRing,
+  type TelemetrySample,
+  type TelemetrySettings,
+} from '../telemetry';
+import { ticksToSeconds } from '../utils/simulationClock';
+
+// Convert per-frame values saved by older versions before anything is loaded
+migrateLegacyParameters();
 
 // Component interfaces for type safety
 interface ToastNotificationComponent {
@@ -24,6 +121,93 @@ interface MousePosition {
   y: number;
 }
 
+// Network analytics history kept for the overlay chart (one sample per worker report)
+export const NETWORK_HISTORY_LENGTH = 120;
+
+export interface NetworkSample extends NetworkStats {
+  time: number; // Simulated seconds
+}
+
+// Latest population structure for the census panel (age pyramid, speeds, dewa attachment)
+export interface PopulationStructureSample extends PopulationStructure {
+  time: number; // Simulated seconds
+}
+
+// Population history for the chart: one census per simulated second, with the equilibrium the
+// rate formula predicted at the time
+export const POPULATION_HISTORY_LENGTH = 300;
+
+export interface PopulationHistorySample extends PopulationCensus {
+  expected: number; // SPAWN_RATE × AVG_LIFESPAN when the sample arrived
+  predictedMean: number; // Analytic trajectory since the latest parameter change
+  predictedSigma: number; // Its standard deviation
+}
+
+// Telemetry samples held in memory and in IndexedDB (null until counted or without IndexedDB)
+export interface TelemetryCounts {
+  buffered: number;
+  stored: number | null;
+}
+
+// Run recording and replay as shown by the replay controls (times in simulated seconds)
+export interface ReplayStatus {
+  mode: 'idle' | 'recording' | 'replaying';
+  time: number; // Recorded so far, or the replay position
+  duration: number; // Length of the recording being replayed
+  playing: boolean;
+  speed: number;
+  seeking: boolean;
+  keyframes: number; // Seek points captured so far
+}
+
+// Parameter sweep experiment as shown by the experiment controls
+export interface ExperimentStatus {
+  state: 'idle' | 'running' | 'finished' | 'cancelled';
+  total: number; // Runs
+  completed: number; // Finished or failed
+  failed: number;
+  progress: number; // 0-1 over all runs
+  workers: number;
+  points: ExperimentPoint[]; // Results so far, one per parameter combination
+}
+
+// Slider parameter change, annotated on the population chart
+export interface ParameterMarker {
+  tick: number;
+  label: string;
+}
+
+// Vessel conversions counted since the simulation started, by new vessel
+export interface ConversionCounts {
+  toHuman: number;
+  toGpt: number;
+}
+
+// Soul selected in the inspector panel: the worker's latest report on it and the biography
+// built from successive reports (times in simulated seconds)
+export const BIOGRAPHY_LENGTH = 50;
+
+export interface BiographyEntry {
+  time: number;
+  text: string;
+}
+
+export interface InspectorState {
+  selectedId: number | null;
+  follow: boolean; // Camera keeps the soul at the center of the view
+  inspection: SoulInspection | null;
+  time: number; // Of the latest report
+  biography: BiographyEntry[];
+}
+
+// Pointer interaction state (mode and depth persist, the rest follows the input device)
+interface PointerState {
+  mode: PointerMode;
+  depth: PointerDepthMode;
+  active: boolean; // Pointer is over the scene (mouse hover or touch contact)
+  pressed: boolean;
+}
+
 // Simulation state interface
 interface SimulationState {
   // Core simulation state
@@ -40,10 +224,59 @@ interface SimulationState {
   container: HTMLElement | undefined;
   mouse: MousePosition;
 
-  // Simulation parameters with localStorage sync
+  // Simulation parameters with localStorage sync (souls per second, seconds)
   NEW_SOUL_SPAWN_RATE: number;
   MIN_LIFESPAN: number;
   MAX_LIFESPAN: number;
+  lifespan: LifespanSettings;
+  ageHistogram: number[]; // Living souls per age bucket, from the worker census
+
+  // Pointer interaction
+  pointer: PointerState;
+
+  // World boundary with localStorage sync
+  boundary: BoundaryConfig;
+  showBoundary: boolean;
+
+  // Tunable physics constants with localStorage sync
+  physicsConstants: PhysicsConstants;
+
+  // Reincarnation with localStorage sync; bardo size comes from the worker
+  reincarnation: ReincarnationSettings;
+  bardoSize: number;
+
+  // Population model with localStorage sync; essence stats come from the worker
+  essence: EssenceSettings;
+  essenceStats: EssenceStats | null;
+
+  // Vessel conversion with localStorage sync; counts come from the worker
+  conversion: ConversionSettings;
+  conversionCounts: ConversionCounts;
+
+  // Bonds with localStorage sync; bond stats come from the worker
+  bonds: BondSettings;
+  bondStats: BondStats | null;
+
+  // Connection network coverage from the worker
+  connectionCoverage: ConnectionCoverage | null;
+  networkHistory: NetworkSample[];
+  populationStructure: PopulationStructureSample | null;
+  populationHistory: PopulationHistorySample[];
+  parameterMarkers: ParameterMarker[];
+  equilibriumStatus: EquilibriumStatus | null;
+
+  // Telemetry recording with localStorage sync; samples recorded in memory and in IndexedDB
+  telemetry: TelemetrySettings;
+  telemetryCounts: TelemetryCounts;
+
+  // Soul inspector (click to select)
+  inspector: InspectorState;
+
+  // Run recording and replay
+  replayStatus: ReplayStatus;
+
+  // Parameter sweep experiments
+  experimentStatus: ExperimentStatus;
 
   // Component references
   toastNotification: ToastNotificationComponent | null;
@@ -55,6 +288,23 @@ interface SimulationState {
   adaptivePerformanceManager: AdaptivePerformanceManager | null;
 }
 
+// Stored boundary mode, ignoring unknown values
+function loadBoundaryMode(): BoundaryMode {
+  const stored = loadFromStorage<string>(STORAGE_KEYS.BOUNDARY_MODE, DEFAULT_BOUNDARY.mode);
+  return isBoundaryMode(stored) ? stored : DEFAULT_BOUNDARY.mode;
+}
+
+// Stored pointer mode and depth, ignoring unknown values
+function loadPointerMode(): PointerMode {
+  const stored = loadFromStorage<string>(STORAGE_KEYS.POINTER_MODE, DEFAULT_POINTER_MODE);
+  return isPointerMode(stored) ? stored : DEFAULT_POINTER_MODE;
+}
+
+function loadPointerDepthMode(): PointerDepthMode {
+  const stored = loadFromStorage<string>(STORAGE_KEYS.POINTER_DEPTH, DEFAULT_POINTER_DEPTH_MODE);
+  return isPointerDepthMode(stored) ? stored : DEFAULT_POINTER_DEPTH_MODE;
+}
+
 // Create state object that can be mutated but not reassigned
 const simulationState = $state<SimulationState>({
   // Core simulation state
@@ -77,10 +327,102 @@ const simulationState = $state<SimulationState>({
   container: undefined,
   mouse: { x: 0, y: 0 },
 
+  // Pointer interaction
+  pointer: {
+    mode: loadPointerMode(),
+    depth: loadPointerDepthMode(),
+    active: false,
+    pressed: false,
+  },
+
   // Simulation parameters with localStorage sync
   NEW_SOUL_SPAWN_RATE: loadFromStorage(STORAGE_KEYS.SPAWN_RATE, DEFAULT_PARAMETERS.SPAWN_RATE),
   MIN_LIFESPAN: loadFromStorage(STORAGE_KEYS.MIN_LIFESPAN, DEFAULT_PARAMETERS.MIN_LIFESPAN),
   MAX_LIFESPAN: loadFromStorage(STORAGE_KEYS.MAX_LIFESPAN, DEFAULT_PARAMETERS.MAX_LIFESPAN),
+  lifespan: loadJsonSettings(STORAGE_KEYS.LIFESPAN, DEFAULT_LIFESPAN, parseLifespanSettings),
+  ageHistogram: [],
+
+  // World boundary with localStorage sync
+  boundary: {
+    mode: loadBoundaryMode(),
+    radius: loadFromStorage(STORAGE_KEYS.BOUNDARY_RADIUS, DEFAULT_BOUNDARY.radius),
+    strength: DEFAULT_BOUNDARY.strength,
+  },
+  showBoundary: loadFromStorage(STORAGE_KEYS.SHOW_BOUNDARY, true),
+
+  // Tunable physics constants with localStorage sync
+  physicsConstants: loadJsonSettings(
+    STORAGE_KEYS.PHYSICS_CONSTANTS,
+    PHYSICS_CONSTANTS,
+    parsePhysicsConstants
+  ),
+
+  // Reincarnation with localStorage sync; bardo size comes from the worker
+  reincarnation: loadJsonSettings(
+    STORAGE_KEYS.REINCARNATION,
+    DEFAULT_REINCARNATION,
+    parseReincarnationSettings
+  ),
+  bardoSize: 0,
+
+  // Population model with localStorage sync; essence stats come from the worker
+  essence: loadJsonSettings(STORAGE_KEYS.ESSENCE, DEFAULT_ESSENCE, parseEssenceSettings),
+  essenceStats: null,
+
+  // Vessel conversion with localStorage sync; counts come from the worker
+  conversion: loadJsonSettings(
+    STORAGE_KEYS.CONVERSION,
+    DEFAULT_CONVERSION,
+    parseConversionSettings
+  ),
+  conversionCounts: { toHuman: 0, toGpt: 0 },
+
+  // Bonds with localStorage sync; bond stats come from the worker
+  bonds: loadJsonSettings(STORAGE_KEYS.BONDS, DEFAULT_BONDS, parseBondSettings),
+  bondStats: null,
+
+  // Connection network coverage from the worker
+  connectionCoverage: null,
+  networkHistory: [],
+  populationStructure: null,
+  populationHistory: [],
+  parameterMarkers: [],
+  equilibriumStatus: null,
+
+  // Telemetry recording with localStorage sync; samples recorded in memory and in IndexedDB
+  telemetry: loadJsonSettings(STORAGE_KEYS.TELEMETRY, DEFAULT_TELEMETRY, parseTelemetrySettings),
+  telemetryCounts: { buffered: 0, stored: null },
+
+  // Soul inspector (click to select)
+  inspector: {
+    selectedId: null,
+    follow: false,
+    inspection: null,
+    time: 0,
+    biography: [],
+  },
+
+  // Run recording and replay
+  replayStatus: {
+    mode: 'idle',
+    time: 0,
+    duration: 0,
+    playing: false,
+    speed: 1,
+    seeking: false,
+    keyframes: 0,
+  },
+
+  // Parameter sweep experiments
+  experimentStatus: {
+    state: 'idle',
+    total: 0,
+    completed: 0,
+    failed: 0,
+    progress: 0,
+    workers: 0,
+    points: [],
+  },
 
   // Component references
   toastNotification: null,
@@ -101,9 +443,36 @@ export const isAutomaticSoulCount = (): number => simulationState.isAutomaticSou
 export const performanceMetrics = (): PerformanceMetrics => simulationState.performanceMetrics;
 export const container = (): HTMLElement | undefined => simulationState.container;
 export const mouse = (): MousePosition => simulationState.mouse;
+export const pointer = (): PointerState => simulationState.pointer;
 export const NEW_SOUL_SPAWN_RATE = (): number => simulationState.NEW_SOUL_SPAWN_RATE;
 export const MIN_LIFESPAN = (): number => simulationState.MIN_LIFESPAN;
 export const MAX_LIFESPAN = (): number => simulationState.MAX_LIFESPAN;
+export const lifespan = (): LifespanSettings => simulationState.lifespan;
+export const ageHistogram = (): number[] => simulationState.ageHistogram;
+export const boundary = (): BoundaryConfig => simulationState.boundary;
+export const showBoundary = (): boolean => simulationState.showBoundary;
+export const physicsConstants = (): PhysicsConstants => simulationState.physicsConstants;
+export const reincarnation = (): ReincarnationSettings => simulationState.reincarnation;
+export const bardoSize = (): number => simulationState.bardoSize;
+export const essence = (): EssenceSettings => simulationState.essence;
+export const essenceStats = (): EssenceStats | null => simulationState.essenceStats;
+export const conversion = (): ConversionSettings => simulationState.conversion;
+export const conversionCounts = (): ConversionCounts => simulationState.conversionCounts;
+export const bonds = (): BondSettings => simulationState.bonds;
+export const bondStats = (): BondStats | null => simulationState.bondStats;
+export const connectionCoverage = (): ConnectionCoverage | null =>
+  simulationState.connectionCoverage;
+export const networkHistory = (): NetworkSample[] => simulationState.networkHistory;
+export const populationStructure = (): PopulationStructureSample | null =>
+  simulationState.populationStructure;
+export const populationHistory = (): PopulationHistorySample[] => simulationState.populationHistory;
+export const parameterMarkers = (): ParameterMarker[] => simulationState.parameterMarkers;
+export const equilibriumStatus = (): EquilibriumStatus | null => simulationState.equilibriumStatus;
+export const telemetry = (): TelemetrySettings => simulationState.telemetry;
+export const telemetryCounts = (): TelemetryCounts => simulationState.telemetryCounts;
+export const inspector = (): InspectorState => simulationState.inspector;
+export const replayStatus = (): ReplayStatus => simulationState.replayStatus;
+export const experimentStatus = (): ExperimentStatus => simulationState.experimentStatus;
 export const toastNotification = (): ToastNotificationComponent | null =>
   simulationState.toastNotification;
 export const fpsCounter = (): FpsCounterComponent | null => simulationState.fpsCounter;
@@ -115,7 +484,11 @@ export const adaptivePerformanceManager = (): AdaptivePerformanceManager | null
 
 // Derived values as functions
 export const AVG_LIFESPAN = (): number =>
-  (simulationState.MIN_LIFESPAN + simulationState.MAX_LIFESPAN) / 2;
+  meanLifespan(
+    simulationState.lifespan,
+    simulationState.MIN_LIFESPAN,
+    simulationState.MAX_LIFESPAN
+  );
 export const EQUILIBRIUM_POPULATION = (): number =>
   simulationState.NEW_SOUL_SPAWN_RATE * AVG_LIFESPAN();
 
@@ -124,11 +497,14 @@ export function resetParameters(): void {
   simulationState.NEW_SOUL_SPAWN_RATE = DEFAULT_PARAMETERS.SPAWN_RATE;
   simulationState.MIN_LIFESPAN = DEFAULT_PARAMETERS.MIN_LIFESPAN;
   simulationState.MAX_LIFESPAN = DEFAULT_PARAMETERS.MAX_LIFESPAN;
+  simulationState.lifespan = { ...DEFAULT_LIFESPAN };
 
   // Sync to localStorage
   saveToStorage(STORAGE_KEYS.SPAWN_RATE, DEFAULT_PARAMETERS.SPAWN_RATE);
   saveToStorage(STORAGE_KEYS.MIN_LIFESPAN, DEFAULT_PARAMETERS.MIN_LIFESPAN);
   saveToStorage(STORAGE_KEYS.MAX_LIFESPAN, DEFAULT_PARAMETERS.MAX_LIFESPAN);
+  saveJsonSettings(STORAGE_KEYS.LIFESPAN, simulationState.lifespan);
+  markParameterChange('Reset');
 
   showToastMessage('Parameters reset to defaults');
 }
@@ -160,16 +536,605 @@ export function adjustQualityBasedOnFPS(currentFPS: number): void {
 export function setSpawnRate(value: number): void {
   simulationState.NEW_SOUL_SPAWN_RATE = value;
   saveToStorage(STORAGE_KEYS.SPAWN_RATE, value);
+  markParameterChange(`Spawn ${value}/s`);
 }
 
 export function setMinLifespan(value: number): void {
   simulationState.MIN_LIFESPAN = value;
   saveToStorage(STORAGE_KEYS.MIN_LIFESPAN, value);
+  markParameterChange(`Min life ${value}s`);
 }
 
 export function setMaxLifespan(value: number): void {
   simulationState.MAX_LIFESPAN = value;
   saveToStorage(STORAGE_KEYS.MAX_LIFESPAN, value);
+  markParameterChange(`Max life ${value}s`);
+}
+
+export function setLifespanSetting<K extends keyof LifespanSettings>(
+  key: K,
+  value: LifespanSettings[K]
+): void {
+  simulationState.lifespan = validateLifespanSettings({
+    ...simulationState.lifespan,
+    [key]: value,
+  });
+  saveJsonSettings(STORAGE_KEYS.LIFESPAN, simulationState.lifespan);
+  const { distribution } = simulationState.lifespan;
+  const label =
+    key === 'distribution'
+      ? `Life: ${LIFESPAN_DISTRIBUTIONS[distribution].label}`
+      : `Life ${LIFESPAN_CONTROL_RANGES[key as LifespanParameter].label.toLowerCase()} ${simulationState.lifespan[key]}`;
+  markParameterChange(label);
+}
+
+export function setAgeHistogram(histogram: number[]): void {
+  simulationState.ageHistogram = histogram;
+}
+
+export function setBoundaryMode(mode: BoundaryMode): void {
+  simulationState.boundary.mode = mode;
+  saveToStorage(STORAGE_KEYS.BOUNDARY_MODE, mode);
+}
+
+export function setBoundaryRadius(radius: number): void {
+  simulationState.boundary.radius = radius;
+  saveToStorage(STORAGE_KEYS.BOUNDARY_RADIUS, radius);
+}
+
+export function setShowBoundary(value: boolean): void {
+  simulationState.showBoundary = value;
+  saveToStorage(STORAGE_KEYS.SHOW_BOUNDARY, value);
+}
+
+export function setPhysicsConstant(key: keyof PhysicsConstants, value: number): void {
+  simulationState.physicsConstants = validatePhysicsConstants({
+    ...simulationState.physicsConstants,
+    [key]: value,
+  });
+  saveJsonSettings(STORAGE_KEYS.PHYSICS_CONSTANTS, simulationState.physicsConstants);
+}
+
+export function resetPhysicsConstants(): void {
+  simulationState.physicsConstants = { ...PHYSICS_CONSTANTS };
+  saveJsonSettings(STORAGE_KEYS.PHYSICS_CONSTANTS, simulationState.physicsConstants);
+
+  showToastMessage('Physics reset to defaults');
+}
+
+export function setReincarnationSetting<K extends keyof ReincarnationSettings>(
+  key: K,
+  value: ReincarnationSettings[K]
+): void {
+  simulationState.reincarnation = validateReincarnationSettings({
+    ...simulationState.reincarnation,
+    [key]: value,
+  });
+  saveJsonSettings(STORAGE_KEYS.REINCARNATION, simulationState.reincarnation);
+}
+
+export function setBardoSize(size: number): void {
+  simulationState.bardoSize = size;
+}
+
+export function setEssenceSetting<K extends keyof EssenceSettings>(
+  key: K,
+  value: EssenceSettings[K]
+): void {
+  simulationState.essence = validateEssenceSettings({
+    ...simulationState.essence,
+    [key]: value,
+  });
+  saveJsonSettings(STORAGE_KEYS.ESSENCE, simulationState.essence);
+}
+
+export function setEssenceStats(stats: EssenceStats | null): void {
+  simulationState.essenceStats = stats;
+}
+
+export function setConversionSetting<K extends keyof ConversionSettings>(
+  key: K,
+  value: ConversionSettings[K]
+): void {
+  simulationState.conversion = validateConversionSettings({
+    ...simulationState.conversion,
+    [key]: value,
+  });
+  saveJsonSettings(STORAGE_KEYS.CONVERSION, simulationState.conversion);
+}
+
+export function addConversions(toHuman: number, toGpt: number): void {
+  simulationState.conversionCounts = {
+    toHuman: simulationState.conversionCounts.toHuman + toHuman,
+    toGpt: simulationState.conversionCounts.toGpt + toGpt,
+  };
+}
+
+export function resetConversionCounts(): void {
+  simulationState.conversionCounts = { toHuman: 0, toGpt: 0 };
+}
+
+export function setBondSetting<K extends keyof BondSettings>(key: K, value: BondSettings[K]): void {
+  simulationState.bonds = validateBondSettings({
+    ...simulationState.bonds,
+    [key]: value,
+  });
+  saveJsonSettings(STORAGE_KEYS.BONDS, simulationState.bonds);
+}
+
+export function setBondStats(stats: BondStats | null): void {
+  simulationState.bondStats = stats;
+}
+
+// Click on the scene waiting for the animation loop to pick a soul (normalized device coordinates)
+let pendingSoulPick: MousePosition | null = null;
+
+export function requestSoulPick(x: number, y: number): void {
+  pendingSoulPick = { x, y };
+}
+
+export function takeSoulPickRequest(): MousePosition | null {
+  const request = pendingSoulPick;
+  pendingSoulPick = null;
+  return request;
+}
+
+/**
+ * Show a soul in the inspector panel, or close it with null; a new selection starts a new
+ * biography and clearing it stops following
+ */
+export function selectSoul(soulId: number | null): void {
+  const inspector = simulationState.inspector;
+  if (soulId === inspector.selectedId) {
+    return;
+  }
+  inspector.selectedId = soulId;
+  inspector.inspection = null;
+  inspector.biography = [];
+  if (soulId === null) {
+    inspector.follow = false;
+  }
+}
+
+export function setInspectorFollow(follow: boolean): void {
+  simulationState.inspector.follow = follow && simulationState.inspector.selectedId !== null;
+}
+
+/**
+ * Store a worker report on the selected soul and log what changed since the previous one
+ * (reports on an earlier selection still in flight are dropped)
+ */
+export function setSoulInspection(inspection: SoulInspection, time: number): void {
+  const inspector = simulationState.inspector;
+  if (inspection.id !== inspector.selectedId) {
+    return;
+  }
+  const entries = describeInspectionChange(inspector.inspection, inspection);
+  if (entries.length > 0) {
+    inspector.biography = [...inspector.biography, ...entries.map(text => ({ time, text }))].slice(
+      -BIOGRAPHY_LENGTH
+    );
+  }
+  inspector.inspection = inspection;
+  inspector.time = time;
+}
+
+export function setReplayStatus(status: ReplayStatus): void {
+  simulationState.replayStatus = status;
+}
+
+export function setExperimentStatus(status: ExperimentStatus): void {
+  simulationState.experimentStatus = status;
+}
+
+export function setConnectionCoverage(coverage: ConnectionCoverage | null): void {
+  simulationState.connectionCoverage = coverage;
+}
+
+export function addNetworkSample(sample: NetworkSample): void {
+  simulationState.networkHistory = [
+    ...simulationState.networkHistory.slice(-(NETWORK_HISTORY_LENGTH - 1)),
+    sample,
+  ];
+}
+
+export function setPopulationStructure(structure: PopulationStructureSample): void {
+  simulationState.populationStructure = structure;
+}
+
+export function resetNetworkHistory(): void {
+  simulationState.networkHistory = [];
+}
+
+// Convergence detector fed by the population history
+const equilibriumDetector = new EquilibriumDetector();
+
+function announceEquilibriumEvent(event: EquilibriumEvent): void {
+  if (event.type === 'reached') {
+    const { stats, confidence, settlingTime, overshoot } = event.status;
+    showToastMessage(
+      `Equilibrium reached: ~${Math.round(stats?.mean ?? 0)} souls ` +
+        `(${Math.round(confidence * 100)}% confidence), settled in ${Math.round(settlingTime ?? 0)} s` +
+        (overshoot > 0 ? `, overshoot ${Math.round(overshoot * 100)}%` : '')
+    );
+  } else {
+    showToastMessage(
+      `Population trending toward collapse: ~${Math.round(event.secondsLeft)} s to zero`
+    );
+  }
+}
+
+// Analytic model epoch: the population at the latest parameter change and the parameters since
+interface ModelEpoch {
+  tick: number;
+  start: PopulationEpoch;
+  params: PopulationModelParameters;
+}
+
+let modelEpoch: ModelEpoch | null = null;
+
+const modelParameters = (): PopulationModelParameters => ({
+  spawnRate: simulationState.NEW_SOUL_SPAWN_RATE,
+  minLifespan: simulationState.MIN_LIFESPAN,
+  maxLifespan: simulationState.MAX_LIFESPAN,
+  lifespan: simulationState.lifespan,
+});
+
+export function addPopulationSamples(samples: PopulationCensus[]): void {
+  const expected = EQUILIBRIUM_POPULATION();
+  const epoch = modelEpoch;
+  const predict = (tick: number) =>
+    epoch
+      ? predictPopulation(epoch.params, epoch.start, ticksToSeconds(tick - epoch.tick))
+      : { mean: expected, sigma: 0 };
+  samples.forEach(sample => {
+    equilibriumDetector
+      .push(sample.tick, sample.population, expected)
+      .forEach(announceEquilibriumEvent);
+  });
+  simulationState.equilibriumStatus = equilibriumDetector.getStatus();
+
+  const added = samples.map(sample => {
+    const { mean, sigma } = predict(sample.tick);
+    return { ...sample, expected, predictedMean: mean, predictedSigma: sigma };
+  });
+  const history = [...simulationState.populationHistory, ...added].slice(
+    -POPULATION_HISTORY_LENGTH
+  );
+  simulationState.populationHistory = history;
+  if (simulationState.telemetry.recording) {
+    recordTelemetry(added);
+  }
+
+  // Drop markers that scrolled out of the chart
+  const firstTick = history.length > 0 ? history[0].tick : 0;
+  if (simulationState.parameterMarkers.some(marker => marker.tick < firstTick)) {
+    simulationState.parameterMarkers = simulationState.parameterMarkers.filter(
+      marker => marker.tick >= firstTick
+    );
+  }
+}
+
+/**
+ * Clear the history; the model starts from the initial souls, born with the current lifespans,
+ * or from the population of a run restored at startTick
+ */
+export function resetPopulationHistory(initialPopulation: number = 0, startTick: number = 0): void {
+  const params = modelParameters();
+  telemetryRun = new Date().toISOString();
+  modelEpoch = {
+    tick: startTick,
+    start: {
+      population: initialPopulation,
+      minLifespan: params.minLifespan,
+      maxLifespan: params.maxLifespan,
+      lifespan: params.lifespan,
+      fresh: startTick === 0, // A run restored mid-way starts from a settled population
+    },
+    params,
+  };
+  simulationState.populationHistory = [];
+  simulationState.parameterMarkers = [];
+  simulationState.ageHistogram = [];
+  equilibriumDetector.reset();
+  simulationState.equilibriumStatus = null;
+}
+
+/**
+ * Annotate a parameter change at the latest census and start a new model epoch from the
+ * population there; changes before the next census (dragging a slider) replace the marker
+ * and update the epoch instead of stacking up
+ */
+function markParameterChange(label: string): void {
+  const history = simulationState.populationHistory;
+  const latest = history.length > 0 ? history[history.length - 1] : null;
+  const tick = latest ? latest.tick : 0;
+
+  // Souls alive at the change keep the lifespans of the previous parameters
+  if (modelEpoch && modelEpoch.tick === tick) {
+    modelEpoch = { ...modelEpoch, params: modelParameters() };
+  } else if (modelEpoch) {
+    modelEpoch = {
+      tick,
+      start: {
+        population: latest ? latest.population : 0,
+        minLifespan: modelEpoch.params.minLifespan,
+        maxLifespan: modelEpoch.params.maxLifespan,
+        lifespan: modelEpoch.params.lifespan,
+        fresh: false,
+      },
+      params: modelParameters(),
+    };
+  }
+
+  const markers = simulationState.parameterMarkers;
+  const last = markers[markers.length - 1];
+  simulationState.parameterMarkers =
+    last && last.tick === tick
+      ? [...markers.slice(0, -1), { tick, label }]
+      : [...markers, { tick, label }];
+}
+
+// Telemetry: samples share the census clock of the population chart; the in-memory buffer
+// survives restarts of the simulation, IndexedDB survives page reloads
+const telemetryDatabase = new TelemetryDatabase();
+const telemetryBuffer = new TelemetryRing(TELEMETRY_BUFFER_LENGTH);
+let telemetryRun = new Date().toISOString();
+// Parameter sets referenced by the buffer, oldest first; a new one only when a setting changed
+const telemetryParameterSets = new Map<string, TelemetryParameterSet>();
+let telemetryParameters: TelemetryParameterSet | null = null;
+let telemetryParametersKey = '';
+let telemetryParameterChanges = 0;
+let telemetryStoredParametersId: string | null = null; // Last set written to IndexedDB
+
+/**
+ * Parameter set in effect; a new one when a setting changed since the last samples
+ */
+function currentTelemetryParameters(tick: number): TelemetryParameterSet {
+  const parameters = $state.snapshot({
+    spawnRate: simulationState.NEW_SOUL_SPAWN_RATE,
+    minLifespan: simulationState.MIN_LIFESPAN,
+    maxLifespan: simulationState.MAX_LIFESPAN,
+    lifespan: simulationState.lifespan,
+    boundary: simulationState.boundary,
+    physics: simulationState.physicsConstants,
+    reincarnation: simulationState.reincarnation,
+    essence: simulationState.essence,
+    conversion: simulationState.conversion,
+    bonds: simulationState.bonds,
+  });
+  const key = JSON.stringify(parameters);
+  if (telemetryParameters?.run === telemetryRun && key === telemetryParametersKey) {
+    return telemetryParameters;
+  }
+
+  telemetryParameterChanges += 1;
+  telemetryParameters = {
+    id: `${telemetryRun}#${telemetryParameterChanges}`,
+    run: telemetryRun,
+    tick,
+    parameters,
+  };
+  telemetryParametersKey = key;
+  telemetryParameterSets.set(telemetryParameters.id, telemetryParameters);
+  return telemetryParameters;
+}
+
+/**
+ * Drop the parameter sets older than the oldest buffered sample's
+ */
+function pruneTelemetryParameters(): void {
+  const oldestId = telemetryBuffer.oldest()?.parametersId;
+  for (const id of telemetryParameterSets.keys()) {
+    if (id === oldestId || id === telemetryParameters?.id) {
+      return;
+    }
+    telemetryParameterSets.delete(id);
+  }
+}
+
+function recordTelemetry(samples: PopulationHistorySample[]): void {
+  if (samples.length === 0) {
+    return;
+  }
+  const network = simulationState.networkHistory[simulationState.networkHistory.length - 1];
+  const fps = simulationState.fpsCounter?.getCurrentFPS() ?? null;
+  const parameterSet = currentTelemetryParameters(samples[0].tick);
+  const recordedAt = new Date().toISOString();
+
+  const recorded: TelemetrySample[] = samples.map(sample => ({
+    run: telemetryRun,
+    recordedAt,
+    tick: sample.tick,
+    time: ticksToSeconds(sample.tick),
+    population: sample.population,
+    human: sample.human,
+    gpt: sample.gpt,
+    dewa: sample.dewa,
+    births: sample.births,
+    deaths: sample.deaths,
+    meanAge: ticksToSeconds(sample.meanAge),
+    expected: sample.expected,
+    predictedMean: sample.predictedMean,
+    predictedSigma: sample.predictedSigma,
+    network: {
+      edges: network?.edges ?? null,
+      components: network?.components ?? null,
+      largestCluster: network?.largestCluster ?? null,
+      meanDegree: network?.meanDegree ?? null,
+      clustering: network?.clustering ?? null,
+      mixing: network?.mixing ?? null,
+    },
+    fps,
+    quality: simulationState.currentQuality,
+    parametersId: parameterSet.id,
+  }));
+
+  recorded.forEach(sample => telemetryBuffer.push(sample));
+  pruneTelemetryParameters();
+  simulationState.telemetryCounts = {
+    ...simulationState.telemetryCounts,
+    buffered: telemetryBuffer.size,
+  };
+
+  if (simulationState.telemetry.persist && TelemetryDatabase.isSupported()) {
+    // The set may predate streaming being turned on, so track what was written
+    const newParameters = parameterSet.id !== telemetryStoredParametersId;
+    telemetryDatabase
+      .append(recorded, newParameters ? parameterSet : null)
+      .then(() => {
+        telemetryStoredParametersId = parameterSet.id;
+        const { stored } = simulationState.telemetryCounts;
+        simulationState.telemetryCounts = {
+          ...simulationState.telemetryCounts,
+          stored: (stored ?? 0) + recorded.length,
+        };
+      })
+      .catch(() => {
+        setTelemetrySetting('persist', false);
+        showToastMessage('Telemetry storage failed - streaming to IndexedDB turned off');
+      });
+  }
+}
+
+/**
+ * Re-read the number of samples in IndexedDB
+ */
+export function refreshTelemetryCount(): void {
+  if (!TelemetryDatabase.isSupported()) {
+    return;
+  }
+  telemetryDatabase
+    .count()
+    .then(stored => {
+      simulationState.telemetryCounts = { ...simulationState.telemetryCounts, stored };
+    })
+    .catch(() => {
+      simulationState.telemetryCounts = { ...simulationState.telemetryCounts, stored: null };
+    });
+}
+
+export function setTelemetrySetting<K extends keyof TelemetrySettings>(
+  key: K,
+  value: TelemetrySettings[K]
+): void {
+  simulationState.telemetry = { ...simulationState.telemetry, [key]: value };
+  saveJsonSettings(STORAGE_KEYS.TELEMETRY, simulationState.telemetry);
+}
+
+/**
+ * Download the recorded samples; with streaming on, everything in IndexedDB (earlier page
+ * sessions included), otherwise the in-memory buffer
+ */
+export async function exportTelemetry(format: TelemetryFormat): Promise<void> {
+  let samples = telemetryBuffer.toArray();
+  let parameterSets = Array.from(telemetryParameterSets.values());
+  if (simulationState.telemetry.persist && TelemetryDatabase.isSupported()) {
+    try {
+      ({ samples, parameterSets } = await telemetryDatabase.readAll());
+    } catch {
+      showToastMessage('Could not read telemetry from IndexedDB - exporting memory buffer');
+    }
+  }
+  if (samples.length === 0) {
+    showToastMessage('No telemetry recorded yet');
+    return;
+  }
+  downloadTelemetry(samples, parameterSets, format);
+}
+
+export async function clearTelemetry(): Promise<void> {
+  telemetryBuffer.clear();
+  pruneTelemetryParameters();
+  telemetryStoredParametersId = null;
+  simulationState.telemetryCounts = { buffered: 0, stored: simulationState.telemetryCounts.stored };
+  if (TelemetryDatabase.isSupported()) {
+    try {
+      await telemetryDatabase.clear();
+      simulationState.telemetryCounts = { buffered: 0, stored: 0 };
+    } catch {
+      showToastMessage('Could not clear telemetry in IndexedDB');
+    }
+  }
+}
+
+/**
+ * Parameters for a snapshot (plain copies of the reactive state)
+ */
+export function getSnapshotParameters(): SnapshotParameters {
+  return $state.snapshot({
+    spawnRate: simulationState.NEW_SOUL_SPAWN_RATE,
+    minLifespan: simulationState.MIN_LIFESPAN,
+    maxLifespan: simulationState.MAX_LIFESPAN,
+    lifespan: simulationState.lifespan,
+    boundary: simulationState.boundary,
+    showBoundary: simulationState.showBoundary,
+    physics: simulationState.physicsConstants,
+    reincarnation: simulationState.reincarnation,
+    essence: simulationState.essence,
+    conversion: simulationState.conversion,
+    bonds: simulationState.bonds,
+  });
+}
+
+/**
+ * Take over the parameters of a restored snapshot, validated and saved like slider changes
+ */
+export function applySnapshotParameters(parameters: SnapshotParameters): void {
+  simulationState.NEW_SOUL_SPAWN_RATE = validateParameter(
+    STORAGE_KEYS.SPAWN_RATE,
+    parameters.spawnRate
+  );
+  simulationState.MIN_LIFESPAN = validateParameter(
+    STORAGE_KEYS.MIN_LIFESPAN,
+    parameters.minLifespan
+  );
+  simulationState.MAX_LIFESPAN = validateParameter(
+    STORAGE_KEYS.MAX_LIFESPAN,
+    parameters.maxLifespan
+  );
+  saveToStorage(STORAGE_KEYS.SPAWN_RATE, simulationState.NEW_SOUL_SPAWN_RATE);
+  saveToStorage(STORAGE_KEYS.MIN_LIFESPAN, simulationState.MIN_LIFESPAN);
+  saveToStorage(STORAGE_KEYS.MAX_LIFESPAN, simulationState.MAX_LIFESPAN);
+  // Snapshots from before lifespan distributions were uniform
+  simulationState.lifespan = validateLifespanSettings(parameters.lifespan ?? {});
+  saveJsonSettings(STORAGE_KEYS.LIFESPAN, simulationState.lifespan);
+
+  if (isBoundaryMode(parameters.boundary.mode)) {
+    setBoundaryMode(parameters.boundary.mode);
+  }
+  setBoundaryRadius(validateParameter(STORAGE_KEYS.BOUNDARY_RADIUS, parameters.boundary.radius));
+  setShowBoundary(parameters.showBoundary);
+
+  simulationState.physicsConstants = validatePhysicsConstants(parameters.physics);
+  saveJsonSettings(STORAGE_KEYS.PHYSICS_CONSTANTS, simulationState.physicsConstants);
+  simulationState.reincarnation = validateReincarnationSettings(parameters.reincarnation);
+  saveJsonSettings(STORAGE_KEYS.REINCARNATION, simulationState.reincarnation);
+  simulationState.essence = validateEssenceSettings(parameters.essence);
+  saveJsonSettings(STORAGE_KEYS.ESSENCE, simulationState.essence);
+  simulationState.conversion = validateConversionSettings(parameters.conversion);
+  saveJsonSettings(STORAGE_KEYS.CONVERSION, simulationState.conversion);
+  simulationState.bonds = validateBondSettings(parameters.bonds);
+  saveJsonSettings(STORAGE_KEYS.BONDS, simulationState.bonds);
+}
+
+/**
+ * Chart histories and counters for a snapshot
+ */
+export function getSnapshotHistories(): SnapshotHistories {
+  return $state.snapshot({
+    populationHistory: simulationState.populationHistory,
+    parameterMarkers: simulationState.parameterMarkers,
+    networkHistory: simulationState.networkHistory,
+    conversionCounts: simulationState.conversionCounts,
+  });
+}
+
+export function restoreSnapshotHistories(histories: SnapshotHistories): void {
+  simulationState.populationHistory = histories.populationHistory.slice(-POPULATION_HISTORY_LENGTH);
+  simulationState.parameterMarkers = [...histories.parameterMarkers];
+  simulationState.networkHistory = histories.networkHistory.slice(-NETWORK_HISTORY_LENGTH);
+  simulationState.conversionCounts = { ...histories.conversionCounts };
 }
 
 export function setAutomaticSoulCount(value: number): void {
@@ -211,6 +1176,27 @@ export function setMousePosition(x: number, y: number): void {
   simulationState.mouse.y = y;
 }
 
+export function setPointerActive(active: boolean): void {
+  simulationState.pointer.active = active;
+  if (!active) {
+    simulationState.pointer.pressed = false;
+  }
+}
+
+export function setPointerPressed(pressed: boolean): void {
+  simulationState.pointer.pressed = pressed;
+}
+
+export function setPointerMode(mode: PointerMode): void {
+  simulationState.pointer.mode = mode;
+  saveToStorage(STORAGE_KEYS.POINTER_MODE, mode);
+}
+
+export function setPointerDepthMode(depth: PointerDepthMode): void {
+  simulationState.pointer.depth = depth;
+  saveToStorage(STORAGE_KEYS.POINTER_DEPTH, depth);
+}
+
 // Performance metrics setter
 export function setPerformanceMetrics(metrics: PerformanceMetrics): void {
   simulationState.performanceMetrics = metrics;
@@ -0,0 +1,260 @@
+// Telemetry recording for long runs. One sample per population census (the clock the charts
+// use): population by type, births and deaths, the latest network report, FPS, quality level
+// and the parameters in effect. Parameters are stored once per change and referenced by the
+// samples. Samples are kept in memory and can be streamed to IndexedDB so a run of several
+// days can still be exported after the page was reloaded.
+
+import type { QualityLevel } from '../types/performance';
+import { downloadFile, fileTimestamp } from './utils/download';
+import {
+  createDatabaseOpener,
+  isIndexedDbSupported,
+  requestToPromise,
+  transactionDone,
+} from './utils/indexedDb';
+
+export type TelemetryFormat = 'csv' | 'json';
+
+export interface TelemetrySettings {
+  recording: boolean;
+  persist: boolean; // Stream samples to IndexedDB
+}
+
+export interface TelemetrySample {
+  run: string; // ISO start time of the simulation run
+  recordedAt: string; // ISO wall-clock time
+  tick: number;
+  time: number; // Simulated seconds
+  population: number;
+  human: number;
+  gpt: number;
+  dewa: number;
+  births: number;
+  deaths: number;
+  meanAge: number; // Seconds
+  expected: number;
+  predictedMean: number;
+  predictedSigma: number;
+  network: {
+    // Latest network report; null before the first one
+    edges: number | null;
+    components: number | null;
+    largestCluster: number | null;
+    meanDegree: number | null;
+    clustering: number | null;
+    mixing: number | null;
+  };
+  fps: number | null;
+  quality: QualityLevel;
+  parametersId: string; // Parameter set in effect (see TelemetryParameterSet)
+}
+
+// Slider and subsystem settings in effect from a sample on, until the next set of the run
+export interface TelemetryParameterSet {
+  id: string; // Run and change number
+  run: string;
+  tick: number; // First sample recorded with them
+  parameters: Record<string, unknown>; // Nested per subsystem
+}
+
+// Exported sample: the parameter set is joined back in
+export type TelemetryRow = Omit<TelemetrySample, 'parametersId'> & {
+  parameters: Record<string, unknown> | null;
+};
+
+export const DEFAULT_TELEMETRY: TelemetrySettings = {
+  recording: false,
+  persist: false,
+};
+
+// In-memory samples kept for download (a day at one sample per simulated second)
+export const TELEMETRY_BUFFER_LENGTH = 86400;
+
+const DATABASE_NAME = 'soul_simulation_telemetry';
+const DATABASE_VERSION = 1;
+const SAMPLE_STORE = 'samples';
+const PARAMETER_STORE = 'parameters';
+
+/**
+ * Fixed-capacity sample buffer: once full, each new sample replaces the oldest in place
+ */
+export class TelemetryRing {
+  private samples: TelemetrySample[] = [];
+  private start = 0; // Oldest sample once the buffer is full
+  private capacity: number;
+
+  constructor(capacity: number) {
+    this.capacity = capacity;
+  }
+
+  push(sample: TelemetrySample): void {
+    if (this.samples.length < this.capacity) {
+      this.samples.push(sample);
+    } else {
+      this.samples[this.start] = sample;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  get size(): number {
+    return this.samples.length;
+  }
+
+  oldest(): TelemetrySample | null {
+    return this.samples.length > 0 ? this.samples[this.start] : null;
+  }
+
+  /**
+   * Samples from the oldest to the newest
+   */
+  toArray(): TelemetrySample[] {
+    return [...this.samples.slice(this.start), ...this.samples.slice(0, this.start)];
+  }
+
+  clear(): void {
+    this.samples = [];
+    this.start = 0;
+  }
+}
+
+/**
+ * Attach its parameter set to every sample
+ */
+export function joinTelemetryParameters(
+  samples: TelemetrySample[],
+  parameterSets: TelemetryParameterSet[]
+): TelemetryRow[] {
+  const parametersById = new Map(parameterSets.map(set => [set.id, set.parameters]));
+  return samples.map(sample => {
+    const { parametersId, ...row } = sample;
+    return { ...row, parameters: parametersById.get(parametersId) ?? null };
+  });
+}
+
+/**
+ * Flatten nested objects into dotted keys (parameters.bonds.enabled)
+ */
+function flattenSample(value: unknown, prefix: string, row: Record<string, unknown>): void {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, nested]) => {
+      flattenSample(nested, prefix ? `${prefix}.${key}` : key, row);
+    });
+  } else {
+    row[prefix] = value;
+  }
+}
+
+function csvCell(value: unknown): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per sample; the header is the union of all columns in first-seen order
+ */
+export function telemetryToCsv(samples: TelemetryRow[]): string {
+  const rows = samples.map(sample => {
+    const row: Record<string, unknown> = {};
+    flattenSample(sample, '', row);
+    return row;
+  });
+  const columns: string[] = [];
+  const seen = new Set<string>();
+  rows.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if (!seen.has(column)) {
+        seen.add(column);
+        columns.push(column);
+      }
+    });
+  });
+  const lines = rows.map(row => columns.map(column => csvCell(row[column])).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+export function telemetryToJson(samples: TelemetryRow[]): string {
+  return JSON.stringify(samples, null, 2);
+}
+
+/**
+ * Save the samples, each with its parameters, as a file
+ */
+export function downloadTelemetry(
+  samples: TelemetrySample[],
+  parameterSets: TelemetryParameterSet[],
+  format: TelemetryFormat
+): void {
+  const rows = joinTelemetryParameters(samples, parameterSets);
+  const content = format === 'csv' ? telemetryToCsv(rows) : telemetryToJson(rows);
+  const type = format === 'csv' ? 'text/csv' : 'application/json';
+  downloadFile(content, type, `soul-telemetry-${fileTimestamp()}.${format}`);
+}
+
+const openDatabase = createDatabaseOpener(DATABASE_NAME, DATABASE_VERSION, database => {
+  database.createObjectStore(SAMPLE_STORE, { autoIncrement: true });
+  database.createObjectStore(PARAMETER_STORE, { keyPath: 'id' });
+});
+
+/**
+ * Append-only sample log in IndexedDB; the database is opened on first use
+ */
+export class TelemetryDatabase {
+  static isSupported(): boolean {
+    return isIndexedDbSupported();
+  }
+
+  /**
+   * Append samples, with the parameter set they introduce if any
+   */
+  async append(
+    samples: TelemetrySample[],
+    parameterSet: TelemetryParameterSet | null = null
+  ): Promise<void> {
+    if (samples.length === 0) {
+      return;
+    }
+    const transaction = (await openDatabase()).transaction(
+      [SAMPLE_STORE, PARAMETER_STORE],
+      'readwrite'
+    );
+    if (parameterSet) {
+      transaction.objectStore(PARAMETER_STORE).put(parameterSet);
+    }
+    const store = transaction.objectStore(SAMPLE_STORE);
+    samples.forEach(sample => store.add(sample));
+    await transactionDone(transaction);
+  }
+
+  async readAll(): Promise<{
+    samples: TelemetrySample[];
+    parameterSets: TelemetryParameterSet[];
+  }> {
+    const transaction = (await openDatabase()).transaction(
+      [SAMPLE_STORE, PARAMETER_STORE],
+      'readonly'
+    );
+    const [samples, parameterSets] = await Promise.all([
+      requestToPromise(transaction.objectStore(SAMPLE_STORE).getAll()),
+      requestToPromise(transaction.objectStore(PARAMETER_STORE).getAll()),
+    ]);
+    return { samples, parameterSets };
+  }
+
+  async count(): Promise<number> {
+    const transaction = (await openDatabase()).transaction(SAMPLE_STORE, 'readonly');
+    return requestToPromise(transaction.objectStore(SAMPLE_STORE).count());
+  }
+
+  async clear(): Promise<void> {
+    const transaction = (await openDatabase()).transaction(
+      [SAMPLE_STORE, PARAMETER_STORE],
+      'readwrite'
+    );
+    transaction.objectStore(SAMPLE_STORE).clear();
+    transaction.objectStore(PARAMETER_STORE).clear();
+    await transactionDone(transaction);
+  }
+}
@@ -2,23 +2,44 @@
  * Animation Controller
  *
  * Manages the main animation loop for the Soul Recycling Simulation.
- * Handles mouse interaction, performance tracking, and rendering coordination.
+ * Handles pointer interaction, soul picking and camera follow, performance tracking, and
+ * rendering coordination.
+ * Simulation time advances on a fixed-timestep clock, independent of the display refresh rate.
+ * LOD levels are refreshed at a throttled rate and forwarded to the worker in compact form.
  *
  * Phase 6b: Extract Animation Loop from App.svelte
  */
 
 import * as THREE from 'three';
 import type { CameraControls } from '../../types/three';
+import { LOD_UPDATE_INTERVAL_MS, SIMULATION_TICK_RATE } from '../constants/config';
+import { POINTER_SETTINGS, type PointerInput } from '../engine/pointer';
+import { PointerGizmo } from '../PointerGizmo';
+import { SelectionGizmo } from '../SelectionGizmo';
 import {
   adjustQualityBasedOnFPS,
   currentQuality as getCurrentQuality,
   fpsCounter as getFpsCounter,
+  getSoulById,
+  inspector as getInspector,
+  instancedRenderer as getInstancedRenderer,
+  lifespan as getLifespan,
+  lodManager as getLodManager,
+  MAX_LIFESPAN as getMAX_LIFESPAN,
+  MIN_LIFESPAN as getMIN_LIFESPAN,
   mouse as getMouse,
   NEW_SOUL_SPAWN_RATE as getNEW_SOUL_SPAWN_RATE,
   performanceMetrics as getPerformanceMetrics,
+  physicsConstants as getPhysicsConstants,
+  pointer as getPointer,
   renderingMode as getRenderingMode,
+  selectSoul,
   souls as getSouls,
+  takeSoulPickRequest,
 } from '../stores/simulationState.svelte';
+import type { CompactLODData, WorkerUpdateData } from '../workerProtocol';
+import { SimulationClock, toTickParameters } from './simulationClock';
+import { applySoulGeometryDetail } from './soulManager';
 
 interface SceneObjects {
   scene: THREE.Scene;
@@ -28,8 +49,7 @@ interface SceneObjects {
 }
 
 interface AnimationCallbacks {
-  onSoulSpawn?: () => void;
-  onWorkerUpdate?: (data: unknown) => void;
+  onWorkerUpdate?: (data: WorkerUpdateData) => void;
 }
 
 export class AnimationController {
@@ -42,14 +62,27 @@ export class AnimationController {
   private renderer: THREE.WebGLRenderer | null = null;
   private controls: CameraControls | null = null;
 
-  // Mouse interaction
+  // Pointer interaction
   private raycaster: THREE.Raycaster = new THREE.Raycaster();
   private pointerPosition3D: THREE.Vector3 | null = null;
   private interactionPlane: THREE.Plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  private pointerNdc: THREE.Vector2 = new THREE.Vector2();
+  private viewDirection: THREE.Vector3 = new THREE.Vector3();
+  private pointerGizmo: PointerGizmo | null = null;
+
+  // Soul inspector: selection marker and camera follow
+  private selectionGizmo: SelectionGizmo | null = null;
+  private followOffset: THREE.Vector3 = new THREE.Vector3();
+
+  // Fixed-timestep simulation clock
+  private clock: SimulationClock = new SimulationClock();
+
+  // LOD refresh (throttled); the latest result waits here until the next worker update
+  private lastLODUpdate: number = -Infinity;
+  private pendingLODData: CompactLODData | null = null;
 
   // Callbacks (set by caller)
-  private onSoulSpawn: (() => void) | null = null;
-  private onWorkerUpdate: ((data: unknown) => void) | null = null;
+  private onWorkerUpdate: ((data: WorkerUpdateData) => void) | null = null;
 
   constructor() {
     // Initialization handled in methods
@@ -64,13 +97,17 @@ export class AnimationController {
     this.camera = camera;
     this.renderer = renderer;
     this.controls = controls;
+
+    this.pointerGizmo?.dispose();
+    this.pointerGizmo = new PointerGizmo(scene);
+    this.selectionGizmo?.dispose();
+    this.selectionGizmo = new SelectionGizmo(scene);
   }
 
   /**
    * Set callback functions for animation loop events
    */
   setCallbacks(callbacks: AnimationCallbacks): void {
-    this.onSoulSpawn = callbacks.onSoulSpawn || null;
     this.onWorkerUpdate = callbacks.onWorkerUpdate || null;
   }
 
@@ -88,7 +125,10 @@ export class AnimationController {
     }
 
     this.isRunning = true;
-    this.animate();
+    this.clock.reset();
+    this.lastLODUpdate = -Infinity;
+    this.pendingLODData = null;
+    this.animate(performance.now());
   }
 
   /**
@@ -105,21 +145,28 @@ export class AnimationController {
   /**
    * Main animation loop
    */
-  private animate(): void {
+  private animate(time: number): void {
     if (!this.isRunning) {
       return;
     }
 
-    this.animationId = requestAnimationFrame(() => this.animate());
+    this.animationId = requestAnimationFrame(t => this.animate(t));
 
-    // Update mouse interaction
-    this.updateMouseInteraction();
+    // Update pointer interaction
+    this.updatePointerInteraction();
 
-    // Send updates to worker
-    this.sendWorkerUpdate();
+    // Select the soul under a click, then mark and follow the selected soul
+    this.updateSoulPicking();
+    this.updateSelection();
 
-    // Handle soul spawning
-    this.handleSoulSpawning();
+    // Recompute LOD levels from the camera distance
+    this.updateLOD(time);
+
+    // Advance the simulation clock and let the worker run the elapsed ticks
+    const ticks = this.clock.advance(time);
+    if (ticks > 0) {
+      this.sendWorkerUpdate(ticks);
+    }
 
     // Update controls and render
     if (this.controls && this.controls.update) {
@@ -141,57 +188,185 @@ export class AnimationController {
   }
 
   /**
-   * Update mouse interaction and raycasting
+   * Raycast the pointer into the scene and move the 3D cursor
+   */
+  private updatePointerInteraction(): void {
+    const pointer = getPointer();
+
+    // Dragging rotates the camera, except in spawn mode where pressing spawns souls
+    if (this.controls) {
+      this.controls.enableRotate = pointer.mode !== 'spawn';
+    }
+
+    this.pointerPosition3D = null;
+    if (this.camera && pointer.active && pointer.mode !== 'off') {
+      const mouse = getMouse();
+      this.pointerNdc.set(mouse.x, mouse.y);
+      this.raycaster.setFromCamera(this.pointerNdc, this.camera);
+      this.camera.getWorldDirection(this.viewDirection);
+
+      this.pointerPosition3D =
+        (pointer.depth === 'soul' && this.intersectNearestSoul()) || this.intersectViewPlane();
+    }
+
+    if (this.pointerGizmo && this.camera) {
+      this.pointerGizmo.update(
+        this.pointerPosition3D,
+        pointer.mode,
+        getPhysicsConstants().POINTER_INTERACTION_RADIUS,
+        this.camera
+      );
+    }
+  }
+
+  /**
+   * Cursor on the camera-facing plane through the orbit target
+   */
+  private intersectViewPlane(): THREE.Vector3 | null {
+    const target = this.controls?.target ?? new THREE.Vector3();
+    this.interactionPlane.setFromNormalAndCoplanarPoint(this.viewDirection, target);
+
+    const intersectionPoint = new THREE.Vector3();
+    return this.raycaster.ray.intersectPlane(this.interactionPlane, intersectionPoint);
+  }
+
+  /**
+   * Cursor at the depth of the visible soul closest to the pointer ray, if any is close enough
    */
-  private updateMouseInteraction(): void {
-    const mouse = getMouse();
-
-    // Update pointer position in 3D space for main thread (raycasting)
-    if (this.camera) {
-      // Convert mouse position to THREE.Vector2
-      const mouseVector = new THREE.Vector2(mouse.x, mouse.y);
-      this.raycaster.setFromCamera(mouseVector, this.camera);
-      const intersectionPoint = new THREE.Vector3();
-
-      if (this.raycaster.ray.intersectPlane(this.interactionPlane, intersectionPoint)) {
-        this.pointerPosition3D = intersectionPoint;
-      } else {
-        this.pointerPosition3D = null;
+  private intersectNearestSoul(): THREE.Vector3 | null {
+    const ray = this.raycaster.ray;
+    let nearest: THREE.Object3D | null = null;
+    let nearestDistanceSq =
+      POINTER_SETTINGS.SOUL_SNAP_DISTANCE * POINTER_SETTINGS.SOUL_SNAP_DISTANCE;
+
+    for (const soul of getSouls()) {
+      if (!soul.visible) {
+        continue;
+      }
+      const distanceSq = ray.distanceSqToPoint(soul.position);
+      if (distanceSq < nearestDistanceSq) {
+        nearestDistanceSq = distanceSq;
+        nearest = soul;
       }
     }
+
+    return nearest ? ray.closestPointToPoint(nearest.position, new THREE.Vector3()) : null;
   }
 
   /**
-   * Send update data to worker
+   * Select the soul under the latest click, or clear the selection when the click hits none.
+   * Clicks in spawn mode spawn souls instead
    */
-  private sendWorkerUpdate(): void {
-    if (this.onWorkerUpdate) {
-      this.onWorkerUpdate({
-        pointerPosition3D: null, // Dewa is everywhere, not tied to a specific mouse-derived point
-        lodData: null, // LOD data would go here if implemented
-      });
+  private updateSoulPicking(): void {
+    const request = takeSoulPickRequest();
+    if (!request || !this.camera || getPointer().mode === 'spawn') {
+      return;
+    }
+
+    this.pointerNdc.set(request.x, request.y);
+    this.raycaster.setFromCamera(this.pointerNdc, this.camera);
+    selectSoul(
+      getRenderingMode() === 'instanced'
+        ? (getInstancedRenderer()?.pickSoul(this.raycaster) ?? null)
+        : this.pickSoulMesh()
+    );
+  }
+
+  /**
+   * Id of the nearest visible soul mesh the pick ray hits (individual rendering)
+   */
+  private pickSoulMesh(): number | null {
+    const hit = this.raycaster.intersectObjects(
+      getSouls().filter(soul => soul.visible),
+      false
+    )[0];
+    return hit?.object.userData.id ?? null;
+  }
+
+  /**
+   * Ring around the selected soul while it is alive; when following, the camera moves with it
+   * so the orbit center stays on the soul
+   */
+  private updateSelection(): void {
+    const { selectedId, follow } = getInspector();
+    const soul = selectedId !== null ? getSoulById(selectedId) : undefined;
+    const position = soul ? soul.position : null;
+
+    if (this.selectionGizmo && this.camera) {
+      this.selectionGizmo.update(position, this.camera);
+    }
+
+    const target = this.controls?.target;
+    if (follow && position && target && this.camera) {
+      this.followOffset.subVectors(position, target);
+      this.camera.position.add(this.followOffset);
+      target.copy(position);
     }
   }
 
   /**
-   * Handle soul spawning logic
+   * Refresh LOD levels at most every LOD_UPDATE_INTERVAL_MS and apply geometry detail
    */
-  private handleSoulSpawning(): void {
-    if (!this.onSoulSpawn) {
+  private updateLOD(time: number): void {
+    const lodManager = getLodManager();
+    if (!lodManager || time - this.lastLODUpdate < LOD_UPDATE_INTERVAL_MS) {
       return;
     }
+    this.lastLODUpdate = time;
+
+    const souls = getSouls();
+    const lodData = lodManager.updateSoulLOD(souls);
+
+    if (getRenderingMode() === 'instanced') {
+      getInstancedRenderer()?.setLODData(lodData);
+    } else {
+      souls.forEach(applySoulGeometryDetail);
+    }
 
-    let spawnRate = getNEW_SOUL_SPAWN_RATE();
+    this.pendingLODData = lodData;
+  }
 
-    // Spawn multiple souls if spawn rate > 1
-    while (spawnRate > 1) {
-      this.onSoulSpawn();
-      spawnRate--;
+  /**
+   * Pointer state for the worker, or null when the pointer is not over the scene
+   */
+  private getPointerInput(): PointerInput | null {
+    if (!this.pointerPosition3D) {
+      return null;
     }
 
-    // Spawn soul based on probability if spawn rate < 1
-    if (Math.random() < spawnRate) {
-      this.onSoulSpawn();
+    const pointer = getPointer();
+    const { x, y, z } = this.pointerPosition3D;
+    return {
+      position: { x, y, z },
+      mode: pointer.mode,
+      axis: { x: this.viewDirection.x, y: this.viewDirection.y, z: this.viewDirection.z },
+      spawnRate:
+        pointer.mode === 'spawn' && pointer.pressed
+          ? POINTER_SETTINGS.SPAWN_RATE / SIMULATION_TICK_RATE
+          : 0,
+    };
+  }
+
+  /**
+   * Send update data to worker: ticks to advance, the pointer, the current birth parameters
+   * and LOD levels when they were refreshed since the last update
+   */
+  private sendWorkerUpdate(ticks: number): void {
+    if (this.onWorkerUpdate) {
+      const lodData = this.pendingLODData;
+      this.pendingLODData = null;
+
+      this.onWorkerUpdate({
+        ticks,
+        pointer: this.getPointerInput(),
+        lodData,
+        population: toTickParameters(
+          getNEW_SOUL_SPAWN_RATE(),
+          getMIN_LIFESPAN(),
+          getMAX_LIFESPAN(),
+          getLifespan()
+        ),
+      });
     }
   }
 
@@ -254,6 +429,13 @@ export class AnimationController {
     return this.pointerPosition3D;
   }
 
+  /**
+   * Get the simulation clock (simulated time, tick rate)
+   */
+  getClock(): SimulationClock {
+    return this.clock;
+  }
+
   /**
    * Check if animation loop is running
    */
@@ -0,0 +1,32 @@
+/**
+ * File download helper
+ *
+ * Saves generated text (telemetry, snapshots) as a file through a temporary link.
+ */
+
+/**
+ * ISO timestamp usable in a file name
+ */
+export function fileTimestamp(date: Date = new Date()): string {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Time the browser gets to start reading the blob before its URL is released
+const DOWNLOAD_REVOKE_DELAY_MS = 1000;
+
+export function downloadFile(content: string, type: string, fileName: string): void {
+  if (typeof document === 'undefined') {
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([content], { type }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download asynchronously and would save an empty file if the URL
+  // were revoked right away
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY_MS);
+}
@@ -0,0 +1,224 @@
+/**
+ * Experiment Runner
+ *
+ * Runs a parameter sweep on a pool of dedicated experiment workers, separate from the live
+ * simulation worker: each worker takes the next queued run, simulates it headless and sends
+ * back its metrics. Results are aggregated per parameter combination as they arrive and the
+ * finished (or cancelled) experiment can be downloaded as a JSON report.
+ */
+
+import {
+  aggregateResults,
+  buildExperimentRuns,
+  downloadExperimentReport,
+  EXPERIMENT_REPORT_VERSION,
+  MAX_EXPERIMENT_WORKERS,
+  runOptions,
+  type ExperimentConfig,
+  type ExperimentReport,
+  type ExperimentRun,
+  type ExperimentRunResult,
+  type ExperimentWorkerReply,
+} from '../experiment';
+import { setExperimentStatus, type ExperimentStatus } from '../stores/simulationState.svelte';
+import { secondsToTicks } from './simulationClock';
+
+/**
+ * Workers to use by default: leave a core for the page and the live simulation
+ */
+export function defaultExperimentWorkers(): number {
+  const cores = typeof navigator !== 'undefined' ? (navigator.hardwareConcurrency ?? 2) : 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+export class ExperimentRunner {
+  private workers: Worker[] = [];
+  private config: ExperimentConfig | null = null;
+  private runs: ExperimentRun[] = [];
+  private queue: ExperimentRun[] = [];
+  private active: Map<Worker, ExperimentRun> = new Map();
+  private progress: Map<number, number> = new Map(); // Fraction done of the active runs
+  private results: ExperimentRunResult[] = [];
+  private startedAt: string = '';
+  private state: ExperimentStatus['state'] = 'idle';
+  private report: ExperimentReport | null = null;
+
+  isRunning(): boolean {
+    return this.state === 'running';
+  }
+
+  /**
+   * Start a sweep; throws when the configuration cannot run or one is already running
+   */
+  start(config: ExperimentConfig): void {
+    if (this.isRunning()) {
+      throw new Error('An experiment is already running');
+    }
+    const runs = buildExperimentRuns(config);
+    const workerCount = Math.max(
+      1,
+      Math.min(MAX_EXPERIMENT_WORKERS, Math.floor(config.workers), runs.length)
+    );
+
+    this.config = config;
+    this.runs = runs;
+    this.queue = [...runs];
+    this.active = new Map();
+    this.progress = new Map();
+    this.results = [];
+    this.report = null;
+    this.startedAt = new Date().toISOString();
+    this.state = 'running';
+
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(new URL('../experiment.worker.ts', import.meta.url), {
+        type: 'module',
+      });
+      worker.onmessage = (e: MessageEvent<ExperimentWorkerReply>) =>
+        this.handleReply(worker, e.data);
+      worker.onerror = event => {
+        // Worker could not start or crashed - fail its run and retire it
+        const run = this.active.get(worker);
+        if (run) {
+          this.addResult(run, null, event.message || 'Experiment worker failed', 0);
+        }
+        this.retire(worker);
+      };
+      this.workers.push(worker);
+      this.dispatch(worker);
+    }
+    this.publishStatus();
+  }
+
+  /**
+   * Stop the sweep; finished runs are kept in the report
+   */
+  cancel(): void {
+    if (this.isRunning()) {
+      this.finish('cancelled');
+    }
+  }
+
+  /**
+   * Report of the latest experiment once it finished or was cancelled
+   */
+  getReport(): ExperimentReport | null {
+    return this.report;
+  }
+
+  downloadReport(): void {
+    if (this.report) {
+      downloadExperimentReport(this.report);
+    }
+  }
+
+  private dispatch(worker: Worker): void {
+    const run = this.queue.shift();
+    if (!run || !this.config) {
+      this.retire(worker);
+      return;
+    }
+    this.active.set(worker, run);
+    worker.postMessage({
+      type: 'run',
+      data: {
+        run: run.index,
+        options: runOptions(this.config, run),
+        ticks: secondsToTicks(this.config.duration),
+      },
+    });
+  }
+
+  private handleReply(worker: Worker, reply: ExperimentWorkerReply): void {
+    const run = this.active.get(worker);
+    if (!run || run.index !== reply.data.run) {
+      return;
+    }
+
+    if (reply.type === 'progress') {
+      this.progress.set(run.index, reply.data.fraction);
+      this.publishStatus();
+      return;
+    }
+
+    if (reply.type === 'result') {
+      this.addResult(run, reply.data.metrics, undefined, reply.data.elapsed);
+    } else {
+      this.addResult(run, null, reply.data.message, 0);
+    }
+    this.dispatch(worker);
+  }
+
+  private addResult(
+    run: ExperimentRun,
+    metrics: ExperimentRunResult['metrics'],
+    error: string | undefined,
+    elapsed: number
+  ): void {
+    this.results.push({ ...run, metrics, ...(error ? { error } : {}), elapsed });
+    this.progress.delete(run.index);
+    this.publishStatus();
+  }
+
+  /**
+   * Stop a worker that has no more runs; the experiment finishes with the last one
+   */
+  private retire(worker: Worker): void {
+    worker.terminate();
+    this.active.delete(worker);
+    this.workers = this.workers.filter(candidate => candidate !== worker);
+    if (this.isRunning() && this.workers.length === 0) {
+      // Every worker crashed before the queue ran out: its runs fail without one
+      this.queue.forEach(run => {
+        this.results.push({
+          ...run,
+          metrics: null,
+          error: 'No experiment worker left',
+          elapsed: 0,
+        });
+      });
+      this.queue = [];
+      this.finish(this.results.length === this.runs.length ? 'finished' : 'cancelled');
+    }
+  }
+
+  private finish(state: 'finished' | 'cancelled'): void {
+    this.state = state;
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+    this.active = new Map();
+    this.progress = new Map();
+    this.queue = [];
+
+    const results = [...this.results].sort((a, b) => a.index - b.index);
+    this.report = {
+      version: EXPERIMENT_REPORT_VERSION,
+      startedAt: this.startedAt,
+      finishedAt: new Date().toISOString(),
+      completed: state === 'finished',
+      config: this.config!,
+      results,
+      points: aggregateResults(results),
+    };
+    this.publishStatus();
+  }
+
+  private publishStatus(): void {
+    let done = this.results.length;
+    this.progress.forEach(fraction => {
+      done += fraction;
+    });
+    setExperimentStatus({
+      state: this.state,
+      total: this.runs.length,
+      completed: this.results.length,
+      failed: this.results.filter(result => result.metrics === null).length,
+      progress: this.runs.length > 0 ? done / this.runs.length : 0,
+      workers: this.workers.length,
+      points: this.report ? this.report.points : aggregateResults(this.results),
+    });
+  }
+}
+
+// Export a singleton instance for easy use
+export const experimentRunner = new ExperimentRunner();
@@ -0,0 +1,48 @@
+/**
+ * IndexedDB helpers
+ *
+ * Promise wrappers around the request/transaction callbacks, shared by the telemetry log and
+ * the snapshot slots.
+ */
+
+export function isIndexedDbSupported(): boolean {
+  return typeof indexedDB !== 'undefined';
+}
+
+export function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open a database lazily and keep the connection; a failed open (private mode, quota) is
+ * retried on the next call
+ */
+export function createDatabaseOpener(
+  name: string,
+  version: number,
+  upgrade: (database: IDBDatabase) => void
+): () => Promise<IDBDatabase> {
+  let database: Promise<IDBDatabase> | null = null;
+  return () => {
+    if (!database) {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => upgrade(request.result);
+      database = requestToPromise(request);
+      database.catch(() => {
+        database = null;
+      });
+    }
+    return database;
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Deterministic PRNG shared by the main thread and the simulation worker.
+ * Every random decision in the simulation goes through a SeededRandom instance,
+ * so the same seed and parameters reproduce the same population trajectory.
+ */
+
+// Independent streams so the main thread and the worker never replay each other's numbers.
+// SPAWN is kept apart from WORKER so camera-dependent LOD sampling cannot change who is born.
+export const RANDOM_STREAMS = {
+  MAIN: 0,
+  WORKER: 1,
+  SPAWN: 2,
+} as const;
+
+export type RandomStream = (typeof RANDOM_STREAMS)[keyof typeof RANDOM_STREAMS];
+
+/**
+ * Mix a seed and a stream index into a well-distributed 32-bit state (splitmix32 finalizer)
+ */
+function mixSeed(seed: number, stream: number): number {
+  let z = (seed ^ Math.imul(stream + 1, 0x9e3779b9)) >>> 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  return (z ^ (z >>> 16)) >>> 0;
+}
+
+/**
+ * Mulberry32 generator - small, fast and fully described by a single 32-bit state
+ */
+export class SeededRandom {
+  private state: number;
+
+  constructor(seed: number, stream: number = RANDOM_STREAMS.MAIN) {
+    this.state = mixSeed(seed >>> 0, stream);
+  }
+
+  /**
+   * Next float in [0, 1), drop-in replacement for Math.random()
+   */
+  next(): number {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Internal state, for saving and restoring a generator mid-run
+   */
+  getState(): number {
+    return this.state;
+  }
+
+  setState(state: number): void {
+    this.state = state >>> 0;
+  }
+}
+
+/**
+ * Turn a user-provided seed (number or any string) into a 32-bit unsigned integer
+ */
+export function parseSeed(value: string): number {
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(BigInt(trimmed) % 4294967296n);
+  }
+
+  // FNV-1a hash for non-numeric seeds
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < trimmed.length; i++) {
+    hash ^= trimmed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a fresh seed when the user did not provide one
+ */
+export function generateSeed(): number {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Main-thread generator (the worker owns its own instance)
+let currentSeed: number = generateSeed();
+let mainRandom: SeededRandom = new SeededRandom(currentSeed, RANDOM_STREAMS.MAIN);
+
+/**
+ * Initialize the main-thread generator
+ * This should be called before any soul is created
+ */
+export function initializeRandom(seed: number | null = null): number {
+  currentSeed = seed ?? generateSeed();
+  mainRandom = new SeededRandom(currentSeed, RANDOM_STREAMS.MAIN);
+  return currentSeed;
+}
+
+/**
+ * Next float in [0, 1) from the main-thread generator
+ */
+export function random(): number {
+  return mainRandom.next();
+}
+
+/**
+ * Seed the current run was started with
+ */
+export function getRandomSeed(): number {
+  return currentSeed;
+}
+
+/**
+ * Main-thread generator state, for snapshots
+ */
+export function getRandomState(): number {
+  return mainRandom.getState();
+}
+
+export function setRandomState(state: number): void {
+  mainRandom.setState(state);
+}
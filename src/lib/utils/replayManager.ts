@@ -0,0 +1,390 @@
+/**
+ * Replay Manager
+ *
+ * Records runs (start snapshot plus every worker input, see recording.ts) and plays them
+ * back through the worker. A replay starts like a snapshot restore, from a page reload, and
+ * then feeds the recorded inputs at the playback speed instead of the live ones. Seeking
+ * jumps to the nearest keyframe (an engine state captured while playing) and fast forwards
+ * from there.
+ */
+
+import type { EngineState, PopulationParameters } from '../engine/engineTypes';
+import {
+  downloadRecording,
+  expandInputs,
+  isRecordingStorageSupported,
+  RecordedLODLevels,
+  RunRecorder,
+  setPendingReplay,
+  takePendingReplay,
+  type RecordedInput,
+  type RecordedUpdate,
+  type Recording,
+} from '../recording';
+import type { SimulationSnapshot } from '../snapshot';
+import {
+  resetNetworkHistory,
+  resetPopulationHistory,
+  setReplayStatus,
+} from '../stores/simulationState.svelte';
+import {
+  SETTING_INPUT_TYPES,
+  type WorkerInput,
+  type WorkerInputType,
+  type WorkerUpdateData,
+} from '../workerProtocol';
+import { secondsToTicks, ticksToSeconds } from './simulationClock';
+import { snapshotManager } from './snapshotManager';
+import { workerManager } from './workerManager';
+
+// A keyframe is captured every this many ticks the replay has not played before
+const KEYFRAME_INTERVAL_TICKS = secondsToTicks(10);
+
+// Recorded ticks sent per frame while fast forwarding to a seek target
+const FAST_FORWARD_TICKS_PER_FRAME = secondsToTicks(5);
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Everything needed to continue the replay from an input
+interface Keyframe {
+  index: number; // Next input
+  tick: number;
+  state: EngineState;
+  settings: WorkerInput[];
+  lod: RecordedLODLevels;
+  population: PopulationParameters | null;
+}
+
+export class ReplayManager {
+  // Recording
+  private recorder: RunRecorder | null = null;
+  private recordingStart: Promise<SimulationSnapshot> | null = null;
+  private recordedAt: string = '';
+  private lastRecording: Recording | null = null;
+
+  // Playback
+  private recording: Recording | null = null;
+  private inputs: RecordedInput[] = [];
+  private cursor: number = 0; // Next input to post
+  private tick: number = 0; // Ticks posted since the start of the recording
+  private playhead: number = 0; // Replay position in ticks (fractional at slow speeds)
+  private playing: boolean = false;
+  private speed: number = 1;
+  private seekTarget: number | null = null;
+  private loading: boolean = false; // Waiting for the worker to load a keyframe
+  private keyframes: Keyframe[] = [];
+  private nextKeyframeTick: number = 0;
+
+  // Worker inputs in effect at the cursor
+  private settings: Map<WorkerInputType, WorkerInput> = new Map();
+  private lod: RecordedLODLevels = new RecordedLODLevels();
+  private population: PopulationParameters | null = null;
+
+  private publishedSecond: number = -1;
+
+  isRecording(): boolean {
+    return this.recorder !== null;
+  }
+
+  isReplaying(): boolean {
+    return this.recording !== null;
+  }
+
+  /**
+   * Start recording: snapshot the worker and log every input from then on
+   */
+  async startRecording(): Promise<void> {
+    if (this.recorder || this.recording) {
+      throw new Error('Already recording or replaying');
+    }
+    const { settings, lodData } = workerManager.getInputState();
+    const recorder = new RunRecorder(settings, lodData);
+
+    // The snapshot request is posted right away, so the log starts exactly at it
+    const start = snapshotManager.capture();
+    workerManager.setInputListener(input => {
+      recorder.record(input);
+      this.publishStatus(false);
+    });
+    this.recorder = recorder;
+    this.recordingStart = start;
+    this.recordedAt = new Date().toISOString();
+    this.publishStatus();
+
+    try {
+      await start;
+    } catch (error) {
+      workerManager.setInputListener(null);
+      this.recorder = null;
+      this.recordingStart = null;
+      this.publishStatus();
+      throw error;
+    }
+  }
+
+  async stopRecording(): Promise<Recording> {
+    if (!this.recorder || !this.recordingStart) {
+      throw new Error('Not recording');
+    }
+    const recorder = this.recorder;
+    const start = this.recordingStart;
+    workerManager.setInputListener(null);
+    this.recorder = null;
+    this.recordingStart = null;
+    this.publishStatus();
+
+    this.lastRecording = recorder.finish(await start, this.recordedAt);
+    return this.lastRecording;
+  }
+
+  getLastRecording(): Recording | null {
+    return this.lastRecording;
+  }
+
+  downloadLastRecording(): void {
+    if (this.lastRecording) {
+      downloadRecording(this.lastRecording);
+    }
+  }
+
+  /**
+   * Park a recording and reload; the page starts again from its snapshot and replays it
+   */
+  async replay(recording: Recording): Promise<void> {
+    await setPendingReplay(recording);
+    window.location.reload();
+  }
+
+  /**
+   * Recording parked by a replay, or null for a normal start
+   */
+  async takePending(): Promise<Recording | null> {
+    if (!isRecordingStorageSupported()) {
+      return null;
+    }
+    return takePendingReplay();
+  }
+
+  /**
+   * Take over the worker, just initialized from the recording's start snapshot
+   */
+  begin(recording: Recording): void {
+    this.recording = recording;
+    this.inputs = expandInputs(recording);
+    workerManager.setReplaying(true);
+
+    this.settings = new Map();
+    this.lod = new RecordedLODLevels();
+    this.population = null;
+    recording.settings.forEach(input => this.post(input));
+
+    this.cursor = 0;
+    this.tick = 0;
+    this.playhead = 0;
+    this.keyframes = [{ ...this.keyframeAtCursor(), state: recording.start.worker }];
+    this.nextKeyframeTick = KEYFRAME_INTERVAL_TICKS;
+    this.playing = true;
+    this.publishStatus();
+  }
+
+  /**
+   * Leave the replay by starting a fresh run
+   */
+  exit(): void {
+    window.location.reload();
+  }
+
+  /**
+   * Feed this frame's recorded inputs; ticks is how far the live clock advanced
+   */
+  advance(ticks: number): void {
+    if (!this.recording || this.loading) {
+      return;
+    }
+
+    if (this.seekTarget !== null) {
+      this.postUntil(Math.min(this.seekTarget, this.tick + FAST_FORWARD_TICKS_PER_FRAME));
+      if (this.tick >= this.seekTarget || this.cursor >= this.inputs.length) {
+        this.seekTarget = null;
+        this.publishStatus();
+      }
+      return;
+    }
+
+    if (this.playing) {
+      this.playhead = Math.min(this.recording.duration, this.playhead + ticks * this.speed);
+      this.postUntil(this.playhead);
+      if (this.cursor >= this.inputs.length) {
+        this.playing = false;
+      }
+      this.publishStatus(!this.playing);
+    }
+  }
+
+  play(): void {
+    if (!this.recording) {
+      return;
+    }
+    if (this.cursor >= this.inputs.length) {
+      this.seek(0);
+    }
+    this.playing = true;
+    this.publishStatus();
+  }
+
+  pause(): void {
+    this.playing = false;
+    this.publishStatus();
+  }
+
+  setSpeed(speed: number): void {
+    this.speed = speed;
+    this.publishStatus();
+  }
+
+  /**
+   * Jump to a replay position in seconds: from the nearest keyframe before it, or by
+   * continuing from the current position when that is closer
+   */
+  seek(time: number): void {
+    if (!this.recording || this.loading) {
+      return;
+    }
+    const target = Math.max(0, Math.min(this.recording.duration, secondsToTicks(time)));
+    this.playhead = target;
+
+    let keyframe = this.keyframes[0];
+    this.keyframes.forEach(candidate => {
+      if (candidate.tick <= target) {
+        keyframe = candidate;
+      }
+    });
+
+    if (target >= this.tick && keyframe.tick <= this.tick) {
+      this.seekTarget = target;
+      this.publishStatus();
+      return;
+    }
+    this.loadKeyframe(keyframe, target);
+  }
+
+  private loadKeyframe(keyframe: Keyframe, target: number): void {
+    this.loading = true;
+    this.seekTarget = null;
+
+    // Settings first: loading the state then replaces whatever they reset
+    this.settings = new Map();
+    keyframe.settings.forEach(input => this.post(input));
+    this.lod = keyframe.lod.clone();
+    this.population = keyframe.population;
+    this.cursor = keyframe.index;
+    this.tick = keyframe.tick;
+    this.publishStatus();
+
+    workerManager
+      .loadState(keyframe.state, this.lod.toCompact(), this.population)
+      .then(() => {
+        resetNetworkHistory();
+        resetPopulationHistory(keyframe.state.souls.length, keyframe.state.frameCount);
+        this.seekTarget = target;
+      })
+      .catch(() => {
+        // The worker failed or went away: the seek is dropped
+      })
+      .finally(() => {
+        this.loading = false;
+        this.publishStatus();
+      });
+  }
+
+  private keyframeAtCursor(): Omit<Keyframe, 'state'> {
+    return {
+      index: this.cursor,
+      tick: this.tick,
+      settings: Array.from(this.settings.values()),
+      lod: this.lod.clone(),
+      population: this.population,
+    };
+  }
+
+  /**
+   * Post the recorded inputs received before the given tick, capturing keyframes on the way
+   */
+  private postUntil(limit: number): void {
+    while (this.cursor < this.inputs.length && this.inputs[this.cursor].tick < limit) {
+      if (this.tick >= this.nextKeyframeTick) {
+        this.captureKeyframe();
+      }
+      this.post(this.inputs[this.cursor]);
+      this.cursor++;
+    }
+  }
+
+  /**
+   * Ask the worker for its state before the input at the cursor (it answers in order)
+   */
+  private captureKeyframe(): void {
+    const keyframe = this.keyframeAtCursor();
+    this.nextKeyframeTick = keyframe.tick + KEYFRAME_INTERVAL_TICKS;
+    workerManager
+      .requestSnapshot()
+      .then(state => {
+        this.keyframes.push({ ...keyframe, state });
+        this.publishStatus();
+      })
+      .catch(() => {
+        // No keyframe here: seeks past it start from an earlier one
+      });
+  }
+
+  private post(input: WorkerInput): void {
+    if (input.type !== 'update') {
+      if (SETTING_INPUT_TYPES.includes(input.type)) {
+        this.settings.set(input.type, input);
+      }
+      workerManager.postReplayInput({ type: input.type, data: input.data });
+      return;
+    }
+
+    const update = input.data as RecordedUpdate;
+    if (update.lod) {
+      this.lod.apply(update.lod);
+    }
+    if (update.population) {
+      this.population = update.population;
+    }
+    const data: WorkerUpdateData = {
+      ticks: update.ticks,
+      pointer: update.pointer ?? null,
+      lodData: update.lod ? this.lod.toCompact() : null,
+      population: update.population,
+    };
+    workerManager.postReplayInput({ type: 'update', data });
+    this.tick += update.ticks;
+  }
+
+  /**
+   * Update the replay status in the store; unforced updates only when the whole second changes
+   */
+  private publishStatus(force: boolean = true): void {
+    const ticks = this.recorder ? this.recorder.getElapsed() : this.playhead;
+    const second = Math.floor(ticksToSeconds(ticks));
+    if (!force && second === this.publishedSecond) {
+      return;
+    }
+    this.publishedSecond = second;
+
+    setReplayStatus({
+      mode: this.recorder ? 'recording' : this.recording ? 'replaying' : 'idle',
+      time: ticksToSeconds(ticks),
+      duration: this.recording ? ticksToSeconds(this.recording.duration) : 0,
+      playing: this.playing,
+      speed: this.speed,
+      seeking: this.loading || this.seekTarget !== null,
+      keyframes: this.keyframes.length,
+    });
+  }
+}
+
+// Export a singleton instance for easy use
+export const replayManager = new ReplayManager();
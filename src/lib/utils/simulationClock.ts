@@ -0,0 +1,119 @@
+/**
+ * Simulation Clock
+ *
+ * Fixed-timestep clock that decouples the simulation from requestAnimationFrame.
+ * Each rendered frame asks the clock how many ticks of simulated time have elapsed,
+ * so a 144 Hz display and a 60 Hz display age and spawn souls at the same rate.
+ */
+
+import { MAX_TICKS_PER_FRAME, SIMULATION_TICK_RATE } from '../constants/config';
+import type { PopulationParameters } from '../engine/engineTypes';
+import { type LifespanSettings, toTickLifespan } from '../engine/lifespan';
+
+/**
+ * Convert a duration in seconds to simulation ticks
+ */
+export function secondsToTicks(seconds: number, tickRate: number = SIMULATION_TICK_RATE): number {
+  return seconds * tickRate;
+}
+
+/**
+ * Convert a number of simulation ticks to seconds
+ */
+export function ticksToSeconds(ticks: number, tickRate: number = SIMULATION_TICK_RATE): number {
+  return ticks / tickRate;
+}
+
+/**
+ * Convert user-facing parameters (souls/s, seconds) to the per-tick values the engine uses
+ */
+export function toTickParameters(
+  spawnRatePerSecond: number,
+  minLifespanSeconds: number,
+  maxLifespanSeconds: number,
+  lifespan?: LifespanSettings,
+  tickRate: number = SIMULATION_TICK_RATE
+): PopulationParameters {
+  return {
+    spawnRate: spawnRatePerSecond / tickRate,
+    minLifespan: secondsToTicks(minLifespanSeconds, tickRate),
+    maxLifespan: secondsToTicks(maxLifespanSeconds, tickRate),
+    ...(lifespan ? { lifespan: toTickLifespan(lifespan, tickRate) } : {}),
+  };
+}
+
+export class SimulationClock {
+  private readonly tickRate: number;
+  private readonly maxTicksPerFrame: number;
+  private readonly tickDuration: number; // Milliseconds per tick
+  private accumulator: number = 0;
+  private lastTime: number | null = null;
+  private tick: number = 0;
+  private droppedTicks: number = 0;
+
+  constructor(
+    tickRate: number = SIMULATION_TICK_RATE,
+    maxTicksPerFrame: number = MAX_TICKS_PER_FRAME
+  ) {
+    this.tickRate = tickRate;
+    this.maxTicksPerFrame = maxTicksPerFrame;
+    this.tickDuration = 1000 / tickRate;
+  }
+
+  /**
+   * Advance to the given timestamp and return how many ticks to simulate this frame.
+   * Time beyond maxTicksPerFrame is dropped (e.g. after a background tab resumes)
+   * instead of being replayed in one huge burst.
+   */
+  advance(now: number): number {
+    if (this.lastTime === null) {
+      this.lastTime = now;
+      return 0;
+    }
+
+    this.accumulator += Math.max(0, now - this.lastTime);
+    this.lastTime = now;
+
+    let ticks = Math.floor(this.accumulator / this.tickDuration);
+    this.accumulator -= ticks * this.tickDuration;
+
+    if (ticks > this.maxTicksPerFrame) {
+      this.droppedTicks += ticks - this.maxTicksPerFrame;
+      ticks = this.maxTicksPerFrame;
+    }
+
+    this.tick += ticks;
+    return ticks;
+  }
+
+  /**
+   * Forget the last timestamp so the next frame starts a fresh interval
+   */
+  reset(): void {
+    this.lastTime = null;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Fraction of the next tick already elapsed (0-1), for render interpolation
+   */
+  getAlpha(): number {
+    return this.accumulator / this.tickDuration;
+  }
+
+  getTick(): number {
+    return this.tick;
+  }
+
+  getElapsedSeconds(): number {
+    return ticksToSeconds(this.tick, this.tickRate);
+  }
+
+  getTickRate(): number {
+    return this.tickRate;
+  }
+
+  getDroppedTicks(): number {
+    return this.droppedTicks;
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Snapshot Manager
+ *
+ * Captures the complete simulation (worker engine state, main-thread state and parameters)
+ * into a versioned snapshot, keeps snapshots in IndexedDB slots or downloads them, and
+ * restores one by parking it as pending and reloading: the next start hands it to a fresh
+ * worker init instead of creating new souls.
+ */
+
+import type { SoulWorkerData } from '../../types';
+import {
+  downloadSnapshot,
+  readSnapshotFile,
+  SNAPSHOT_VERSION,
+  SnapshotSlots,
+  type SimulationSnapshot,
+  type SnapshotSlotInfo,
+} from '../snapshot';
+import { getSnapshotHistories, getSnapshotParameters } from '../stores/simulationState.svelte';
+import { getRandomSeed, getRandomState } from './random';
+import { getCurrentSoulId, getSoulPalette, soulDataFromEngine } from './soulManager';
+import { workerManager } from './workerManager';
+
+export class SnapshotManager {
+  private slots = new SnapshotSlots();
+
+  isStorageSupported(): boolean {
+    return SnapshotSlots.isSupported();
+  }
+
+  /**
+   * Snapshot of the running simulation (waits for the worker to send its state)
+   */
+  async capture(): Promise<SimulationSnapshot> {
+    const worker = await workerManager.requestSnapshot();
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: new Date().toISOString(),
+      seed: getRandomSeed(),
+      worker,
+      mainThread: {
+        randomState: getRandomState(),
+        nextSoulId: getCurrentSoulId(),
+        palette: getSoulPalette(),
+        ...getSnapshotHistories(),
+      },
+      parameters: getSnapshotParameters(),
+    };
+  }
+
+  async saveToSlot(name: string): Promise<SnapshotSlotInfo> {
+    return this.slots.save(name, await this.capture());
+  }
+
+  async download(): Promise<void> {
+    downloadSnapshot(await this.capture());
+  }
+
+  listSlots(): Promise<SnapshotSlotInfo[]> {
+    return this.slots.list();
+  }
+
+  deleteSlot(name: string): Promise<void> {
+    return this.slots.remove(name);
+  }
+
+  async restoreFromSlot(name: string): Promise<void> {
+    await this.restore(await this.slots.load(name));
+  }
+
+  async restoreFromFile(file: File): Promise<void> {
+    await this.restore(await readSnapshotFile(file));
+  }
+
+  /**
+   * Park the snapshot and reload; the page starts again from it
+   */
+  async restore(snapshot: SimulationSnapshot): Promise<void> {
+    await this.slots.setPending(snapshot);
+    window.location.reload();
+  }
+
+  /**
+   * Snapshot parked by a restore, or null for a normal start
+   */
+  async takePending(): Promise<SimulationSnapshot | null> {
+    if (!SnapshotSlots.isSupported()) {
+      return null;
+    }
+    return this.slots.takePending();
+  }
+
+  /**
+   * Soul data for the meshes of a restored snapshot
+   */
+  getSoulData(snapshot: SimulationSnapshot): SoulWorkerData[] {
+    return snapshot.worker.souls.map(soulDataFromEngine);
+  }
+}
+
+// Export a singleton instance for easy use
+export const snapshotManager = new SnapshotManager();
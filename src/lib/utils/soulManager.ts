@@ -2,174 +2,132 @@
 // Soul creation and management utilities
 import * as THREE from 'three';
 import type { SoulWorkerData, ConnectionData, WorkerSoulUpdate } from '../../types';
-import { DEWA_SPAWN_CHANCE, DEWA_BASE_SPEED } from '../constants/config';
-import { GEOMETRY_SETTINGS, LINE_SETTINGS } from '../constants/rendering';
+import type { SavedSoul } from '../engine/engineTypes';
+import type { LifespanConfig } from '../engine/lifespan';
+import {
+  createPalette,
+  generateSoulData,
+  rollInitialSoul,
+  type RandomSource,
+  type SoulPalette,
+} from '../engine/soulFactory';
+import { getSpecies, SPECIES, speciesFlags, type SpeciesId } from '../engine/species';
+import {
+  CONVERSION_MORPH_SETTINGS,
+  conversionMorphScale,
+  LINE_SETTINGS,
+} from '../constants/rendering';
 import { addSoul, removeSoulById, soulLookupMap } from '../stores/simulationState.svelte';
+import type { ConnectionFrame, SoulFrame } from '../workerProtocol';
+import { random } from './random';
 
-// Shared geometries for better memory efficiency
-let humanGeometry: THREE.SphereGeometry | null = null;
-let gptGeometry: THREE.BoxGeometry | null = null;
-let dewaGeometry: THREE.SphereGeometry | null = null;
+// Shared geometries and materials per species for better memory efficiency
+const speciesGeometries = new Map<SpeciesId, THREE.BufferGeometry>();
+const speciesMaterials = new Map<SpeciesId, THREE.MeshBasicMaterial>();
 
-// Shared materials for better memory efficiency
-let sharedHumanMaterial: THREE.MeshBasicMaterial | null = null;
-let sharedGptMaterial: THREE.MeshBasicMaterial | null = null;
-let sharedDewaMaterial: THREE.MeshLambertMaterial | null = null;
+// Reduced-detail sphere geometries for LOD, keyed by species and segment count
+const detailGeometries = new Map<string, THREE.SphereGeometry>();
+const MIN_LOD_SEGMENTS = 4;
 
 // Soul ID counter (will be initialized by initializeSoulManager)
 let nextSoulId: number = 0;
 
 // Base hue values (will be set by initializeSoulManager)
-let humanBaseHue: number = 0;
-let gptBaseHue: number = 0;
+let palette: SoulPalette = { humanBaseHue: 0, gptBaseHue: 0.5 };
+
+// Main-thread random source for soul generation
+const mainRandom: RandomSource = { next: random };
 
 /**
  * Initialize the soul manager with geometries, materials, and base values
  * This should be called once when the simulation starts
  */
 export function initializeSoulManager(): void {
-  // Create shared geometries for different soul types
-  humanGeometry = new THREE.SphereGeometry(
-    GEOMETRY_SETTINGS.HUMAN_RADIUS,
-    GEOMETRY_SETTINGS.HUMAN_SEGMENTS.width,
-    GEOMETRY_SETTINGS.HUMAN_SEGMENTS.height
-  );
-
-  gptGeometry = new THREE.BoxGeometry(
-    GEOMETRY_SETTINGS.GPT_SIZE,
-    GEOMETRY_SETTINGS.GPT_SIZE,
-    GEOMETRY_SETTINGS.GPT_SIZE
-  );
-
-  dewaGeometry = new THREE.SphereGeometry(
-    GEOMETRY_SETTINGS.DEWA_RADIUS,
-    GEOMETRY_SETTINGS.DEWA_SEGMENTS.width,
-    GEOMETRY_SETTINGS.DEWA_SEGMENTS.height
-  );
-
-  // Create shared materials for better memory efficiency
-  sharedHumanMaterial = new THREE.MeshBasicMaterial({
-    transparent: true,
-    opacity: GEOMETRY_SETTINGS.MATERIAL_OPACITY.DEFAULT,
-  });
-
-  sharedGptMaterial = new THREE.MeshBasicMaterial({
-    transparent: true,
-    opacity: GEOMETRY_SETTINGS.MATERIAL_OPACITY.DEFAULT,
-  });
-
-  sharedDewaMaterial = new THREE.MeshLambertMaterial({
-    transparent: true,
-    opacity: GEOMETRY_SETTINGS.MATERIAL_OPACITY.DEWA,
+  // Create shared geometries and materials for every species (spheres or cubes)
+  SPECIES.forEach(({ id, geometry, opacity }) => {
+    speciesGeometries.set(
+      id,
+      geometry.shape === 'sphere'
+        ? new THREE.SphereGeometry(geometry.size, geometry.segments, geometry.segments)
+        : new THREE.BoxGeometry(geometry.size, geometry.size, geometry.size)
+    );
+    speciesMaterials.set(id, new THREE.MeshBasicMaterial({ transparent: opacity < 1, opacity }));
   });
 
   // Initialize base hue values
-  humanBaseHue = Math.random();
-  gptBaseHue = (humanBaseHue + 0.5) % 1;
+  palette = createPalette(mainRandom);
 
   // Reset soul ID counter
   nextSoulId = 0;
 }
 
 /**
- * Create a soul mesh with specified properties
+ * Create a soul mesh with specified properties (lifespans in simulation ticks)
  */
 export function createSoul(
-  isHuman: boolean,
-  isDewa: boolean = false,
+  species: SpeciesId,
   angle: number = 0,
   speed: number = 0,
   scene: THREE.Scene,
   renderingMode: 'instanced' | 'individual',
   MIN_LIFESPAN: number,
   MAX_LIFESPAN: number,
-  simulationWorker?: Worker | null
+  simulationWorker?: Worker | null,
+  lifespan?: LifespanConfig
 ): THREE.Mesh {
-  // Select geometry based on soul type
-  let geometry: THREE.BufferGeometry;
-  if (isDewa) {
-    geometry = dewaGeometry!;
-  } else {
-    geometry = isHuman ? humanGeometry! : gptGeometry!;
-  }
+  // Generate color, position, velocity and life
+  const soulDataForWorker: SoulWorkerData = generateSoulData(
+    nextSoulId++,
+    {
+      species,
+      angle,
+      speed,
+      minLifespan: MIN_LIFESPAN,
+      maxLifespan: MAX_LIFESPAN,
+      lifespan,
+    },
+    palette,
+    mainRandom
+  );
 
-  // Create material and HSL color values
-  let material: THREE.Material;
-  let h_val: number, s_val: number, l_val: number;
-
-  if (isDewa) {
-    // Dewa entities: random vibrant color
-    h_val = Math.random(); // Random hue
-    s_val = 1; // Max saturation
-    l_val = 0.5; // Max brightness (standard for HSL)
-    material = new THREE.MeshBasicMaterial({
-      color: new THREE.Color().setHSL(h_val, s_val, l_val), // Set color using HSL
-      transparent: false,
-      opacity: 1.0,
-    });
-  } else {
-    // Regular souls: use shared material and set color
-    material = (isHuman ? sharedHumanMaterial! : sharedGptMaterial!).clone();
-    material.transparent = true;
-    material.opacity = 0.8;
-
-    const baseHue = isHuman ? humanBaseHue : gptBaseHue;
-    const hueOffset = Math.random() * 0.3 - 0.15;
-    h_val = (baseHue + hueOffset + angle / (2 * Math.PI)) % 1;
-    s_val = 1;
-    l_val = 0.56;
-    (material as THREE.MeshBasicMaterial).color.setHSL(h_val, s_val, l_val);
+  // Send to worker if available
+  if (simulationWorker) {
+    simulationWorker.postMessage({ type: 'addSoul', data: { soul: soulDataForWorker } });
   }
 
+  return createSoulMesh(soulDataForWorker, scene, renderingMode);
+}
+
+/**
+ * Build the mesh for already generated soul data and register it in state
+ */
+export function createSoulMesh(
+  soulData: SoulWorkerData,
+  scene: THREE.Scene,
+  renderingMode: 'instanced' | 'individual'
+): THREE.Mesh {
+  const { species, isHuman, isDewa, baseHSL } = soulData;
+
+  // Shared geometry of the species, and a copy of its material with the soul's color
+  const geometry = speciesGeometries.get(species)!;
+  const material = speciesMaterials.get(species)!.clone();
+  material.color.setHSL(baseHSL.h, baseHSL.s, baseHSL.l);
+
   // Create the mesh
   const mesh = new THREE.Mesh(geometry, material);
-  mesh.userData.id = nextSoulId++;
-
-  // Set random position in spherical distribution
-  const radius = 10 + Math.random() * 10;
-  const theta = Math.random() * 2 * Math.PI;
-  const phi = Math.acos(2 * Math.random() - 1);
-  const x = radius * Math.sin(phi) * Math.cos(theta);
-  const y = radius * Math.sin(phi) * Math.sin(theta);
-  const z = radius * Math.cos(phi);
-  mesh.position.set(x, y, z);
-
-  // Calculate speed and initial velocity
-  const currentSpeed = isDewa ? DEWA_BASE_SPEED : speed === 0 ? 0.05 + Math.random() * 0.03 : speed;
-  const initialVelocity = new THREE.Vector3(
-    Math.random() - 0.5,
-    Math.random() - 0.5,
-    Math.random() - 0.5
-  )
-    .normalize()
-    .multiplyScalar(currentSpeed);
+  mesh.userData.id = soulData.id;
+  mesh.position.set(soulData.position.x, soulData.position.y, soulData.position.z);
 
   // Set soul properties
-  mesh.userData.speed = currentSpeed;
+  mesh.userData.speed = soulData.speed;
+  mesh.userData.species = species;
   mesh.userData.isHuman = isHuman;
   mesh.userData.isDewa = isDewa;
-  mesh.userData.flickerPhase = Math.random() * Math.PI * 2;
-  mesh.userData.life = MIN_LIFESPAN + Math.random() * (MAX_LIFESPAN - MIN_LIFESPAN);
-  mesh.userData.baseHSL = { h: h_val, s: s_val, l: l_val };
-  mesh.userData.velocity = { x: initialVelocity.x, y: initialVelocity.y, z: initialVelocity.z };
-
-  // Prepare data for worker
-  const soulDataForWorker: SoulWorkerData = {
-    id: mesh.userData.id!,
-    position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
-    velocity: { x: initialVelocity.x, y: initialVelocity.y, z: initialVelocity.z },
-    speed: currentSpeed,
-    isHuman,
-    isDewa,
-    flickerPhase: mesh.userData.flickerPhase!,
-    life: mesh.userData.life!,
-    baseHSL: mesh.userData.baseHSL!,
-  };
-
-  // Send to worker if available
-  if (simulationWorker) {
-    simulationWorker.postMessage({ type: 'addSoul', data: { soul: soulDataForWorker } });
-  }
+  mesh.userData.flickerPhase = soulData.flickerPhase;
+  mesh.userData.life = soulData.life;
+  mesh.userData.incarnation = soulData.incarnation ?? 1;
+  mesh.userData.baseHSL = { ...baseHSL };
+  mesh.userData.velocity = { ...soulData.velocity };
 
   // Only add individual meshes to scene when not using instanced rendering
   if (renderingMode !== 'instanced') {
@@ -183,32 +141,7 @@ export function createSoul(
 }
 
 /**
- * Create a new soul with random properties
- */
-export function createNewSoul(
-  scene: THREE.Scene,
-  renderingMode: 'instanced' | 'individual',
-  MIN_LIFESPAN: number,
-  MAX_LIFESPAN: number,
-  simulationWorker?: Worker | null
-): THREE.Mesh {
-  const isDewa = Math.random() < DEWA_SPAWN_CHANCE;
-  const isHuman = isDewa ? true : Math.random() < 0.5;
-  return createSoul(
-    isHuman,
-    isDewa,
-    0,
-    0,
-    scene,
-    renderingMode,
-    MIN_LIFESPAN,
-    MAX_LIFESPAN,
-    simulationWorker
-  );
-}
-
-/**
- * Create initial souls for simulation startup
+ * Create initial souls for simulation startup (lifespans in simulation ticks)
  */
 export function createInitialSouls(
   count: number,
@@ -216,26 +149,24 @@ export function createInitialSouls(
   renderingMode: 'instanced' | 'individual',
   MIN_LIFESPAN: number,
   MAX_LIFESPAN: number,
-  simulationWorker?: Worker | null
+  simulationWorker?: Worker | null,
+  lifespan?: LifespanConfig
 ): SoulWorkerData[] {
   const initialSoulsForWorkerInit: SoulWorkerData[] = [];
 
   for (let i = 0; i < count; i++) {
-    const angle = (i / count) * Math.PI * 2;
-    const isDewa = Math.random() < DEWA_SPAWN_CHANCE;
-    const isHuman = isDewa ? true : Math.random() < 0.6;
-    const speed = Math.random() < 0.1 ? 0.05 + Math.random() * 0.25 : 0.05 + Math.random() * 0.025;
+    const { species, angle, speed } = rollInitialSoul(i, count, mainRandom);
 
     const mesh = createSoul(
-      isHuman,
-      isDewa,
+      species,
       angle,
       speed,
       scene,
       renderingMode,
       MIN_LIFESPAN,
       MAX_LIFESPAN,
-      simulationWorker
+      simulationWorker,
+      lifespan
     );
 
     initialSoulsForWorkerInit.push({
@@ -243,6 +174,7 @@ export function createInitialSouls(
       position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
       velocity: mesh.userData.velocity!,
       speed: mesh.userData.speed!,
+      species: mesh.userData.species!,
       isHuman: mesh.userData.isHuman!,
       isDewa: mesh.userData.isDewa!,
       flickerPhase: mesh.userData.flickerPhase!,
@@ -254,6 +186,66 @@ export function createInitialSouls(
   return initialSoulsForWorkerInit;
 }
 
+/**
+ * Create the meshes of a restored snapshot's souls
+ */
+export function createRestoredSouls(
+  soulData: SoulWorkerData[],
+  scene: THREE.Scene,
+  renderingMode: 'instanced' | 'individual'
+): SoulWorkerData[] {
+  soulData.forEach(data => createSoulMesh(data, scene, renderingMode));
+  return soulData;
+}
+
+/**
+ * Mesh data of a soul from a saved engine state
+ */
+export function soulDataFromEngine(soul: SavedSoul): SoulWorkerData {
+  return {
+    id: soul.id,
+    position: { ...soul.position },
+    velocity: { ...soul.velocity },
+    speed: soul.speed,
+    species: soul.species,
+    isHuman: soul.isHuman,
+    isDewa: soul.isDewa,
+    flickerPhase: soul.flickerPhase,
+    life: soul.life,
+    incarnation: soul.incarnation,
+    baseHSL: { ...soul.baseHSL },
+  };
+}
+
+/**
+ * Replace every soul mesh with new souls (the worker jumped to another engine state)
+ */
+export function replaceAllSouls(
+  soulData: SoulWorkerData[],
+  scene: THREE.Scene,
+  renderingMode: 'instanced' | 'individual'
+): void {
+  Array.from(soulLookupMap().keys()).forEach(soulId => {
+    handleSoulRemoval(soulId, scene, renderingMode);
+  });
+  soulData.forEach(data => createSoulMesh(data, scene, renderingMode));
+}
+
+/**
+ * Get the population palette (the worker colors newly spawned souls with it)
+ */
+export function getSoulPalette(): SoulPalette {
+  return { ...palette };
+}
+
+/**
+ * Continue with the palette and soul ID counter of a restored snapshot
+ */
+export function restoreSoulManagerState(restoredPalette: SoulPalette, soulId: number): void {
+  palette = { ...restoredPalette };
+  nextSoulId = soulId;
+}
+
 /**
  * Get the current soul ID counter value
  */
@@ -272,33 +264,106 @@ export function resetSoulIdCounter(): void {
  * Dispose of shared geometries and materials (cleanup)
  */
 export function disposeSoulManager(): void {
-  if (humanGeometry) {
-    humanGeometry.dispose();
-    humanGeometry = null;
+  speciesGeometries.forEach(geometry => geometry.dispose());
+  speciesGeometries.clear();
+  speciesMaterials.forEach(material => material.dispose());
+  speciesMaterials.clear();
+  detailGeometries.forEach(geometry => geometry.dispose());
+  detailGeometries.clear();
+}
+
+// ===== LEVEL OF DETAIL =====
+
+/**
+ * Sphere geometry of a species with segments scaled by the LOD geometry detail (1 = full detail)
+ */
+function getDetailGeometry(species: SpeciesId, detail: number): THREE.SphereGeometry {
+  const { size, segments } = getSpecies(species).geometry;
+  const count = Math.max(MIN_LOD_SEGMENTS, Math.round(segments * detail));
+
+  const key = `${species}:${count}x${count}`;
+  let geometry = detailGeometries.get(key);
+  if (!geometry) {
+    geometry = new THREE.SphereGeometry(size, count, count);
+    detailGeometries.set(key, geometry);
   }
-  if (gptGeometry) {
-    gptGeometry.dispose();
-    gptGeometry = null;
+  return geometry;
+}
+
+/**
+ * Swap an individual soul mesh to the geometry matching its LOD detail (set by LODManager).
+ * Cubes have no detail to reduce.
+ */
+export function applySoulGeometryDetail(soul: THREE.Object3D): void {
+  const mesh = soul as THREE.Mesh;
+  const species = soul.userData.species;
+  if (
+    !mesh.isMesh ||
+    soul.geometryDetail === undefined ||
+    species === undefined ||
+    getSpecies(species).geometry.shape !== 'sphere'
+  ) {
+    return;
   }
-  if (dewaGeometry) {
-    dewaGeometry.dispose();
-    dewaGeometry = null;
+
+  const fullGeometry = speciesGeometries.get(species);
+  const detail = soul.geometryDetail ?? 1;
+  const geometry = detail >= 1 ? fullGeometry : getDetailGeometry(species, detail);
+  if (geometry && mesh.geometry !== geometry) {
+    mesh.geometry = geometry;
   }
-  if (sharedHumanMaterial) {
-    sharedHumanMaterial.dispose();
-    sharedHumanMaterial = null;
+}
+
+// ===== SOUL LIFECYCLE MANAGEMENT =====
+
+/**
+ * Move a soul into its new species after a conversion in the worker. Individual meshes swap
+ * geometry and grow in (see applyConversionMorph); the instanced renderer sorts souls by species
+ */
+export function applySoulConversion(
+  soulId: number,
+  species: SpeciesId,
+  hue: number,
+  renderingMode: 'instanced' | 'individual'
+): boolean {
+  const soulMesh = soulLookupMap().get(soulId);
+  if (!soulMesh) {
+    return false;
   }
-  if (sharedGptMaterial) {
-    sharedGptMaterial.dispose();
-    sharedGptMaterial = null;
+
+  soulMesh.userData.species = species;
+  Object.assign(soulMesh.userData, speciesFlags(species));
+  if (soulMesh.userData.baseHSL) {
+    soulMesh.userData.baseHSL.h = hue;
   }
-  if (sharedDewaMaterial) {
-    sharedDewaMaterial.dispose();
-    sharedDewaMaterial = null;
+
+  if (renderingMode === 'individual') {
+    const mesh = soulMesh as THREE.Mesh;
+    const geometry = speciesGeometries.get(species);
+    if (geometry) {
+      mesh.geometry = geometry;
+    }
+    applySoulGeometryDetail(mesh);
+    soulMesh.userData.conversionTime = performance.now();
+    soulMesh.scale.setScalar(CONVERSION_MORPH_SETTINGS.START_SCALE);
   }
+  return true;
 }
 
-// ===== SOUL LIFECYCLE MANAGEMENT =====
+/**
+ * Grow an individual mesh into its new vessel after a conversion
+ */
+function applyConversionMorph(soulMesh: THREE.Object3D): void {
+  const conversionTime = soulMesh.userData.conversionTime;
+  if (conversionTime === undefined) {
+    return;
+  }
+  const scale = conversionMorphScale(performance.now() - conversionTime);
+  soulMesh.scale.setScalar(scale);
+  if (scale >= 1) {
+    delete soulMesh.userData.conversionTime;
+  }
+}
 
 /**
  * Handle soul removal with proper cleanup for different rendering modes
@@ -367,6 +432,7 @@ export function updateSoulFromWorker(
 
   // For individual mesh rendering, also update material properties
   if (renderingMode === 'individual') {
+    applyConversionMorph(soulMesh);
     const mesh = soulMesh as THREE.Mesh;
     const material = mesh.material as THREE.MeshBasicMaterial;
 
@@ -402,6 +468,46 @@ export function updateSoulFromWorker(
   return true;
 }
 
+/**
+ * Update soul meshes from a packed binary frame (see workerProtocol); returns souls updated
+ */
+export function updateSoulsFromFrame(
+  frame: SoulFrame,
+  renderingMode: 'instanced' | 'individual'
+): number {
+  const lookup = soulLookupMap();
+  const { ids, positions, colors } = frame;
+  let updated = 0;
+
+  for (let i = 0; i < frame.count; i++) {
+    const soulMesh = lookup.get(ids[i]);
+    if (!soulMesh) {
+      continue;
+    }
+
+    soulMesh.position.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+
+    // Reuse the color array instead of allocating one per soul per frame
+    const rgb: number[] = soulMesh.userData.finalRGB ?? (soulMesh.userData.finalRGB = [0, 0, 0]);
+    rgb[0] = colors[i * 4] / 255;
+    rgb[1] = colors[i * 4 + 1] / 255;
+    rgb[2] = colors[i * 4 + 2] / 255;
+    soulMesh.userData.finalOpacity = colors[i * 4 + 3] / 255;
+
+    if (renderingMode === 'individual') {
+      applyConversionMorph(soulMesh);
+      const material = (soulMesh as THREE.Mesh).material as THREE.MeshBasicMaterial;
+      if (material && material.color) {
+        material.color.setRGB(rgb[0], rgb[1], rgb[2]);
+        material.opacity = soulMesh.userData.finalOpacity;
+      }
+    }
+    updated++;
+  }
+
+  return updated;
+}
+
 // ===== CONNECTION LINE MANAGEMENT =====
 
 /**
@@ -416,14 +522,15 @@ export function initializeConnectionLines(
     maxLines * LINE_SETTINGS.VERTICES_PER_LINE * LINE_SETTINGS.VERTEX_COORDS
   );
   const colors = new Float32Array(
-    maxLines * LINE_SETTINGS.VERTICES_PER_LINE * LINE_SETTINGS.VERTEX_COORDS
+    maxLines * LINE_SETTINGS.VERTICES_PER_LINE * LINE_SETTINGS.COLOR_COMPONENTS
   );
 
   geometry.setAttribute(
     'position',
     new THREE.BufferAttribute(positions, LINE_SETTINGS.VERTEX_COORDS)
   );
-  geometry.setAttribute('color', new THREE.BufferAttribute(colors, LINE_SETTINGS.VERTEX_COORDS));
+  // RGBA vertex colors: three.js picks up per-vertex alpha from the 4-component attribute
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, LINE_SETTINGS.COLOR_COMPONENTS));
 
   const material = new THREE.LineBasicMaterial({
     vertexColors: true,
@@ -461,22 +568,25 @@ export function updateConnectionLines(
   // Apply pre-calculated connection data from worker
   for (let i = 0; i < maxLineCount; i++) {
     const connection = connections[i];
+    const opacity = connection.opacity ?? 1;
 
     // Vertex 1 (start)
     positions[lineIdx * 6 + 0] = connection.start[0];
     positions[lineIdx * 6 + 1] = connection.start[1];
     positions[lineIdx * 6 + 2] = connection.start[2];
-    colors[lineIdx * 6 + 0] = connection.color[0];
-    colors[lineIdx * 6 + 1] = connection.color[1];
-    colors[lineIdx * 6 + 2] = connection.color[2];
+    colors[lineIdx * 8 + 0] = connection.color[0];
+    colors[lineIdx * 8 + 1] = connection.color[1];
+    colors[lineIdx * 8 + 2] = connection.color[2];
+    colors[lineIdx * 8 + 3] = opacity;
 
     // Vertex 2 (end)
     positions[lineIdx * 6 + 3] = connection.end[0];
     positions[lineIdx * 6 + 4] = connection.end[1];
     positions[lineIdx * 6 + 5] = connection.end[2];
-    colors[lineIdx * 6 + 3] = connection.color[0];
-    colors[lineIdx * 6 + 4] = connection.color[1];
-    colors[lineIdx * 6 + 5] = connection.color[2];
+    colors[lineIdx * 8 + 4] = connection.color[0];
+    colors[lineIdx * 8 + 5] = connection.color[1];
+    colors[lineIdx * 8 + 6] = connection.color[2];
+    colors[lineIdx * 8 + 7] = opacity;
 
     lineIdx++;
   }
@@ -497,6 +607,31 @@ export function updateConnectionLines(
   lineSegments.geometry.attributes.color.needsUpdate = true;
 }
 
+/**
+ * Update connection lines from a packed binary frame (positions and colors copied in bulk)
+ */
+export function updateConnectionLinesFromFrame(
+  lineSegments: THREE.LineSegments,
+  frame: ConnectionFrame,
+  maxLines: number
+): void {
+  const positionAttribute = lineSegments.geometry.attributes.position;
+  const colorAttribute = lineSegments.geometry.attributes.color;
+  const positions = positionAttribute.array as Float32Array;
+  const colors = colorAttribute.array as Float32Array;
+  const lineCount = Math.min(frame.count, maxLines);
+
+  positions.set(frame.positions.subarray(0, lineCount * 6));
+  colors.set(frame.colors.subarray(0, lineCount * 8));
+
+  // Hide unused lines by setting them to zero
+  positions.fill(0, lineCount * 6);
+
+  lineSegments.geometry.setDrawRange(0, lineCount * 2);
+  positionAttribute.needsUpdate = true;
+  colorAttribute.needsUpdate = true;
+}
+
 /**
  * Dispose of connection line resources
  */
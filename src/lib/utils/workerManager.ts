@@ -9,14 +9,69 @@
 
 import * as THREE from 'three';
 import type { ConnectionData, SoulWorkerData, WorkerMessage, WorkerSoulUpdate } from '../../types';
+import type { PhysicsConstants } from '../constants/physics';
+import { toTickBonds, type BondSettings, type BondStats } from '../engine/bonds';
+import type { BoundaryConfig } from '../engine/boundaries';
+import type { PopulationStructure } from '../engine/census';
+import type { ConnectionBudget, ConnectionCoverage } from '../engine/connections';
+import type { SoulInspection } from '../engine/inspection';
+import type { NetworkStats } from '../engine/network';
 import {
+  toTickConversion,
+  type ConversionEvent,
+  type ConversionSettings,
+} from '../engine/conversion';
+import type { EngineState, PopulationCensus, PopulationParameters } from '../engine/engineTypes';
+import { toTickEssence, type EssenceSettings, type EssenceStats } from '../engine/essence';
+import { toTickReincarnation, type ReincarnationSettings } from '../engine/reincarnation';
+import type { SoulPalette } from '../engine/soulFactory';
+import {
+  addConversions,
+  addNetworkSample,
+  addPopulationSamples,
   instancedRenderer as getInstancedRenderer,
   performanceMetrics as getPerformanceMetrics,
   renderingMode as getRenderingMode,
+  setAgeHistogram,
+  setBardoSize,
+  setBondStats,
+  setConnectionCoverage,
+  setEssenceStats,
+  setPopulationStructure,
+  setSoulInspection,
   souls as getSouls,
 } from '../stores/simulationState.svelte';
+import {
+  SharedSoulRing,
+  createConnectionFrameView,
+  createSoulFrameView,
+  detectTransferMode,
+  SETTING_INPUT_TYPES,
+  soulFrameByteLength,
+  type CompactLODData,
+  type ConnectionFrameMessageData,
+  type SoulFrame,
+  type SoulFrameMessageData,
+  type TransferMode,
+  type WorkerInput,
+  type WorkerInputType,
+  type WorkerUpdateData,
+} from '../workerProtocol';
+
+import {
+  applySoulConversion,
+  createSoulMesh,
+  handleSoulRemoval,
+  replaceAllSouls,
+  soulDataFromEngine,
+  updateConnectionLines,
+  updateConnectionLinesFromFrame,
+  updateSoulFromWorker,
+  updateSoulsFromFrame,
+} from './soulManager';
 
-import { handleSoulRemoval, updateConnectionLines, updateSoulFromWorker } from './soulManager';
+// Minimum number of souls the shared ring holds; larger frames fall back to transferables
+const MIN_SHARED_RING_CAPACITY = 4096;
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 export type WorkerMessageHandler = (data: any) => void; // Generic handler for various message types
@@ -28,6 +83,26 @@ export class WorkerManager {
   private sceneRef: THREE.Scene | null = null;
   private lineSegmentsRef: THREE.LineSegments | null = null;
   private maxLinesRef: number = 0;
+  private transferMode: TransferMode = 'objects';
+  private sharedRing: SharedSoulRing | null = null;
+  private sharedFrame: SoulFrame | null = null; // Local copy of the latest ring slot
+  // Waiting for 'snapshotTaken' and 'stateLoaded'
+  private snapshotRequests: Array<{
+    resolve: (state: EngineState) => void;
+    reject: (error: Error) => void;
+  }> = [];
+  private stateLoads: Array<{
+    state: EngineState;
+    resolve: () => void;
+    reject: (error: Error) => void;
+  }> = [];
+
+  // Simulation inputs: the latest setting of each type and LOD levels (what a recording starts
+  // from), the recording listener, and whether a replay has taken over the worker
+  private settingInputs: Map<WorkerInputType, WorkerInput> = new Map();
+  private latestLODData: CompactLODData | null = null;
+  private inputListener: ((input: WorkerInput) => void) | null = null;
+  private replaying: boolean = false;
 
   constructor() {
     // Setup default message handlers
@@ -35,10 +110,41 @@ export class WorkerManager {
   }
 
   /**
-   * Initialize the Web Worker with souls and constants
+   * Initialize the Web Worker with souls, constants, the random seed and the birth process
+   * (palette for new souls, spawn rate and lifespans per simulation tick).
+   * Soul state comes back as binary frames unless the 'objects' transfer mode is requested.
+   * With an engine state (snapshot restore) the worker continues from it; the initial souls
+   * must then be the snapshot's souls.
    */
-  initializeWorker(initialSouls: SoulWorkerData[], constants: unknown): void {
+  initializeWorker(
+    initialSouls: SoulWorkerData[],
+    constants: unknown,
+    seed: number,
+    palette: SoulPalette,
+    population: PopulationParameters,
+    transferMode?: TransferMode,
+    state?: EngineState
+  ): void {
     try {
+      this.transferMode = detectTransferMode(transferMode);
+      this.sharedRing = null;
+      this.sharedFrame = null;
+      if (this.transferMode === 'shared') {
+        const capacity = Math.max(initialSouls.length * 2, MIN_SHARED_RING_CAPACITY);
+        this.sharedRing = SharedSoulRing.create(capacity);
+        this.sharedFrame = createSoulFrameView(
+          new ArrayBuffer(soulFrameByteLength(capacity)),
+          capacity,
+          0
+        );
+      }
+
+      this.settingInputs = new Map([
+        ['setConstants', { type: 'setConstants', data: { constants } }],
+      ]);
+      this.latestLODData = null;
+      this.replaying = false;
+
       // Create new worker instance
       this.simulationWorker = new Worker(new URL('../simulation.worker.ts', import.meta.url), {
         type: 'module',
@@ -50,6 +156,15 @@ export class WorkerManager {
         data: {
           souls: initialSouls,
           constants: constants,
+          seed: seed,
+          palette: palette,
+          population: population,
+          state: state,
+          transfer: {
+            mode: this.transferMode,
+            sharedBuffer: this.sharedRing?.buffer,
+            capacity: this.sharedRing?.capacity,
+          },
         },
       });
 
@@ -57,6 +172,9 @@ export class WorkerManager {
       this.simulationWorker.onmessage = (e: MessageEvent<WorkerMessage>) => {
         this.handleWorkerMessage(e);
       };
+      this.simulationWorker.onerror = e => {
+        this.rejectPendingRequests(`WorkerManager: Worker error: ${e.message}`);
+      };
 
       this.isInitialized = true;
     } catch (error) {
@@ -105,6 +223,139 @@ export class WorkerManager {
       }
     });
 
+    // Handler for binary soul frames (buffer transferred from the worker, handed back after use)
+    this.messageHandlers.set('soulsFrame', (data: SoulFrameMessageData) => {
+      this.applySoulFrame(createSoulFrameView(data.buffer, data.capacity, data.count));
+      this.recycleBuffer(data.buffer);
+    });
+
+    // Handler for soul frames published in the shared memory ring: the frame of this
+    // notification matches the souls created and removed by the messages handled so far
+    this.messageHandlers.set('soulsFrameShared', (data: { frame: number }) => {
+      if (
+        this.sharedRing &&
+        this.sharedFrame &&
+        this.sharedRing.readFrame(this.sharedFrame, data.frame)
+      ) {
+        this.applySoulFrame(this.sharedFrame);
+      }
+    });
+
+    // Handler for souls born in the worker during the last update
+    this.messageHandlers.set('soulsSpawned', (data: { souls: SoulWorkerData[] }) => {
+      const renderingMode = getRenderingMode();
+
+      if (this.sceneRef) {
+        const scene = this.sceneRef;
+        data.souls.forEach(soulData => {
+          createSoulMesh(soulData, scene, renderingMode);
+        });
+      }
+    });
+
+    // Handler for vessel conversions: move each soul into its new vessel and count the events
+    this.messageHandlers.set(
+      'soulsConverted',
+      (data: { conversions: ConversionEvent[]; toHuman: number; toGpt: number }) => {
+        const renderingMode = getRenderingMode();
+        const instancedRenderer = getInstancedRenderer();
+        data.conversions.forEach(({ id, species, hue }) => {
+          if (applySoulConversion(id, species, hue, renderingMode)) {
+            instancedRenderer?.markConverted(id);
+          }
+        });
+        addConversions(data.toHuman, data.toGpt);
+      }
+    );
+
+    // Handler for bardo pool size changes (reincarnation)
+    this.messageHandlers.set('bardoUpdated', (data: { size: number }) => {
+      setBardoSize(data.size);
+    });
+
+    // Handler for essence economy stats (null under the rate model)
+    this.messageHandlers.set('essenceUpdated', (data: { stats: EssenceStats | null }) => {
+      setEssenceStats(data.stats);
+    });
+
+    // Handler for bond stats (null while bonds are off)
+    this.messageHandlers.set('bondsUpdated', (data: { stats: BondStats | null }) => {
+      setBondStats(data.stats);
+    });
+
+    // Handler for connection coverage (null while bonds draw the lines)
+    this.messageHandlers.set('coverageUpdated', (data: { coverage: ConnectionCoverage | null }) => {
+      setConnectionCoverage(data.coverage);
+    });
+
+    // Handler for population censuses (one per simulated second), kept for the history chart
+    this.messageHandlers.set(
+      'populationCensus',
+      (data: { samples: PopulationCensus[]; ageHistogram: number[] }) => {
+        addPopulationSamples(data.samples);
+        setAgeHistogram(data.ageHistogram);
+      }
+    );
+
+    // Handler for network analytics, kept as a time series
+    this.messageHandlers.set('networkStats', (data: { stats: NetworkStats; time: number }) => {
+      addNetworkSample({ ...data.stats, time: data.time });
+    });
+
+    // Handler for the population structure (age pyramid, speeds, dewa attachment)
+    this.messageHandlers.set(
+      'populationStructure',
+      (data: { structure: PopulationStructure; time: number }) => {
+        setPopulationStructure({ ...data.structure, time: data.time });
+      }
+    );
+
+    // Handler for reports on the soul selected in the inspector panel
+    this.messageHandlers.set(
+      'soulInspection',
+      (data: { inspection: SoulInspection; time: number }) => {
+        setSoulInspection(data.inspection, data.time);
+      }
+    );
+
+    // Handler for engine state requested for a snapshot
+    this.messageHandlers.set('snapshotTaken', (data: { state: EngineState }) => {
+      const requests = this.snapshotRequests;
+      this.snapshotRequests = [];
+      requests.forEach(request => request.resolve(data.state));
+    });
+
+    this.messageHandlers.set('snapshotFailed', (data: { error: string }) => {
+      const requests = this.snapshotRequests;
+      this.snapshotRequests = [];
+      requests.forEach(request =>
+        request.reject(new Error(`WorkerManager: Snapshot failed: ${data.error}`))
+      );
+    });
+
+    this.messageHandlers.set('stateLoadFailed', (data: { error: string }) => {
+      this.stateLoads
+        .shift()
+        ?.reject(new Error(`WorkerManager: Loading state failed: ${data.error}`));
+    });
+
+    // Handler for a loaded engine state (replay seek): every later message belongs to it, so
+    // the meshes are rebuilt from its souls now
+    this.messageHandlers.set('stateLoaded', () => {
+      const load = this.stateLoads.shift();
+      if (!load) {
+        return;
+      }
+      if (this.sceneRef) {
+        replaceAllSouls(
+          load.state.souls.map(soulDataFromEngine),
+          this.sceneRef,
+          getRenderingMode()
+        );
+      }
+      load.resolve();
+    });
+
     // Handler for soul removal from worker
     this.messageHandlers.set('soulRemoved', (data: { soulId: number }) => {
       // Handle soul removal using soulManager
@@ -123,6 +374,52 @@ export class WorkerManager {
         updateConnectionLines(this.lineSegmentsRef, data, this.maxLinesRef);
       }
     });
+
+    // Handler for binary connection frames
+    this.messageHandlers.set('connectionsFrame', (data: ConnectionFrameMessageData) => {
+      if (this.lineSegmentsRef && this.maxLinesRef) {
+        updateConnectionLinesFromFrame(
+          this.lineSegmentsRef,
+          createConnectionFrameView(data.buffer, data.count),
+          this.maxLinesRef
+        );
+      }
+      this.recycleBuffer(data.buffer);
+    });
+  }
+
+  /**
+   * Apply a binary soul frame to the meshes and the instanced renderer
+   */
+  private applySoulFrame(frame: SoulFrame): void {
+    const updateStartTime = performance.now();
+    const performanceMetrics = getPerformanceMetrics();
+    const renderingMode = getRenderingMode();
+    const instancedRenderer = getInstancedRenderer();
+
+    // Meshes stay current for picking and LOD, the instanced renderer reads the frame directly
+    performanceMetrics.soulsUpdated = updateSoulsFromFrame(frame, renderingMode);
+
+    if (renderingMode === 'instanced' && instancedRenderer) {
+      instancedRenderer.updateFromFrame(frame);
+      performanceMetrics.instancedUpdateTime += performance.now() - updateStartTime;
+      performanceMetrics.renderingMode = 'instanced';
+    } else {
+      performanceMetrics.individualUpdateTime += performance.now() - updateStartTime;
+      performanceMetrics.renderingMode = 'individual';
+    }
+  }
+
+  /**
+   * Hand a frame buffer back to the worker so it can be reused
+   */
+  private recycleBuffer(buffer: ArrayBuffer): void {
+    if (this.simulationWorker && buffer.byteLength > 0) {
+      this.simulationWorker.postMessage(
+        { type: 'recycleBuffer', data: { buffer } },
+        { transfer: [buffer] }
+      );
+    }
   }
 
   /**
@@ -151,12 +448,82 @@ export class WorkerManager {
     this.messageHandlers.set(messageType, handler);
   }
 
+  /**
+   * Post an input that changes the simulation. Live inputs are dropped while a replay drives
+   * the worker; the others are remembered as settings and passed to the recording listener
+   */
+  private postInput(input: WorkerInput): void {
+    if (!this.simulationWorker || this.replaying) {
+      return;
+    }
+    this.simulationWorker.postMessage(input);
+
+    if (SETTING_INPUT_TYPES.includes(input.type)) {
+      this.settingInputs.set(input.type, input);
+    }
+    if (input.type === 'update') {
+      this.latestLODData = (input.data as WorkerUpdateData).lodData ?? this.latestLODData;
+    }
+    this.inputListener?.(input);
+  }
+
+  /**
+   * Receive every simulation input as it is posted (recording), or stop with null
+   */
+  setInputListener(listener: ((input: WorkerInput) => void) | null): void {
+    this.inputListener = listener;
+  }
+
+  /**
+   * Settings and LOD levels the worker currently runs with
+   */
+  getInputState(): { settings: WorkerInput[]; lodData: CompactLODData | null } {
+    return { settings: Array.from(this.settingInputs.values()), lodData: this.latestLODData };
+  }
+
+  /**
+   * Hand the worker to a replay: live inputs are ignored until the page starts again
+   */
+  setReplaying(replaying: boolean): void {
+    this.replaying = replaying;
+  }
+
+  /**
+   * Post a recorded input (replay)
+   */
+  postReplayInput(input: WorkerInput): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.simulationWorker.postMessage(input);
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
+  /**
+   * Move the worker to a saved state of the same run (replay seek); resolves once the meshes
+   * show its souls
+   */
+  loadState(
+    state: EngineState,
+    lodData: CompactLODData | null,
+    population: PopulationParameters | null
+  ): Promise<void> {
+    if (!this.simulationWorker || !this.isInitialized) {
+      return Promise.reject(new Error('WorkerManager: Worker not initialized'));
+    }
+    const worker = this.simulationWorker;
+    return new Promise((resolve, reject) => {
+      this.stateLoads.push({ state, resolve, reject });
+      worker.postMessage({ type: 'loadState', data: { state, lodData, population } });
+    });
+  }
+
   /**
    * Send update data to the worker
    */
-  sendUpdate(updateData: unknown): void {
+  sendUpdate(updateData: WorkerUpdateData): void {
     if (this.simulationWorker && this.isInitialized) {
-      this.simulationWorker.postMessage({
+      this.postInput({
         type: 'update',
         data: updateData,
       });
@@ -166,11 +533,11 @@ export class WorkerManager {
   }
 
   /**
-   * Send a new soul to the worker
+   * Send a new soul to the worker (souls born during the run are spawned by the worker itself)
    */
   addSoulToWorker(soulData: SoulWorkerData): void {
     if (this.simulationWorker && this.isInitialized) {
-      this.simulationWorker.postMessage({
+      this.postInput({
         type: 'addSoul',
         data: { soul: soulData },
       });
@@ -179,6 +546,130 @@ export class WorkerManager {
     }
   }
 
+  /**
+   * Change the world boundary used by the worker physics
+   */
+  setBoundary(boundary: BoundaryConfig): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.postInput({
+        type: 'setBoundary',
+        data: { boundary: { ...boundary } }, // Plain copy - reactive state proxies cannot be cloned
+      });
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
+  /**
+   * Change reincarnation settings (delay converted from seconds to ticks)
+   */
+  setReincarnation(settings: ReincarnationSettings): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.postInput({
+        type: 'setReincarnation',
+        data: { reincarnation: toTickReincarnation({ ...settings }) },
+      });
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
+  /**
+   * Change the connection pass budget (souls searched per pass, connections per soul)
+   */
+  setConnectionBudget(budget: ConnectionBudget): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.postInput({
+        type: 'setConnectionBudget',
+        data: { budget: { ...budget } },
+      });
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
+  /**
+   * Change bond settings (formation and decay times converted from seconds to ticks)
+   */
+  setBonds(settings: BondSettings): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.postInput({
+        type: 'setBonds',
+        data: { bonds: toTickBonds({ ...settings }) },
+      });
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
+  /**
+   * Change vessel conversion settings (exposure time converted from seconds to ticks)
+   */
+  setConversion(settings: ConversionSettings): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.postInput({
+        type: 'setConversion',
+        data: { conversion: toTickConversion({ ...settings }) },
+      });
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
+  /**
+   * Change the population model and essence economy (gains converted from per second to per tick)
+   */
+  setEssence(settings: EssenceSettings): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.postInput({
+        type: 'setEssence',
+        data: { essence: toTickEssence({ ...settings }) },
+      });
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
+  /**
+   * Change the physics constants used by the worker (validated again on the worker side)
+   */
+  setConstants(constants: PhysicsConstants): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.postInput({
+        type: 'setConstants',
+        data: { constants: { ...constants } }, // Plain copy - reactive state proxies cannot be cloned
+      });
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
+  /**
+   * Ask the worker for its complete engine state (snapshot save)
+   */
+  requestSnapshot(): Promise<EngineState> {
+    if (!this.simulationWorker || !this.isInitialized) {
+      return Promise.reject(new Error('WorkerManager: Worker not initialized'));
+    }
+    const worker = this.simulationWorker;
+    return new Promise((resolve, reject) => {
+      this.snapshotRequests.push({ resolve, reject });
+      worker.postMessage({ type: 'snapshot', data: {} });
+    });
+  }
+
+  /**
+   * Have the worker report on a soul for the inspector panel, or stop with null. Not a
+   * simulation input, so it is neither recorded nor blocked during a replay
+   */
+  inspectSoul(soulId: number | null): void {
+    if (this.simulationWorker && this.isInitialized) {
+      this.simulationWorker.postMessage({ type: 'inspectSoul', data: { id: soulId } });
+    } else {
+      // Worker not initialized - operation ignored
+    }
+  }
+
   /**
    * Set references for scene-dependent operations
    * This is called from the main application to provide context
@@ -196,11 +687,13 @@ export class WorkerManager {
     isInitialized: boolean;
     hasWorker: boolean;
     handlersCount: number;
+    transferMode: TransferMode;
   } {
     return {
       isInitialized: this.isInitialized,
       hasWorker: !!this.simulationWorker,
       handlersCount: this.messageHandlers.size,
+      transferMode: this.transferMode,
     };
   }
 
@@ -214,14 +707,34 @@ export class WorkerManager {
       this.isInitialized = false;
       // Worker terminated successfully
     }
+    this.rejectPendingRequests('WorkerManager: Worker terminated');
+  }
+
+  /**
+   * Fail the snapshot and state load requests no reply will come for anymore
+   */
+  private rejectPendingRequests(message: string): void {
+    const snapshotRequests = this.snapshotRequests;
+    const stateLoads = this.stateLoads;
+    this.snapshotRequests = [];
+    this.stateLoads = [];
+    snapshotRequests.forEach(request => request.reject(new Error(message)));
+    stateLoads.forEach(load => load.reject(new Error(message)));
   }
 
   /**
    * Restart the worker with the same initialization data
    */
-  restart(initialSouls: SoulWorkerData[], constants: unknown): void {
+  restart(
+    initialSouls: SoulWorkerData[],
+    constants: unknown,
+    seed: number,
+    palette: SoulPalette,
+    population: PopulationParameters,
+    transferMode?: TransferMode
+  ): void {
     this.terminate();
-    this.initializeWorker(initialSouls, constants);
+    this.initializeWorker(initialSouls, constants, seed, palette, population, transferMode);
   }
 }
 
@@ -0,0 +1,390 @@
+// src/lib/workerProtocol.ts
+// Binary transfer protocol between the simulation worker and the main thread.
+//
+// Soul frames and connection frames are packed into typed arrays instead of per-soul objects:
+//   - 'transferable': each frame is an ArrayBuffer moved with postMessage (zero-copy), and the
+//     main thread hands it back for reuse so steady state allocates nothing
+//   - 'shared': frames are written into a SharedArrayBuffer ring (needs cross-origin isolation);
+//     the worker posts a tiny notification with the frame number after the spawn, removal and
+//     conversion messages of that tick, and the main thread reads exactly that frame, so frames
+//     stay ordered with the other messages
+//   - 'objects': the original delta-compressed object messages (fallback / debugging)
+// LOD results travel the other way as two parallel typed arrays (soul id, level index).
+
+import type { LODData } from '../types';
+import type { ConnectionLine, EngineSoul, PopulationParameters } from './engine/engineTypes';
+import type { PointerInput } from './engine/pointer';
+import { speciesIndex } from './engine/species';
+import { hslToRgb } from './engine/vectorMath';
+
+export type TransferMode = 'objects' | 'transferable' | 'shared';
+
+export const TRANSFER_MODES: TransferMode[] = ['objects', 'transferable', 'shared'];
+
+// Soul frame layout for a capacity of N souls (sections back to back, 4-byte aligned):
+//   ids        Uint32Array(N)      4N bytes
+//   positions  Float32Array(N * 3) 12N bytes
+//   colors     Uint8Array(N * 4)   4N bytes  (r, g, b, opacity as 0-255)
+//   types      Uint8Array(N)       N bytes   (species index in the registry, see speciesIndex)
+export const SOUL_FRAME_BYTES_PER_SOUL = 21;
+
+// Connection frame layout for M lines: Float32Array(M * 14)
+//   first M * 6 floats: start/end vertex positions, then M * 8 floats: per-vertex RGBA colors
+//   (alpha is the line opacity, driven by bond strength)
+export const CONNECTION_FLOATS_PER_LINE = 14;
+
+export interface SoulFrame {
+  count: number;
+  capacity: number;
+  ids: Uint32Array;
+  positions: Float32Array;
+  colors: Uint8Array;
+  types: Uint8Array;
+}
+
+export interface ConnectionFrame {
+  count: number;
+  positions: Float32Array; // count * 6
+  colors: Float32Array; // count * 8
+}
+
+// Frame payloads as posted by the worker
+export interface SoulFrameMessageData {
+  buffer: ArrayBuffer;
+  capacity: number;
+  count: number;
+}
+
+export interface ConnectionFrameMessageData {
+  buffer: ArrayBuffer;
+  count: number;
+}
+
+export function isTransferMode(value: unknown): value is TransferMode {
+  return typeof value === 'string' && (TRANSFER_MODES as string[]).includes(value);
+}
+
+/**
+ * Whether SharedArrayBuffer can be used (requires a cross-origin isolated page)
+ */
+export function isSharedMemoryAvailable(): boolean {
+  return (
+    typeof SharedArrayBuffer !== 'undefined' &&
+    typeof Atomics !== 'undefined' &&
+    (globalThis as { crossOriginIsolated?: boolean }).crossOriginIsolated === true
+  );
+}
+
+/**
+ * Pick the transfer mode: an explicit request wins when supported, otherwise the best available
+ */
+export function detectTransferMode(requested?: string | null): TransferMode {
+  if (requested === 'objects' || requested === 'transferable') {
+    return requested;
+  }
+  return isSharedMemoryAvailable() ? 'shared' : 'transferable';
+}
+
+export function soulFrameByteLength(capacity: number): number {
+  return capacity * SOUL_FRAME_BYTES_PER_SOUL;
+}
+
+/**
+ * Typed-array views over a soul frame stored in buffer (no copying)
+ */
+export function createSoulFrameView(
+  buffer: ArrayBufferLike,
+  capacity: number,
+  count: number,
+  byteOffset: number = 0
+): SoulFrame {
+  return {
+    count,
+    capacity,
+    ids: new Uint32Array(buffer, byteOffset, capacity),
+    positions: new Float32Array(buffer, byteOffset + capacity * 4, capacity * 3),
+    colors: new Uint8Array(buffer, byteOffset + capacity * 16, capacity * 4),
+    types: new Uint8Array(buffer, byteOffset + capacity * 20, capacity),
+  };
+}
+
+/**
+ * Pack the current soul state into a frame. Returns the number of souls written.
+ */
+export function writeSoulFrame(frame: SoulFrame, souls: EngineSoul[]): number {
+  const count = Math.min(souls.length, frame.capacity);
+  const { ids, positions, colors, types } = frame;
+
+  for (let i = 0; i < count; i++) {
+    const soul = souls[i];
+    ids[i] = soul.id;
+
+    positions[i * 3] = soul.position.x;
+    positions[i * 3 + 1] = soul.position.y;
+    positions[i * 3 + 2] = soul.position.z;
+
+    // Souls skipped by LOD may not have a computed color yet - use their base color
+    const rgb = soul.finalRGB ?? hslToRgb(soul.baseHSL.h, soul.baseHSL.s, soul.baseHSL.l);
+    colors[i * 4] = Math.round(rgb[0] * 255);
+    colors[i * 4 + 1] = Math.round(rgb[1] * 255);
+    colors[i * 4 + 2] = Math.round(rgb[2] * 255);
+    colors[i * 4 + 3] = Math.round(Math.max(0, Math.min(1, soul.finalOpacity ?? 1)) * 255);
+
+    types[i] = speciesIndex(soul.species);
+  }
+
+  frame.count = count;
+  return count;
+}
+
+export function connectionFrameByteLength(count: number): number {
+  return count * CONNECTION_FLOATS_PER_LINE * 4;
+}
+
+/**
+ * Typed-array views over a connection frame stored in buffer (no copying)
+ */
+export function createConnectionFrameView(buffer: ArrayBufferLike, count: number): ConnectionFrame {
+  return {
+    count,
+    positions: new Float32Array(buffer, 0, count * 6),
+    colors: new Float32Array(buffer, count * 6 * 4, count * 8),
+  };
+}
+
+/**
+ * Pack connection lines into a frame, duplicating each line color and opacity for both vertices
+ */
+export function writeConnectionFrame(frame: ConnectionFrame, connections: ConnectionLine[]): void {
+  const { positions, colors } = frame;
+  for (let i = 0; i < frame.count; i++) {
+    const { start, end, color, opacity = 1 } = connections[i];
+    positions.set(start, i * 6);
+    positions.set(end, i * 6 + 3);
+    colors.set(color, i * 8);
+    colors[i * 8 + 3] = opacity;
+    colors.set(color, i * 8 + 4);
+    colors[i * 8 + 7] = opacity;
+  }
+}
+
+// ===== LOD DATA =====
+
+// Level index used in compact LOD data
+export const LOD_LEVELS: Array<LODData['lod']> = ['HIGH', 'MEDIUM', 'LOW', 'CULLED'];
+
+export interface LODLevelSettings {
+  physicsUpdateRate: number;
+  connectionMultiplier: number;
+  geometryDetail: number;
+}
+
+// Per-soul LOD for the worker: one level index per soul instead of one object per soul
+export interface CompactLODData {
+  ids: Uint32Array;
+  levels: Uint8Array; // Index into LOD_LEVELS
+  levelSettings: LODLevelSettings[]; // Indexed like LOD_LEVELS
+}
+
+/**
+ * Expand compact LOD data into the per-soul lookup the engine consumes.
+ * Souls on the same level share one LODData object.
+ */
+export function decodeLODData(compact: CompactLODData): Record<number, LODData> {
+  const shared: LODData[] = LOD_LEVELS.map((lod, index) => {
+    const settings = compact.levelSettings[index];
+    return {
+      lod,
+      physicsUpdateRate: settings.physicsUpdateRate,
+      updatePhysics: settings.physicsUpdateRate > 0,
+      connectionMultiplier: settings.connectionMultiplier,
+    };
+  });
+
+  const lodData: Record<number, LODData> = {};
+  for (let i = 0; i < compact.ids.length; i++) {
+    lodData[compact.ids[i]] = shared[compact.levels[i]];
+  }
+  return lodData;
+}
+
+// ===== WORKER INPUTS =====
+
+// Messages from the main thread that change the simulation. The worker handles them strictly
+// in order and the engine is deterministic, so the same inputs after the same engine state
+// reproduce a run exactly (record and replay)
+export type WorkerInputType =
+  | 'update'
+  | 'addSoul'
+  | 'setBoundary'
+  | 'setReincarnation'
+  | 'setConnectionBudget'
+  | 'setBonds'
+  | 'setConversion'
+  | 'setEssence'
+  | 'setConstants';
+
+export interface WorkerInput {
+  type: WorkerInputType;
+  data: unknown;
+}
+
+// Inputs that configure the worker; the latest of each type is the setting in effect
+export const SETTING_INPUT_TYPES: WorkerInputType[] = [
+  'setBoundary',
+  'setReincarnation',
+  'setConnectionBudget',
+  'setBonds',
+  'setConversion',
+  'setEssence',
+  'setConstants',
+];
+
+// Per-frame update: ticks to advance plus the inputs read during those ticks
+export interface WorkerUpdateData {
+  ticks?: number; // Fixed simulation ticks to advance (defaults to 1)
+  pointer?: PointerInput | null;
+  lodData?: CompactLODData | null; // Only sent when the main thread refreshed LOD
+  population?: PopulationParameters;
+}
+
+/**
+ * Ticks the worker advances for an update
+ */
+export function updateTickCount(data: WorkerUpdateData): number {
+  return Math.max(1, Math.floor(data.ticks ?? 1));
+}
+
+// ===== SHARED MEMORY RING =====
+
+// Header (Int32Array): latest published slot, frame counter, then per-slot sequence, count and
+// frame number
+const RING_HEADER = {
+  PUBLISHED_SLOT: 0,
+  FRAME_COUNTER: 1,
+  SLOT_SEQUENCE: 2, // + slot index
+};
+
+/**
+ * Triple-buffered soul frames in a SharedArrayBuffer.
+ * The worker writes into a slot that is not the published one, guarded by a per-slot
+ * sequence number (odd while writing), then publishes it. The reader copies the frame it was
+ * notified about into its own frame and drops the copy if the sequence moved underneath it or
+ * the slot already holds a newer frame (a later notification brings that one).
+ */
+export class SharedSoulRing {
+  static readonly SLOTS = 3;
+
+  readonly buffer: SharedArrayBuffer;
+  readonly capacity: number;
+  private header: Int32Array;
+  private slots: SoulFrame[];
+
+  constructor(buffer: SharedArrayBuffer, capacity: number) {
+    this.buffer = buffer;
+    this.capacity = capacity;
+    this.header = new Int32Array(buffer, 0, SharedSoulRing.headerInts());
+
+    const headerBytes = SharedSoulRing.headerInts() * 4;
+    const frameBytes = SharedSoulRing.slotByteLength(capacity);
+    this.slots = [];
+    for (let slot = 0; slot < SharedSoulRing.SLOTS; slot++) {
+      this.slots.push(createSoulFrameView(buffer, capacity, 0, headerBytes + slot * frameBytes));
+    }
+  }
+
+  private static headerInts(): number {
+    return RING_HEADER.SLOT_SEQUENCE + SharedSoulRing.SLOTS * 3;
+  }
+
+  /**
+   * Slots start on 4-byte boundaries so every slot's id array stays aligned whatever the capacity
+   */
+  private static slotByteLength(capacity: number): number {
+    return Math.ceil(soulFrameByteLength(capacity) / 4) * 4;
+  }
+
+  /**
+   * Allocate a ring able to hold frames of up to capacity souls
+   */
+  static create(capacity: number): SharedSoulRing {
+    const byteLength =
+      SharedSoulRing.headerInts() * 4 +
+      SharedSoulRing.SLOTS * SharedSoulRing.slotByteLength(capacity);
+    const ring = new SharedSoulRing(new SharedArrayBuffer(byteLength), capacity);
+    Atomics.store(ring.header, RING_HEADER.PUBLISHED_SLOT, -1);
+    return ring;
+  }
+
+  /**
+   * Writer side (worker). Returns the published frame number, or null if the population no
+   * longer fits.
+   */
+  write(souls: EngineSoul[]): number | null {
+    if (souls.length > this.capacity) {
+      return null;
+    }
+
+    const published = Atomics.load(this.header, RING_HEADER.PUBLISHED_SLOT);
+    const slot = (published + 1 + SharedSoulRing.SLOTS) % SharedSoulRing.SLOTS;
+    const sequenceIndex = RING_HEADER.SLOT_SEQUENCE + slot;
+    const frameNumber = Atomics.load(this.header, RING_HEADER.FRAME_COUNTER) + 1;
+
+    Atomics.add(this.header, sequenceIndex, 1); // Odd: write in progress
+    const count = writeSoulFrame(this.slots[slot], souls);
+    Atomics.store(this.header, this.countIndex(slot), count);
+    Atomics.store(this.header, this.frameIndex(slot), frameNumber);
+    Atomics.add(this.header, sequenceIndex, 1); // Even: slot is consistent
+
+    Atomics.store(this.header, RING_HEADER.FRAME_COUNTER, frameNumber);
+    Atomics.store(this.header, RING_HEADER.PUBLISHED_SLOT, slot);
+    return frameNumber;
+  }
+
+  /**
+   * Reader side (main thread): copy the frame a notification announced into target.
+   * Returns false when the slot was already reused for a newer frame or the copy was torn by
+   * a concurrent write; the main thread then keeps its last frame until the next notification.
+   */
+  readFrame(target: SoulFrame, frameNumber: number): boolean {
+    // Sequence first: the frame number is written inside the guarded section
+    let slot = -1;
+    let sequence = 0;
+    for (let candidate = 0; candidate < SharedSoulRing.SLOTS; candidate++) {
+      const candidateSequence = Atomics.load(this.header, RING_HEADER.SLOT_SEQUENCE + candidate);
+      if (
+        candidateSequence % 2 === 0 &&
+        Atomics.load(this.header, this.frameIndex(candidate)) === frameNumber
+      ) {
+        slot = candidate;
+        sequence = candidateSequence;
+      }
+    }
+    if (slot < 0) {
+      return false;
+    }
+
+    const sequenceIndex = RING_HEADER.SLOT_SEQUENCE + slot;
+    const count = Atomics.load(this.header, this.countIndex(slot));
+    const source = this.slots[slot];
+    target.ids.set(source.ids.subarray(0, count));
+    target.positions.set(source.positions.subarray(0, count * 3));
+    target.colors.set(source.colors.subarray(0, count * 4));
+    target.types.set(source.types.subarray(0, count));
+    target.count = count;
+
+    // A write that started after the frame check changed the sequence
+    if (Atomics.load(this.header, sequenceIndex) !== sequence) {
+      return false;
+    }
+    return true;
+  }
+
+  private countIndex(slot: number): number {
+    return RING_HEADER.SLOT_SEQUENCE + SharedSoulRing.SLOTS + slot;
+  }
+
+  private frameIndex(slot: number): number {
+    return RING_HEADER.SLOT_SEQUENCE + SharedSoulRing.SLOTS * 2 + slot;
+  }
+}
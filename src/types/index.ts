@@ -9,6 +9,7 @@ export type * from './three';
 
 // Re-export rendering constants types
 export type {
+  BoundarySettings,
   CameraSettings,
   ControlsSettings,
   GeometrySettings,
@@ -16,6 +17,7 @@ export type {
   LightingSettings,
   LineSettings,
   MaterialOpacity,
+  PointerGizmoSettings,
   Position3D,
   SegmentSettings,
 } from '../lib/constants/rendering';
@@ -25,6 +27,18 @@ export interface StorageKeys {
   SPAWN_RATE: string;
   MIN_LIFESPAN: string;
   MAX_LIFESPAN: string;
+  LIFESPAN: string;
+  BOUNDARY_MODE: string;
+  BOUNDARY_RADIUS: string;
+  SHOW_BOUNDARY: string;
+  POINTER_MODE: string;
+  POINTER_DEPTH: string;
+  PHYSICS_CONSTANTS: string;
+  REINCARNATION: string;
+  ESSENCE: string;
+  CONVERSION: string;
+  BONDS: string;
+  TELEMETRY: string;
 }
 
 export interface Constants {
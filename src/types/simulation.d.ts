@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import type { CameraControls } from './three';
+import type { LifespanConfig } from '../lib/engine/lifespan';
+import type { SpeciesId } from '../lib/engine/species';
 
 // Core simulation data types
 export interface SoulData {
@@ -8,7 +10,10 @@ export interface SoulData {
   velocity: { x: number; y: number; z: number };
   speed: number;
   life: number; // Changed from lifespan to life
-  isHuman: boolean;
+  incarnation?: number; // Reincarnation count, 1 (or absent) for a first life
+  essence?: number; // Essence economy
+  species: SpeciesId;
+  isHuman: boolean; // Vessel flags of the species (see speciesFlags)
   isDewa: boolean;
   flickerPhase: number;
   baseHSL: {
@@ -22,6 +27,7 @@ export interface ConnectionData {
   start: [number, number, number];
   end: [number, number, number];
   color: [number, number, number];
+  opacity?: number; // Per-line opacity (bond strength), 1 when absent
 }
 
 export interface LODLevel {
@@ -142,6 +148,13 @@ export interface WorkerAddSoulMessage extends WorkerMessage {
   };
 }
 
+export interface WorkerSetConstantsMessage extends WorkerMessage {
+  type: 'setConstants';
+  data: {
+    constants: Partial<PhysicsConstants>;
+  };
+}
+
 export interface WorkerSoulUpdatedMessage {
   type: 'soulsUpdated';
   data: Array<{
@@ -168,6 +181,330 @@ export interface WorkerConnectionsUpdatedMessage {
   }>;
 }
 
+// Binary transfer protocol (layouts in lib/workerProtocol.ts)
+export interface WorkerSoulsFrameMessage {
+  type: 'soulsFrame';
+  data: {
+    buffer: ArrayBuffer; // Transferred; the main thread sends it back with 'recycleBuffer'
+    capacity: number;
+    count: number;
+  };
+}
+
+export interface WorkerSoulsFrameSharedMessage {
+  type: 'soulsFrameShared';
+  data: {
+    count: number; // Frame was published in the SharedArrayBuffer ring
+    frame: number; // Ring frame number, read once the messages before it were handled
+  };
+}
+
+export interface WorkerConnectionsFrameMessage {
+  type: 'connectionsFrame';
+  data: {
+    buffer: ArrayBuffer;
+    count: number;
+  };
+}
+
+export interface WorkerRecycleBufferMessage extends WorkerMessage {
+  type: 'recycleBuffer';
+  data: {
+    buffer: ArrayBuffer;
+  };
+}
+
+export interface WorkerSetReincarnationMessage extends WorkerMessage {
+  type: 'setReincarnation';
+  data: {
+    reincarnation: {
+      enabled: boolean;
+      delay: number; // Ticks
+      keepVesselChance: number;
+      dewaChance: number;
+      humanChance: number;
+    };
+  };
+}
+
+export interface WorkerBardoUpdatedMessage {
+  type: 'bardoUpdated';
+  data: {
+    size: number; // Dead souls waiting to be reborn
+  };
+}
+
+export interface WorkerSetBondsMessage extends WorkerMessage {
+  type: 'setBonds';
+  data: {
+    bonds: {
+      enabled: boolean;
+      formationTime: number; // Ticks
+      decayTime: number; // Ticks
+      breakDistance: number; // Multiple of INTERACTION_DISTANCE
+      springStrength: number;
+    };
+  };
+}
+
+export interface WorkerBondsUpdatedMessage {
+  type: 'bondsUpdated';
+  data: {
+    stats: {
+      count: number;
+      meanStrength: number;
+      oldestAge: number; // Ticks
+    } | null; // Null while bonds are off
+  };
+}
+
+export interface WorkerSetConnectionBudgetMessage extends WorkerMessage {
+  type: 'setConnectionBudget';
+  data: {
+    budget: {
+      maxChecks: number; // Souls searched per connection pass
+      connectionLimit: number; // Connections per soul
+    };
+  };
+}
+
+export interface WorkerCoverageUpdatedMessage {
+  type: 'coverageUpdated';
+  data: {
+    coverage: {
+      population: number;
+      checkedPerPass: number;
+      sweepPasses: number;
+      coveredSouls: number;
+      connectedSouls: number;
+      pairs: number;
+      lines: number;
+    } | null; // Null while bonds draw the lines
+  };
+}
+
+export interface WorkerPopulationCensusMessage {
+  type: 'populationCensus';
+  data: {
+    samples: Array<{
+      tick: number;
+      population: number;
+      human: number;
+      gpt: number;
+      dewa: number;
+      births: number; // Since the previous census
+      deaths: number; // Since the previous census
+      meanAge: number; // Ticks
+    }>;
+    ageHistogram: number[]; // Living souls per age bucket at the latest census
+  };
+}
+
+export interface WorkerNetworkStatsMessage {
+  type: 'networkStats';
+  data: {
+    stats: {
+      nodes: number;
+      edges: number;
+      components: number;
+      isolated: number;
+      largestCluster: number;
+      meanDegree: number;
+      degreeHistogram: number[];
+      clustering: number;
+      mixing: number | null;
+    };
+    time: number; // Simulated seconds
+  };
+}
+
+export interface WorkerPopulationStructureMessage {
+  type: 'populationStructure';
+  data: {
+    structure: {
+      total: number;
+      human: number;
+      gpt: number;
+      dewa: number;
+      attachedToDewa: number;
+      agePyramid: { human: number[]; gpt: number[] }; // Souls per age bucket
+      speedHistogram: number[];
+      meanSpeed: number;
+    };
+    time: number; // Simulated seconds
+  };
+}
+
+export interface WorkerInspectSoulMessage extends WorkerMessage {
+  type: 'inspectSoul';
+  data: {
+    id: number | null; // Null stops the reports
+  };
+}
+
+export interface WorkerSoulInspectionMessage {
+  type: 'soulInspection';
+  data: {
+    inspection: {
+      id: number;
+      status: 'alive' | 'bardo' | 'gone';
+      species: SpeciesId | null;
+      incarnation: number;
+      age: number; // Ticks
+      life: number; // Ticks left
+      speed: number;
+      essence: number;
+      chosenDewaId: number | null;
+      connections: { total: number; human: number; gpt: number };
+      partners: number[];
+    };
+    time: number; // Simulated seconds
+  };
+}
+
+export interface WorkerSetConversionMessage extends WorkerMessage {
+  type: 'setConversion';
+  data: {
+    conversion: {
+      enabled: boolean;
+      exposureTime: number; // Ticks
+      majority: number;
+    };
+  };
+}
+
+export interface WorkerSoulsConvertedMessage {
+  type: 'soulsConverted';
+  data: {
+    conversions: Array<{
+      id: number;
+      species: SpeciesId; // New vessel
+      isHuman: boolean;
+      hue: number; // New base hue
+    }>;
+    toHuman: number; // Conversion events in the batch, by new vessel
+    toGpt: number;
+  };
+}
+
+export interface WorkerSetEssenceMessage extends WorkerMessage {
+  type: 'setEssence';
+  data: {
+    essence: {
+      model: 'rate' | 'essence';
+      initialPool: number;
+      birthCost: number;
+      connectionGain: number; // Per tick
+      dewaGain: number; // Per tick
+    };
+  };
+}
+
+export interface WorkerEssenceUpdatedMessage {
+  type: 'essenceUpdated';
+  data: {
+    stats: {
+      pool: number;
+      held: number;
+      total: number;
+      meanEssence: number;
+    } | null; // Null under the rate model
+  };
+}
+
+export interface WorkerSnapshotMessage extends WorkerMessage {
+  type: 'snapshot';
+  data: Record<string, never>;
+}
+
+export interface WorkerSnapshotTakenMessage {
+  type: 'snapshotTaken';
+  data: {
+    state: {
+      frameCount: number;
+      pulseTime: number;
+      nextSoulId: number;
+      rngState: number; // Worker generator
+      spawnRngState: number; // Birth generator
+      souls: Array<
+        SoulData & {
+          age: number; // Ticks
+          vesselHue: number;
+          conversionExposure: number; // Ticks
+          chosenDewaId: number | null;
+        }
+      >;
+      bardo: Array<{
+        id: number;
+        incarnation: number;
+        species: SpeciesId;
+        releaseTick: number;
+      }>;
+      essence: WorkerSetEssenceMessage['data']['essence'];
+      essencePool: number | null; // Null under the rate model
+      bonds: Array<{ a: number; b: number; strength: number; age: number }>;
+      connectionSampler: {
+        pairs: Array<[number, number]>;
+        checked: number[];
+        cursor: number;
+      };
+      connectionTallies: Array<[number, { total: number; human: number; gpt: number }]>;
+      birthsSinceCensus: number;
+      deathsSinceCensus: number;
+    };
+  };
+}
+
+export interface WorkerLoadStateMessage extends WorkerMessage {
+  type: 'loadState';
+  data: {
+    state: WorkerSnapshotTakenMessage['data']['state'];
+    lodData: {
+      ids: Uint32Array;
+      levels: Uint8Array;
+      levelSettings: Array<{
+        physicsUpdateRate: number;
+        connectionMultiplier: number;
+        geometryDetail: number;
+      }>;
+    } | null;
+    population: {
+      spawnRate: number; // Per tick
+      minLifespan: number; // Ticks
+      maxLifespan: number; // Ticks
+      lifespan?: LifespanConfig; // Durations in ticks
+    } | null;
+  };
+}
+
+export interface WorkerStateLoadedMessage {
+  type: 'stateLoaded';
+  data: {
+    frameCount: number;
+  };
+}
+
+export interface WorkerSnapshotFailedMessage {
+  type: 'snapshotFailed';
+  data: {
+    error: string;
+  };
+}
+
+export interface WorkerStateLoadFailedMessage {
+  type: 'stateLoadFailed';
+  data: {
+    error: string;
+  };
+}
+
+export interface WorkerSoulsSpawnedMessage {
+  type: 'soulsSpawned';
+  data: {
+    souls: SoulData[];
+  };
+}
+
 export interface WorkerSoulRemovedMessage {
   type: 'soulRemoved';
   data: {
@@ -187,7 +524,6 @@ export interface WorkerPerformanceMetrics {
 
 // Animation controller types
 export interface AnimationCallbacks {
-  onSoulSpawn?: () => void;
   onWorkerUpdate?: (data: unknown) => void;
 }
 
@@ -203,12 +539,12 @@ export type RenderingMode = 'individual' | 'instanced';
 
 // Soul creation parameters
 export interface SoulCreationParams {
-  isHuman: boolean;
-  isDewa?: boolean;
+  species: SpeciesId;
   angle?: number;
   speed?: number;
   minLifespan: number;
   maxLifespan: number;
+  lifespan?: LifespanConfig; // Uniform between the bounds when absent
 }
 
 // Simulation state interface
@@ -244,10 +580,12 @@ export interface SoulWorkerData {
   position: { x: number; y: number; z: number };
   velocity: { x: number; y: number; z: number };
   speed: number;
+  species: SpeciesId;
   isHuman: boolean;
   isDewa: boolean;
   flickerPhase: number;
   life: number;
+  incarnation?: number;
   baseHSL: { h: number; s: number; l: number };
 }
 
@@ -12,10 +12,13 @@ declare module 'three' {
       hue?: number;
       saturation?: number;
       lightness?: number;
+      species?: string;
       isDewa?: boolean;
       isHuman?: boolean;
       flickerPhase?: number;
       life?: number;
+      incarnation?: number;
+      conversionTime?: number; // performance.now() of the last vessel conversion
       baseHSL?: { h: number; s: number; l: number };
       velocity?: { x: number; y: number; z: number };
       finalRGB?: number[];
@@ -39,10 +42,13 @@ declare module 'three' {
       hue?: number;
       saturation?: number;
       lightness?: number;
+      species?: string;
       isDewa?: boolean;
       isHuman?: boolean;
       flickerPhase?: number;
       life?: number;
+      incarnation?: number;
+      conversionTime?: number; // performance.now() of the last vessel conversion
       baseHSL?: { h: number; s: number; l: number };
       velocity?: { x: number; y: number; z: number };
       finalRGB?: number[];
@@ -70,6 +76,7 @@ export interface CameraControls {
   minDistance?: number;
   maxDistance?: number;
   setGizmosVisible?: (visible: boolean) => void;
+  target?: THREE.Vector3; // Orbit center
 }
 
 export interface ThreeJSScene {